@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation harness for micro-prompts
+ *
+ * Runs every MICRO_PROMPTS entry against the golden company/person fixtures in
+ * fixtures/golden and scores each output (see src/utils/promptEval.js). Writes
+ * report.json and report.html so a prompt edit can be judged before it ships.
+ *
+ * Responses come from recorded fixtures (UPSTREAM_MODE=replay) or a local model
+ * (LLM_DEFAULT_PROVIDER=openaiCompatible). Hosted Perplexity calls are refused
+ * unless --allow-live is passed.
+ *
+ * Usage:
+ *   npm run eval:prompts -- [options]
+ *
+ * Options:
+ *   --fixtures <dir>       Golden fixtures (default: fixtures/golden)
+ *   --out <dir>            Report directory (default: data/eval/<timestamp>)
+ *   --prompts <a,b>        Only these prompt types
+ *   --baseline <file>      Earlier report.json to compare scores against
+ *   --fail-under <0-1>     Exit 1 if the overall score is below this
+ *   --allow-live           Allow paid upstream calls
+ *
+ * Variants can be evaluated by sending all traffic to them, e.g.
+ *   PROMPT_EXPERIMENTS='{"industryContext":{"v2":100}}' npm run eval:prompts
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const USAGE = `Usage: npm run eval:prompts -- [--fixtures <dir>] [--out <dir>] [--prompts <a,b>] [--baseline <report.json>] [--fail-under <0-1>] [--allow-live]`
+
+function parseArgs(argv) {
+  const options = {
+    fixtures: path.join(__dirname, '../fixtures/golden'),
+    out: path.join(
+      __dirname,
+      '../data/eval',
+      new Date().toISOString().replace(/[:.]/g, '-')
+    ),
+    prompts: null,
+    baseline: null,
+    failUnder: null,
+    allowLive: false,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const value = () => {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`)
+      }
+      return argv[++i]
+    }
+
+    switch (arg) {
+      case '--fixtures':
+        options.fixtures = path.resolve(value())
+        break
+      case '--out':
+        options.out = path.resolve(value())
+        break
+      case '--prompts':
+        options.prompts = value()
+          .split(',')
+          .map((prompt) => prompt.trim())
+          .filter(Boolean)
+        break
+      case '--baseline':
+        options.baseline = path.resolve(value())
+        break
+      case '--fail-under':
+        options.failUnder = parseFloat(value())
+        break
+      case '--allow-live':
+        options.allowLive = true
+        break
+      case '--help':
+        console.log(USAGE)
+        process.exit(0)
+        break
+      default:
+        throw new Error(`Unknown option: ${arg}`)
+    }
+  }
+
+  return options
+}
+
+let options
+try {
+  options = parseArgs(process.argv.slice(2))
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`)
+  process.exit(2)
+}
+
+// Keep the eval away from production state: no ledger, snapshots, scheduler or L2
+// cache writes, and prompt runs go to the report directory instead of the live log
+process.env.USAGE_LEDGER_ENABLED = 'false'
+process.env.SNAPSHOTS_ENABLED = 'false'
+process.env.WATCHLIST_SCHEDULER = 'false'
+process.env.CACHE_L2_BACKEND = 'none'
+process.env.CACHE_MIGRATION_SWEEP = 'false'
+process.env.PROMPT_RUNS_PATH = path.join(options.out, 'prompt-runs.jsonl')
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn'
+
+const { MICRO_PROMPTS } = require('../src/prompts/microPrompts')
+const {
+  CompanyAnalysisSchema,
+  PersonAnalysisSchema,
+} = require('../src/schemas/analysisSchemas')
+const perplexityService = require('../src/services/perplexityService')
+const llmService = require('../src/services/llmService')
+const upstreamRecorder = require('../src/services/upstreamRecorder')
+const promptExperimentService = require('../src/services/promptExperimentService')
+const {
+  COMPANY_SECTION_FIELDS,
+  PERSON_SECTION_FIELDS,
+} = require('../src/services/microPromptOrchestrator')
+const {
+  validateFields,
+  scoreOutput,
+  summarize,
+  compareToBaseline,
+  renderHtmlReport,
+  mean,
+} = require('../src/utils/promptEval')
+
+const { promptEntity } = promptExperimentService
+const orchestrator = perplexityService.microPromptOrchestrator
+
+// Results key a prompt's output is combined under, where it differs from the prompt type
+const COMBINE_KEYS = { privateCompanyFinancials: 'privateFinancials' }
+
+// Document fields each prompt feeds (companyDomain only feeds other prompts)
+const PROMPT_FIELDS = {
+  ...COMPANY_SECTION_FIELDS,
+  ...PERSON_SECTION_FIELDS,
+  privateCompanyFinancials: ['privateFinancials'],
+}
+
+/**
+ * Golden fixtures: one JSON file per company/person
+ * { id, type: 'company'|'person', input, skipPrompts?, expected: { promptType: { path: value } } }
+ */
+function loadFixtures(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      if (!['company', 'person'].includes(fixture.type) || !fixture.input) {
+        throw new Error(`${file}: needs type (company|person) and input`)
+      }
+      return { id: fixture.id || path.basename(file, '.json'), ...fixture }
+    })
+}
+
+function promptArgs(fixture) {
+  const { input } = fixture
+  return fixture.type === 'person'
+    ? [input.name, input.title, input.company, input.observedFacts]
+    : [input.companyName]
+}
+
+/**
+ * Validate the document fields a prompt's output turns into, built the same
+ * way as a section refresh (combineResults / combinePersonResults)
+ */
+function validateOutput(fixture, promptType, result) {
+  const fields = PROMPT_FIELDS[promptType]
+  if (!fields) return null
+
+  const key = COMBINE_KEYS[promptType] || promptType
+  const combined =
+    fixture.type === 'person'
+      ? orchestrator.combinePersonResults(
+          fixture.input.name,
+          fixture.input.title,
+          fixture.input.company,
+          { [key]: result },
+          fixture.input.observedFacts
+        )
+      : orchestrator.combineResults(fixture.input.companyName, {
+          [key]: result,
+          isPublicCompany: !!result.data?.isPublic,
+        })
+
+  const picked = Object.fromEntries(
+    fields
+      .filter((field) => combined[field] !== undefined)
+      .map((field) => [field, combined[field]])
+  )
+
+  return validateFields(
+    fixture.type === 'person' ? PersonAnalysisSchema : CompanyAnalysisSchema,
+    picked
+  )
+}
+
+async function evaluate(fixture, promptType) {
+  const startedAt = Date.now()
+  const base = {
+    fixture: fixture.id,
+    promptType,
+    version: promptExperimentService.select(
+      promptType,
+      orchestrator._promptSubject(promptType, promptArgs(fixture))
+    ).version,
+  }
+
+  try {
+    const result = await orchestrator.executeMicroPrompt(
+      promptType,
+      ...promptArgs(fixture)
+    )
+    const schema = validateOutput(fixture, promptType, result)
+
+    return {
+      ...base,
+      parsed: true,
+      latencyMs: Date.now() - startedAt,
+      tokens: result.usage?.total_tokens || 0,
+      schema,
+      ...scoreOutput(
+        { data: result.data, searchResults: result.searchResults, schema },
+        fixture.expected?.[promptType]
+      ),
+      data: result.data,
+    }
+  } catch (error) {
+    return {
+      ...base,
+      parsed: false,
+      error: error.message,
+      latencyMs: Date.now() - startedAt,
+      tokens: 0,
+      schema: null,
+      score: 0,
+    }
+  }
+}
+
+async function main() {
+  const fixtures = loadFixtures(options.fixtures)
+  const promptTypes = (options.prompts || Object.keys(MICRO_PROMPTS)).filter(
+    (promptType) => {
+      if (MICRO_PROMPTS[promptType]) return true
+      console.warn(`⚠️  Unknown prompt type: ${promptType}`)
+      return false
+    }
+  )
+
+  if (!upstreamRecorder.isReplay() && !options.allowLive) {
+    const live = promptTypes.filter(
+      (promptType) =>
+        llmService.resolveRoute(promptType, MICRO_PROMPTS[promptType])
+          .provider === 'perplexity'
+    )
+    if (live.length > 0) {
+      console.error(
+        `❌ ${live.join(
+          ', '
+        )} would call Perplexity live. Use UPSTREAM_MODE=replay, a local model (LLM_DEFAULT_PROVIDER=openaiCompatible) or --allow-live.`
+      )
+      process.exit(2)
+    }
+  }
+
+  console.log(
+    `🧪 Evaluating ${promptTypes.length} prompts against ${fixtures.length} fixtures (upstream ${upstreamRecorder.mode})`
+  )
+
+  const results = []
+  for (const fixture of fixtures) {
+    for (const promptType of promptTypes) {
+      if (promptEntity(promptType) !== fixture.type) continue
+      if (fixture.skipPrompts?.includes(promptType)) continue
+
+      const result = await evaluate(fixture, promptType)
+      results.push(result)
+      console.log(
+        `${result.parsed ? '✅' : '❌'} ${fixture.id} ${promptType} ${
+          result.version
+        }: ${result.parsed ? result.score : result.error}`
+      )
+    }
+  }
+
+  const summary = summarize(results)
+  const report = {
+    generatedAt: new Date().toISOString(),
+    upstreamMode: upstreamRecorder.mode,
+    fixtures: fixtures.map((fixture) => fixture.id),
+    score: mean(summary.map((entry) => entry.score)),
+    summary,
+    results,
+  }
+
+  if (options.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+    report.baseline = {
+      file: options.baseline,
+      generatedAt: baseline.generatedAt,
+      score: baseline.score,
+      deltas: compareToBaseline(summary, baseline),
+    }
+  }
+
+  fs.mkdirSync(options.out, { recursive: true })
+  fs.writeFileSync(
+    path.join(options.out, 'report.json'),
+    JSON.stringify(report, null, 2)
+  )
+  fs.writeFileSync(
+    path.join(options.out, 'report.html'),
+    renderHtmlReport(report)
+  )
+
+  console.log(
+    `\n📊 Overall score ${report.score}${
+      report.baseline ? ` (baseline ${report.baseline.score})` : ''
+    } - report: ${path.join(options.out, 'report.html')}`
+  )
+
+  if (options.failUnder !== null && !(report.score >= options.failUnder)) {
+    console.error(`❌ Score is below --fail-under ${options.failUnder}`)
+    return 1
+  }
+  return 0
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('❌ Prompt eval failed:', error.message)
+    process.exit(1)
+  })
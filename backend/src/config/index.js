@@ -4,22 +4,74 @@
  */
 
 require('dotenv').config()
+const path = require('path')
 
-// Validate required environment variables
-const requiredEnvVars = ['PERPLEXITY_API_KEY']
+/**
+ * Parse a JSON object from an env var (invalid JSON is ignored with a warning)
+ * - LLM_PROMPT_ROUTES: prompt type → { provider, model }
+ *   e.g. {"companyDomain":{"provider":"openaiCompatible","model":"llama3.1"}}
+ * - PROMPT_EXPERIMENTS: prompt type → { variant version: percent }
+ *   e.g. {"industryContext":{"v2":20}}
+ * - QUOTA_USER_PLANS: user id → quota plan
+ *   e.g. {"user-123":"pro"}
+ */
+function parseJsonEnv(name) {
+  const raw = process.env[name]
+  if (!raw) {
+    return {}
+  }
+
+  try {
+    const parsed = JSON.parse(raw)
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch (error) {
+    console.warn(`⚠️  Ignoring invalid ${name} JSON:`, error.message)
+    return {}
+  }
+}
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// Plan → metric → { limit, windowMs }
+const DEFAULT_QUOTA_PLANS = {
+  anonymous: {
+    requests: { limit: 20, windowMs: 15 * MINUTE_MS },
+    analyses: { limit: 10, windowMs: DAY_MS },
+    chatMessages: { limit: 20, windowMs: DAY_MS },
+  },
+  free: {
+    requests: { limit: 100, windowMs: 15 * MINUTE_MS },
+    analyses: { limit: 50, windowMs: DAY_MS },
+    chatMessages: { limit: 100, windowMs: DAY_MS },
+  },
+  pro: {
+    requests: { limit: 600, windowMs: 15 * MINUTE_MS },
+    analyses: { limit: 500, windowMs: DAY_MS },
+    chatMessages: { limit: 1000, windowMs: DAY_MS },
+  },
+}
+
+/**
+ * Quota plans with QUOTA_PLANS overrides merged in per metric
+ * e.g. {"pro":{"analyses":{"limit":1000}},"team":{...}}
+ */
+function parseQuotaPlans() {
+  const plans = { ...DEFAULT_QUOTA_PLANS }
 
-const missingEnvVars = requiredEnvVars.filter(
-  (varName) => !process.env[varName]
-)
+  for (const [plan, metrics] of Object.entries(parseJsonEnv('QUOTA_PLANS'))) {
+    plans[plan] = { ...plans[plan] }
+    for (const [metric, quota] of Object.entries(metrics || {})) {
+      plans[plan][metric] = { ...plans[plan][metric], ...quota }
+    }
+  }
 
-if (missingEnvVars.length > 0) {
-  console.error(
-    '❌ Missing required environment variables:',
-    missingEnvVars.join(', ')
-  )
-  process.exit(1)
+  return plans
 }
 
+// NOTE: No LLM credentials are required to boot. llmService warns at startup when
+// no provider is configured, and analysis requests fail with a clear error instead.
+
 const config = {
   // Server Configuration
   server: {
@@ -37,6 +89,48 @@ const config = {
       timeout: 120000, // Increased to 120s for complex queries
       maxTokens: 4000,
     },
+    // Any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, Ollama, LM Studio...)
+    openaiCompatible: {
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY, // Optional for local servers
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL, // e.g. http://localhost:11434/v1
+      model: process.env.OPENAI_COMPATIBLE_MODEL,
+      timeout: 120000,
+      maxTokens: 4000,
+      jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE === 'true', // Send response_format: json_object
+      inputCostPer1M: parseFloat(process.env.OPENAI_COMPATIBLE_INPUT_COST) || 0, // $ per 1M tokens
+      outputCostPer1M:
+        parseFloat(process.env.OPENAI_COMPATIBLE_OUTPUT_COST) || 0,
+    },
+  },
+
+  // LLM Provider Routing
+  // Per-prompt routing: LLM_PROMPT_ROUTES env > MICRO_PROMPTS metadata > defaultProvider
+  llm: {
+    defaultProvider:
+      process.env.LLM_DEFAULT_PROVIDER ||
+      (process.env.PERPLEXITY_API_KEY ? 'perplexity' : 'openaiCompatible'),
+    promptRoutes: parseJsonEnv('LLM_PROMPT_ROUTES'),
+  },
+
+  // Backend Chat (/analyze/chat)
+  // Before answering, the model can look up cached analyses through tools - one
+  // JSON planning call per round, routed as 'chatTools' in LLM_PROMPT_ROUTES
+  chat: {
+    maxToolRounds: parseInt(process.env.CHAT_MAX_TOOL_ROUNDS ?? '2', 10), // 0 = no tools
+    maxToolCallsPerRound: 4,
+    maxFactsPerTool: 40, // Facts (citable fields) returned by one tool call
+    maxFactValueLength: 300, // Longer values are cut for the prompt
+    maxHistoryMessages: 20, // Earlier messages are dropped
+    verifiedConfidence: 0.9, // Provenance confidence of a verified fact (Sumble, the page)
+  },
+
+  // Upstream Record/Replay (LLM providers + Sumble)
+  // live: real APIs | record: real APIs + write fixtures | replay: fixtures only (offline)
+  upstream: {
+    mode: process.env.UPSTREAM_MODE || 'live',
+    fixturesDir:
+      process.env.UPSTREAM_FIXTURES_DIR ||
+      path.join(__dirname, '../../fixtures/upstream'),
   },
 
   // Supabase Configuration (optional - for auth and database)
@@ -57,6 +151,163 @@ const config = {
     ttl: 24 * 60 * 60 * 1000, // 24 hours (unified across L1+L2, in milliseconds)
     maxSize: 1000, // Max number of cached entries (L1 memory)
     cleanupInterval: 60 * 60 * 1000, // Cleanup expired entries every hour (L1+L2)
+    // Stale-while-revalidate: analyses older than ttl are still served (flagged stale)
+    // for this long while a background refresh runs, then become a hard miss
+    staleWindow:
+      (parseInt(process.env.CACHE_STALE_WINDOW_HOURS, 10) || 168) * 3600000, // 7 days
+    // L2 backend: auto (Supabase if configured, else file) | supabase | file | none
+    l2Backend: process.env.CACHE_L2_BACKEND || 'auto',
+    fileStorePath:
+      process.env.CACHE_FILE_STORE_PATH ||
+      path.join(__dirname, '../../data/cache'),
+    // Upgrade entries from older SCHEMA_VERSIONs in the background on startup
+    migrationSweepOnStartup: process.env.CACHE_MIGRATION_SWEEP !== 'false',
+    // Max companies + people per warm-up list (POST /admin/cache/warm)
+    warmMaxItems: parseInt(process.env.CACHE_WARM_MAX_ITEMS, 10) || 500,
+  },
+
+  // Batch Job Queue Configuration
+  // Jobs are persisted to a JSON file so they survive server restarts
+  jobs: {
+    storePath:
+      process.env.JOB_STORE_PATH ||
+      path.join(__dirname, '../../data/jobs.json'),
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // Parallel analyses across all batches
+    maxBatchSize: 50, // Max companies + people per batch request
+    retentionMs: 7 * 24 * 60 * 60 * 1000, // Keep finished jobs for 7 days
+  },
+
+  // Analysis Snapshots (history + diff)
+  // Every full analysis written to the cache is also kept as a versioned snapshot
+  snapshots: {
+    enabled: process.env.SNAPSHOTS_ENABLED !== 'false',
+    storePath:
+      process.env.SNAPSHOT_STORE_PATH ||
+      path.join(__dirname, '../../data/snapshots'),
+    maxPerKey: parseInt(process.env.SNAPSHOT_MAX_PER_KEY, 10) || 100, // Oldest are pruned first
+  },
+
+  // Account Watchlist
+  // Watched companies are re-analyzed on a schedule; material changes become trigger events
+  watchlist: {
+    storePath:
+      process.env.WATCHLIST_STORE_PATH ||
+      path.join(__dirname, '../../data/watchlist.json'),
+    schedulerEnabled: process.env.WATCHLIST_SCHEDULER !== 'false',
+    intervalMs:
+      (parseInt(process.env.WATCHLIST_INTERVAL_HOURS, 10) || 24) * 3600000, // Re-analysis interval per account
+    tickMs: 5 * 60 * 1000, // How often the scheduler looks for due accounts
+    maxEntries: 500, // Per owner
+    // Scheduled re-analyses per owner per day (each also counts against the
+    // owner's analyses quota); due accounts over the cap wait for the next window
+    maxScheduledChecksPerDay:
+      parseInt(process.env.WATCHLIST_MAX_CHECKS_PER_DAY, 10) || 50,
+    eventRetentionMs: 30 * 24 * 60 * 60 * 1000, // Keep trigger events for 30 days
+    hiringSpikeMin: 10, // Open roles for a new hiring signal to count as a spike
+  },
+
+  // Entity Aliases
+  // Names/domains → canonical company/person identity (LinkedIn slug when known)
+  aliases: {
+    storePath:
+      process.env.ENTITY_ALIASES_PATH ||
+      path.join(__dirname, '../../data/entity-aliases.json'),
+    maxEntries: 50000,
+  },
+
+  // Usage Ledger
+  // Per-request record of tokens, Sumble credits and dollar cost (GET /usage, GET /admin/usage)
+  usageLedger: {
+    enabled: process.env.USAGE_LEDGER_ENABLED !== 'false',
+    storePath:
+      process.env.USAGE_LEDGER_PATH ||
+      path.join(__dirname, '../../data/usage-ledger.jsonl'),
+    retentionMs:
+      (parseInt(process.env.USAGE_LEDGER_RETENTION_DAYS, 10) || 90) * 86400000,
+  },
+
+  // Prompt Experiments
+  // A share of companies/people is routed to variant prompts (src/prompts/promptVariants.js);
+  // each run's outcome is logged for GET /admin/prompts/experiments
+  promptExperiments: {
+    experiments: parseJsonEnv('PROMPT_EXPERIMENTS'),
+    storePath:
+      process.env.PROMPT_RUNS_PATH ||
+      path.join(__dirname, '../../data/prompt-runs.jsonl'),
+    retentionMs:
+      (parseInt(process.env.PROMPT_RUNS_RETENTION_DAYS, 10) || 30) * 86400000,
+  },
+
+  // Spend Budgets (measured from the usage ledger, UTC days/months)
+  // 0 disables a cap. Degradation steps kick in at these fractions of a cap.
+  budget: {
+    dailyUsd: parseFloat(process.env.BUDGET_DAILY_USD) || 0,
+    monthlyUsd: parseFloat(process.env.BUDGET_MONTHLY_USD) || 0,
+    thresholds: {
+      skipOptional: 0.8, // Skip optionalPrompts
+      cheaperModels: 0.9, // Also swap to cheapModels
+      cacheOnly: 1.0, // Serve cached analyses only
+    },
+    optionalPrompts: (
+      process.env.BUDGET_OPTIONAL_PROMPTS ||
+      'personMediaPresence,industryContext'
+    )
+      .split(',')
+      .map((prompt) => prompt.trim())
+      .filter(Boolean),
+    cheapModels: {
+      perplexity: process.env.BUDGET_CHEAP_PERPLEXITY_MODEL || 'sonar',
+      openaiCompatible: process.env.BUDGET_CHEAP_OPENAI_COMPATIBLE_MODEL,
+    },
+    // Analyses with skipped sections or cheaper models go stale after this long
+    // (instead of cache.ttl) and are re-run once the budget is back to normal
+    degradedTtl:
+      (parseInt(process.env.BUDGET_DEGRADED_TTL_MINUTES, 10) || 60) * 60000,
+  },
+
+  // Company Disambiguation (src/utils/companyCandidates.js)
+  // Ambiguous names ("Mercury", "Apollo") get a needs_disambiguation response so
+  // the user picks the company before the analysis runs
+  disambiguation: {
+    enabled: process.env.COMPANY_DISAMBIGUATION !== 'false',
+    minConfidence: parseFloat(process.env.DISAMBIGUATION_MIN_CONFIDENCE) || 0.7, // Top candidate score below this is ambiguous
+    minMargin: parseFloat(process.env.DISAMBIGUATION_MIN_MARGIN) || 0.2, // ...as is a runner-up this close behind
+    maxCandidates: 4,
+  },
+
+  // API Keys
+  // Scoped keys for scripts and server-to-server calls (X-API-Key header), hashed at rest
+  apiKeys: {
+    storePath:
+      process.env.API_KEYS_PATH ||
+      path.join(__dirname, '../../data/api-keys.json'),
+    maxPerUser: 20, // Active keys per user
+    defaultRateLimit: {
+      windowMs: 60 * 1000, // 1 minute
+      maxRequests:
+        parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 60,
+    },
+    maxRequestsLimit: 10000, // Highest maxRequests a key can be given
+  },
+
+  // Team Workspaces (X-Workspace-Id header, /workspaces)
+  // Shared account notes, "analyzed by teammate" activity, and a cache scope:
+  // 'workspace' keeps the workspace's analyses to itself, 'global' shares the
+  // common cache
+  workspaces: {
+    storePath:
+      process.env.WORKSPACES_PATH ||
+      path.join(__dirname, '../../data/workspaces.json'),
+    defaultCacheScope: process.env.WORKSPACE_CACHE_SCOPE || 'workspace',
+    maxMembers: parseInt(process.env.WORKSPACE_MAX_MEMBERS, 10) || 50,
+    inviteTtlMs: 7 * 24 * 60 * 60 * 1000, // Invites expire after 7 days
+    maxNoteLength: 5000,
+  },
+
+  // Admin API (/admin/*) - disabled unless ADMIN_API_KEY is set
+  // Requests authenticate with the X-Admin-Key header
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY,
   },
 
   // CORS Configuration
@@ -70,18 +321,22 @@ const config = {
     ],
   },
 
-  // Rate Limiting Configuration
+  // Quotas (middleware/rateLimit.js, GET /usage/limits)
+  // Sliding-window limits per plan, counted per account (anonymous callers per IP)
+  //   requests     - every /analyze and /enrich call
+  //   analyses     - company/person analyses (a batch counts each item)
+  //   chatMessages - /analyze/chat messages
+  quotas: {
+    backend: process.env.QUOTA_STORE || 'local', // local (file-backed) | memory
+    storePath:
+      process.env.QUOTA_STORE_PATH ||
+      path.join(__dirname, '../../data/quotas.json'),
+    defaultPlan: process.env.QUOTA_DEFAULT_PLAN || 'free', // Signed-in users without a plan
+    plans: parseQuotaPlans(),
+    userPlans: parseJsonEnv('QUOTA_USER_PLANS'), // user id → plan
+  },
+
   rateLimit: {
-    // Authenticated users - tracked by user_id in database
-    authenticated: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      maxRequests: 100, // Per window
-    },
-    // Anonymous users - IP-based rate limiting for API abuse prevention
-    anonymous: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      maxRequests: 20, // Stricter limit to prevent abuse
-    },
     message: 'Too many requests, please try again later',
   },
 
@@ -1,18 +1,166 @@
 /**
  * Authentication Middleware
+ *
+ * Requests authenticate with a Supabase JWT (Authorization: Bearer <jwt>) or an
+ * API key (X-API-Key: lik_..., or Authorization: Bearer lik_...). API keys are
+ * checked against the scope the path needs and count against their own rate limit;
+ * API key and workspace management needs a signed-in user (no key of any scope).
+ *
+ * A signed-in request can act in a team workspace it belongs to: X-Workspace-Id,
+ * or the workspace (teamId) an API key was issued for. The rest of the request
+ * runs in that workspace's context (see workspaceService).
  */
 
+const crypto = require('crypto')
+const config = require('../config')
 const supabaseService = require('../services/supabaseService')
+const apiKeyService = require('../services/apiKeyService')
+const workspaceService = require('../services/workspaceService')
+const { consumeApiKeyRateLimit } = require('./rateLimit')
 const { Logger } = require('../utils/logger')
 
 const logger = new Logger('AuthMiddleware')
 
+// Scope an API key needs, by path prefix (most specific first)
+// Other paths accept a key of any scope; 'admin' keys pass every check
+const API_KEY_SCOPE_BY_PATH = [
+  ['/analyze/chat', 'chat'],
+  ['/analyze', 'analyze'],
+  ['/watchlist', 'analyze'],
+  ['/enrich', 'enrich'],
+  ['/admin', 'admin'],
+]
+
+// Managed by signed-in users only - API keys of every scope are rejected here
+const SIGNED_IN_ONLY_PATHS = ['/api-keys', '/workspaces']
+
+function apiKeyFromRequest(req) {
+  const header = req.headers['x-api-key']
+  if (header) return header
+
+  const bearer = req.headers.authorization?.split('Bearer ')[1]
+  return apiKeyService.isApiKey(bearer) ? bearer : null
+}
+
+function isUnderPath(req, prefix) {
+  const requestPath = req.originalUrl.split('?')[0]
+  return requestPath === prefix || requestPath.startsWith(`${prefix}/`)
+}
+
+function requiredScope(req) {
+  const match = API_KEY_SCOPE_BY_PATH.find(([prefix]) =>
+    isUnderPath(req, prefix)
+  )
+  return match ? match[1] : null
+}
+
+/**
+ * Authenticate the request's API key, if it has one
+ * Sets req.user ({ id, teamId, authMethod: 'apiKey' }) and req.apiKey
+ * @returns {Promise<boolean|undefined>} undefined - no API key; true -
+ *   authenticated; false - rejected (response already sent)
+ */
+async function authenticateApiKey(req, res) {
+  const key = apiKeyFromRequest(req)
+  if (!key) return undefined
+
+  const apiKey = apiKeyService.authenticate(key)
+  if (!apiKey) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key',
+      requestId: req.requestId,
+    })
+    return false
+  }
+
+  if (SIGNED_IN_ONLY_PATHS.some((prefix) => isUnderPath(req, prefix))) {
+    logger.warn(
+      `API key ${apiKey.prefix}… rejected for account management: ${req.method} ${req.originalUrl}`
+    )
+    res.status(403).json({
+      success: false,
+      error: 'API keys cannot manage API keys or workspaces - sign in instead',
+      errorType: 'insufficient_scope',
+      requestId: req.requestId,
+    })
+    return false
+  }
+
+  const scope = requiredScope(req)
+  if (scope && apiKey.scope !== scope && apiKey.scope !== 'admin') {
+    logger.warn(
+      `API key ${apiKey.prefix}… (${apiKey.scope}) rejected for ${req.method} ${req.originalUrl}`
+    )
+    res.status(403).json({
+      success: false,
+      error: `API key scope '${apiKey.scope}' cannot access this endpoint (needs '${scope}')`,
+      errorType: 'insufficient_scope',
+      requestId: req.requestId,
+    })
+    return false
+  }
+
+  const limited = await consumeApiKeyRateLimit(apiKey, res)
+  if (limited) {
+    res.status(429).json({
+      success: false,
+      error: config.rateLimit.message,
+      errorType: 'rate_limited',
+      retryAfter: limited.retryAfter,
+      requestId: req.requestId,
+    })
+    return false
+  }
+
+  req.apiKey = apiKey
+  req.user = { id: apiKey.userId, teamId: apiKey.teamId, authMethod: 'apiKey' }
+  logger.debug(`API key authenticated: ${apiKey.prefix}… (${apiKey.userId})`)
+  return true
+}
+
+/**
+ * Continue in the workspace the request asks for (X-Workspace-Id, else the API
+ * key's team), as req.workspace ({ id, name, cacheScope, role })
+ * Responds 403 if the user isn't a member of the workspace named in the header;
+ * a key whose owner has left its team just acts outside any workspace
+ */
+function continueInWorkspace(req, res, next) {
+  const requested = req.headers['x-workspace-id']
+  const workspaceId = requested || req.user?.teamId
+  if (!req.user || !workspaceId) {
+    return next()
+  }
+
+  const membership = workspaceService.membership(workspaceId, req.user.id)
+  if (!membership && !requested) {
+    return next()
+  }
+  if (!membership) {
+    logger.warn(`${req.user.id} is not a member of workspace ${workspaceId}`)
+    return res.status(403).json({
+      success: false,
+      error: 'Not a member of this workspace',
+      errorType: 'workspace_forbidden',
+      requestId: req.requestId,
+    })
+  }
+
+  req.workspace = { ...membership.workspace, role: membership.role }
+  return workspaceService.runInWorkspace(req.workspace, next)
+}
+
 /**
- * Verify JWT token from request headers
+ * Verify JWT token or API key from request headers
  * Attaches user to req.user if authenticated
  */
 async function verifyAuth(req, res, next) {
   try {
+    const keyAuth = await authenticateApiKey(req, res)
+    if (keyAuth !== undefined) {
+      return keyAuth ? continueInWorkspace(req, res, next) : undefined
+    }
+
     const authHeader = req.headers.authorization
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -49,7 +197,7 @@ async function verifyAuth(req, res, next) {
     req.user = user
     logger.debug(`User authenticated: ${user.id}`)
 
-    next()
+    return continueInWorkspace(req, res, next)
   } catch (error) {
     logger.error('Authentication failed:', error.message)
     return res.status(401).json({
@@ -63,9 +211,15 @@ async function verifyAuth(req, res, next) {
 /**
  * Optional auth middleware - doesn't fail if not authenticated
  * Attaches user to req.user if token is present and valid
+ * An API key that is sent must be valid (a bad key is an error, not anonymous)
  */
 async function optionalAuth(req, res, next) {
   try {
+    const keyAuth = await authenticateApiKey(req, res)
+    if (keyAuth !== undefined) {
+      return keyAuth ? continueInWorkspace(req, res, next) : undefined
+    }
+
     const authHeader = req.headers.authorization
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -88,7 +242,7 @@ async function optionalAuth(req, res, next) {
       logger.debug(`User authenticated: ${user.id}`)
     }
 
-    next()
+    return continueInWorkspace(req, res, next)
   } catch (error) {
     // Auth failed, but continue without user
     logger.debug('Optional auth failed, continuing without user', {
@@ -102,7 +256,67 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Admin-only routes - requires the X-Admin-Key header to match ADMIN_API_KEY,
+ * or an API key with the 'admin' scope
+ * The admin API is disabled (503) when no key is configured
+ */
+async function requireAdmin(req, res, next) {
+  const expected = config.admin.apiKey
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API not configured',
+      requestId: req.requestId,
+    })
+  }
+
+  if (!req.headers['x-admin-key']) {
+    let keyAuth
+    try {
+      keyAuth = await authenticateApiKey(req, res)
+    } catch (error) {
+      return next(error)
+    }
+    if (keyAuth === false) {
+      return undefined
+    }
+    if (keyAuth) {
+      // The path's scope isn't enough here - /analyze/cache/* needs 'admin' too
+      if (req.apiKey.scope !== 'admin') {
+        logger.warn(
+          `API key ${req.apiKey.prefix}… (${req.apiKey.scope}) rejected for admin route ${req.method} ${req.originalUrl}`
+        )
+        return res.status(403).json({
+          success: false,
+          error: `API key scope '${req.apiKey.scope}' cannot access this endpoint (needs 'admin')`,
+          errorType: 'insufficient_scope',
+          requestId: req.requestId,
+        })
+      }
+      return next()
+    }
+  }
+
+  const provided = Buffer.from(req.headers['x-admin-key'] || '')
+  const key = Buffer.from(expected)
+  const matches =
+    provided.length === key.length && crypto.timingSafeEqual(provided, key)
+
+  if (!matches) {
+    logger.warn(`Rejected admin request: ${req.method} ${req.originalUrl}`)
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin key',
+      requestId: req.requestId,
+    })
+  }
+
+  next()
+}
+
 module.exports = {
   verifyAuth,
   optionalAuth,
+  requireAdmin,
 }
@@ -34,7 +34,12 @@ const corsMiddleware = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Request-ID',
+    'X-Workspace-Id',
+  ],
 })
 
 module.exports = corsMiddleware
@@ -6,15 +6,32 @@ const corsMiddleware = require('./cors')
 const {
   validateCompanyAnalysis,
   validatePersonAnalysis,
+  validateBatchAnalysis,
+  validateCacheWarm,
+  validateChatRequest,
+  validateWatchlistEntries,
+  validateSectionRefresh,
   addRequestId,
 } = require('./validation')
-const { rateLimitAnonymous, getRateLimitStats } = require('./rateLimit')
+const {
+  enforceQuota,
+  chargeFollowUpAnalysis,
+  getRateLimitStats,
+} = require('./rateLimit')
+const { trackUsage } = require('./usageTracking')
 
 module.exports = {
   cors: corsMiddleware,
   addRequestId,
   validateCompanyAnalysis,
   validatePersonAnalysis,
-  rateLimitAnonymous,
+  validateBatchAnalysis,
+  validateCacheWarm,
+  validateChatRequest,
+  validateWatchlistEntries,
+  validateSectionRefresh,
+  enforceQuota,
+  chargeFollowUpAnalysis,
   getRateLimitStats,
+  trackUsage,
 }
@@ -1,32 +1,67 @@
 /**
  * Rate Limiting Middleware
- * Implements IP-based rate limiting for anonymous users to prevent API abuse
+ * Enforces plan quotas (see quotaService) for every caller - signed-in users
+ * by account, anonymous users by IP - and API keys' own per-key limits
+ *
+ * Every limited response carries X-RateLimit-Limit / -Remaining / -Reset for
+ * the tightest limit that applied; 429s add Retry-After.
  */
 
 const config = require('../config')
+const quotaService = require('../services/quotaService')
 const { Logger } = require('../utils/logger')
 const logger = new Logger('RateLimit')
 
-// In-memory store for rate limiting (per IP address)
-// Structure: { 'ip_address': { count: number, resetAt: timestamp } }
-const rateLimitStore = new Map()
+/**
+ * Quota costs beyond the one request every call uses, by path
+ * (req.baseUrl + req.path); the first match wins
+ */
+const ROUTE_COSTS = [
+  {
+    pattern: /^\/analyze\/(company|person)(\/stream)?$/,
+    costs: analysisCosts,
+  },
+  {
+    // Re-runs the section's paid micro-prompts (and Sumble calls)
+    pattern: /^\/analyze\/(company|person)\/[^/]+\/sections\/[^/]+\/refresh$/,
+    costs: { analyses: 1 },
+  },
+  {
+    pattern: /^\/analyze\/batch$/,
+    costs: (req) => ({ analyses: batchSize(req.body) }),
+  },
+  { pattern: /^\/analyze\/chat(\/stream)?$/, costs: { chatMessages: 1 } },
+  { pattern: /^\/watchlist\/[^/]+\/check$/, costs: { analyses: 1 } },
+]
 
-// Cleanup expired entries every 5 minutes
-setInterval(() => {
-  const now = Date.now()
-  let cleanedCount = 0
+/**
+ * An analysis costs 1, except an awaitRefresh follow-up: the client re-sends the
+ * request after a stale cache hit to collect the refresh that hit already paid
+ * for (see chargeFollowUpAnalysis for follow-ups that need a fresh analysis)
+ */
+function analysisCosts(req) {
+  return req.body?.awaitRefresh === true ? {} : { analyses: 1 }
+}
 
-  for (const [ip, data] of rateLimitStore.entries()) {
-    if (now >= data.resetAt) {
-      rateLimitStore.delete(ip)
-      cleanedCount++
-    }
-  }
+/**
+ * Items in a batch request (counted before validation, so defensively)
+ */
+function batchSize(body) {
+  const count = (items) => (Array.isArray(items) ? items.length : 0)
+  return Math.max(1, count(body?.companies) + count(body?.people))
+}
 
-  if (cleanedCount > 0) {
-    logger.debug(`Rate limit cleanup: removed ${cleanedCount} expired entries`)
-  }
-}, 5 * 60 * 1000)
+/**
+ * Quota costs of a request
+ * @returns {Object} metric → amount
+ */
+function routeCosts(req) {
+  const path = `${req.baseUrl}${req.path}`.replace(/\/$/, '')
+  const route = ROUTE_COSTS.find((entry) => entry.pattern.test(path))
+  const costs =
+    typeof route?.costs === 'function' ? route.costs(req) : route?.costs
+  return { requests: 1, ...costs }
+}
 
 /**
  * Get client IP address from request
@@ -42,97 +77,164 @@ function getClientIp(req) {
 }
 
 /**
- * Rate limit middleware for anonymous users
- * Authenticated users are rate-limited by subscription plan, not IP
+ * Whose quota a request counts against
  */
-function rateLimitAnonymous(req, res, next) {
-  // Skip rate limiting for authenticated users (handled by subscription limits)
-  if (req.user) {
-    return next()
+function quotaSubject(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${getClientIp(req)}`
+}
+
+/**
+ * Set the X-RateLimit-* headers, unless a tighter limit already set them
+ * (e.g. an API key's own limit, applied during auth)
+ * @param {Object} usage - { limit, remaining, resetAt }
+ */
+function setRateLimitHeaders(res, { limit, remaining, resetAt }) {
+  const current = res.getHeader('X-RateLimit-Remaining')
+  if (current !== undefined && Number(current) < remaining) {
+    return
   }
 
-  const ip = getClientIp(req)
-  const now = Date.now()
-  const { windowMs, maxRequests } = config.rateLimit.anonymous
-
-  // Get or create rate limit entry for this IP
-  let rateLimitData = rateLimitStore.get(ip)
-
-  if (!rateLimitData || now >= rateLimitData.resetAt) {
-    // First request or window expired - create new entry
-    rateLimitData = {
-      count: 1,
-      resetAt: now + windowMs,
-    }
-    rateLimitStore.set(ip, rateLimitData)
-
-    // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', maxRequests)
-    res.setHeader('X-RateLimit-Remaining', maxRequests - 1)
-    res.setHeader(
-      'X-RateLimit-Reset',
-      new Date(rateLimitData.resetAt).toISOString()
-    )
+  res.setHeader('X-RateLimit-Limit', limit)
+  res.setHeader('X-RateLimit-Remaining', remaining)
+  res.setHeader('X-RateLimit-Reset', resetAt)
+}
 
-    return next()
+/**
+ * Error payload for an exhausted limit
+ */
+function rateLimitedPayload(req, { retryAfter, exceeded }) {
+  return {
+    success: false,
+    error: config.rateLimit.message,
+    errorType: 'rate_limited',
+    quota: exceeded,
+    retryAfter,
+    requestId: req.requestId,
   }
+}
 
-  // Increment request count
-  rateLimitData.count++
+/**
+ * Respond 429 for an exhausted limit
+ */
+function sendRateLimited(req, res, result) {
+  res.setHeader('Retry-After', result.retryAfter)
+  res.status(429).json(rateLimitedPayload(req, result))
+}
 
-  // Add rate limit headers
-  res.setHeader('X-RateLimit-Limit', maxRequests)
-  res.setHeader(
-    'X-RateLimit-Remaining',
-    Math.max(0, maxRequests - rateLimitData.count)
-  )
-  res.setHeader(
-    'X-RateLimit-Reset',
-    new Date(rateLimitData.resetAt).toISOString()
-  )
+/**
+ * Quota middleware - runs after optionalAuth/verifyAuth so signed-in users are
+ * counted against their plan instead of their IP
+ * Sets req.quota ({ plan, subject, metrics }) for the route
+ */
+async function enforceQuota(req, res, next) {
+  const plan = quotaService.planFor(req.user)
+  const subject = quotaSubject(req)
+
+  let result
+  try {
+    result = await quotaService.consume(
+      subject,
+      quotaService.limitsFor(plan),
+      routeCosts(req)
+    )
+  } catch (error) {
+    logger.error(`Quota check failed for ${subject}:`, error.message)
+    return next(error)
+  }
+
+  const metrics = Object.values(result.metrics)
+  const tightest = result.allowed
+    ? metrics.reduce(
+        (tight, usage) =>
+          !tight || usage.remaining < tight.remaining ? usage : tight,
+        null
+      )
+    : result.metrics[result.exceeded]
+  if (tightest) {
+    setRateLimitHeaders(res, tightest)
+  }
 
-  // Check if limit exceeded
-  if (rateLimitData.count > maxRequests) {
-    const resetIn = Math.ceil((rateLimitData.resetAt - now) / 1000)
+  if (!result.allowed) {
     logger.warn(
-      `Rate limit exceeded for IP ${ip}: ${rateLimitData.count}/${maxRequests} requests`
+      `Quota exceeded for ${subject} (${plan}): ${result.exceeded} ${tightest.used}/${tightest.limit}`
     )
-
-    return res.status(429).json({
-      success: false,
-      error: config.rateLimit.message,
-      retryAfter: resetIn,
-      requestId: req.requestId,
-    })
+    return sendRateLimited(req, res, result)
   }
 
+  req.quota = { plan, subject, metrics: result.metrics }
   next()
 }
 
 /**
- * Get current rate limit stats (for monitoring)
+ * Charge the analysis an awaitRefresh follow-up skipped, once it turns out to
+ * need a fresh analysis (the cached entry expired or was purged in between)
+ * Charged at most once per request
+ * @returns {Promise<Object|null>} null if allowed, else a rate_limited error payload
  */
-function getRateLimitStats() {
-  const stats = {
-    totalIPs: rateLimitStore.size,
-    activeRequests: 0,
-    nearLimit: 0, // IPs close to their limit
+async function chargeFollowUpAnalysis(req) {
+  if (
+    req.body?.awaitRefresh !== true ||
+    !req.quota ||
+    req.quota.followUpCharged
+  ) {
+    return null
   }
 
-  const threshold = config.rateLimit.anonymous.maxRequests * 0.8 // 80% of limit
+  const result = await quotaService.consume(
+    req.quota.subject,
+    quotaService.limitsFor(req.quota.plan),
+    { analyses: 1 }
+  )
+  if (!result.allowed) {
+    logger.warn(
+      `Quota exceeded for ${req.quota.subject} (${req.quota.plan}): analysis for an awaitRefresh follow-up`
+    )
+    return rateLimitedPayload(req, result)
+  }
 
-  for (const [ip, data] of rateLimitStore.entries()) {
-    stats.activeRequests += data.count
-    if (data.count >= threshold) {
-      stats.nearLimit++
-    }
+  req.quota.followUpCharged = true
+  return null
+}
+
+/**
+ * Count a request against an API key's own limit and set the rate limit headers
+ * @param {Object} apiKey - Key record ({ id, prefix, rateLimit: { windowMs, maxRequests } })
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} null if allowed, else { retryAfter } (seconds)
+ */
+async function consumeApiKeyRateLimit(apiKey, res) {
+  const { windowMs, maxRequests } = apiKey.rateLimit
+  const result = await quotaService.consume(
+    `apiKey:${apiKey.id}`,
+    { requests: { limit: maxRequests, windowMs } },
+    { requests: 1 }
+  )
+
+  setRateLimitHeaders(res, result.metrics.requests)
+
+  if (!result.allowed) {
+    logger.warn(
+      `Rate limit exceeded for API key ${apiKey.prefix}…: ${result.metrics.requests.used}/${maxRequests} requests`
+    )
+    res.setHeader('Retry-After', result.retryAfter)
+    return { retryAfter: result.retryAfter }
   }
 
-  return stats
+  return null
+}
+
+/**
+ * Get current quota stats (for monitoring)
+ */
+async function getRateLimitStats() {
+  return quotaService.getStats()
 }
 
 module.exports = {
-  rateLimitAnonymous,
+  enforceQuota,
+  chargeFollowUpAnalysis,
+  consumeApiKeyRateLimit,
   getRateLimitStats,
   getClientIp,
+  quotaSubject,
 }
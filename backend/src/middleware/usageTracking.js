@@ -0,0 +1,35 @@
+/**
+ * Usage Tracking Middleware
+ * Opens a usage ledger context for the request; upstream calls made while it is
+ * handled are attributed to it, and the entry is written once the response is done
+ */
+
+const usageLedgerService = require('../services/usageLedgerService')
+
+function trackUsage(req, res, next) {
+  if (!usageLedgerService.enabled) {
+    return next()
+  }
+
+  const context = usageLedgerService.createContext({
+    requestId: req.requestId,
+  })
+
+  // 'close' also fires when the client disconnects mid-stream (SSE)
+  res.on('close', () => {
+    // Auth runs inside the route, so the user is only known once it has responded
+    context.userId = req.user?.id || 'anonymous'
+    context.endpoint = `${req.method} ${
+      req.route
+        ? `${req.baseUrl}${req.route.path}`
+        : req.originalUrl.split('?')[0]
+    }`
+    usageLedgerService.finishContext(context, { statusCode: res.statusCode })
+  })
+
+  usageLedgerService.runWithContext(context, next)
+}
+
+module.exports = {
+  trackUsage,
+}
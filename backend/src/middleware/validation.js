@@ -4,12 +4,22 @@
  */
 
 const config = require('../config')
+const { normalizeDomain } = require('../utils/companyCandidates')
+const { OBSERVED_FACT_FIELDS } = require('../utils/observedFacts')
+
+// Longest LinkedIn page hint (industry, website, location) accepted
+const MAX_HINT_LENGTH = 200
+
+// Limits for the facts scraped from a LinkedIn profile (observedFacts)
+const MAX_OBSERVED_FACT_LENGTH = 300
+const MAX_OBSERVED_POSTS = 5
+const MAX_OBSERVED_POST_LENGTH = 500
 
 /**
  * Validate company analysis request - MVP format
  */
 function validateCompanyAnalysis(req, res, next) {
-  const { companyName, companyUrl } = req.body
+  const { companyName, companyUrl, companyDomain } = req.body
   const errors = []
 
   // Check if companyName exists and is a string
@@ -90,6 +100,45 @@ function validateCompanyAnalysis(req, res, next) {
     }
   }
 
+  // Validate companyDomain (optional) - the candidate picked after needs_disambiguation
+  if (companyDomain !== undefined && companyDomain !== null) {
+    const domain = normalizeDomain(companyDomain)
+    if (!domain) {
+      errors.push({
+        field: 'companyDomain',
+        message: 'Company domain must be a domain like "example.com"',
+        code: 'INVALID_FORMAT',
+      })
+    } else {
+      req.body.companyDomain = domain
+    }
+  }
+
+  // Validate LinkedIn page hints (optional) - used to disambiguate the company
+  for (const field of ['industry', 'website', 'location']) {
+    const value = req.body[field]
+    if (value === undefined || value === null) continue
+
+    if (typeof value !== 'string') {
+      errors.push({
+        field,
+        message: `${field} must be a string if provided`,
+        code: 'INVALID_TYPE',
+        received: typeof value,
+      })
+    } else if (value.length > MAX_HINT_LENGTH) {
+      errors.push({
+        field,
+        message: `${field} must be less than ${MAX_HINT_LENGTH} characters`,
+        code: 'TOO_LONG',
+        maxLength: MAX_HINT_LENGTH,
+        actualLength: value.length,
+      })
+    } else {
+      req.body[field] = value.trim()
+    }
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -240,6 +289,430 @@ function validatePersonAnalysis(req, res, next) {
     req.body.companyName = ''
   }
 
+  // Validate observedFacts (optional) - ground truth scraped from the profile
+  if (req.body.observedFacts !== undefined && req.body.observedFacts !== null) {
+    const observedFacts = normalizeObservedFacts(req.body.observedFacts, errors)
+    if (observedFacts) {
+      req.body.observedFacts = observedFacts
+    } else {
+      delete req.body.observedFacts
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errorType: 'validation_error',
+      errors,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId,
+    })
+  }
+
+  next()
+}
+
+/**
+ * Validate and normalize the observedFacts of a person request
+ * { headline?, currentCompany?, location?, industry?, companySize?, recentPosts?: [{ text, date? }] }
+ * Empty values and unknown fields are dropped
+ * @param {Array} errors - Validation errors are pushed here
+ * @returns {Object|null} Normalized facts, or null if none are left
+ */
+function normalizeObservedFacts(observedFacts, errors) {
+  if (typeof observedFacts !== 'object' || Array.isArray(observedFacts)) {
+    errors.push({
+      field: 'observedFacts',
+      message: 'Observed facts must be an object if provided',
+      code: 'INVALID_TYPE',
+      received: Array.isArray(observedFacts) ? 'array' : typeof observedFacts,
+    })
+    return null
+  }
+
+  const normalized = {}
+
+  for (const name of OBSERVED_FACT_FIELDS) {
+    const value = observedFacts[name]
+    if (value === undefined || value === null) continue
+
+    const field = `observedFacts.${name}`
+    if (typeof value !== 'string') {
+      errors.push({
+        field,
+        message: `${field} must be a string if provided`,
+        code: 'INVALID_TYPE',
+        received: typeof value,
+      })
+    } else if (value.length > MAX_OBSERVED_FACT_LENGTH) {
+      errors.push({
+        field,
+        message: `${field} must be less than ${MAX_OBSERVED_FACT_LENGTH} characters`,
+        code: 'TOO_LONG',
+        maxLength: MAX_OBSERVED_FACT_LENGTH,
+        actualLength: value.length,
+      })
+    } else if (value.trim()) {
+      normalized[name] = value.trim()
+    }
+  }
+
+  const { recentPosts } = observedFacts
+  if (recentPosts !== undefined && recentPosts !== null) {
+    if (!Array.isArray(recentPosts)) {
+      errors.push({
+        field: 'observedFacts.recentPosts',
+        message: 'observedFacts.recentPosts must be an array if provided',
+        code: 'INVALID_TYPE',
+        received: typeof recentPosts,
+      })
+    } else if (recentPosts.length > MAX_OBSERVED_POSTS) {
+      errors.push({
+        field: 'observedFacts.recentPosts',
+        message: `observedFacts.recentPosts must contain at most ${MAX_OBSERVED_POSTS} posts`,
+        code: 'TOO_MANY_ITEMS',
+        maxItems: MAX_OBSERVED_POSTS,
+        actualItems: recentPosts.length,
+      })
+    } else {
+      const posts = []
+      recentPosts.forEach((post, index) => {
+        const field = `observedFacts.recentPosts[${index}].text`
+        const text = typeof post?.text === 'string' ? post.text.trim() : ''
+
+        if (text.length > MAX_OBSERVED_POST_LENGTH) {
+          errors.push({
+            field,
+            message: `Post text must be less than ${MAX_OBSERVED_POST_LENGTH} characters`,
+            code: 'TOO_LONG',
+            maxLength: MAX_OBSERVED_POST_LENGTH,
+            actualLength: text.length,
+          })
+        } else if (text) {
+          posts.push({
+            text,
+            date:
+              typeof post.date === 'string' && post.date.trim()
+                ? post.date.trim().substring(0, 50)
+                : null,
+          })
+        }
+      })
+      if (posts.length > 0) normalized.recentPosts = posts
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null
+}
+
+/**
+ * Validate and normalize one { companyName, companyUrl? } list entry
+ * Plain strings are accepted as shorthand for companyName
+ * @param {Array} errors - Validation errors are pushed here
+ * @returns {Object} { companyName, companyUrl }
+ */
+function normalizeCompanyEntry(entry, field, errors) {
+  const company =
+    typeof entry === 'string' ? { companyName: entry } : entry || {}
+  const name =
+    typeof company.companyName === 'string' ? company.companyName.trim() : ''
+
+  if (!name) {
+    errors.push({
+      field,
+      message: 'Company name is required',
+      code: 'MISSING_FIELD',
+    })
+  } else if (name.length > config.analysis.maxCompanyNameLength) {
+    errors.push({
+      field,
+      message: `Company name must be less than ${config.analysis.maxCompanyNameLength} characters`,
+      code: 'TOO_LONG',
+      maxLength: config.analysis.maxCompanyNameLength,
+      actualLength: name.length,
+    })
+  } else if (!/^[a-zA-Z0-9\s\-&.,()]+$/.test(name)) {
+    errors.push({
+      field,
+      message: 'Company name contains invalid characters',
+      code: 'INVALID_CHARACTERS',
+    })
+  }
+
+  return {
+    companyName: name,
+    companyUrl:
+      typeof company.companyUrl === 'string' ? company.companyUrl.trim() : null,
+  }
+}
+
+/**
+ * Validate and normalize a { companies, people } account list in place
+ * Plain strings are accepted as shorthand for companyName / fullName
+ * @param {Object} body - Request body; companies/people are normalized in place
+ * @param {number} maxItems - Max companies + people combined
+ * @returns {Array} Validation errors
+ */
+function normalizeAccountList(body, maxItems) {
+  const { companies = [], people = [] } = body
+  const errors = []
+
+  if (!Array.isArray(companies)) {
+    errors.push({
+      field: 'companies',
+      message: 'Companies must be an array if provided',
+      code: 'INVALID_TYPE',
+      received: typeof companies,
+    })
+  }
+
+  if (!Array.isArray(people)) {
+    errors.push({
+      field: 'people',
+      message: 'People must be an array if provided',
+      code: 'INVALID_TYPE',
+      received: typeof people,
+    })
+  }
+
+  if (errors.length === 0) {
+    const totalItems = companies.length + people.length
+
+    if (totalItems === 0) {
+      errors.push({
+        field: 'companies',
+        message: 'At least one company or person is required',
+        code: 'MISSING_FIELD',
+      })
+    } else if (totalItems > maxItems) {
+      errors.push({
+        field: 'companies',
+        message: `Batch must contain at most ${maxItems} companies and people combined`,
+        code: 'TOO_MANY_ITEMS',
+        maxItems,
+        actualItems: totalItems,
+      })
+    }
+
+    body.companies = companies.map((entry, index) =>
+      normalizeCompanyEntry(entry, `companies[${index}].companyName`, errors)
+    )
+
+    body.people = people.map((entry, index) => {
+      const person =
+        typeof entry === 'string' ? { fullName: entry } : entry || {}
+      const field = `people[${index}].fullName`
+      const name =
+        typeof person.fullName === 'string' ? person.fullName.trim() : ''
+
+      if (!name) {
+        errors.push({
+          field,
+          message: 'Person full name is required',
+          code: 'MISSING_FIELD',
+        })
+      } else if (name.length > config.analysis.maxPersonNameLength) {
+        errors.push({
+          field,
+          message: `Person full name must be less than ${config.analysis.maxPersonNameLength} characters`,
+          code: 'TOO_LONG',
+          maxLength: config.analysis.maxPersonNameLength,
+          actualLength: name.length,
+        })
+      }
+
+      return {
+        fullName: name,
+        title: typeof person.title === 'string' ? person.title.trim() : '',
+        profileUrl:
+          typeof person.profileUrl === 'string'
+            ? person.profileUrl.trim()
+            : null,
+        companyName:
+          typeof person.companyName === 'string'
+            ? person.companyName.trim()
+            : '',
+      }
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Send the 400 for failed validation, or continue
+ */
+function respondToErrors(errors, req, res, next) {
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errorType: 'validation_error',
+      errors,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId,
+    })
+  }
+
+  next()
+}
+
+/**
+ * Validate batch analysis request
+ * Accepts { companies: [{ companyName, companyUrl? }], people: [{ fullName, title?, profileUrl?, companyName? }] }
+ */
+function validateBatchAnalysis(req, res, next) {
+  const errors = normalizeAccountList(req.body, config.jobs.maxBatchSize)
+  respondToErrors(errors, req, res, next)
+}
+
+/**
+ * Validate a cache warm-up list - the batch shape, up to config.cache.warmMaxItems
+ */
+function validateCacheWarm(req, res, next) {
+  const errors = normalizeAccountList(req.body, config.cache.warmMaxItems)
+  respondToErrors(errors, req, res, next)
+}
+
+/**
+ * Validate a section refresh body
+ * Accepts { companyName?, title?, profileUrl?, observedFacts?, companyUrl?, companyDomain? }
+ * Only the fields that aren't plain cache-key strings need checking - observedFacts
+ * is normalized like the person analysis request's, companyDomain is normalized
+ */
+function validateSectionRefresh(req, res, next) {
+  const errors = []
+  req.body = req.body || {}
+
+  const { observedFacts, companyDomain } = req.body
+  if (observedFacts !== undefined && observedFacts !== null) {
+    const normalized = normalizeObservedFacts(observedFacts, errors)
+    if (normalized) {
+      req.body.observedFacts = normalized
+    } else {
+      delete req.body.observedFacts
+    }
+  }
+
+  if (companyDomain !== undefined && companyDomain !== null) {
+    const domain = normalizeDomain(companyDomain)
+    if (!domain) {
+      errors.push({
+        field: 'companyDomain',
+        message: 'Company domain must be a domain like "example.com"',
+        code: 'INVALID_FORMAT',
+      })
+    } else {
+      req.body.companyDomain = domain
+    }
+  }
+
+  respondToErrors(errors, req, res, next)
+}
+
+/**
+ * Validate a chat request
+ * Accepts { messages: [{ role: 'user'|'assistant', content }], subject?: { type, name, ... }, context? }
+ * The last message must be the user's
+ */
+function validateChatRequest(req, res, next) {
+  const { messages, subject } = req.body
+  const errors = []
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    errors.push({
+      field: 'messages',
+      message: 'Messages array is required',
+      code: 'MISSING_FIELD',
+    })
+  } else {
+    messages.forEach((message, index) => {
+      if (
+        !message ||
+        !['user', 'assistant'].includes(message.role) ||
+        typeof message.content !== 'string' ||
+        !message.content.trim()
+      ) {
+        errors.push({
+          field: `messages[${index}]`,
+          message:
+            'Each message needs a role ("user" or "assistant") and content',
+          code: 'INVALID_MESSAGE',
+        })
+      }
+    })
+
+    if (errors.length === 0 && messages[messages.length - 1].role !== 'user') {
+      errors.push({
+        field: 'messages',
+        message: 'The last message must be from the user',
+        code: 'INVALID_MESSAGE',
+      })
+    }
+  }
+
+  if (
+    subject !== undefined &&
+    subject !== null &&
+    (!['company', 'person'].includes(subject.type) ||
+      typeof subject.name !== 'string' ||
+      !subject.name.trim())
+  ) {
+    errors.push({
+      field: 'subject',
+      message: 'subject needs a type (company|person) and name',
+      code: 'INVALID_SUBJECT',
+    })
+  }
+
+  respondToErrors(errors, req, res, next)
+}
+
+/**
+ * Validate watchlist additions
+ * Accepts { companies: [...] } (bulk) or a single { companyName, companyUrl? }
+ * Normalizes to req.body.companies
+ */
+function validateWatchlistEntries(req, res, next) {
+  const { companies, companyName, companyUrl } = req.body
+  const errors = []
+  const entries =
+    companies === undefined ? [{ companyName, companyUrl }] : companies
+
+  if (!Array.isArray(entries)) {
+    errors.push({
+      field: 'companies',
+      message: 'Companies must be an array',
+      code: 'INVALID_TYPE',
+      received: typeof entries,
+    })
+  } else if (entries.length === 0) {
+    errors.push({
+      field: 'companies',
+      message: 'At least one company is required',
+      code: 'MISSING_FIELD',
+    })
+  } else if (entries.length > config.watchlist.maxEntries) {
+    errors.push({
+      field: 'companies',
+      message: `At most ${config.watchlist.maxEntries} companies can be watched`,
+      code: 'TOO_MANY_ITEMS',
+      maxItems: config.watchlist.maxEntries,
+      actualItems: entries.length,
+    })
+  } else {
+    req.body.companies = entries.map((entry, index) =>
+      normalizeCompanyEntry(
+        entry,
+        companies === undefined
+          ? 'companyName'
+          : `companies[${index}].companyName`,
+        errors
+      )
+    )
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -273,5 +746,10 @@ function generateRequestId() {
 module.exports = {
   validateCompanyAnalysis,
   validatePersonAnalysis,
+  validateBatchAnalysis,
+  validateCacheWarm,
+  validateChatRequest,
+  validateWatchlistEntries,
+  validateSectionRefresh,
   addRequestId,
 }
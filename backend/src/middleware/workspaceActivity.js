@@ -0,0 +1,72 @@
+/**
+ * Workspace Activity Middleware
+ * Records which member analyzed an account, for the "analyzed by teammate"
+ * indicator (GET /workspaces/:id/accounts)
+ */
+
+const workspaceService = require('../services/workspaceService')
+const cacheService = require('../services/cacheService')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('WorkspaceActivity')
+
+/**
+ * Entity identity of an analysis request body
+ * @param {string} entityType - 'company' | 'person'
+ */
+function entityKeyFor(entityType, body = {}) {
+  if (entityType === 'company') {
+    return cacheService.companyIdentityKey(body.companyName, {
+      companyUrl: body.companyUrl,
+      domain: body.companyDomain,
+    })
+  }
+
+  return cacheService.personIdentityKey(body.fullName, body.companyName, {
+    profileUrl: body.profileUrl,
+  })
+}
+
+/**
+ * Flag the response as a successful analysis (cache hits too - the member still
+ * looked at the account). Routes call this right before sending the result:
+ * the status code alone can't tell, since SSE streams always answer 200
+ */
+function markAnalysisServed(res) {
+  res.locals.analysisServed = true
+}
+
+/**
+ * Record the analysis once the response is finished, if the route flagged it
+ * with markAnalysisServed()
+ * @param {string} entityType - 'company' | 'person'
+ */
+function recordWorkspaceAnalysis(entityType) {
+  return (req, res, next) => {
+    if (!req.workspace) {
+      return next()
+    }
+
+    res.on('finish', () => {
+      if (!res.locals.analysisServed) return
+
+      try {
+        workspaceService.recordAnalysis(
+          req.workspace.id,
+          entityKeyFor(entityType, req.body),
+          req.user
+        )
+      } catch (error) {
+        logger.warn('Failed to record workspace analysis:', error.message)
+      }
+    })
+
+    next()
+  }
+}
+
+module.exports = {
+  recordWorkspaceAnalysis,
+  markAnalysisServed,
+  entityKeyFor,
+}
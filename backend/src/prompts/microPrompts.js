@@ -20,7 +20,7 @@ const SHARED_INSTRUCTIONS = {
 }
 
 // ============================================================================
-// TOKEN LIMITS & TEMPERATURE CONFIG
+// TOKEN LIMITS, TEMPERATURE & PROVIDER ROUTING CONFIG
 // ============================================================================
 
 const TOKEN_LIMITS = {
@@ -37,6 +37,12 @@ const TEMPERATURE_CONFIG = {
   balanced: 0.2, // Analysis
 }
 
+// Optional per-prompt routing metadata: { provider, model }
+// Prompts without it use config.llm.defaultProvider; LLM_PROMPT_ROUTES overrides both
+const PROVIDER_ROUTING = {
+  webSearch: 'perplexity', // Needs live web results - local models can't answer these
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -63,18 +69,56 @@ function buildRequirements(reqs) {
   return `REQUIREMENTS:\n${reqs.map((r) => `- ${r}`).join('\n')}`
 }
 
+/**
+ * Build the section with facts observed on the LinkedIn profile (observedFacts)
+ * Returned with a leading blank line, or '' when the request carried none
+ */
+function buildObservedFactsSection(facts, { includePosts = false } = {}) {
+  if (!facts) return ''
+
+  const labels = {
+    headline: 'Headline',
+    currentCompany: 'Current company',
+    location: 'Location',
+    industry: 'Industry',
+    companySize: 'Company size',
+  }
+  const lines = Object.entries(labels)
+    .filter(([field]) => facts[field])
+    .map(([field, label]) => `- ${label}: ${facts[field]}`)
+
+  if (includePosts && facts.recentPosts?.length) {
+    lines.push('- Recent posts:')
+    facts.recentPosts.forEach((post, i) => {
+      lines.push(
+        `  ${i + 1}. ${post.date ? `(${post.date}) ` : ''}${post.text}`
+      )
+    })
+  }
+
+  if (lines.length === 0) return ''
+  return `\n\nOBSERVED ON THEIR LINKEDIN PROFILE (ground truth - never contradict, use to pick the right person):\n${lines.join(
+    '\n'
+  )}`
+}
+
 // ============================================================================
 // MICRO-PROMPTS
 // ============================================================================
 
+// Every prompt carries a version, recorded in each result's metadata and in the
+// analysis cache key - bump it whenever the prompt text or settings change.
+// Variants for A/B experiments live in promptVariants.js.
 const MICRO_PROMPTS = {
   /**
    * Stock & Financial Data Analysis
    * MUST use CURRENT data from TODAY (October 20, 2025)
    */
   stockData: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.large,
     temperature: TEMPERATURE_CONFIG.factual,
+    provider: PROVIDER_ROUTING.webSearch,
     system: `Financial data specialist. Report CURRENT data from October 20, 2025. Search Yahoo Finance, Crunchbase, press releases. ${SHARED_INSTRUCTIONS.jsonOnlyResponse} ${SHARED_INSTRUCTIONS.noFabrication}`,
 
     user: (
@@ -218,8 +262,10 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Funding data from Crunchbase, PitchBook, TechCrunch
    */
   privateCompanyFinancials: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.large,
     temperature: TEMPERATURE_CONFIG.factual,
+    provider: PROVIDER_ROUTING.webSearch,
     system: `Private company funding analyst. Search Crunchbase, PitchBook, TechCrunch, company press releases for accurate funding data. ${SHARED_INSTRUCTIONS.jsonOnlyResponse} ${SHARED_INSTRUCTIONS.noFabrication}`,
 
     user: (companyName) => `Find complete funding history for "${companyName}".
@@ -348,26 +394,49 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
   /**
    * Company Domain Resolution
+   * Lists every company the name could refer to, so ambiguous names can be
+   * disambiguated (see utils/companyCandidates.js)
    */
   companyDomain: {
-    maxTokens: TOKEN_LIMITS.minimal,
-    system: `You are a domain specialist. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
-
-    user: (
-      companyName
-    ) => `Find the official website domain for "${companyName}".
-
-Return only the domain (e.g., "anthropic.com") without protocols, www, or paths. Use lowercase.
+    version: 'v2',
+    maxTokens: TOKEN_LIMITS.small,
+    system: `You are a company identification specialist. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
+
+    user: (companyName, hints = {}) => {
+      const known = [
+        hints.companyUrl && `LinkedIn page: ${hints.companyUrl}`,
+        hints.website && `Website: ${hints.website}`,
+        hints.industry && `Industry: ${hints.industry}`,
+        hints.location && `Location: ${hints.location}`,
+      ].filter(Boolean)
+      const context =
+        known.length > 0
+          ? `\nThe user is looking at this company:\n${known
+              .map((line) => `- ${line}`)
+              .join('\n')}\n`
+          : ''
+
+      return `Identify the companies that "${companyName}" could refer to and find each one's official website domain.
+${context}
+${buildRequirements([
+  'List up to 4 distinct companies, most likely first',
+  'Only list a second company if it is a real, well-known company with this name',
+  'domain: lowercase, without protocol, www or path (e.g., "anthropic.com")',
+  'confidence: 0-1, how likely this is the company meant',
+  'Use null for headquarters, employeeCount, industry or linkedinUrl if unknown',
+])}
 
 ${SHARED_INSTRUCTIONS.jsonOnlyResponse}
 
-{"domain": "example.com"}`,
+{"candidates": [{"name": "Example Inc.", "domain": "example.com", "headquarters": "San Francisco, CA", "employeeCount": "1,001-5,000", "industry": "Financial Services", "linkedinUrl": "https://www.linkedin.com/company/example", "confidence": 0.9}]}`
+    },
   },
 
   /**
    * Company Challenges - What's Actually Happening
    */
   companyChallenges: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.xlarge,
     system: `Business analyst. Report facts only - no ratings/scores. Numbers and dates required. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -498,8 +567,10 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Recent News & Sentiment Analysis
    */
   recentNews: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.medium,
     temperature: TEMPERATURE_CONFIG.lowVariance,
+    provider: PROVIDER_ROUTING.webSearch,
     system: `Business news analyst. Search news sites, company blogs, LinkedIn, press releases. Last 6 months. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
     user: (
@@ -545,6 +616,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Growth Events Analysis
    */
   growthEvents: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.medium,
     system: `Corporate intelligence analyst. Find significant events from past 12 months. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -599,6 +671,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Technology Stack Analysis
    */
   techStack: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.small,
     system: `Technology analyst. Find confirmed tech from jobs, blogs, GitHub, StackShare, partnerships. [] if none. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -631,6 +704,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`
    * Company Activity - Recent Business Events
    */
   companyActivity: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.large,
     system: `Business intelligence analyst. Find recent events from last 6 months. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -715,6 +789,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Priority Contacts - Executive Intelligence
    */
   priorityContacts: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.medium,
     system: `Executive research specialist. Find C/VP-level. NO LinkedIn URLs or citations. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -747,6 +822,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Company Intelligence - SDR Insights
    */
   companyIntelligence: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.medium,
     system: `Sales intelligence analyst. Find actionable insights from last 3 months. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -813,6 +889,7 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Industry Context - Company Intelligence
    */
   industryContext: {
+    version: 'v1',
     maxTokens: TOKEN_LIMITS.xlarge,
     system: `Market research analyst. Find overview, competitors, customers, case studies. Concise. ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
@@ -886,14 +963,18 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`
    * Person Basic Information
    */
   personBasicInfo: {
+    version: 'v2',
     maxTokens: TOKEN_LIMITS.minimal,
     system: `Professional research specialist. Find verifiable info only. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
     user: (
       name,
       title,
-      company
-    ) => `Find professional information for "${name}" who is ${title} at "${company}".
+      company,
+      observedFacts
+    ) => `Find professional information for "${name}" who is ${title} at "${company}".${buildObservedFactsSection(
+      observedFacts
+    )}
 
 Return JSON:
 {
@@ -916,13 +997,17 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
    * Person Quoted Challenges
    */
   personQuotedChallenges: {
+    version: 'v2',
     maxTokens: TOKEN_LIMITS.small,
     system: `Research analyst. Find challenges from interviews/articles/podcasts (last 12-18 months). ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
-    user: (name, title, company) => {
+    user: (name, title, company, observedFacts) => {
       const cleanName = name.replace(', PhD', '').replace(', MBA', '')
 
-      return `Find 3-4 challenges or priorities mentioned by "${name}" (${title}) at "${company}" from the last 12-18 months.
+      return `Find 3-4 challenges or priorities mentioned by "${name}" (${title}) at "${company}" from the last 12-18 months.${buildObservedFactsSection(
+        observedFacts,
+        { includePosts: true }
+      )}
 
 Sources: Interviews, podcasts, conference talks, LinkedIn posts, articles.
 
@@ -960,15 +1045,19 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`
    * Person Social Activity
    */
   personSocialActivity: {
+    version: 'v2',
     maxTokens: TOKEN_LIMITS.xlarge,
     system: `Social media intelligence analyst. Find RECENT LinkedIn posts, media, speaking, awards (2024-2025 prioritized). ${SHARED_INSTRUCTIONS.jsonOnlyResponse}
 
 Sentiment: promotional, thought-leadership, professional, personal, neutral`,
 
-    user: (name, title, company) => {
+    user: (name, title, company, observedFacts) => {
       const cleanName = name.replace(', PhD', '').replace(', MBA', '')
 
-      return `Find 5-15 RECENT social media activities and public appearances for "${name}" (${title}) at "${company}" (prioritize 2024-2025, max 18 months back).
+      return `Find 5-15 RECENT social media activities and public appearances for "${name}" (${title}) at "${company}" (prioritize 2024-2025, max 18 months back).${buildObservedFactsSection(
+        observedFacts,
+        { includePosts: true }
+      )}
 
 Include: LinkedIn posts, conference speaking, media interviews, awards, company announcements.
 
@@ -1028,13 +1117,16 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`
    * Person Media Presence
    */
   personMediaPresence: {
+    version: 'v2',
     maxTokens: TOKEN_LIMITS.xlarge,
     system: `Media intelligence analyst. Find RECENT press, speaking, awards, content (2024-2025 prioritized). ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
-    user: (name, title, company) => {
+    user: (name, title, company, observedFacts) => {
       const cleanName = name.replace(', PhD', '').replace(', MBA', '')
 
-      return `Find 5-15 RECENT media presence items for "${name}" (${title}) at "${company}" (prioritize 2024-2025, max 18 months back).
+      return `Find 5-15 RECENT media presence items for "${name}" (${title}) at "${company}" (prioritize 2024-2025, max 18 months back).${buildObservedFactsSection(
+        observedFacts
+      )}
 
 Include: Press interviews, conference speaking, industry awards, published articles/blogs/podcasts.
 
@@ -1099,13 +1191,16 @@ ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`
    * Person Qualification Reality Check
    */
   personRiskSignals: {
+    version: 'v2',
     maxTokens: TOKEN_LIMITS.medium,
     system: `Sales qualification analyst. Hard facts only - no scores/ratings/diplomacy. ${SHARED_INSTRUCTIONS.noFabrication} ${SHARED_INSTRUCTIONS.jsonOnlyResponse}`,
 
-    user: (name, title, company) => {
+    user: (name, title, company, observedFacts) => {
       const cleanName = name.replace(', PhD', '').replace(', MBA', '')
 
-      return `State the brutal facts about "${name}" (${title}) at "${company}". Be direct and honest.
+      return `State the brutal facts about "${name}" (${title}) at "${company}". Be direct and honest.${buildObservedFactsSection(
+        observedFacts
+      )}
 
 VERIFY THESE FACTS:
 
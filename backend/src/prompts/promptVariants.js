@@ -0,0 +1,23 @@
+/**
+ * Micro-Prompt Variants for A/B Experiments
+ *
+ * A variant overrides any fields of its base prompt in MICRO_PROMPTS (system,
+ * user, maxTokens, temperature, provider, model) and is keyed by its version.
+ * Variants only run when PROMPT_EXPERIMENTS sends traffic to them, e.g.
+ *   PROMPT_EXPERIMENTS={"industryContext":{"v2":20}}
+ * routes 20% of companies to industryContext v2 (see promptExperimentService).
+ *
+ * Example:
+ *   industryContext: {
+ *     v2: {
+ *       maxTokens: 1200,
+ *       system: `...`,
+ *     },
+ *   },
+ *
+ * When a variant wins, fold it into MICRO_PROMPTS with its version and delete it here.
+ */
+
+const PROMPT_VARIANTS = {}
+
+module.exports = { PROMPT_VARIANTS }
@@ -0,0 +1,441 @@
+/**
+ * Admin Routes - operational endpoints, all behind requireAdmin (X-Admin-Key)
+ *
+ * Cache entries are addressed by key (see cacheService.generateCompanyKey):
+ * "company:li:stripe#ws_…@p1a2b3c4d" = identity, workspace scope, prompt tag
+ */
+
+const express = require('express')
+const router = express.Router()
+const {
+  usageLedgerService,
+  budgetService,
+  promptExperimentService,
+  apiKeyService,
+  cacheService,
+  jobQueueService,
+} = require('../services')
+const { requireAdmin } = require('../middleware/auth')
+const { validateCacheWarm } = require('../middleware')
+const { parseAccountsCsv } = require('../utils/accountList')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('AdminRoute')
+
+const CACHE_ENTRY_TYPES = ['company', 'person', 'component']
+const MAX_CACHE_LIST_LIMIT = 500
+
+// Owner of warm-up jobs queued with X-Admin-Key (no user) - readable only here
+const WARM_JOB_OWNER = 'admin'
+
+router.use(requireAdmin)
+
+function validationError(req, res, error) {
+  return res.status(400).json({
+    success: false,
+    error,
+    errorType: 'validation_error',
+    requestId: req.requestId,
+  })
+}
+
+/**
+ * Aggregated usage across all users
+ * Query: ?groupBy=day|user|prompt (default day), ?since=&until= (ISO dates,
+ * default last 30 days), ?userId= (one user only)
+ */
+router.get('/usage', (req, res) => {
+  const groupBy = req.query.groupBy || 'day'
+  const since =
+    req.query.since || new Date(Date.now() - 30 * 86400000).toISOString()
+  const until = req.query.until
+
+  if ([since, until].some((date) => date && Number.isNaN(Date.parse(date)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'since/until must be ISO dates',
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+
+  const entries = usageLedgerService.query({
+    since,
+    until,
+    userId: req.query.userId,
+  })
+
+  let rows
+  try {
+    rows = usageLedgerService.aggregate(entries, groupBy)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({
+    success: true,
+    groupBy,
+    since,
+    until: until || null,
+    summary: usageLedgerService.summarize(entries),
+    rows,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Spend against the daily/monthly budget and the current degradation mode
+ */
+router.get('/budget', (req, res) => {
+  res.json({
+    success: true,
+    ...budgetService.getStatus(),
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Compare micro-prompt versions: validation pass rate, token cost, latency and
+ * empty-field rate per version, with the running experiment split
+ * Query: ?promptType= (one prompt only), ?since= (ISO date, default last 30 days)
+ */
+router.get('/prompts/experiments', (req, res) => {
+  const since =
+    req.query.since || new Date(Date.now() - 30 * 86400000).toISOString()
+
+  if (Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      success: false,
+      error: 'since must be an ISO date',
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({
+    success: true,
+    since,
+    prompts: promptExperimentService.compare({
+      promptType: req.query.promptType,
+      since,
+    }),
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * All API keys, newest first
+ * Query: ?userId= (one user only)
+ */
+router.get('/api-keys', (req, res) => {
+  const keys = apiKeyService.list({ userId: req.query.userId })
+  res.json({
+    success: true,
+    keys,
+    total: keys.length,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Issue a key for any user, including admin-scoped keys
+ * Body: { userId, name, scope, teamId?, rateLimit?: { windowMs, maxRequests } }
+ * teamId is the workspace the key acts in
+ */
+router.post('/api-keys', (req, res) => {
+  const { userId, name, scope, teamId, rateLimit } = req.body || {}
+
+  if (typeof userId !== 'string' || !userId.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId is required',
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+
+  try {
+    const { key, apiKey } = apiKeyService.create(userId.trim(), {
+      name,
+      scope,
+      teamId: teamId || null,
+      rateLimit,
+    })
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    if (error.statusCode !== 400) throw error
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+})
+
+/**
+ * Revoke any key
+ */
+router.delete('/api-keys/:id', (req, res) => {
+  const apiKey = apiKeyService.revoke(req.params.id)
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({ success: true, apiKey, requestId: req.requestId })
+})
+
+/**
+ * List cache entries across L1 and L2, newest first
+ * Query: ?type=company|person|component, ?prefix= (key prefix),
+ * ?schemaVersion=, ?minAgeHours=&maxAgeHours=, ?limit= (default 100, max 500), ?offset=
+ */
+router.get('/cache', async (req, res) => {
+  const { type, prefix } = req.query
+  const numbers = {}
+  for (const name of [
+    'schemaVersion',
+    'minAgeHours',
+    'maxAgeHours',
+    'limit',
+    'offset',
+  ]) {
+    if (req.query[name] === undefined) continue
+    numbers[name] = Number(req.query[name])
+    if (!Number.isFinite(numbers[name]) || numbers[name] < 0) {
+      return validationError(req, res, `${name} must be a non-negative number`)
+    }
+  }
+
+  if (type && !CACHE_ENTRY_TYPES.includes(type)) {
+    return validationError(
+      req,
+      res,
+      `type must be one of: ${CACHE_ENTRY_TYPES.join(', ')}`
+    )
+  }
+
+  const limit = Math.min(Math.floor(numbers.limit ?? 100), MAX_CACHE_LIST_LIMIT)
+  const offset = Math.floor(numbers.offset ?? 0)
+
+  try {
+    const { total, entries } = await cacheService.listEntries({
+      type,
+      prefix,
+      schemaVersion: numbers.schemaVersion,
+      minAgeMs:
+        numbers.minAgeHours !== undefined
+          ? numbers.minAgeHours * 3600000
+          : undefined,
+      maxAgeMs:
+        numbers.maxAgeHours !== undefined
+          ? numbers.maxAgeHours * 3600000
+          : undefined,
+      limit,
+      offset,
+    })
+
+    res.json({
+      success: true,
+      entries,
+      total,
+      limit,
+      offset,
+      currentSchemaVersion: cacheService.cacheVersion,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    logger.error(`[${req.requestId}] ❌ Failed to list cache entries:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list cache entries',
+      requestId: req.requestId,
+    })
+  }
+})
+
+/**
+ * L1/L2 cache statistics, schema migrations, aliases and in-flight analyses
+ */
+router.get('/cache/stats', async (req, res) => {
+  res.json({
+    success: true,
+    cache: await cacheService.getStats(),
+    pendingRequests: cacheService.getPendingRequestsStats(),
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * One cache entry with its cached value, as stored (no migration or L1 warming)
+ * Query: ?key= (URL-encoded - keys contain # and @)
+ */
+router.get('/cache/entry', async (req, res) => {
+  const { key } = req.query
+  if (typeof key !== 'string' || !key) {
+    return validationError(req, res, 'key is required')
+  }
+
+  const entry = await cacheService.describeEntry(key, { includeValue: true })
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: 'Cache entry not found',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({ success: true, entry, requestId: req.requestId })
+})
+
+/**
+ * Purge entries from L1, L2 and usage_logs references
+ * Body, one of:
+ *   { key }                                              - one entry
+ *   { prefix }                                           - every key starting with it
+ *   { type: 'company', name, companyUrl?, domain? }      - a company
+ *   { type: 'person', name, companyName?, profileUrl? }  - a person
+ * An account is purged in every workspace scope and prompt version, under
+ * its identity and its name-based key
+ */
+router.delete('/cache', async (req, res) => {
+  const { key, prefix, type, name } = req.body || {}
+  let target
+
+  if (typeof key === 'string' && key) {
+    target = { key }
+  } else if (typeof prefix === 'string' && prefix) {
+    target = { prefix }
+  } else if (
+    ['company', 'person'].includes(type) &&
+    typeof name === 'string' &&
+    name.trim()
+  ) {
+    const { companyName, companyUrl, domain, profileUrl } = req.body
+    const identities =
+      type === 'company'
+        ? [
+            cacheService.companyIdentityKey(name, { companyUrl, domain }),
+            cacheService.companyKeyBase(name),
+          ]
+        : [
+            cacheService.personIdentityKey(name, companyName || '', {
+              profileUrl,
+            }),
+            cacheService.personKeyBase(name, companyName || ''),
+          ]
+    target = { identities: Array.from(new Set(identities)) }
+  } else {
+    return validationError(
+      req,
+      res,
+      'Provide key, prefix, or type (company|person) and name'
+    )
+  }
+
+  try {
+    const { keys, l1, l2 } = await cacheService.purge(target)
+    logger.info(
+      `[${req.requestId}] 🗑️ Admin cache purge ${JSON.stringify(target)}: ${
+        keys.length
+      } entries`
+    )
+
+    res.json({
+      success: true,
+      purged: keys.length,
+      keys,
+      layers: { l1, l2 },
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    logger.error(`[${req.requestId}] ❌ Failed to purge cache:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge cache',
+      requestId: req.requestId,
+    })
+  }
+})
+
+/**
+ * Warm the cache from a list of accounts, as a background batch job
+ * Body: { companies: [...], people: [...] } in the /analyze/batch shape, or a
+ * CSV upload (Content-Type: text/csv, see utils/accountList.js)
+ * Entries already cached and fresh are skipped; stale ones are re-analyzed.
+ * Returns 202; poll GET /admin/cache/warm/:id for progress
+ */
+router.post(
+  '/cache/warm',
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  (req, res, next) => {
+    if (typeof req.body !== 'string') {
+      return next()
+    }
+
+    try {
+      req.body = parseAccountsCsv(req.body)
+      next()
+    } catch (error) {
+      validationError(req, res, error.message)
+    }
+  },
+  validateCacheWarm,
+  (req, res) => {
+    const { companies, people } = req.body
+
+    const job = jobQueueService.createJob(
+      { companies, people },
+      { userId: req.user?.id || WARM_JOB_OWNER, requestId: req.requestId }
+    )
+    logger.info(
+      `[${req.requestId}] 🔥 Cache warm-up queued: ${companies.length} companies, ${people.length} people (${job.id})`
+    )
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      statusUrl: `/admin/cache/warm/${job.id}`,
+      requestId: req.requestId,
+    })
+  }
+)
+
+/**
+ * Warm-up job status and results (any admin can read any job)
+ * Query: ?includeResults=false to return progress only
+ */
+router.get('/cache/warm/:id', (req, res) => {
+  const job = jobQueueService.getJob(req.params.id, {
+    includeResults: req.query.includeResults !== 'false',
+  })
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({ success: true, job, requestId: req.requestId })
+})
+
+module.exports = router
@@ -4,78 +4,92 @@
 
 const express = require('express')
 const router = express.Router()
-const config = require('../config')
-const { perplexityService, cacheService } = require('../services')
+const {
+  perplexityService,
+  cacheService,
+  jobQueueService,
+  chatService,
+} = require('../services')
 const supabaseService = require('../services/supabaseService')
 const {
   validateCompanyAnalysis,
   validatePersonAnalysis,
-  rateLimitAnonymous,
+  validateBatchAnalysis,
+  validateChatRequest,
+  validateSectionRefresh,
+  enforceQuota,
+  chargeFollowUpAnalysis,
   getRateLimitStats,
 } = require('../middleware')
-const { optionalAuth } = require('../middleware/auth')
+const { optionalAuth, requireAdmin } = require('../middleware/auth')
+const {
+  recordWorkspaceAnalysis,
+  markAnalysisServed,
+} = require('../middleware/workspaceActivity')
+const {
+  CompanyAnalysisSchema,
+  PersonAnalysisSchema,
+} = require('../schemas/analysisSchemas')
+const {
+  COMPANY_SECTION_FIELDS,
+  PERSON_SECTION_FIELDS,
+} = require('../services/microPromptOrchestrator')
+const { mergeProvenance } = require('../utils/provenance')
 const { Logger } = require('../utils/logger')
 const { handleAnalysisError } = require('./errorHandler')
+const {
+  checkUsageLimit,
+  limitExceededPayload,
+  recordUsage,
+} = require('./analysisUsage')
 
 const logger = new Logger('AnalysisRoute')
 
+// DELETE /analyze/cache clears analyses cached longer ago than this
+const STALE_ANALYSIS_AGE_MS = 30 * 24 * 60 * 60 * 1000
+
 /**
  * Analyze company endpoint - MVP format
- * Rate limited for anonymous users to prevent abuse
+ * Counts against the caller's request and analysis quotas
  */
 router.post(
   '/company',
   optionalAuth,
-  rateLimitAnonymous,
+  enforceQuota,
   validateCompanyAnalysis,
+  recordWorkspaceAnalysis('company'),
   async (req, res) => {
-    const { companyName, companyUrl } = req.body
+    const {
+      companyName,
+      companyUrl,
+      companyDomain,
+      industry,
+      website,
+      location,
+      awaitRefresh,
+    } = req.body
     const requestId = req.requestId
 
     try {
       logger.info(`[${requestId}] 🏢 Company analysis request: ${companyName}`)
 
       // ⚠️ LIMIT ENFORCEMENT: Check if authenticated user has exceeded their limit
-      if (req.user && supabaseService.isConfigured()) {
-        try {
-          const hasExceeded = await supabaseService.hasExceededLimit(
-            req.user.id
-          )
-          if (hasExceeded) {
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            logger.warn(
-              `[${requestId}] 🚫 User ${req.user.id} exceeded limit: ${usage.total_credits}/${subscription.analyses_limit}`
-            )
-
-            return res.status(429).json({
-              success: false,
-              error: `Monthly analysis limit exceeded. You've used ${usage.total_credits} of ${subscription.analyses_limit} unique entities this month. Revisits are free. Upgrade your plan for more analyses.`,
-              usage: {
-                analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-                analysesLimit: subscription.analyses_limit,
-                planType: subscription.plan_type,
-              },
-              requestId,
-            })
-          }
-        } catch (limitError) {
-          logger.warn(
-            `[${requestId}] Could not check user limit, allowing request:`,
-            limitError.message
-          )
-          // Continue anyway - don't block users if limit check fails
-        }
+      const exceededUsage = await checkUsageLimit(req, requestId)
+      if (exceededUsage) {
+        return res
+          .status(429)
+          .json(limitExceededPayload(exceededUsage, requestId))
       }
 
       // Check two-tier cache (L1 memory + L2 database) - UNIFIED CACHE SYSTEM
       // All users (authenticated + anonymous) use the same cache keyed by company name
       // Works for ALL users (authenticated + anonymous) - cache is keyed by company name, not user_id
-      const cacheKey = cacheService.generateCompanyKey(companyName)
-      const cachedResult = await cacheService.get(cacheKey)
+      const cacheKey = cacheService.generateCompanyKey(companyName, {
+        companyUrl,
+        domain: companyDomain,
+      })
+      const cachedEntry = await cacheService.getWithStatus(cacheKey)
+      const cachedResult = cachedEntry?.value
 
       if (cachedResult) {
         // ✅ CACHE VALIDATION: Verify cached data with comprehensive schema validation
@@ -107,100 +121,49 @@ router.post(
           // cachedResult is ignored, new analysis will be triggered
         } else {
           logger.info(
-            `[${requestId}] 💾 Cache hit (schema validated) for company: ${companyName}`
+            `[${requestId}] 💾 Cache hit (schema validated${
+              cachedEntry.stale ? ', stale' : ''
+            }) for company: ${companyName}`
           )
 
-          // Determine if user should be charged (Pay Once Per Entity)
-          let creditsToCharge = 1 // Default: charge for authenticated users
-          let chargeReason = 'first_time_cache_hit'
-
-          if (req.user && supabaseService.isConfigured()) {
-            // Check if user has analyzed this entity before
-            const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-              req.user.id,
-              cacheKey
-            )
-
-            if (hasSeenBefore) {
-              creditsToCharge = 0 // Free for returning users
-              chargeReason = 'previously_analyzed'
-              logger.info(
-                `[${requestId}] 🎁 User has analyzed "${companyName}" before - FREE (0 credits)`
-              )
-            } else {
-              creditsToCharge = 1 // First time for this user
-              chargeReason = 'first_time_cache_hit'
-              logger.info(
-                `[${requestId}] 💵 User's first time analyzing "${companyName}" - CHARGE (1 credit)`
-              )
-            }
-          }
-
-          // Log cache hit with determined credits
-          let usageData = null
-          if (req.user && supabaseService.isConfigured()) {
-            try {
-              await supabaseService.logUsage(req.user.id, {
-                analysis_type: 'company',
-                company_name: companyName,
-                linkedin_url: companyUrl,
-                cache_key: cacheKey, // Reference to analysis_cache (v2)
-                credits_used: creditsToCharge, // 0 if previously analyzed, 1 if first time
-                from_cache: true,
-                charge_reason: chargeReason, // Track why charged or not
-                data_sources: cachedResult.metadata?.sources || [],
-              })
-
-              // Note: No need to increment monthly_usage manually
-              // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
-
-              logger.info(
-                `[${requestId}] 📊 Cache hit logged (${creditsToCharge} credit${
-                  creditsToCharge !== 1 ? 's' : ''
-                }) for user ${req.user.id}`
-              )
-
-              // Get updated usage to return to frontend
-              const subscription = await supabaseService.getUserSubscription(
-                req.user.id
-              )
-              const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-              usageData = {
-                analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-                analysesLimit: subscription.analyses_limit,
-                analysesRemaining: Math.max(
-                  0,
-                  subscription.analyses_limit - usage.total_credits
-                ), // ✅ Send calculated value
-                planType: subscription.plan_type,
-              }
-
-              logger.info(
-                `[${requestId}] 📤 Returning usage to frontend: used=${usageData.analysesUsed}, limit=${usageData.analysesLimit}, remaining=${usageData.analysesRemaining}, charged=${creditsToCharge}`
-              )
-            } catch (error) {
-              logger.warn(
-                `[${requestId}] Failed to log cache hit:`,
-                error.message
-              )
-            }
-          }
+          // Stale-while-revalidate: serve now, refresh in the background
+          const served = await cacheService.serveWithRevalidation(
+            cacheKey,
+            cachedEntry,
+            () =>
+              perplexityService.refreshCompanyAnalysis(companyName, {
+                companyDomain:
+                  companyDomain || cachedEntry.value.metadata?.companyDomain,
+                hints: { companyUrl, website, industry, location },
+              }),
+            { awaitRefresh: awaitRefresh === true }
+          )
 
-          logger.info(
-            `[${requestId}] 📤 Final response: creditsCharged=${creditsToCharge}, chargeReason=${chargeReason}, usage=${JSON.stringify(
-              usageData
-            )}`
+          // Pay Once Per Entity - free if the user has analyzed it before
+          const { creditsCharged, chargeReason, usage } = await recordUsage(
+            req,
+            requestId,
+            cacheKey,
+            {
+              analysis_type: 'company',
+              company_name: companyName,
+              linkedin_url: companyUrl,
+              data_sources: cachedResult.metadata?.sources || [],
+            },
+            { fromCache: true, chargeReason: 'first_time_cache_hit' }
           )
 
+          markAnalysisServed(res)
           return res.json({
             success: true,
-            data: cachedResult,
+            data: served.value,
             cached: true,
             fromCache: true, // ✅ Frontend expects this field
-            chargeReason: chargeReason, // Tell frontend if this was free (previously_analyzed)
-            creditsCharged: creditsToCharge, // 0 or 1
-            usage: usageData,
+            stale: served.stale, // Past soft TTL - fresh data is on the way
+            refreshing: served.refreshing,
+            chargeReason, // Tell frontend if this was free (previously_analyzed)
+            creditsCharged, // 0 or 1
+            usage,
             requestId,
           })
         }
@@ -210,6 +173,12 @@ router.post(
         `[${requestId}] 🔍 Cache miss (L1 + L2) for company: ${companyName}`
       )
 
+      const followUpRefused = await chargeFollowUpAnalysis(req)
+      if (followUpRefused) {
+        res.setHeader('Retry-After', followUpRefused.retryAfter)
+        return res.status(429).json(followUpRefused)
+      }
+
       // Check for pending requests to prevent race condition
       // cacheKey already declared above at line 166
       const pendingResult = await cacheService.waitForPendingRequest(cacheKey)
@@ -219,80 +188,49 @@ router.post(
           `[${requestId}] ⏳ Waited for concurrent request, returning result for: ${companyName}`
         )
 
-        // Determine if user should be charged (Pay Once Per Entity)
-        let creditsToCharge = 1
-        let chargeReason = 'concurrent_request'
-
-        if (req.user && supabaseService.isConfigured()) {
-          const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-            req.user.id,
-            cacheKey
-          )
-
-          if (hasSeenBefore) {
-            creditsToCharge = 0
-            chargeReason = 'previously_analyzed'
-            logger.info(
-              `[${requestId}] 🎁 User has analyzed "${companyName}" before - FREE (concurrent request)`
-            )
-          } else {
-            creditsToCharge = 1
-            chargeReason = 'concurrent_request'
-            logger.info(
-              `[${requestId}] 💵 User's first time analyzing "${companyName}" - CHARGE (concurrent request)`
-            )
-          }
-        }
-
-        // Check if we need to log usage for this user
-        let usageData = null
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            await supabaseService.logUsage(req.user.id, {
-              analysis_type: 'company',
-              company_name: companyName,
-              linkedin_url: companyUrl,
-              cache_key: cacheKey, // Reference to analysis_cache (v2)
-              credits_used: creditsToCharge,
-              from_cache: false, // Was freshly generated (by another request)
-              charge_reason: chargeReason,
-              data_sources: pendingResult.data.metadata?.sources || [],
-            })
-
-            // Note: No need to increment monthly_usage manually
-            // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
-
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            usageData = {
-              analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-              analysesLimit: subscription.analyses_limit,
-              analysesRemaining: Math.max(
-                0,
-                subscription.analyses_limit - usage.total_credits
-              ), // ✅ Send calculated value
-              planType: subscription.plan_type,
-            }
-          } catch (error) {
-            logger.warn(
-              `[${requestId}] Failed to log usage after deduplication:`,
-              error.message
-            )
-          }
-        }
+        // Pay Once Per Entity - freshly generated, by another request
+        const { creditsCharged, chargeReason, usage } = await recordUsage(
+          req,
+          requestId,
+          cacheKey,
+          {
+            analysis_type: 'company',
+            company_name: companyName,
+            linkedin_url: companyUrl,
+            data_sources: pendingResult.data.metadata?.sources || [],
+          },
+          { fromCache: false, chargeReason: 'concurrent_request' }
+        )
 
+        markAnalysisServed(res)
         return res.json({
           success: true,
           data: pendingResult.data,
           cached: false,
-          fromCache: creditsToCharge === 0, // ✅ Frontend: treat as cached if user wasn't charged
+          fromCache: creditsCharged === 0, // ✅ Frontend: treat as cached if user wasn't charged
           deduplicated: true,
-          chargeReason: chargeReason, // Tell frontend if this was free (previously_analyzed or concurrent_request)
-          creditsCharged: creditsToCharge, // 0 or 1
-          usage: usageData,
+          chargeReason, // Tell frontend if this was free (previously_analyzed or concurrent_request)
+          creditsCharged, // 0 or 1
+          usage,
+          requestId,
+        })
+      }
+
+      // Ambiguous name ("Mercury") - let the user pick before any credits are spent
+      const resolution = await perplexityService.resolveCompanyForAnalysis(
+        companyName,
+        {
+          companyDomain,
+          hints: { companyUrl, website, industry, location },
+        }
+      )
+      if (resolution.needsDisambiguation) {
+        return res.status(409).json({
+          success: false,
+          error: `Several companies match "${companyName}". Pick one to analyze.`,
+          errorType: 'needs_disambiguation',
+          companyName,
+          candidates: resolution.candidates,
           requestId,
         })
       }
@@ -302,8 +240,10 @@ router.post(
       )
 
       // Register this request as pending to prevent concurrent duplicates
-      const analysisPromise =
-        perplexityService.analyzeCompanyWithMicroPrompts(companyName)
+      const analysisPromise = perplexityService.analyzeCompanyWithMicroPrompts(
+        companyName,
+        resolution.analysisOptions
+      )
       cacheService.registerPendingRequest(cacheKey, analysisPromise)
 
       let result
@@ -322,83 +262,19 @@ router.post(
           `[${requestId}] 💾 Saved company analysis to cache (L1 + L2): ${companyName}`
         )
 
-        // Variables for charge tracking (used in response)
-        let creditsToCharge = 1
-        let chargeReason = 'fresh_analysis'
-
-        // Log usage to database if user is authenticated
-        // Check if user has analyzed this before (Pay Once Per Entity)
-        let usageData = null
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            // Determine if user should be charged (Pay Once Per Entity)
-            const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-              req.user.id,
-              cacheKey
-            )
-
-            creditsToCharge = hasSeenBefore ? 0 : 1
-            chargeReason = hasSeenBefore
-              ? 'previously_analyzed'
-              : 'fresh_analysis'
-
-            if (hasSeenBefore) {
-              logger.info(
-                `[${requestId}] 🎁 User has analyzed "${companyName}" before - FREE (0 credits, fresh from API)`
-              )
-            } else {
-              logger.info(
-                `[${requestId}] 💵 User's first time analyzing "${companyName}" - CHARGE (1 credit)`
-              )
-            }
-
-            await supabaseService.logUsage(req.user.id, {
-              analysis_type: 'company',
-              company_name: companyName,
-              linkedin_url: companyUrl,
-              cache_key: cacheKey, // Reference to analysis_cache (v2)
-              credits_used: creditsToCharge, // 0 if previously analyzed, 1 if first time
-              from_cache: false,
-              charge_reason: chargeReason,
-              data_sources: result.data.metadata?.sources || [],
-            })
-
-            // Note: No need to increment monthly_usage manually
-            // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
-
-            logger.info(
-              `[${requestId}] 📊 Usage logged (${creditsToCharge} credit${
-                creditsToCharge !== 1 ? 's' : ''
-              }) for user ${req.user.id}`
-            )
-
-            // Get updated usage to return to frontend
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            usageData = {
-              analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-              analysesLimit: subscription.analyses_limit,
-              analysesRemaining: Math.max(
-                0,
-                subscription.analyses_limit - usage.total_credits
-              ), // ✅ Send calculated value
-              planType: subscription.plan_type,
-            }
-          } catch (dbError) {
-            logger.error(
-              `[${requestId}] Failed to log usage to database:`,
-              dbError.message
-            )
-            // Don't fail the request if database logging fails
-          }
-        } else {
-          logger.info(
-            `[${requestId}] ℹ️ Anonymous analysis - no usage tracking`
-          )
-        }
+        // Pay Once Per Entity - free if the user has analyzed it before
+        const { creditsCharged, chargeReason, usage } = await recordUsage(
+          req,
+          requestId,
+          cacheKey,
+          {
+            analysis_type: 'company',
+            company_name: companyName,
+            linkedin_url: companyUrl,
+            data_sources: result.data.metadata?.sources || [],
+          },
+          { fromCache: false }
+        )
 
         logger.info(
           `[${requestId}] ✅ Enhanced SDR analysis completed: ${companyName}`
@@ -423,15 +299,16 @@ router.post(
           })
         }
 
+        markAnalysisServed(res)
         res.json({
           success: true,
           data: result.data,
           cached: false,
-          fromCache: creditsToCharge === 0, // ✅ Treat as cached if user wasn't charged
-          chargeReason: chargeReason, // Tell frontend if this was free (previously_analyzed)
-          creditsCharged: creditsToCharge, // 0 or 1
+          fromCache: creditsCharged === 0, // ✅ Treat as cached if user wasn't charged
+          chargeReason, // Tell frontend if this was free (previously_analyzed)
+          creditsCharged, // 0 or 1
           architecture: 'enhanced-sdr-intelligence',
-          usage: usageData, // Return user's usage, not AI usage
+          usage, // Return user's usage, not AI usage
           processingTimeMs: result.processingTimeMs,
           microPromptStats: result.microPromptStats,
           requestId,
@@ -447,16 +324,24 @@ router.post(
 
 /**
  * Analyze person endpoint - Enhanced with optional company analysis
- * Rate limited for anonymous users to prevent abuse
+ * Counts against the caller's request and analysis quotas
  */
 router.post(
   '/person',
   optionalAuth,
-  rateLimitAnonymous,
+  enforceQuota,
   validatePersonAnalysis,
+  recordWorkspaceAnalysis('person'),
   async (req, res) => {
-    const { fullName, title, profileUrl, companyName, includeCompanyAnalysis } =
-      req.body
+    const {
+      fullName,
+      title,
+      profileUrl,
+      companyName,
+      includeCompanyAnalysis,
+      awaitRefresh,
+      observedFacts,
+    } = req.body
     const requestId = req.requestId
 
     try {
@@ -472,51 +357,27 @@ router.post(
       logger.info(`[${requestId}] 🔑 User ID: ${req.user?.id || 'anonymous'}`)
 
       // ⚠️ LIMIT ENFORCEMENT: Check if authenticated user has exceeded their limit
-      if (req.user && supabaseService.isConfigured()) {
-        try {
-          const hasExceeded = await supabaseService.hasExceededLimit(
-            req.user.id
-          )
-          if (hasExceeded) {
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            logger.warn(
-              `[${requestId}] 🚫 User ${req.user.id} exceeded limit: ${usage.total_credits}/${subscription.analyses_limit}`
-            )
-
-            return res.status(429).json({
-              success: false,
-              error: `Monthly analysis limit exceeded. You've used ${usage.total_credits} of ${subscription.analyses_limit} unique entities this month. Revisits are free. Upgrade your plan for more analyses.`,
-              usage: {
-                analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-                analysesLimit: subscription.analyses_limit,
-                planType: subscription.plan_type,
-              },
-              requestId,
-            })
-          }
-        } catch (limitError) {
-          logger.warn(
-            `[${requestId}] Could not check user limit, allowing request:`,
-            limitError.message
-          )
-          // Continue anyway - don't block users if limit check fails
-        }
+      const exceededUsage = await checkUsageLimit(req, requestId)
+      if (exceededUsage) {
+        return res
+          .status(429)
+          .json(limitExceededPayload(exceededUsage, requestId))
       }
 
       // Check two-tier cache (L1 memory + L2 database) - UNIFIED CACHE SYSTEM
       // All users (authenticated + anonymous) use the same cache
       let cachedPersonResult = null
       let cachedCompanyResult = null
+      let cachedPersonEntry = null
+      let cachedCompanyEntry = null
       if (!cachedPersonResult) {
         const personCacheKey = cacheService.generatePersonKey(
           fullName,
-          companyName
+          companyName,
+          { profileUrl }
         )
-        cachedPersonResult = await cacheService.get(personCacheKey)
+        cachedPersonEntry = await cacheService.getWithStatus(personCacheKey)
+        cachedPersonResult = cachedPersonEntry?.value || null
 
         if (cachedPersonResult) {
           // ✅ CACHE VALIDATION: Verify person cache with comprehensive schema validation
@@ -556,7 +417,8 @@ router.post(
 
       if (!cachedCompanyResult && includeCompanyAnalysis && companyName) {
         const companyCacheKey = cacheService.generateCompanyKey(companyName)
-        cachedCompanyResult = await cacheService.get(companyCacheKey)
+        cachedCompanyEntry = await cacheService.getWithStatus(companyCacheKey)
+        cachedCompanyResult = cachedCompanyEntry?.value || null
 
         if (cachedCompanyResult) {
           // ✅ CACHE VALIDATION: Verify company cache with comprehensive schema validation
@@ -594,6 +456,42 @@ router.post(
         }
       }
 
+      // Stale-while-revalidate: stale cache hits are served now and refreshed in the background
+      let servedPerson = null
+      let servedCompany = null
+      if (cachedPersonResult) {
+        servedPerson = await cacheService.serveWithRevalidation(
+          cacheService.generatePersonKey(fullName, companyName, { profileUrl }),
+          cachedPersonEntry,
+          () =>
+            perplexityService.analyzePerson({
+              name: fullName,
+              title,
+              company: companyName,
+              profileUrl,
+              observedFacts,
+            }),
+          { awaitRefresh: awaitRefresh === true }
+        )
+        cachedPersonResult = servedPerson.value
+      }
+      if (cachedCompanyResult) {
+        servedCompany = await cacheService.serveWithRevalidation(
+          cacheService.generateCompanyKey(companyName),
+          cachedCompanyEntry,
+          () =>
+            perplexityService.refreshCompanyAnalysis(companyName, {
+              companyDomain: cachedCompanyEntry.value.metadata?.companyDomain,
+            }),
+          { awaitRefresh: awaitRefresh === true }
+        )
+        cachedCompanyResult = servedCompany.value
+      }
+      const staleCache = !!(servedPerson?.stale || servedCompany?.stale)
+      const refreshingCache = !!(
+        servedPerson?.refreshing || servedCompany?.refreshing
+      )
+
       // ✅ OPTIMIZED CACHE LOGIC: Use cached data when available, only analyze what's missing
       // If both are cached (or only person if company not requested), return combined result
       if (
@@ -604,80 +502,24 @@ router.post(
           `[${requestId}] ✅ Fully cached result available - returning immediately`
         )
 
-        // Determine charge info for authenticated users (Pay Once Per Entity)
-        let creditsToCharge = 1 // Default for non-authenticated or fresh analysis
-        let chargeReason = 'first_time_cache_hit' // Default
-
-        // Log cache hit and charge credits for authenticated users
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            // Determine analysis type (combined if both person and company, otherwise just person)
-            const isCombinedAnalysis =
-              includeCompanyAnalysis && cachedCompanyResult
-
-            // Determine if user should be charged (Pay Once Per Entity)
-            const personCacheKey = cacheService.generatePersonKey(
-              fullName,
-              companyName
-            )
-            const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-              req.user.id,
-              personCacheKey
-            )
-
-            creditsToCharge = hasSeenBefore ? 0 : 1
-            chargeReason = hasSeenBefore
-              ? 'previously_analyzed'
-              : 'first_time_cache_hit'
-
-            logger.info(
-              `[${requestId}] 🔍 CHARGE DEBUG: personCacheKey="${personCacheKey}", hasSeenBefore=${hasSeenBefore}, creditsToCharge=${creditsToCharge}`
-            )
-
-            if (hasSeenBefore) {
-              logger.info(
-                `[${requestId}] 🎁 User has analyzed "${fullName}" before - FREE (0 credits)`
-              )
-            } else {
-              logger.info(
-                `[${requestId}] 💵 User's first time analyzing "${fullName}" - CHARGE (1 credit)`
-              )
-            }
-
-            // Always log as 'person' for person endpoint (company data is supplementary)
-            await supabaseService.logUsage(req.user.id, {
-              analysis_type: 'person',
-              person_name: fullName,
-              person_title: title,
-              company_name: companyName,
-              linkedin_url: profileUrl,
-              cache_key: personCacheKey, // Reference to analysis_cache (v2)
-              credits_used: creditsToCharge, // 0 if previously analyzed, 1 if first time
-              from_cache: true,
-              charge_reason: chargeReason,
-              data_sources: [
-                ...(cachedPersonResult.metadata?.sources || []),
-                ...(cachedCompanyResult?.metadata?.sources || []),
-              ],
-            })
-
-            // Note: No need to increment monthly_usage manually
-            // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
-
-            logger.info(
-              `[${requestId}] 📊 ${
-                isCombinedAnalysis ? 'Combined' : 'Person'
-              } cache hit logged (${creditsToCharge} credit${
-                creditsToCharge !== 1 ? 's' : ''
-              }) for user ${req.user.id}`
-            )
-          } catch (logError) {
-            logger.warn(
-              `[${requestId}] Failed to log cache hit:`,
-              logError.message
-            )
-          }
-        }
+        // Pay Once Per Entity - always logged as 'person' (company data is supplementary)
+        const { creditsCharged, chargeReason, usage } = await recordUsage(
+          req,
+          requestId,
+          cacheService.generatePersonKey(fullName, companyName, { profileUrl }),
+          {
+            analysis_type: 'person',
+            person_name: fullName,
+            person_title: title,
+            company_name: companyName,
+            linkedin_url: profileUrl,
+            data_sources: [
+              ...(cachedPersonResult.metadata?.sources || []),
+              ...(cachedCompanyResult?.metadata?.sources || []),
+            ],
+          },
+          { fromCache: true, chargeReason: 'first_time_cache_hit' }
+        )
 
         const responseData = {
           profile: cachedPersonResult,
@@ -688,40 +530,17 @@ router.post(
           responseData.company = cachedCompanyResult
         }
 
-        // Get updated usage to return to frontend
-        let usageData = null
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            usageData = {
-              analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-              analysesLimit: subscription.analyses_limit,
-              analysesRemaining: Math.max(
-                0,
-                subscription.analyses_limit - usage.total_credits
-              ), // ✅ Send calculated value
-              planType: subscription.plan_type,
-            }
-          } catch (error) {
-            logger.warn(
-              `[${requestId}] Failed to get usage data:`,
-              error.message
-            )
-          }
-        }
-
+        markAnalysisServed(res)
         return res.json({
           success: true,
           data: responseData,
           cached: true,
           fromCache: true, // ✅ Frontend expects this field
-          chargeReason: chargeReason, // Tell frontend if this was free (previously_analyzed)
-          creditsCharged: creditsToCharge, // 0 or 1
-          usage: usageData,
+          stale: staleCache, // Past soft TTL - fresh data is on the way
+          refreshing: refreshingCache,
+          chargeReason, // Tell frontend if this was free (previously_analyzed)
+          creditsCharged, // 0 or 1
+          usage,
           requestId,
           combinedAnalysis: !!responseData.company,
         })
@@ -745,12 +564,19 @@ router.post(
 
         // Analyze company only
         try {
+          const followUpRefused = await chargeFollowUpAnalysis(req)
+          if (followUpRefused) {
+            throw new Error(followUpRefused.error)
+          }
+
           logger.info(
             `[${requestId}] 🔍 Company analysis starting for: "${companyName}"`
           )
 
-          const companyResult =
-            await perplexityService.analyzeCompanyWithMicroPrompts(companyName)
+          // No picker here - an ambiguous company name is skipped, not guessed
+          const companyResult = await perplexityService.refreshCompanyAnalysis(
+            companyName
+          )
 
           if (companyResult.success) {
             // Save company analysis to cache (L1 + L2)
@@ -778,107 +604,38 @@ router.post(
           // Continue without company data - don't fail the entire request
         }
 
-        // 🎯 CONSOLIDATED USAGE LOGGING: Log once with determined credits
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            const personCacheKey = cacheService.generatePersonKey(
-              fullName,
-              companyName
-            )
-
-            // Determine if user should be charged (Pay Once Per Entity)
-            const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-              req.user.id,
-              personCacheKey
-            )
-
-            const creditsToCharge = hasSeenBefore ? 0 : 1
-            const chargeReason = hasSeenBefore
-              ? 'previously_analyzed'
-              : 'first_time_cache_hit'
-
-            logger.info(
-              `[${requestId}] 🔍 CHARGE DEBUG (partial cache): personCacheKey="${personCacheKey}", hasSeenBefore=${hasSeenBefore}, creditsToCharge=${creditsToCharge}`
-            )
-
-            if (hasSeenBefore) {
-              logger.info(
-                `[${requestId}] 🎁 User has analyzed "${fullName}" before - FREE (0 credits)`
-              )
-            } else {
-              logger.info(
-                `[${requestId}] 💵 User's first time analyzing "${fullName}" - CHARGE (1 credit)`
-              )
-            }
-
-            // Aggregate data sources
-            const dataSources = [
+        // 🎯 CONSOLIDATED USAGE LOGGING: Log once (Pay Once Per Entity) - the person was cached
+        const { creditsCharged, chargeReason, usage } = await recordUsage(
+          req,
+          requestId,
+          cacheService.generatePersonKey(fullName, companyName, { profileUrl }),
+          {
+            analysis_type: 'person',
+            person_name: fullName,
+            person_title: title,
+            company_name: companyName,
+            linkedin_url: profileUrl,
+            data_sources: [
               ...(cachedPersonResult.metadata?.sources || []),
               ...(responseData.company?.metadata?.sources || []),
-            ]
-
-            await supabaseService.logUsage(req.user.id, {
-              analysis_type: 'person',
-              person_name: fullName,
-              person_title: title,
-              company_name: companyName,
-              linkedin_url: profileUrl,
-              cache_key: personCacheKey,
-              credits_used: creditsToCharge,
-              from_cache: true, // Person was cached
-              charge_reason: chargeReason,
-              data_sources: dataSources,
-            })
-
-            // Note: No need to increment monthly_usage manually
-            // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
-
-            logger.info(
-              `[${requestId}] 📊 Combined analysis logged (${creditsToCharge} credit${
-                creditsToCharge !== 1 ? 's' : ''
-              }) for user ${
-                req.user.id
-              } | From cache: true (person), false (company)`
-            )
-          } catch (logError) {
-            logger.warn(`[${requestId}] Failed to log usage:`, logError.message)
-          }
-        }
-
-        // Get updated usage to return to frontend
-        let usageData = null
-        if (req.user && supabaseService.isConfigured()) {
-          try {
-            const subscription = await supabaseService.getUserSubscription(
-              req.user.id
-            )
-            const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-            usageData = {
-              analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-              analysesLimit: subscription.analyses_limit,
-              analysesRemaining: Math.max(
-                0,
-                subscription.analyses_limit - usage.total_credits
-              ), // ✅ Send calculated value
-              planType: subscription.plan_type,
-            }
-          } catch (error) {
-            logger.warn(
-              `[${requestId}] Failed to get usage data:`,
-              error.message
-            )
-          }
-        }
+            ],
+          },
+          { fromCache: true, chargeReason: 'first_time_cache_hit' }
+        )
 
+        markAnalysisServed(res)
         return res.json({
           success: true,
           data: responseData,
           cached: true, // Person was cached
           fromCache: true, // ✅ Frontend expects this field
           partial_cache: true, // Indicate mixed scenario
+          stale: staleCache,
+          refreshing: refreshingCache,
+          chargeReason,
+          creditsCharged,
           requestId,
-          usage: usageData,
+          usage,
           combinedAnalysis: !!responseData.company,
         })
       }
@@ -888,11 +645,13 @@ router.post(
         logger.debug(`[${requestId}] 🔍 Cache miss for person: ${fullName}`)
       }
 
-      logger.info(`[${requestId}] 🔍 Analyzing person with AI: ${fullName}`)
+      const followUpRefused = await chargeFollowUpAnalysis(req)
+      if (followUpRefused) {
+        res.setHeader('Retry-After', followUpRefused.retryAfter)
+        return res.status(429).json(followUpRefused)
+      }
 
-      // Variables for charge tracking (used in response)
-      let creditsToCharge = 1
-      let chargeReason = 'fresh_analysis'
+      logger.info(`[${requestId}] 🔍 Analyzing person with AI: ${fullName}`)
 
       // Perform person analysis
       const personResult = await perplexityService.analyzePerson({
@@ -900,6 +659,7 @@ router.post(
         title,
         company: companyName,
         profileUrl,
+        observedFacts,
       })
 
       if (!personResult.success) {
@@ -909,7 +669,8 @@ router.post(
       // Save to two-tier cache (L1 memory + L2 database)
       const personCacheKey = cacheService.generatePersonKey(
         fullName,
-        companyName
+        companyName,
+        { profileUrl }
       )
       await cacheService.set(personCacheKey, personResult.data)
       logger.info(
@@ -976,10 +737,10 @@ router.post(
               `[${requestId}] 🔍 Company analysis starting for: "${companyName}"`
             )
 
-            companyResult =
-              await perplexityService.analyzeCompanyWithMicroPrompts(
-                companyName
-              )
+            // No picker here - an ambiguous company name is skipped, not guessed
+            companyResult = await perplexityService.refreshCompanyAnalysis(
+              companyName
+            )
 
             if (companyResult.success) {
               // Save company analysis to cache (L1 + L2) for all users
@@ -1037,135 +798,329 @@ router.post(
         responseData.company = cachedCompanyResult
       }
 
-      // 🎯 CONSOLIDATED USAGE LOGGING: Log once with determined credits (Pay Once Per Entity)
-      if (req.user && supabaseService.isConfigured()) {
-        try {
-          const isCombinedAnalysis = !!responseData.company
-
-          // Always log as 'person' for person endpoint (company data is supplementary)
-          // Determine if analysis came from cache
-          const fromCache =
-            cachedPersonResult !== null &&
-            (!isCombinedAnalysis || cachedCompanyResult !== null)
-
-          // Aggregate data sources from both analyses
-          const dataSources = [
+      // 🎯 CONSOLIDATED USAGE LOGGING: Log once (Pay Once Per Entity) - always as
+      // 'person', company data is supplementary
+      const isCombinedAnalysis = !!responseData.company
+      const { creditsCharged, chargeReason, usage } = await recordUsage(
+        req,
+        requestId,
+        personCacheKey,
+        {
+          analysis_type: 'person',
+          person_name: fullName,
+          person_title: title,
+          company_name: companyName,
+          linkedin_url: profileUrl,
+          data_sources: [
             ...(personResult.data?.metadata?.sources || []),
             ...(companyResult?.data?.metadata?.sources || []),
             ...(cachedPersonResult?.metadata?.sources || []),
             ...(cachedCompanyResult?.metadata?.sources || []),
-          ]
+          ],
+        },
+        {
+          fromCache:
+            cachedPersonResult !== null &&
+            (!isCombinedAnalysis || cachedCompanyResult !== null),
+        }
+      )
 
-          const personCacheKey = cacheService.generatePersonKey(
-            fullName,
-            companyName
-          )
+      markAnalysisServed(res)
+      res.json({
+        success: true,
+        data: responseData,
+        cached: false,
+        fromCache: creditsCharged === 0, // ✅ Treat as cached if user wasn't charged
+        chargeReason, // Tell frontend if this was free (previously_analyzed)
+        creditsCharged, // 0 or 1
+        usage, // User's analyses usage
+        tokenUsage: totalUsage, // AI token usage (for internal tracking)
+        processingTimeMs: personResult.data.metadata?.processingTimeMs,
+        requestId,
+        combinedAnalysis: !!responseData.company,
+      })
+    } catch (error) {
+      handleAnalysisError(error, requestId, res, 'Person analysis')
+    }
+  }
+)
 
-          // Determine if user should be charged (Pay Once Per Entity)
-          const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
-            req.user.id,
-            personCacheKey
-          )
+/**
+ * Batch analysis endpoint - queue many companies/people as a background job
+ * Returns 202 immediately; poll GET /analyze/jobs/:id for progress and results
+ */
+router.post(
+  '/batch',
+  optionalAuth,
+  enforceQuota,
+  validateBatchAnalysis,
+  async (req, res) => {
+    const { companies, people } = req.body
+    const requestId = req.requestId
 
-          creditsToCharge = hasSeenBefore ? 0 : 1
-          chargeReason = hasSeenBefore
-            ? 'previously_analyzed'
-            : 'fresh_analysis'
+    try {
+      logger.info(
+        `[${requestId}] 📦 Batch analysis request: ${companies.length} companies, ${people.length} people`
+      )
 
-          if (hasSeenBefore) {
-            logger.info(
-              `[${requestId}] 🎁 User has analyzed "${fullName}" before - FREE (0 credits, fresh from API)`
-            )
-          } else {
-            logger.info(
-              `[${requestId}] 💵 User's first time analyzing "${fullName}" - CHARGE (1 credit)`
-            )
-          }
+      const job = jobQueueService.createJob(
+        { companies, people },
+        { userId: req.user?.id, requestId }
+      )
 
-          logger.info(
-            `[${requestId}] 🔍 CHARGE DEBUG (fresh analysis): personCacheKey="${personCacheKey}", hasSeenBefore=${hasSeenBefore}, creditsToCharge=${creditsToCharge}`
-          )
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        progress: job.progress,
+        statusUrl: `/analyze/jobs/${job.id}`,
+        requestId,
+      })
+    } catch (error) {
+      logger.error(`[${requestId}] ❌ Failed to create batch job:`, error)
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create batch job',
+        details:
+          process.env.NODE_ENV === 'development' ? error.message : undefined,
+        requestId,
+      })
+    }
+  }
+)
 
-          await supabaseService.logUsage(req.user.id, {
-            analysis_type: 'person',
-            person_name: fullName,
-            person_title: title,
-            company_name: companyName,
-            linkedin_url: profileUrl,
-            cache_key: personCacheKey, // Reference to analysis_cache (v2)
-            credits_used: creditsToCharge, // 0 if previously analyzed, 1 if first time
-            from_cache: fromCache,
-            charge_reason: chargeReason,
-            data_sources: dataSources,
-          })
+/**
+ * Re-run one section of a cached analysis and patch it into the cached document
+ * Concurrent refreshes of the same section share one upstream call. The document
+ * keeps its original cachedAt, so other sections age (and go stale) as before.
+ *
+ * @returns {Promise<void>} Sends the response
+ */
+async function refreshCachedSection(req, res, options) {
+  const { cacheKey, section, sectionFields, schema, refresh, label } = options
+  const requestId = req.requestId
 
-          // Note: No need to increment monthly_usage manually
-          // It's a VIEW that auto-aggregates SUM(credits_used) from usage_logs
+  if (!sectionFields[section]) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown section '${section}'. Valid sections: ${Object.keys(
+        sectionFields
+      ).join(', ')}`,
+      errorType: 'validation_error',
+      requestId,
+    })
+  }
 
-          logger.info(
-            `[${requestId}] 📊 ${
-              isCombinedAnalysis ? 'Combined' : 'Person'
-            } analysis logged (${creditsToCharge} credit${
-              creditsToCharge !== 1 ? 's' : ''
-            }) for user ${req.user.id} | From cache: ${fromCache}`
-          )
-        } catch (dbError) {
-          logger.error(
-            `[${requestId}] Failed to log usage to database:`,
-            dbError.message
-          )
-          // Don't fail the request if database logging fails
-        }
-      } else {
-        logger.info(`[${requestId}] ℹ️ Anonymous analysis - no usage tracking`)
+  try {
+    const cachedEntry = await cacheService.getWithStatus(cacheKey)
+    if (!cachedEntry) {
+      return res.status(404).json({
+        success: false,
+        error: `No cached analysis for ${label}. Run a full analysis first.`,
+        requestId,
+      })
+    }
+
+    logger.info(`[${requestId}] 🔄 Section refresh: ${label} → ${section}`)
+
+    // Deduplicate concurrent refreshes of the same section
+    const pendingKey = `${cacheKey}#section:${section}`
+    let result = await cacheService.waitForPendingRequest(pendingKey)
+    if (!result) {
+      const refreshPromise = refresh(cachedEntry.value)
+      cacheService.registerPendingRequest(pendingKey, refreshPromise)
+      try {
+        result = await refreshPromise
+      } finally {
+        cacheService.clearPendingRequest(pendingKey)
       }
+    }
 
-      // Get updated user usage to return to frontend
-      let userUsage = null
-      if (req.user && supabaseService.isConfigured()) {
-        try {
-          const subscription = await supabaseService.getUserSubscription(
-            req.user.id
+    // Validate refreshed fields before touching the cached document
+    // (fields the schema doesn't declare, e.g. socialActivity, pass through as-is)
+    const errors = Object.entries(result.fields).flatMap(([field, value]) => {
+      const validation = schema.shape[field]?.safeParse(value)
+      return !validation || validation.success
+        ? []
+        : validation.error.issues.map(
+            (issue) => `${[field, ...issue.path].join('.')}: ${issue.message}`
           )
-          const usage = await supabaseService.getMonthlyUsage(req.user.id)
-
-          userUsage = {
-            analysesUsed: usage.total_credits, // ✅ Use total_credits (unique entities charged)
-            analysesLimit: subscription.analyses_limit,
-            analysesRemaining: Math.max(
-              0,
-              subscription.analyses_limit - usage.total_credits
-            ), // ✅ Send calculated value
-            planType: subscription.plan_type,
-          }
-        } catch (error) {
-          logger.warn(`[${requestId}] Failed to get usage data:`, error.message)
-        }
-      }
+    })
 
-      res.json({
-        success: true,
-        data: responseData,
-        cached: false,
-        fromCache: creditsToCharge === 0, // ✅ Treat as cached if user wasn't charged
-        chargeReason: chargeReason, // Tell frontend if this was free (previously_analyzed)
-        creditsCharged: creditsToCharge, // 0 or 1
-        usage: userUsage, // User's analyses usage
-        tokenUsage: totalUsage, // AI token usage (for internal tracking)
-        processingTimeMs: personResult.data.metadata?.processingTimeMs,
+    if (errors.length > 0) {
+      logger.warn(
+        `[${requestId}] ⚠️  Refreshed section ${section} failed validation: ${errors.join(
+          ', '
+        )}`
+      )
+      return res.status(502).json({
+        success: false,
+        error: `Refreshed ${section} data failed schema validation. Cached analysis left unchanged.`,
+        errorType: 'validation_error',
+        details: errors,
         requestId,
-        combinedAnalysis: !!responseData.company,
       })
-    } catch (error) {
-      handleAnalysisError(error, requestId, res, 'Person analysis')
     }
+
+    // Re-read so a refresh that finished meanwhile isn't overwritten
+    const latest = (await cacheService.getWithStatus(cacheKey)) || cachedEntry
+    const refreshedAt = new Date().toISOString()
+    const metadata = {
+      ...latest.value.metadata,
+      sectionsRefreshedAt: {
+        ...latest.value.metadata?.sectionsRefreshedAt,
+        [section]: refreshedAt,
+      },
+    }
+    // The section has data now, so it no longer counts as skipped for budget
+    if (metadata.budget?.skippedSections?.includes(section)) {
+      metadata.budget = {
+        ...metadata.budget,
+        skippedSections: metadata.budget.skippedSections.filter(
+          (skipped) => skipped !== section
+        ),
+      }
+    }
+    const patched = {
+      ...latest.value,
+      ...result.fields,
+      provenance: mergeProvenance(
+        latest.value.provenance,
+        result.provenance,
+        Object.keys(result.fields)
+      ),
+      metadata,
+    }
+
+    await cacheService.set(cacheKey, patched, null, {
+      cachedAt: latest.cachedAt,
+    })
+    logger.info(
+      `[${requestId}] 💾 Patched section ${section} into cache: ${label}`
+    )
+
+    res.json({
+      success: true,
+      section,
+      data: result.fields,
+      provenance: result.provenance,
+      refreshedAt,
+      source: result.source,
+      stale: latest.stale,
+      requestId,
+    })
+  } catch (error) {
+    handleAnalysisError(error, requestId, res, 'Section refresh')
+  }
+}
+
+/**
+ * Refresh one section of a cached company analysis
+ * Sections: see COMPANY_SECTION_FIELDS (stockData, recentNews, techStack, ...)
+ * Body: { companyUrl?, companyDomain? } - part of the cache key, as in POST /company
+ * The company must already be cached. Counts as 1 analysis against the quota
+ * (the section's micro-prompts are paid for), but logs no usage credit
+ */
+router.post(
+  '/company/:name/sections/:section/refresh',
+  optionalAuth,
+  enforceQuota,
+  validateSectionRefresh,
+  (req, res) => {
+    const companyName = req.params.name
+    const { companyUrl, companyDomain } = req.body
+    return refreshCachedSection(req, res, {
+      cacheKey: cacheService.generateCompanyKey(companyName, {
+        companyUrl,
+        domain: companyDomain,
+      }),
+      section: req.params.section,
+      sectionFields: COMPANY_SECTION_FIELDS,
+      schema: CompanyAnalysisSchema,
+      refresh: (cached) =>
+        perplexityService.refreshCompanySection(
+          companyName,
+          req.params.section,
+          {
+            companyDomain: companyDomain || cached.metadata?.companyDomain,
+            hints: { companyUrl },
+          }
+        ),
+      label: companyName,
+    })
   }
 )
 
+/**
+ * Refresh one section of a cached person analysis
+ * Sections: see PERSON_SECTION_FIELDS (personBasicInfo, personMediaPresence, ...)
+ * Body: { companyName, title?, profileUrl?, observedFacts? } - companyName and
+ * profileUrl are part of the cache key; observedFacts ground the micro-prompt
+ * as in POST /person
+ */
+router.post(
+  '/person/:name/sections/:section/refresh',
+  optionalAuth,
+  enforceQuota,
+  validateSectionRefresh,
+  (req, res) => {
+    const fullName = req.params.name
+    const { companyName = '', title, profileUrl, observedFacts } = req.body
+    return refreshCachedSection(req, res, {
+      cacheKey: cacheService.generatePersonKey(fullName, companyName, {
+        profileUrl,
+      }),
+      section: req.params.section,
+      sectionFields: PERSON_SECTION_FIELDS,
+      schema: PersonAnalysisSchema,
+      refresh: (cached) =>
+        perplexityService.refreshPersonSection(
+          {
+            name: fullName,
+            title: title || cached.title || '',
+            company: companyName,
+            profileUrl,
+            observedFacts,
+          },
+          req.params.section
+        ),
+      label: companyName ? `${fullName} (${companyName})` : fullName,
+    })
+  }
+)
+
+/**
+ * Get batch job status and results
+ * Only the user who created the job can read it (other callers get 404)
+ * Query: ?includeResults=false to return progress only
+ */
+router.get('/jobs/:id', optionalAuth, (req, res) => {
+  const requestId = req.requestId
+  const job = jobQueueService.getJob(req.params.id, {
+    includeResults: req.query.includeResults !== 'false',
+    userId: req.user?.id,
+  })
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      requestId,
+    })
+  }
+
+  res.json({
+    success: true,
+    job,
+    requestId,
+  })
+})
+
 /**
  * Get comprehensive cache statistics from both L1 (memory) and L2 (database)
+ * Admin only - see also /admin/cache/stats
  */
-router.get('/cache/stats', async (req, res) => {
+router.get('/cache/stats', requireAdmin, async (req, res) => {
   try {
     // Get L1 (memory) and L2 (database) cache stats
     const cacheStats = await cacheService.getStats()
@@ -1226,43 +1181,23 @@ router.get('/cache/stats', async (req, res) => {
 })
 
 /**
- * Clear stale analyses from database (admin endpoint)
- * NOTE: This clears analyses older than 30 days for ALL users
+ * Clear stale analyses (admin endpoint)
+ * NOTE: This purges entries cached more than 30 days ago for ALL users, from
+ * L1, L2 and usage_logs references - works with any L2 backend
+ * For targeted purges use DELETE /admin/cache
  */
-router.delete('/cache', async (req, res) => {
+router.delete('/cache', requireAdmin, async (req, res) => {
   try {
-    if (!supabaseService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        error: 'Database not configured',
-        requestId: req.requestId,
-      })
-    }
-
-    // Delete analyses older than 30 days
-    const thirtyDaysAgo = new Date()
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30)
-
-    const { data: staleAnalyses, error: countError } =
-      await supabaseService.client
-        .from('usage_logs')
-        .select('id', { count: 'exact' })
-        .lt('refreshed_at', thirtyDaysAgo.toISOString())
-
-    const beforeCount = staleAnalyses?.length || 0
-
-    const { error } = await supabaseService.client
-      .from('usage_logs')
-      .delete()
-      .lt('refreshed_at', thirtyDaysAgo.toISOString())
-
-    if (error) throw error
+    const { keys, l1, l2 } = await cacheService.purge({
+      minAgeMs: STALE_ANALYSIS_AGE_MS,
+    })
 
     res.json({
       success: true,
-      message: `Cleared ${beforeCount} stale analyses (>30 days old)`,
-      beforeCount,
-      afterCount: 0,
+      message: `Cleared ${keys.length} stale analyses (>30 days old)`,
+      purged: keys.length,
+      keys,
+      layers: { l1, l2 },
       requestId: req.requestId,
     })
   } catch (error) {
@@ -1276,21 +1211,15 @@ router.delete('/cache', async (req, res) => {
 })
 
 /**
- * Get rate limiting statistics (admin/monitoring endpoint)
+ * Get quota statistics - counter store and plan limits (admin/monitoring endpoint)
  */
 router.get('/rate-limit/stats', async (req, res) => {
   try {
-    const stats = getRateLimitStats()
+    const stats = await getRateLimitStats()
 
     res.json({
       success: true,
-      stats: {
-        ...stats,
-        config: {
-          anonymous: config.rateLimit.anonymous,
-          authenticated: config.rateLimit.authenticated,
-        },
-      },
+      stats,
       requestId: req.requestId,
     })
   } catch (error) {
@@ -1304,72 +1233,49 @@ router.get('/rate-limit/stats', async (req, res) => {
 })
 
 /**
- * Chat endpoint - Context-aware conversational AI
- * Accepts chat messages and optional LinkedIn context
+ * Chat endpoint - conversational AI grounded in cached analyses
+ * Body: { messages, subject?: { type, name, ... }, context? } - see chatService
+ * The answer cites analysis fields inline ([c3]); fieldCitations resolves them.
+ * POST /analyze/chat/stream streams the same answer token by token
  */
-router.post('/chat', optionalAuth, rateLimitAnonymous, async (req, res) => {
-  const { messages, context } = req.body
-  const requestId = req.requestId
-
-  try {
-    // Validate request
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Messages array is required',
-        requestId,
-      })
-    }
-
-    // Validate message format
-    for (const msg of messages) {
-      if (!msg.role || !msg.content) {
-        return res.status(400).json({
-          success: false,
-          error: 'Each message must have role and content',
-          requestId,
-        })
-      }
-      if (!['user', 'assistant'].includes(msg.role)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message role must be "user" or "assistant"',
-          requestId,
-        })
-      }
-    }
-
-    logger.info(
-      `[${requestId}] 💬 Chat request: ${messages.length} messages, context: ${
-        context ? context.type : 'none'
-      }`
-    )
+router.post(
+  '/chat',
+  optionalAuth,
+  enforceQuota,
+  validateChatRequest,
+  async (req, res) => {
+    const { messages, subject, context } = req.body
+    const requestId = req.requestId
 
-    // Note: Chat doesn't check analysis limits since it's free/supplementary
-    // Rate limiting (from middleware) still applies to prevent abuse
+    try {
+      logger.info(
+        `[${requestId}] 💬 Chat request: ${
+          messages.length
+        } messages, subject: ${subject?.name || context?.name || 'none'}`
+      )
 
-    // Get chat response from Perplexity
-    const result = await perplexityService.chat(messages, context)
+      // Chat doesn't consume analysis credits - it is part of the analysis
+      // experience; the chatMessages quota (middleware) still applies
+      const result = await chatService.chat({ messages, subject, context })
 
-    // Note: Chat is conversational and doesn't consume analysis credits
-    // The entity analysis is already charged when viewing the profile/company
-    // Chat is included as part of the analysis experience
-    logger.info(
-      `[${requestId}] ✅ Chat response generated (no credit charge - supplementary to analysis)`
-    )
+      logger.info(
+        `[${requestId}] ✅ Chat response generated (${result.fieldCitations.length} field citations, ${result.toolCalls.length} tool calls)`
+      )
 
-    // Return chat response
-    res.json({
-      success: true,
-      message: result.content,
-      citations: result.citations,
-      timestamp: result.timestamp,
-      requestId,
-    })
-  } catch (error) {
-    logger.error(`[${requestId}] ❌ Chat error:`, error.message)
-    handleAnalysisError(error, res, requestId)
+      res.json({
+        success: true,
+        message: result.content,
+        fieldCitations: result.fieldCitations,
+        citations: result.citations,
+        toolCalls: result.toolCalls,
+        subject: result.subject,
+        timestamp: result.timestamp,
+        requestId,
+      })
+    } catch (error) {
+      handleAnalysisError(error, requestId, res, 'Chat')
+    }
   }
-})
+)
 
 module.exports = router
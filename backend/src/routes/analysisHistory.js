@@ -0,0 +1,121 @@
+/**
+ * Analysis History Routes - snapshots and "what changed" diffs
+ *
+ * Every full analysis written to the cache is kept as a snapshot (snapshotService).
+ *   GET /analyze/company/:name/history?companyUrl=&companyDomain=
+ *   GET /analyze/company/:name/diff?companyUrl=&companyDomain=&from=&to=
+ *   GET /analyze/person/:name/history?companyName=&profileUrl=
+ *   GET /analyze/person/:name/diff?companyName=&profileUrl=&from=&to=
+ *
+ * companyUrl/companyDomain/profileUrl pick the same cache key as the analysis
+ * request, so URL-keyed analyses have their history found.
+ * from/to accept a snapshot id or an ISO date (latest snapshot at or before it).
+ * Without them the diff compares the latest snapshot with the one before it.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { cacheService, snapshotService } = require('../services')
+const { optionalAuth } = require('../middleware/auth')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('AnalysisHistoryRoute')
+
+/**
+ * Cache key + label for a company or person request
+ */
+function resolveEntity(entityType, req) {
+  const name = req.params.name
+  if (entityType === 'company') {
+    const { companyUrl, companyDomain } = req.query
+    return {
+      key: cacheService.generateCompanyKey(name, {
+        companyUrl,
+        domain: companyDomain,
+      }),
+      label: name,
+    }
+  }
+
+  const { companyName = '', profileUrl } = req.query
+  return {
+    key: cacheService.generatePersonKey(name, companyName, { profileUrl }),
+    label: companyName ? `${name} (${companyName})` : name,
+  }
+}
+
+function historyHandler(entityType) {
+  return async (req, res) => {
+    const requestId = req.requestId
+    const { key, label } = resolveEntity(entityType, req)
+
+    try {
+      const snapshots = await snapshotService.getHistory(key)
+      res.json({
+        success: true,
+        entityType,
+        name: label,
+        snapshots,
+        requestId,
+      })
+    } catch (error) {
+      logger.error(
+        `[${requestId}] ❌ History lookup failed for ${label}:`,
+        error
+      )
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load analysis history',
+        requestId,
+      })
+    }
+  }
+}
+
+function diffHandler(entityType) {
+  return async (req, res) => {
+    const requestId = req.requestId
+    const { key, label } = resolveEntity(entityType, req)
+
+    try {
+      const diff = await snapshotService.diff(key, entityType, {
+        from: req.query.from,
+        to: req.query.to,
+      })
+
+      logger.debug(
+        `[${requestId}] 🔀 Diff for ${label}: +${diff.summary.added} -${diff.summary.removed} ~${diff.summary.changed}`
+      )
+
+      res.json({
+        success: true,
+        entityType,
+        name: label,
+        ...diff,
+        requestId,
+      })
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return res.status(404).json({
+          success: false,
+          error: error.message,
+          requestId,
+        })
+      }
+
+      logger.error(`[${requestId}] ❌ Diff failed for ${label}:`, error)
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compute analysis diff',
+        requestId,
+      })
+    }
+  }
+}
+
+router.get('/company/:name/history', optionalAuth, historyHandler('company'))
+router.get('/company/:name/diff', optionalAuth, diffHandler('company'))
+router.get('/person/:name/history', optionalAuth, historyHandler('person'))
+router.get('/person/:name/diff', optionalAuth, diffHandler('person'))
+
+module.exports = router
@@ -0,0 +1,582 @@
+/**
+ * Analysis Streaming Routes - Server-Sent Events variants of company/person analysis
+ *
+ * Same request bodies as POST /analyze/company and POST /analyze/person, but the
+ * response is an SSE stream:
+ *   event: start     → { type, sections, requestId }
+ *   event: section   → { section, success, data, source, error, skipped } (one per micro-prompt)
+ *   event: complete  → same payload as the non-streaming endpoint
+ *   event: error     → { success: false, error, errorType, requestId }
+ *
+ * Cached analyses past their soft TTL are returned immediately with stale: true and
+ * refreshing: true while a background refresh runs. Re-sending the request with
+ * awaitRefresh: true holds the stream until that refresh lands.
+ *
+ * POST /analyze/chat/stream streams a chat answer (same body as /analyze/chat):
+ *   event: start     → { subject, requestId }
+ *   event: tool      → { tool, args, account, found, stale, facts, error } (one per lookup)
+ *   event: token     → { text }
+ *   event: citation  → a field citation, the first time the answer cites it
+ *   event: complete  → same payload as the non-streaming endpoint
+ *   event: error     → { success: false, error, errorType, requestId }
+ */
+
+const express = require('express')
+const router = express.Router()
+const { perplexityService, cacheService, chatService } = require('../services')
+const {
+  validateCompanyAnalysis,
+  validatePersonAnalysis,
+  validateChatRequest,
+  enforceQuota,
+  chargeFollowUpAnalysis,
+} = require('../middleware')
+const { optionalAuth } = require('../middleware/auth')
+const {
+  recordWorkspaceAnalysis,
+  markAnalysisServed,
+} = require('../middleware/workspaceActivity')
+const {
+  checkUsageLimit,
+  limitExceededPayload,
+  recordUsage,
+} = require('./analysisUsage')
+const { openEventStream } = require('../utils/sse')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('AnalysisStreamRoute')
+
+// Sections emitted by MicroPromptOrchestrator.analyzeCompany / analyzePerson
+const COMPANY_SECTIONS = [
+  'stockData',
+  'recentNews',
+  'growthEvents',
+  'companyChallenges',
+  'industryContext',
+  'techStack',
+  'priorityContacts',
+  'companyIntelligence',
+  'companyActivity',
+]
+
+const PERSON_SECTIONS = [
+  'personBasicInfo',
+  'personMediaPresence',
+  'personSocialActivity',
+  'personQuotedChallenges',
+  'personRiskSignals',
+]
+
+/**
+ * Read a schema-validated analysis from cache (invalid entries are purged)
+ * @returns {Object|null} getWithStatus() entry { value, stale, cachedAt }
+ */
+async function getValidCachedAnalysis(cacheKey, analysisType, requestId) {
+  const entry = await cacheService.getWithStatus(cacheKey)
+  if (!entry) {
+    return null
+  }
+
+  const validation =
+    analysisType === 'company'
+      ? cacheService.validateCompanyCache(entry.value)
+      : cacheService.validatePersonCache(entry.value)
+
+  if (!validation.valid) {
+    logger.warn(
+      `[${requestId}] ⚠️  Cache validation failed for ${cacheKey}: ${validation.errors.join(
+        ', '
+      )}`
+    )
+    await cacheService.deleteFromAllSources(cacheKey)
+    return null
+  }
+
+  logger.info(
+    `[${requestId}] 💾 Cache hit (schema validated${
+      entry.stale ? ', stale' : ''
+    }): ${cacheKey}`
+  )
+  return entry
+}
+
+/**
+ * Serve a cache hit - stale entries are returned immediately while a background
+ * refresh runs (or, for awaitRefresh follow-ups, after that refresh lands)
+ * @returns {Object} { data, cached, deduplicated, stale, refreshing }
+ */
+async function serveCachedAnalysis(cacheKey, entry, refresh, awaitRefresh) {
+  const served = await cacheService.serveWithRevalidation(
+    cacheKey,
+    entry,
+    refresh,
+    { awaitRefresh }
+  )
+  return {
+    data: served.value,
+    cached: true,
+    deduplicated: false,
+    stale: served.stale,
+    refreshing: served.refreshing,
+  }
+}
+
+/**
+ * Run an analysis with request deduplication and save it to cache
+ * @returns {Object} { data, cached, deduplicated }
+ */
+async function analyzeWithDedup(cacheKey, runAnalysis) {
+  const pendingResult = await cacheService.waitForPendingRequest(cacheKey)
+  if (pendingResult && pendingResult.success) {
+    return { data: pendingResult.data, cached: false, deduplicated: true }
+  }
+
+  const analysisPromise = runAnalysis()
+  cacheService.registerPendingRequest(cacheKey, analysisPromise)
+
+  let result
+  try {
+    result = await analysisPromise
+  } finally {
+    cacheService.clearPendingRequest(cacheKey)
+  }
+
+  if (!result || !result.success) {
+    throw new Error('Analysis failed')
+  }
+
+  await cacheService.set(cacheKey, result.data)
+  return { data: result.data, cached: false, deduplicated: false }
+}
+
+/**
+ * Charge reason when the user is charged for an analysis outcome
+ */
+function chargeReasonFor(outcome) {
+  if (outcome.cached) return 'first_time_cache_hit'
+  return outcome.deduplicated ? 'concurrent_request' : 'fresh_analysis'
+}
+
+/**
+ * Send a needs-disambiguation event - the user picks a candidate and the
+ * request is re-sent with its companyDomain
+ */
+function sendNeedsDisambiguation(stream, companyName, candidates, requestId) {
+  stream.send('error', {
+    success: false,
+    error: `Several companies match "${companyName}". Pick one to analyze.`,
+    errorType: 'needs_disambiguation',
+    companyName,
+    candidates,
+    requestId,
+  })
+}
+
+/**
+ * Send an analysis failure event - spend budget refusals keep their errorType
+ */
+function sendStreamError(stream, error, requestId, analysisType) {
+  if (error.errorType === 'budget_exceeded') {
+    logger.warn(`[${requestId}] 💰 ${analysisType} refused: ${error.message}`)
+    return stream.send('error', {
+      success: false,
+      error: error.message,
+      errorType: 'budget_exceeded',
+      requestId,
+    })
+  }
+
+  logger.error(`[${requestId}] ❌ ${analysisType} stream error:`, error)
+  stream.send('error', {
+    success: false,
+    error: `${analysisType} failed. Please try again.`,
+    errorType: 'internal_error',
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    requestId,
+  })
+}
+
+/**
+ * Stream company analysis - emits each micro-prompt section as it completes
+ */
+router.post(
+  '/company/stream',
+  optionalAuth,
+  enforceQuota,
+  validateCompanyAnalysis,
+  recordWorkspaceAnalysis('company'),
+  async (req, res) => {
+    const {
+      companyName,
+      companyUrl,
+      companyDomain,
+      industry,
+      website,
+      location,
+      awaitRefresh,
+    } = req.body
+    const requestId = req.requestId
+    const startTime = Date.now()
+    const stream = openEventStream(res)
+
+    try {
+      logger.info(`[${requestId}] 📡 Company stream request: ${companyName}`)
+
+      const exceededUsage = await checkUsageLimit(req, requestId)
+      if (exceededUsage) {
+        return stream.send(
+          'error',
+          limitExceededPayload(exceededUsage, requestId)
+        )
+      }
+
+      stream.send('start', {
+        type: 'company',
+        companyName,
+        sections: COMPANY_SECTIONS,
+        requestId,
+      })
+
+      const cacheKey = cacheService.generateCompanyKey(companyName, {
+        companyUrl,
+        domain: companyDomain,
+      })
+      const cachedEntry = await getValidCachedAnalysis(
+        cacheKey,
+        'company',
+        requestId
+      )
+
+      let outcome
+      if (cachedEntry) {
+        outcome = await serveCachedAnalysis(
+          cacheKey,
+          cachedEntry,
+          () =>
+            perplexityService.refreshCompanyAnalysis(companyName, {
+              companyDomain:
+                companyDomain || cachedEntry.value.metadata?.companyDomain,
+              hints: { companyUrl, website, industry, location },
+            }),
+          awaitRefresh === true
+        )
+      } else {
+        const followUpRefused = await chargeFollowUpAnalysis(req)
+        if (followUpRefused) {
+          return stream.send('error', followUpRefused)
+        }
+
+        // Ambiguous name ("Mercury") - let the user pick before any credits are spent
+        const resolution = await perplexityService.resolveCompanyForAnalysis(
+          companyName,
+          {
+            companyDomain,
+            hints: { companyUrl, website, industry, location },
+          }
+        )
+        if (resolution.needsDisambiguation) {
+          return sendNeedsDisambiguation(
+            stream,
+            companyName,
+            resolution.candidates,
+            requestId
+          )
+        }
+
+        outcome = await analyzeWithDedup(cacheKey, () =>
+          perplexityService.analyzeCompanyWithMicroPrompts(companyName, {
+            ...resolution.analysisOptions,
+            onSection: (event) => stream.send('section', event),
+          })
+        )
+      }
+
+      const { creditsCharged, chargeReason, usage } = await recordUsage(
+        req,
+        requestId,
+        cacheKey,
+        {
+          analysis_type: 'company',
+          company_name: companyName,
+          linkedin_url: companyUrl,
+          data_sources: outcome.data.metadata?.sources || [],
+        },
+        { fromCache: outcome.cached, chargeReason: chargeReasonFor(outcome) }
+      )
+
+      logger.info(
+        `[${requestId}] ✅ Company stream completed: ${companyName} (${
+          outcome.cached ? 'cache' : 'fresh'
+        })`
+      )
+
+      markAnalysisServed(res)
+      stream.send('complete', {
+        success: true,
+        data: outcome.data,
+        cached: outcome.cached,
+        fromCache: outcome.cached || creditsCharged === 0,
+        deduplicated: outcome.deduplicated,
+        stale: !!outcome.stale,
+        refreshing: !!outcome.refreshing,
+        chargeReason,
+        creditsCharged,
+        architecture: 'enhanced-sdr-intelligence',
+        usage,
+        processingTimeMs: Date.now() - startTime,
+        requestId,
+      })
+    } catch (error) {
+      sendStreamError(stream, error, requestId, 'Company analysis')
+    } finally {
+      stream.close()
+    }
+  }
+)
+
+/**
+ * Stream person analysis (optionally followed by company analysis)
+ */
+router.post(
+  '/person/stream',
+  optionalAuth,
+  enforceQuota,
+  validatePersonAnalysis,
+  recordWorkspaceAnalysis('person'),
+  async (req, res) => {
+    const {
+      fullName,
+      title,
+      profileUrl,
+      companyName,
+      includeCompanyAnalysis,
+      awaitRefresh,
+      observedFacts,
+    } = req.body
+    const requestId = req.requestId
+    const startTime = Date.now()
+    const stream = openEventStream(res)
+    const withCompany = !!(includeCompanyAnalysis && companyName)
+
+    try {
+      logger.info(`[${requestId}] 📡 Person stream request: ${fullName}`)
+
+      const exceededUsage = await checkUsageLimit(req, requestId)
+      if (exceededUsage) {
+        return stream.send(
+          'error',
+          limitExceededPayload(exceededUsage, requestId)
+        )
+      }
+
+      stream.send('start', {
+        type: 'person',
+        fullName,
+        companyName,
+        sections: withCompany
+          ? [...PERSON_SECTIONS, ...COMPANY_SECTIONS]
+          : PERSON_SECTIONS,
+        requestId,
+      })
+
+      const onSection = (event) => stream.send('section', event)
+
+      // Phase 1: Person analysis
+      const personCacheKey = cacheService.generatePersonKey(
+        fullName,
+        companyName,
+        { profileUrl }
+      )
+      const cachedPerson = await getValidCachedAnalysis(
+        personCacheKey,
+        'person',
+        requestId
+      )
+      if (!cachedPerson) {
+        const followUpRefused = await chargeFollowUpAnalysis(req)
+        if (followUpRefused) {
+          return stream.send('error', followUpRefused)
+        }
+      }
+      const personOutcome = cachedPerson
+        ? await serveCachedAnalysis(
+            personCacheKey,
+            cachedPerson,
+            () =>
+              perplexityService.analyzePerson({
+                name: fullName,
+                title,
+                company: companyName,
+                profileUrl,
+                observedFacts,
+              }),
+            awaitRefresh === true
+          )
+        : await analyzeWithDedup(personCacheKey, () =>
+            perplexityService.analyzePerson(
+              {
+                name: fullName,
+                title,
+                company: companyName,
+                profileUrl,
+                observedFacts,
+              },
+              { onSection }
+            )
+          )
+
+      const responseData = {
+        profile: personOutcome.data,
+        pageType: 'profile',
+      }
+
+      // Phase 2: Company analysis (non-fatal - person data is still returned)
+      let companyCached = true
+      let companyOutcome = null
+      if (withCompany) {
+        try {
+          const companyCacheKey = cacheService.generateCompanyKey(companyName)
+          const cachedCompany = await getValidCachedAnalysis(
+            companyCacheKey,
+            'company',
+            requestId
+          )
+          const followUpRefused =
+            !cachedCompany && (await chargeFollowUpAnalysis(req))
+          if (followUpRefused) {
+            throw new Error(followUpRefused.error)
+          }
+          companyOutcome = cachedCompany
+            ? await serveCachedAnalysis(
+                companyCacheKey,
+                cachedCompany,
+                () =>
+                  perplexityService.refreshCompanyAnalysis(companyName, {
+                    companyDomain: cachedCompany.value.metadata?.companyDomain,
+                  }),
+                awaitRefresh === true
+              )
+            : // No picker here - an ambiguous company name is skipped, not guessed
+              await analyzeWithDedup(companyCacheKey, () =>
+                perplexityService.refreshCompanyAnalysis(companyName, {
+                  onSection,
+                })
+              )
+          responseData.company = companyOutcome.data
+          companyCached = companyOutcome.cached
+        } catch (companyError) {
+          logger.warn(
+            `[${requestId}] ⚠️ Company analysis failed during person stream, returning person only:`,
+            companyError.message
+          )
+        }
+      }
+
+      const fromCacheOnly = personOutcome.cached && companyCached
+      const { creditsCharged, chargeReason, usage } = await recordUsage(
+        req,
+        requestId,
+        personCacheKey,
+        {
+          analysis_type: 'person',
+          person_name: fullName,
+          person_title: title,
+          company_name: companyName,
+          linkedin_url: profileUrl,
+          data_sources: [
+            ...(personOutcome.data.metadata?.sources || []),
+            ...(companyOutcome?.data.metadata?.sources || []),
+          ],
+        },
+        {
+          fromCache: fromCacheOnly,
+          chargeReason: chargeReasonFor(personOutcome),
+        }
+      )
+
+      logger.info(`[${requestId}] ✅ Person stream completed: ${fullName}`)
+
+      markAnalysisServed(res)
+      stream.send('complete', {
+        success: true,
+        data: responseData,
+        cached: fromCacheOnly,
+        fromCache: fromCacheOnly || creditsCharged === 0,
+        combinedAnalysis: !!responseData.company,
+        stale: !!(personOutcome.stale || companyOutcome?.stale),
+        refreshing: !!(personOutcome.refreshing || companyOutcome?.refreshing),
+        chargeReason,
+        creditsCharged,
+        usage,
+        processingTimeMs: Date.now() - startTime,
+        requestId,
+      })
+    } catch (error) {
+      sendStreamError(stream, error, requestId, 'Person analysis')
+    } finally {
+      stream.close()
+    }
+  }
+)
+
+/**
+ * Stream a chat answer - tool lookups, then the answer token by token
+ */
+router.post(
+  '/chat/stream',
+  optionalAuth,
+  enforceQuota,
+  validateChatRequest,
+  async (req, res) => {
+    const { messages, subject, context } = req.body
+    const requestId = req.requestId
+    const stream = openEventStream(res)
+
+    // Stop the upstream completion if the client goes away
+    const controller = new AbortController()
+    res.on('close', () => controller.abort())
+
+    try {
+      logger.info(
+        `[${requestId}] 📡 Chat stream request: ${messages.length} messages`
+      )
+
+      stream.send('start', { subject: subject || null, requestId })
+
+      const result = await chatService.chat(
+        { messages, subject, context },
+        {
+          signal: controller.signal,
+          onTool: (call) => stream.send('tool', call),
+          onToken: (text) => stream.send('token', { text }),
+          onCitation: (citation) => stream.send('citation', citation),
+        }
+      )
+
+      logger.info(
+        `[${requestId}] ✅ Chat stream completed (${result.fieldCitations.length} field citations, ${result.toolCalls.length} tool calls)`
+      )
+
+      stream.send('complete', {
+        success: true,
+        message: result.content,
+        fieldCitations: result.fieldCitations,
+        citations: result.citations,
+        toolCalls: result.toolCalls,
+        subject: result.subject,
+        timestamp: result.timestamp,
+        requestId,
+      })
+    } catch (error) {
+      if (stream.isClosed()) {
+        logger.info(`[${requestId}] Chat stream closed by the client`)
+      } else {
+        sendStreamError(stream, error, requestId, 'Chat')
+      }
+    } finally {
+      stream.close()
+    }
+  }
+)
+
+module.exports = router
@@ -0,0 +1,147 @@
+/**
+ * Shared Usage Helpers for Analysis Routes
+ * Monthly limit checks and Pay Once Per Entity usage logging, used by the
+ * JSON (analysis.js) and streaming (analysisStream.js) endpoints alike
+ */
+
+const supabaseService = require('../services/supabaseService')
+const { Logger } = require('../utils/logger')
+const logger = new Logger('AnalysisUsage')
+
+/**
+ * Check the monthly limit of an authenticated user
+ * Never blocks when the check itself fails
+ * @param {Object} req - Express request (req.user)
+ * @param {string} requestId - Request ID for tracking
+ * @returns {Object|null} Usage payload if the limit is exceeded
+ */
+async function checkUsageLimit(req, requestId) {
+  if (!req.user || !supabaseService.isConfigured()) {
+    return null
+  }
+
+  try {
+    const hasExceeded = await supabaseService.hasExceededLimit(req.user.id)
+    if (!hasExceeded) {
+      return null
+    }
+
+    const subscription = await supabaseService.getUserSubscription(req.user.id)
+    const usage = await supabaseService.getMonthlyUsage(req.user.id)
+
+    logger.warn(
+      `[${requestId}] 🚫 User ${req.user.id} exceeded limit: ${usage.total_credits}/${subscription.analyses_limit}`
+    )
+
+    return {
+      analysesUsed: usage.total_credits, // Unique entities charged this month
+      analysesLimit: subscription.analyses_limit,
+      planType: subscription.plan_type,
+    }
+  } catch (limitError) {
+    logger.warn(
+      `[${requestId}] Could not check user limit, allowing request:`,
+      limitError.message
+    )
+    return null
+  }
+}
+
+/**
+ * Error payload for a user over their monthly limit
+ * @param {Object} usage - Payload from checkUsageLimit()
+ * @param {string} requestId - Request ID for tracking
+ */
+function limitExceededPayload(usage, requestId) {
+  return {
+    success: false,
+    error: `Monthly analysis limit exceeded. You've used ${usage.analysesUsed} of ${usage.analysesLimit} unique entities this month. Revisits are free. Upgrade your plan for more analyses.`,
+    errorType: 'limit_exceeded',
+    usage,
+    requestId,
+  }
+}
+
+/**
+ * Current monthly usage of a user, for the response
+ * @returns {Object} { analysesUsed, analysesLimit, analysesRemaining, planType }
+ */
+async function getUsageSummary(userId) {
+  const subscription = await supabaseService.getUserSubscription(userId)
+  const usage = await supabaseService.getMonthlyUsage(userId)
+
+  return {
+    analysesUsed: usage.total_credits,
+    analysesLimit: subscription.analyses_limit,
+    analysesRemaining: Math.max(
+      0,
+      subscription.analyses_limit - usage.total_credits
+    ),
+    planType: subscription.plan_type,
+  }
+}
+
+/**
+ * Log an analysis for an authenticated user (Pay Once Per Entity) - entities
+ * the user has analyzed before are free
+ * Logging failures never fail the request
+ * @param {Object} req - Express request (req.user)
+ * @param {string} requestId - Request ID for tracking
+ * @param {string} cacheKey - Cache key of the analyzed entity
+ * @param {Object} usageLog - usage_logs fields (analysis_type, names, data_sources, ...)
+ * @param {Object} options - { fromCache, chargeReason: reason when charged }
+ * @returns {Object} { creditsCharged, chargeReason, usage }
+ */
+async function recordUsage(
+  req,
+  requestId,
+  cacheKey,
+  usageLog,
+  { fromCache, chargeReason = 'fresh_analysis' }
+) {
+  let creditsCharged = 1
+  let usage = null
+
+  if (!req.user || !supabaseService.isConfigured()) {
+    logger.info(`[${requestId}] ℹ️ Anonymous analysis - no usage tracking`)
+    return { creditsCharged, chargeReason, usage }
+  }
+
+  try {
+    const hasSeenBefore = await supabaseService.hasUserAnalyzedBefore(
+      req.user.id,
+      cacheKey
+    )
+    creditsCharged = hasSeenBefore ? 0 : 1
+    if (hasSeenBefore) {
+      chargeReason = 'previously_analyzed'
+    }
+
+    await supabaseService.logUsage(req.user.id, {
+      ...usageLog,
+      cache_key: cacheKey, // Reference to analysis_cache (v2)
+      credits_used: creditsCharged,
+      from_cache: fromCache,
+      charge_reason: chargeReason,
+    })
+
+    // No need to increment monthly_usage - it's a VIEW over usage_logs
+    logger.info(
+      `[${requestId}] 📊 Usage logged (${creditsCharged} credit${
+        creditsCharged !== 1 ? 's' : ''
+      }, ${chargeReason}) for user ${req.user.id}`
+    )
+
+    usage = await getUsageSummary(req.user.id)
+  } catch (error) {
+    logger.warn(`[${requestId}] Failed to log usage:`, error.message)
+  }
+
+  return { creditsCharged, chargeReason, usage }
+}
+
+module.exports = {
+  checkUsageLimit,
+  limitExceededPayload,
+  recordUsage,
+}
@@ -0,0 +1,108 @@
+/**
+ * API Key Routes - the signed-in user's keys for scripts and integrations
+ *
+ * Keys are managed with a JWT (a key can't create or revoke keys). Users can
+ * issue analyze, enrich and chat keys; admin keys come from /admin/api-keys.
+ * A key issued for a workspace acts in it (its teamId) without X-Workspace-Id.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { apiKeyService, workspaceService } = require('../services')
+const { verifyAuth } = require('../middleware/auth')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('ApiKeysRoute')
+
+// verifyAuth rejects API keys here - key management needs a signed-in user
+router.use(verifyAuth)
+
+/**
+ * List the user's keys (secrets are never returned after creation)
+ */
+router.get('/', (req, res) => {
+  const keys = apiKeyService.list({ userId: req.user.id })
+  res.json({
+    success: true,
+    keys,
+    total: keys.length,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Create a key
+ * Body: { name, scope: analyze|enrich|chat, workspaceId?, rateLimit?: { windowMs, maxRequests } }
+ * The response's `key` is the only time the secret is shown
+ */
+router.post('/', (req, res) => {
+  const { name, scope, workspaceId, rateLimit } = req.body || {}
+
+  if (scope === 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin keys can only be issued through the admin API',
+      errorType: 'insufficient_scope',
+      requestId: req.requestId,
+    })
+  }
+
+  if (workspaceId && !workspaceService.membership(workspaceId, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not a member of this workspace',
+      errorType: 'workspace_forbidden',
+      requestId: req.requestId,
+    })
+  }
+
+  try {
+    const { key, apiKey } = apiKeyService.create(req.user.id, {
+      name,
+      scope,
+      teamId: workspaceId || null,
+      rateLimit,
+    })
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: 'validation_error',
+        requestId: req.requestId,
+      })
+    }
+
+    logger.error(`[${req.requestId}] ❌ Failed to create API key:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      requestId: req.requestId,
+    })
+  }
+})
+
+/**
+ * Revoke a key
+ */
+router.delete('/:id', (req, res) => {
+  const apiKey = apiKeyService.revoke(req.params.id, req.user.id)
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      requestId: req.requestId,
+    })
+  }
+
+  res.json({ success: true, apiKey, requestId: req.requestId })
+})
+
+module.exports = router
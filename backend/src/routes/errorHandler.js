@@ -15,6 +15,19 @@ const logger = new Logger('AnalysisErrorHandler')
  * @param {string} analysisType - Type of analysis (e.g., 'Company', 'Person')
  */
 function handleAnalysisError(error, requestId, res, analysisType = 'Analysis') {
+  // Spend budget reached - expected, so not an error worth reporting
+  if (error.errorType === 'budget_exceeded') {
+    logger.warn(`[${requestId}] 💰 ${analysisType} refused: ${error.message}`)
+    return res.status(503).json({
+      success: false,
+      error: error.message,
+      errorType: 'budget_exceeded',
+      requestId,
+      timestamp: new Date().toISOString(),
+      retryRecommendation: 'retry_after_budget_reset',
+    })
+  }
+
   logger.error(`[${requestId}] ❌ ${analysisType} error:`, error)
 
   // Capture error in Sentry with context
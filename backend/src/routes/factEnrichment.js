@@ -258,6 +258,7 @@ Return JSON:
       ]
 
       const details = await perplexityService.makeRequest(messages, {
+        promptType: 'enrichConferences',
         temperature: 0.1,
         maxTokens: 1000,
         webSearchOptions: { search_context_size: 'medium' },
@@ -330,6 +331,7 @@ Return JSON:
       ]
 
       const details = await perplexityService.makeRequest(messages, {
+        promptType: 'enrichAwards',
         temperature: 0.1,
         maxTokens: 1000,
         webSearchOptions: { search_context_size: 'medium' },
@@ -738,6 +740,7 @@ Return JSON:
     ]
 
     const result = await perplexityService.makeRequest(messages, {
+      promptType: 'verifyFact',
       temperature: 0.1,
       maxTokens: 1000,
       webSearchOptions: { search_context_size: 'medium' },
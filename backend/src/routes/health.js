@@ -5,7 +5,16 @@
 const express = require('express')
 const router = express.Router()
 const config = require('../config')
-const { perplexityService, cacheService } = require('../services')
+const {
+  perplexityService,
+  cacheService,
+  llmService,
+  upstreamRecorder,
+  watchlistService,
+  usageLedgerService,
+  budgetService,
+  promptExperimentService,
+} = require('../services')
 
 /**
  * Basic health check
@@ -50,23 +59,48 @@ router.get('/detailed', async (req, res) => {
     health.status = 'degraded'
   }
 
-  // Check Perplexity API
-  try {
-    const apiCheck = await perplexityService.testConnection()
-    health.services.perplexity = {
-      status: apiCheck.success ? 'healthy' : 'unhealthy',
-      response: apiCheck.success ? 'connected' : apiCheck.error,
-    }
+  // Check LLM providers (connection test goes through the default provider)
+  const llmStatus = llmService.getStatus()
+  health.services.llm = {
+    status: llmStatus.configuredProviders.length > 0 ? 'healthy' : 'unhealthy',
+    ...llmStatus,
+  }
+
+  // Record/replay mode - replay never touches the network, so skip the live check
+  health.services.upstream = upstreamRecorder.getStatus()
+
+  // Watchlist scheduler
+  health.services.watchlist = {
+    schedulerEnabled: config.watchlist.schedulerEnabled,
+    ...watchlistService.getStats(),
+  }
+
+  health.services.usageLedger = usageLedgerService.getStats()
+  health.services.budget = budgetService.getStatus()
+  health.services.promptExperiments = promptExperimentService.getStats()
+  health.services.microPrompts =
+    perplexityService.microPromptOrchestrator.getOutputStats()
 
-    if (!apiCheck.success) {
+  if (llmStatus.configuredProviders.length === 0) {
+    health.status = 'degraded'
+  } else if (upstreamRecorder.isReplay()) {
+    health.services.llm.response = 'replay'
+  } else {
+    try {
+      const apiCheck = await perplexityService.testConnection()
+      health.services.llm.status = apiCheck.success ? 'healthy' : 'unhealthy'
+      health.services.llm.response = apiCheck.success
+        ? 'connected'
+        : apiCheck.error
+
+      if (!apiCheck.success) {
+        health.status = 'degraded'
+      }
+    } catch (error) {
+      health.services.llm.status = 'unhealthy'
+      health.services.llm.error = error.message
       health.status = 'degraded'
     }
-  } catch (error) {
-    health.services.perplexity = {
-      status: 'unhealthy',
-      error: error.message,
-    }
-    health.status = 'degraded'
   }
 
   // System metrics
@@ -8,12 +8,35 @@ const router = express.Router()
 
 const healthRoutes = require('./health')
 const analysisRoutes = require('./analysis')
+const analysisStreamRoutes = require('./analysisStream')
+const analysisHistoryRoutes = require('./analysisHistory')
 const factEnrichmentRoutes = require('./factEnrichment')
+const watchlistRoutes = require('./watchlist')
+const usageRoutes = require('./usage')
+const adminRoutes = require('./admin')
+const apiKeyRoutes = require('./apiKeys')
+const workspaceRoutes = require('./workspaces')
+const { trackUsage, enforceQuota } = require('../middleware')
+const { optionalAuth } = require('../middleware/auth')
+
+// Upstream calls made by these routes are recorded in the usage ledger
+router.use(['/analyze', '/enrich'], trackUsage)
+
+// Enrichment routes have no auth of their own; identify the caller (API keys
+// are scope-checked and rate limited here), then apply their quota
+router.use('/enrich', optionalAuth, enforceQuota)
 
 // Mount routes
 router.use('/health', healthRoutes)
 router.use('/analyze', analysisRoutes)
+router.use('/analyze', analysisStreamRoutes)
+router.use('/analyze', analysisHistoryRoutes)
 router.use('/enrich', factEnrichmentRoutes)
+router.use('/watchlist', watchlistRoutes)
+router.use('/usage', usageRoutes)
+router.use('/admin', adminRoutes)
+router.use('/api-keys', apiKeyRoutes)
+router.use('/workspaces', workspaceRoutes)
 
 // API root endpoint
 router.get('/', (req, res) => {
@@ -28,15 +51,38 @@ router.get('/', (req, res) => {
       healthDetailed: '/health/detailed',
       companyAnalysis: '/analyze/company',
       personAnalysis: '/analyze/person',
+      companyAnalysisStream: '/analyze/company/stream',
+      personAnalysisStream: '/analyze/person/stream',
+      chat: '/analyze/chat',
+      chatStream: '/analyze/chat/stream',
+      batchAnalysis: '/analyze/batch',
+      batchJobStatus: '/analyze/jobs/:id',
+      companyHistory: '/analyze/company/:name/history',
+      companyDiff: '/analyze/company/:name/diff',
       cacheStats: '/analyze/cache/stats',
+      watchlist: '/watchlist',
+      watchlistEvents: '/watchlist/events',
+      usage: '/usage',
+      usageLimits: '/usage/limits',
+      adminUsage: '/admin/usage',
+      adminBudget: '/admin/budget',
+      adminPromptExperiments: '/admin/prompts/experiments',
+      adminApiKeys: '/admin/api-keys',
+      adminCache: '/admin/cache',
+      adminCacheEntry: '/admin/cache/entry',
+      adminCacheWarm: '/admin/cache/warm',
+      apiKeys: '/api-keys',
+      workspaces: '/workspaces',
+      workspaceAccount: '/workspaces/:id/accounts',
+      workspaceNotes: '/workspaces/:id/notes',
       enrichProfileSignals: '/enrich/profile-signals',
       enrichCompanySignals: '/enrich/company-signals',
       verifyFact: '/enrich/verify-fact',
     },
-    documentation: 'https://github.com/linkedintel/chrome-extension-public-clean',
+    documentation:
+      'https://github.com/linkedintel/chrome-extension-public-clean',
     architecture: 'Hybrid (Chrome Built-in AI + Backend Intelligence)',
   })
 })
 
 module.exports = router
-
@@ -0,0 +1,66 @@
+/**
+ * Usage Routes - the caller's own consumption from the usage ledger
+ *
+ * Usage belongs to the authenticated user (or the API key's owner); anonymous
+ * requests share one ledger owner, so their usage isn't served to anyone.
+ * Quota limits are per account, or per IP for anonymous callers.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { usageLedgerService, quotaService } = require('../services')
+const { verifyAuth, optionalAuth } = require('../middleware/auth')
+const { quotaSubject } = require('../middleware/rateLimit')
+
+/**
+ * Totals, per-day breakdown and most recent requests
+ * Needs a signed-in user or API key
+ * Query: ?days=30 (max 90), ?limit=20 (max 100)
+ */
+router.get('/', verifyAuth, (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 90)
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100)
+  const usage = usageLedgerService.getUserUsage(req.user.id, {
+    days,
+    limit,
+  })
+
+  res.json({
+    success: true,
+    days,
+    ...usage,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * The caller's plan and how much of each quota is left (shown in the popup)
+ * Checking limits doesn't count against them
+ */
+router.get('/limits', optionalAuth, async (req, res) => {
+  const plan = quotaService.planFor(req.user)
+  const limits = await quotaService.getUsage(
+    quotaSubject(req),
+    quotaService.limitsFor(plan)
+  )
+
+  // API key callers also see the key's own limit
+  const apiKey = req.apiKey
+    ? await quotaService.getUsage(`apiKey:${req.apiKey.id}`, {
+        requests: {
+          limit: req.apiKey.rateLimit.maxRequests,
+          windowMs: req.apiKey.rateLimit.windowMs,
+        },
+      })
+    : undefined
+
+  res.json({
+    success: true,
+    plan,
+    limits,
+    apiKey,
+    requestId: req.requestId,
+  })
+})
+
+module.exports = router
@@ -0,0 +1,173 @@
+/**
+ * Watchlist Routes - watched accounts and their trigger events
+ *
+ * Watchlists belong to the authenticated user. POST /:id/check counts against
+ * the caller's analyses quota, like an analysis request.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { watchlistService } = require('../services')
+const { validateWatchlistEntries, enforceQuota } = require('../middleware')
+const { verifyAuth } = require('../middleware/auth')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('WatchlistRoute')
+
+const ownerOf = (req) => req.user.id
+
+function notFound(req, res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Watchlist entry not found',
+    requestId: req.requestId,
+  })
+}
+
+/**
+ * List watched accounts
+ */
+router.get('/', verifyAuth, (req, res) => {
+  const entries = watchlistService.list(ownerOf(req))
+  res.json({
+    success: true,
+    entries,
+    total: entries.length,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Watch one company ({ companyName, companyUrl? }) or many ({ companies: [...] })
+ */
+router.post('/', verifyAuth, validateWatchlistEntries, async (req, res) => {
+  const requestId = req.requestId
+
+  try {
+    const { added, skipped } = await watchlistService.add(
+      ownerOf(req),
+      req.body.companies
+    )
+
+    res.status(added.length > 0 ? 201 : 200).json({
+      success: true,
+      added,
+      skipped,
+      requestId,
+    })
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: 'validation_error',
+        requestId,
+      })
+    }
+
+    logger.error(`[${requestId}] ❌ Failed to add watchlist entries:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watchlist',
+      requestId,
+    })
+  }
+})
+
+/**
+ * Trigger events - the latest, newest first; or with ?after=/?since= the ones
+ * after that point, oldest first (see watchlistService.getEvents)
+ * Query: ?after=event id (nextCursor), ?since=ISO date, ?limit=100
+ * hasMore means there are more events: call again with ?after=nextCursor
+ */
+router.get('/events', verifyAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500)
+  const { events, hasMore, nextCursor } = watchlistService.getEvents(
+    ownerOf(req),
+    {
+      after: req.query.after,
+      since: req.query.since,
+      limit,
+    }
+  )
+
+  res.json({
+    success: true,
+    events,
+    hasMore,
+    nextCursor, // Use as the next ?after
+    serverTime: new Date().toISOString(), // Use as the next ?since if there is no cursor yet
+    requestId: req.requestId,
+  })
+})
+
+router.get('/:id', verifyAuth, (req, res) => {
+  const entry = watchlistService.get(ownerOf(req), req.params.id)
+  if (!entry) {
+    return notFound(req, res)
+  }
+
+  res.json({ success: true, entry, requestId: req.requestId })
+})
+
+/**
+ * Pause/resume scheduled re-analysis ({ paused: boolean })
+ */
+router.patch('/:id', verifyAuth, (req, res) => {
+  if (typeof req.body.paused !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'paused must be a boolean',
+      errorType: 'validation_error',
+      requestId: req.requestId,
+    })
+  }
+
+  const entry = watchlistService.update(ownerOf(req), req.params.id, {
+    paused: req.body.paused,
+  })
+  if (!entry) {
+    return notFound(req, res)
+  }
+
+  res.json({ success: true, entry, requestId: req.requestId })
+})
+
+router.delete('/:id', verifyAuth, (req, res) => {
+  if (!watchlistService.remove(ownerOf(req), req.params.id)) {
+    return notFound(req, res)
+  }
+
+  res.json({ success: true, requestId: req.requestId })
+})
+
+/**
+ * Re-analyze an account now instead of waiting for the scheduler
+ */
+router.post('/:id/check', verifyAuth, enforceQuota, async (req, res) => {
+  const requestId = req.requestId
+  const entry = watchlistService.get(ownerOf(req), req.params.id)
+  if (!entry) {
+    return notFound(req, res)
+  }
+
+  try {
+    const events = await watchlistService.checkEntry(entry)
+    res.json({
+      success: entry.lastStatus === 'ok',
+      entry,
+      events,
+      error: entry.lastError || undefined,
+      requestId,
+    })
+  } catch (error) {
+    logger.error(`[${requestId}] ❌ Watchlist check failed:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Watchlist check failed',
+      requestId,
+    })
+  }
+})
+
+module.exports = router
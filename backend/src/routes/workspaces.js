@@ -0,0 +1,353 @@
+/**
+ * Workspace Routes - team workspaces, invites and shared account notes
+ *
+ * Every route needs a signed-in user - verifyAuth rejects API keys here.
+ * Requests to a workspace the caller doesn't belong to get 404, so workspace ids
+ * can't be probed. Send X-Workspace-Id on /analyze requests to work inside a
+ * workspace.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { workspaceService, cacheService } = require('../services')
+const { verifyAuth } = require('../middleware/auth')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('WorkspacesRoute')
+
+const ENTITY_TYPES = ['company', 'person']
+
+router.use(verifyAuth)
+
+/**
+ * Send a workspaceService error (statusCode 400/403/404), or a 500
+ */
+function sendError(req, res, error, action) {
+  const errorTypes = {
+    400: 'validation_error',
+    403: 'workspace_forbidden',
+    404: 'not_found',
+  }
+  if (errorTypes[error.statusCode]) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      errorType: errorTypes[error.statusCode],
+      requestId: req.requestId,
+    })
+  }
+
+  logger.error(`[${req.requestId}] ❌ Failed to ${action}:`, error)
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    requestId: req.requestId,
+  })
+}
+
+/**
+ * Account an input describes - the entity identity notes and activity are kept by
+ * Company: { type: 'company', name, companyUrl?, domain? }
+ * Person: { type: 'person', name, companyName?, profileUrl? }
+ * @returns {Object|null} { entityType, entityKey, entityName }
+ */
+function accountFromInput({
+  type,
+  name,
+  companyName,
+  companyUrl,
+  domain,
+  profileUrl,
+} = {}) {
+  if (
+    !ENTITY_TYPES.includes(type) ||
+    typeof name !== 'string' ||
+    !name.trim()
+  ) {
+    return null
+  }
+
+  const entityKey =
+    type === 'company'
+      ? cacheService.companyIdentityKey(name, { companyUrl, domain })
+      : cacheService.personIdentityKey(name, companyName || '', {
+          profileUrl,
+        })
+  return { entityType: type, entityKey, entityName: name.trim() }
+}
+
+function invalidAccount(req, res) {
+  return res.status(400).json({
+    success: false,
+    error: `type (${ENTITY_TYPES.join('|')}) and name are required`,
+    errorType: 'validation_error',
+    requestId: req.requestId,
+  })
+}
+
+/**
+ * Workspaces the caller belongs to
+ */
+router.get('/', (req, res) => {
+  const workspaces = workspaceService.listForUser(req.user.id)
+  res.json({
+    success: true,
+    workspaces,
+    total: workspaces.length,
+    requestId: req.requestId,
+  })
+})
+
+/**
+ * Create a workspace (the caller becomes its owner)
+ * Body: { name, cacheScope?: workspace|global }
+ */
+router.post('/', (req, res) => {
+  try {
+    const workspace = workspaceService.create(req.user, req.body || {})
+    res.status(201).json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'create workspace')
+  }
+})
+
+/**
+ * Join a workspace with an invite token
+ * Body: { token }
+ */
+router.post('/invites/accept', (req, res) => {
+  try {
+    const workspace = workspaceService.acceptInvite(req.body?.token, req.user)
+    res.json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'accept invite')
+  }
+})
+
+router.get('/:id', (req, res) => {
+  try {
+    const workspace = workspaceService.get(req.params.id, req.user.id)
+    res.json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'load workspace')
+  }
+})
+
+/**
+ * Rename or change the cache scope (admin)
+ * Body: { name?, cacheScope? }
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    const workspace = workspaceService.update(
+      req.params.id,
+      req.user.id,
+      req.body || {}
+    )
+    res.json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'update workspace')
+  }
+})
+
+/**
+ * Delete the workspace with its notes (owner)
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const workspace = workspaceService.remove(req.params.id, req.user.id)
+    res.json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'delete workspace')
+  }
+})
+
+/**
+ * Invite someone (admin) - share the returned token; it is shown only once
+ * Body: { role?: member|admin }
+ */
+router.post('/:id/invites', (req, res) => {
+  try {
+    const { token, invite } = workspaceService.createInvite(
+      req.params.id,
+      req.user.id,
+      req.body || {}
+    )
+    res.status(201).json({
+      success: true,
+      token,
+      invite,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    sendError(req, res, error, 'create invite')
+  }
+})
+
+router.delete('/:id/invites/:inviteId', (req, res) => {
+  try {
+    const invite = workspaceService.revokeInvite(
+      req.params.id,
+      req.user.id,
+      req.params.inviteId
+    )
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found',
+        requestId: req.requestId,
+      })
+    }
+    res.json({ success: true, invite, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'revoke invite')
+  }
+})
+
+/**
+ * Change a member's role (owner)
+ * Body: { role: member|admin|owner }
+ */
+router.patch('/:id/members/:userId', (req, res) => {
+  try {
+    const workspace = workspaceService.setMemberRole(
+      req.params.id,
+      req.user.id,
+      req.params.userId,
+      req.body?.role
+    )
+    res.json({ success: true, workspace, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'change member role')
+  }
+})
+
+/**
+ * Remove a member (admin), or leave (your own user id)
+ */
+router.delete('/:id/members/:userId', (req, res) => {
+  try {
+    const member = workspaceService.removeMember(
+      req.params.id,
+      req.user.id,
+      req.params.userId
+    )
+    res.json({ success: true, member, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'remove member')
+  }
+})
+
+/**
+ * An account as the workspace knows it: teammates who analyzed it and the
+ * notes the caller can see (the panel's "analyzed by teammate" indicator)
+ * Query: ?type=company&name=&companyUrl=&domain= or ?type=person&name=&companyName=&profileUrl=
+ */
+router.get('/:id/accounts', (req, res) => {
+  const account = accountFromInput(req.query)
+  if (!account) {
+    return invalidAccount(req, res)
+  }
+
+  try {
+    const notes = workspaceService.listNotes(req.params.id, req.user.id, {
+      entityKey: account.entityKey,
+    })
+    res.json({
+      success: true,
+      account,
+      analyzedBy: workspaceService.getActivity(
+        req.params.id,
+        account.entityKey,
+        req.user.id
+      ),
+      notes,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    sendError(req, res, error, 'load account')
+  }
+})
+
+/**
+ * Notes the caller can see (workspace notes + their private ones), newest first
+ * Query: account filter as for /accounts (optional)
+ */
+router.get('/:id/notes', (req, res) => {
+  const account = req.query.type ? accountFromInput(req.query) : null
+  if (req.query.type && !account) {
+    return invalidAccount(req, res)
+  }
+
+  try {
+    const notes = workspaceService.listNotes(req.params.id, req.user.id, {
+      entityKey: account?.entityKey,
+    })
+    res.json({
+      success: true,
+      notes,
+      total: notes.length,
+      requestId: req.requestId,
+    })
+  } catch (error) {
+    sendError(req, res, error, 'load notes')
+  }
+})
+
+/**
+ * Add a note to an account
+ * Body: { type, name, ...account identity, text, visibility?: workspace|private }
+ */
+router.post('/:id/notes', (req, res) => {
+  const account = accountFromInput(req.body || {})
+  if (!account) {
+    return invalidAccount(req, res)
+  }
+
+  try {
+    const note = workspaceService.addNote(req.params.id, req.user, {
+      ...account,
+      text: req.body.text,
+      visibility: req.body.visibility,
+    })
+    res.status(201).json({ success: true, note, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'add note')
+  }
+})
+
+/**
+ * Edit a note (author)
+ * Body: { text?, visibility? }
+ */
+router.patch('/:id/notes/:noteId', (req, res) => {
+  try {
+    const note = workspaceService.updateNote(
+      req.params.id,
+      req.user.id,
+      req.params.noteId,
+      req.body || {}
+    )
+    res.json({ success: true, note, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'update note')
+  }
+})
+
+/**
+ * Delete a note (author, or an admin)
+ */
+router.delete('/:id/notes/:noteId', (req, res) => {
+  try {
+    const note = workspaceService.deleteNote(
+      req.params.id,
+      req.user.id,
+      req.params.noteId
+    )
+    res.json({ success: true, note, requestId: req.requestId })
+  } catch (error) {
+    sendError(req, res, error, 'delete note')
+  }
+})
+
+module.exports = router
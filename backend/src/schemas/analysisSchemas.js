@@ -10,7 +10,8 @@
  * To update schemas:
  * 1. Increment SCHEMA_VERSION constant
  * 2. Update schema definitions
- * 3. Old cache entries will auto-invalidate on next read
+ * 3. Add a migration step in migrations.js - old cache entries are upgraded on read
+ *    (and by the startup sweep); entries with no migration path are discarded
  *
  * Version History:
  * - v1: Initial schema with dual cache system
@@ -24,7 +25,7 @@
 const { z } = require('zod')
 
 // Schema version constant
-// Incrementing this invalidates ALL old cache entries
+// Incrementing this requires a matching step in migrations.js, otherwise old cache entries are discarded
 const SCHEMA_VERSION = 6
 
 // ============================================
@@ -258,6 +259,35 @@ const PrivateFinancialsSchema = z.object({
   sources: z.array(z.string()).optional(), // ["Crunchbase", "TechCrunch"]
 })
 
+// Spend budget degradation - see budgetService
+const BudgetMetadataSchema = z.object({
+  mode: z.enum(['normal', 'skip_optional', 'cheaper_models', 'cache_only']),
+  skippedSections: z.array(z.string()), // Micro-prompts not run, e.g. ["industryContext"]
+  downgradedModels: z.array(z.string()), // Micro-prompts run on a cheaper model
+})
+
+// Sumble/Perplexity disagreement and the rule that settled it - see utils/sourceReconciliation
+const SourceConflictSchema = z.object({
+  field: z.enum(['employeeCount', 'contactTitle', 'contactDeparted', 'hiring']),
+  subject: z.string(),
+  sumble: z.string(),
+  perplexity: z.string(),
+  winner: z.enum(['sumble', 'perplexity']),
+  rule: z.string(),
+})
+
+// Where one leaf fact came from - see utils/provenance
+const ProvenanceEntrySchema = z.object({
+  value: z.union([z.string(), z.number(), z.boolean()]),
+  sources: z.array(z.string()), // URLs backing the fact
+  retrievedAt: z.string(),
+  confidence: z.number().min(0).max(1),
+  origin: z.enum(['perplexity', 'sumble', 'page']),
+})
+
+// Dot path of a leaf fact ("stockInfo.marketCap", "recentNews.0.title") → provenance
+const ProvenanceSchema = z.record(z.string(), ProvenanceEntrySchema)
+
 // ============================================
 // MAIN COMPANY ANALYSIS SCHEMA (v4)
 // ============================================
@@ -358,11 +388,18 @@ const CompanyAnalysisSchema = z.object({
     })
     .optional(),
 
+  provenance: ProvenanceSchema.optional(),
+
   // Metadata for versioning and cache management
   metadata: z
     .object({
       schemaVersion: z.literal(SCHEMA_VERSION), // Must match current SCHEMA_VERSION (2)
       sources: z.array(z.string()).optional(),
+      cachedAt: z.string().optional(), // Set by cacheService on write (soft TTL anchor)
+      promptVersions: z.record(z.string(), z.string()).optional(), // Micro-prompt type → version used
+      budget: BudgetMetadataSchema.optional(), // Set when the spend budget degraded the analysis
+      companyDomain: z.string().optional(), // Resolved website domain
+      sourceConflicts: z.array(SourceConflictSchema).optional(), // Set when Sumble and Perplexity disagreed
     })
     .optional(),
 })
@@ -509,11 +546,29 @@ const PersonAnalysisSchema = z.object({
     )
     .optional(),
 
+  // Claims contradicting the facts observed on the LinkedIn profile
+  factConflicts: z
+    .array(
+      z.object({
+        field: z.string(),
+        observed: z.string(),
+        claimed: z.string(),
+        source: z.string(),
+      })
+    )
+    .optional(),
+
+  provenance: ProvenanceSchema.optional(),
+
   // Metadata
   metadata: z
     .object({
       schemaVersion: z.literal(SCHEMA_VERSION), // Must match current SCHEMA_VERSION (2)
       sources: z.array(z.string()).optional(),
+      cachedAt: z.string().optional(), // Set by cacheService on write (soft TTL anchor)
+      promptVersions: z.record(z.string(), z.string()).optional(), // Micro-prompt type → version used
+      budget: BudgetMetadataSchema.optional(), // Set when the spend budget degraded the analysis
+      observedFacts: z.array(z.string()).optional(), // Observed fact fields the prompts were grounded on
     })
     .optional(),
 })
@@ -0,0 +1,305 @@
+/**
+ * Zod Schemas for Micro-Prompt Responses
+ *
+ * These check the raw JSON each micro-prompt returns, before it is merged into
+ * an analysis (analysisSchemas.js validates the merged document). A response
+ * that fails is retried with the issues listed back to the model, so messages
+ * are written as instructions it can act on.
+ *
+ * Prompts without an entry only need a non-empty response.
+ */
+
+const { z } = require('zod')
+
+const LINKEDIN_PROFILE_PREFIXES = [
+  'https://www.linkedin.com/in/',
+  'https://linkedin.com/in/',
+]
+
+// Profile paths that are obviously made up
+const FAKE_PROFILE_PATTERNS = [
+  /123456789/,
+  /abcdefgh/,
+  /test-user/i,
+  /example/i,
+]
+
+// Optional currency symbol, number, M/B/T suffix - e.g. "60.7B", "₹1.2T"
+const MARKET_CAP_PATTERN = /^[₹$€£¥₩₪₽฿₫₱₦₴₲₵₸]?\d+(\.\d+)?[MBT]$/
+
+const required = z
+  .string({ error: 'Required (a non-empty string)' })
+  .trim()
+  .min(1, 'Required (a non-empty string)')
+
+// Unknown values are null, not missing
+const optionalText = z.string().nullable().optional()
+
+const NEWS_SENTIMENTS = ['positive', 'neutral', 'negative']
+
+/**
+ * Public companies need a listing, and unavailable numbers must be null (not 0)
+ */
+const StockDataResponseSchema = z
+  .looseObject({ isPublic: z.boolean().optional() })
+  .superRefine((data, ctx) => {
+    if (data.isPublic !== true) return
+
+    const issue = (path, message) =>
+      ctx.addIssue({ code: 'custom', path: [path], message })
+
+    for (const field of ['symbol', 'exchange', 'currency']) {
+      if (!data[field]) {
+        issue(field, `Required for public companies`)
+      }
+    }
+
+    if (
+      data.price !== null &&
+      data.price !== undefined &&
+      (typeof data.price !== 'number' || data.price <= 0)
+    ) {
+      issue(
+        'price',
+        'Must be a positive number, or null if unavailable (never 0)'
+      )
+    }
+
+    if (data.ytd !== null && data.ytd !== undefined) {
+      if (typeof data.ytd !== 'number') {
+        issue('ytd', 'Must be a number (percent), or null if unavailable')
+      } else if (data.ytd === 0 && data.price === null) {
+        issue('ytd', 'Use null when the price is unavailable, not 0')
+      }
+    }
+
+    if (
+      typeof data.marketCap === 'string' &&
+      !MARKET_CAP_PATTERN.test(data.marketCap)
+    ) {
+      issue(
+        'marketCap',
+        `Use a number with an M/B/T suffix, e.g. "60.7B" (got "${data.marketCap}")`
+      )
+    }
+
+    const jan1Price = data.validation?.jan1Price
+    if (
+      data.validation?.ytdCalculated &&
+      jan1Price &&
+      data.price !== null &&
+      data.price !== undefined &&
+      (typeof jan1Price !== 'number' || jan1Price <= 0)
+    ) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['validation', 'jan1Price'],
+        message: 'Must be a positive number',
+      })
+    }
+  })
+
+const PriorityContactResponseSchema = z.looseObject({
+  name: z.string().min(1, 'Required'),
+  title: z.string().min(1, 'Required'),
+  profileUrl: z
+    .string()
+    .refine(
+      (url) =>
+        LINKEDIN_PROFILE_PREFIXES.some((prefix) => url.startsWith(prefix)),
+      'Must be a LinkedIn profile URL (https://www.linkedin.com/in/...) or null'
+    )
+    .refine(
+      (url) => !FAKE_PROFILE_PATTERNS.some((pattern) => pattern.test(url)),
+      'Looks made up - use the real profile URL or null'
+    )
+    .nullable()
+    .optional(),
+})
+
+// Company prompts - item fields follow the output formats in prompts/microPrompts.js
+
+const NewsItemResponseSchema = z.looseObject({
+  title: required,
+  summary: required,
+  date: optionalText,
+  sentiment: z
+    .enum(NEWS_SENTIMENTS, {
+      message: `Must be one of: ${NEWS_SENTIMENTS.join(', ')}`,
+    })
+    .optional(),
+  source: optionalText,
+  url: optionalText,
+})
+
+const GrowthEventResponseSchema = z.looseObject({
+  type: required,
+  activity: required,
+  amount: optionalText,
+  date: optionalText,
+})
+
+const TechStackItemResponseSchema = z.looseObject({
+  category: required,
+  tool: required,
+})
+
+const CompanyActivityResponseSchema = z.looseObject({
+  type: required,
+  date: optionalText,
+  source: optionalText,
+  url: optionalText,
+  description: optionalText,
+})
+
+const CompanyIntelligenceResponseSchema = z.looseObject({
+  painPoints: z
+    .array(
+      z.looseObject({
+        challenge: required,
+        source: optionalText,
+        date: optionalText,
+      })
+    )
+    .optional(),
+  recentActivities: z.array(z.string()).optional(),
+  industryContext: optionalText,
+  executiveQuotes: z
+    .array(
+      z.looseObject({
+        quote: required,
+        executive: optionalText,
+        source: optionalText,
+      })
+    )
+    .optional(),
+})
+
+const CompanyDomainResponseSchema = z.looseObject({
+  candidates: z
+    .array(
+      z.looseObject({
+        name: z.string().min(1, 'Required'),
+        domain: z.string().min(1, 'Required'), // Normalized by utils/companyCandidates
+      })
+    )
+    .min(1, 'List at least one company'),
+})
+
+// Person prompts - each returns an object; empty lists are fine
+
+const PersonBasicInfoResponseSchema = z.looseObject({
+  fullName: optionalText,
+  title: optionalText,
+  company: optionalText,
+  yearsInRole: z.number().nonnegative().nullable().optional(),
+  linkedinUrl: optionalText,
+})
+
+const PersonQuotedChallengesResponseSchema = z.looseObject({
+  quotedChallenges: z
+    .array(
+      z.looseObject({
+        quote: required,
+        source: optionalText,
+        date: optionalText,
+        url: optionalText,
+      })
+    )
+    .optional(),
+})
+
+const PersonSocialActivityResponseSchema = z.looseObject({
+  posts: z
+    .array(
+      z.looseObject({
+        content: required,
+        date: optionalText,
+        platform: optionalText,
+        type: optionalText,
+        topics: z.array(z.string()).optional(),
+        url: optionalText,
+      })
+    )
+    .optional(),
+})
+
+const PersonMediaPresenceResponseSchema = z.looseObject({
+  pressFeatures: z
+    .array(z.looseObject({ title: required, publication: optionalText }))
+    .optional(),
+  speakingEngagements: z
+    .array(z.looseObject({ event: required, role: optionalText }))
+    .optional(),
+  awards: z
+    .array(z.looseObject({ award: required, organization: optionalText }))
+    .optional(),
+  publishedContent: z
+    .array(z.looseObject({ title: required, publication: optionalText }))
+    .optional(),
+})
+
+const PersonRiskSignalsResponseSchema = z.looseObject({
+  realityCheck: z
+    .array(
+      z.looseObject({
+        observation: required,
+        evidence: optionalText,
+        source: optionalText,
+      })
+    )
+    .optional(),
+})
+
+const MICRO_PROMPT_SCHEMAS = {
+  companyDomain: CompanyDomainResponseSchema,
+  stockData: StockDataResponseSchema,
+  recentNews: z.array(NewsItemResponseSchema),
+  growthEvents: z.array(GrowthEventResponseSchema),
+  techStack: z.array(TechStackItemResponseSchema),
+  companyActivity: z.array(CompanyActivityResponseSchema),
+  priorityContacts: z.array(PriorityContactResponseSchema),
+  companyIntelligence: CompanyIntelligenceResponseSchema,
+  personBasicInfo: PersonBasicInfoResponseSchema,
+  personQuotedChallenges: PersonQuotedChallengesResponseSchema,
+  personSocialActivity: PersonSocialActivityResponseSchema,
+  personMediaPresence: PersonMediaPresenceResponseSchema,
+  personRiskSignals: PersonRiskSignalsResponseSchema,
+}
+
+// Longest issue list sent back to the model
+const MAX_ISSUES = 10
+
+/**
+ * Check a parsed micro-prompt response
+ * @param {string} promptType - Micro-prompt type
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { success, issues } - issues as "path: message" strings
+ */
+function validateMicroPromptResponse(promptType, data) {
+  if (!data) {
+    return { success: false, issues: ['(root): Response is empty'] }
+  }
+
+  const schema = MICRO_PROMPT_SCHEMAS[promptType]
+  if (!schema) {
+    return { success: true, issues: [] }
+  }
+
+  const result = schema.safeParse(data)
+  if (result.success) {
+    return { success: true, issues: [] }
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues
+      .slice(0, MAX_ISSUES)
+      .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`),
+  }
+}
+
+module.exports = {
+  MICRO_PROMPT_SCHEMAS,
+  validateMicroPromptResponse,
+}
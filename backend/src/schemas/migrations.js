@@ -0,0 +1,170 @@
+/**
+ * Cached Analysis Migrations
+ *
+ * Upgrades cached company/person payloads written under an older SCHEMA_VERSION
+ * so they can be served instead of being thrown away (and paid for again).
+ *
+ * Each step upgrades exactly one version (from → from + 1). To add a migration
+ * when bumping SCHEMA_VERSION in analysisSchemas.js:
+ * 1. Append a step { from: OLD, to: NEW, description, company(data), person(data) }
+ * 2. Transform only what changed - steps receive a deep copy and return the upgraded payload
+ *
+ * Entries older than the first step (v1: pre-consolidation dual cache) have no
+ * migration path and are discarded.
+ */
+
+const { SCHEMA_VERSION } = require('./analysisSchemas')
+
+const identity = (data) => data
+
+/**
+ * Drop a set of keys from every object in an array
+ */
+function omitKeys(items, keys) {
+  if (!Array.isArray(items)) {
+    return items
+  }
+
+  return items.map((item) => {
+    if (!item || typeof item !== 'object') return item
+    const copy = { ...item }
+    keys.forEach((key) => delete copy[key])
+    return copy
+  })
+}
+
+const MIGRATIONS = [
+  {
+    from: 2,
+    to: 3,
+    description: 'financialSummary gained optional private company fields',
+    company: identity,
+    person: identity,
+  },
+  {
+    from: 3,
+    to: 4,
+    description: 'Added overview section (isPublic, employeeCount, industry)',
+    company: (data) => {
+      if (data.overview) {
+        return data
+      }
+
+      return {
+        ...data,
+        overview: {
+          isPublic: !!data.stockInfo?.symbol,
+          employeeCount: data.privateFinancials?.employees || null,
+          industry: '',
+        },
+      }
+    },
+    person: identity,
+  },
+  {
+    from: 4,
+    to: 5,
+    description:
+      'Removed scores/ratings (challenge severity, timeline impact, person ICP scores)',
+    company: (data) => {
+      if (!data.companyChallenges) {
+        return data
+      }
+
+      return {
+        ...data,
+        companyChallenges: {
+          ...data.companyChallenges,
+          challenges: omitKeys(data.companyChallenges.challenges, ['severity']),
+          timelineOfEvents: omitKeys(data.companyChallenges.timelineOfEvents, [
+            'impact',
+          ]),
+        },
+      }
+    },
+    person: (data) => {
+      const upgraded = { ...data }
+      Object.keys(upgraded)
+        .filter((key) => /^icp/i.test(key))
+        .forEach((key) => delete upgraded[key])
+      return upgraded
+    },
+  },
+  {
+    from: 5,
+    to: 6,
+    description:
+      'Nullable dynamicFinancials/priceTrajectory/earnings fields (validation only)',
+    company: identity,
+    person: identity,
+  },
+]
+
+/**
+ * Find the chain of steps from a version to SCHEMA_VERSION
+ * @returns {Array|null} Steps in order, or null if there is no path
+ */
+function getMigrationPath(fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion > SCHEMA_VERSION) {
+    return null
+  }
+
+  const steps = []
+  let version = fromVersion
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version)
+    if (!step) {
+      return null
+    }
+    steps.push(step)
+    version = step.to
+  }
+
+  return steps
+}
+
+/**
+ * Upgrade a cached payload to SCHEMA_VERSION
+ *
+ * @param {string} analysisType - 'company' | 'person'
+ * @param {Object} data - Cached payload (metadata.schemaVersion = stored version)
+ * @returns {Object} { status: 'current'|'migrated'|'unsupported', data, fromVersion, steps }
+ * @throws {Error} If a migration step fails
+ */
+function migrateAnalysis(analysisType, data) {
+  const fromVersion = data?.metadata?.schemaVersion
+
+  if (fromVersion === SCHEMA_VERSION) {
+    return { status: 'current', data, fromVersion, steps: [] }
+  }
+
+  const steps = getMigrationPath(fromVersion)
+  if (!steps || !['company', 'person'].includes(analysisType)) {
+    return { status: 'unsupported', data: null, fromVersion, steps: [] }
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data))
+  for (const step of steps) {
+    try {
+      migrated = step[analysisType](migrated)
+    } catch (error) {
+      throw new Error(
+        `Migration v${step.from}→v${step.to} failed for ${analysisType}: ${error.message}`
+      )
+    }
+    migrated.metadata = { ...migrated.metadata, schemaVersion: step.to }
+  }
+
+  return {
+    status: 'migrated',
+    data: migrated,
+    fromVersion,
+    steps: steps.map((step) => `v${step.from}→v${step.to}`),
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  getMigrationPath,
+  migrateAnalysis,
+}
@@ -176,6 +176,10 @@ class LinkedIntelServer {
         '/health/detailed',
         '/analyze/company',
         '/analyze/person',
+        '/analyze/company/stream',
+        '/analyze/person/stream',
+        '/analyze/batch',
+        '/analyze/jobs/:id',
         '/analyze/cache/stats',
         '/analyze/cache',
         '/auth/google/verify',
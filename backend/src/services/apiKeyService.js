@@ -0,0 +1,214 @@
+/**
+ * API Key Service for LinkedIntel Backend
+ * Scoped, revocable keys for scripts and server-to-server calls (CRM workflows,
+ * RevOps jobs) that can't sign in with Google
+ *
+ * - A key is shown once, when created; only its SHA-256 hash is stored
+ *   (config.apiKeys.storePath). Keys are 32 random bytes, so a fast hash is enough
+ * - Each key belongs to a user (and optionally a workspace, its teamId) and
+ *   carries one scope; 'admin' keys can call everything and are only issued
+ *   through /admin/api-keys
+ * - Each key has its own rate limit window (enforced in middleware/auth.js)
+ */
+
+const crypto = require('crypto')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+const logger = new Logger('ApiKeyService')
+
+const API_KEY_SCOPES = ['analyze', 'enrich', 'chat', 'admin']
+
+// Keys look like lik_<43 base64url chars>; the prefix tells them apart from JWTs
+const KEY_PREFIX = 'lik_'
+
+// Characters of a key kept in the clear so users can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = 12
+
+// lastUsedAt is written to disk at most this often per key
+const LAST_USED_PERSIST_MS = 60 * 1000
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+function validationError(message) {
+  const error = new Error(message)
+  error.statusCode = 400
+  return error
+}
+
+class ApiKeyService {
+  constructor() {
+    this.store = new JsonFileStore(config.apiKeys.storePath, {
+      label: 'API keys',
+      mode: 0o600,
+    })
+    this.keys = new Map() // keyId -> record (with hash)
+    this.keyIdsByHash = new Map() // hash -> keyId
+
+    this.loadFromDisk()
+  }
+
+  /**
+   * Whether a credential is an API key rather than a JWT
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(KEY_PREFIX)
+  }
+
+  /**
+   * Create a key
+   * @param {string} userId - Owner
+   * @param {Object} options - { name, scope, teamId?, rateLimit?: { windowMs, maxRequests } }
+   * @returns {Object} { key, apiKey } - key is the secret, returned only here
+   * @throws {Error} With statusCode 400 on invalid options or too many keys
+   */
+  create(userId, { name, scope, teamId = null, rateLimit = {} } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw validationError('name is required (max 100 characters)')
+    }
+    if (!API_KEY_SCOPES.includes(scope)) {
+      throw validationError(
+        `scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      )
+    }
+
+    const { windowMs, maxRequests } = {
+      ...config.apiKeys.defaultRateLimit,
+      ...rateLimit,
+    }
+    if (
+      !Number.isInteger(windowMs) ||
+      windowMs < 1000 ||
+      windowMs > 24 * 3600000
+    ) {
+      throw validationError(
+        'rateLimit.windowMs must be between 1000 and 86400000'
+      )
+    }
+    if (
+      !Number.isInteger(maxRequests) ||
+      maxRequests < 1 ||
+      maxRequests > config.apiKeys.maxRequestsLimit
+    ) {
+      throw validationError(
+        `rateLimit.maxRequests must be between 1 and ${config.apiKeys.maxRequestsLimit}`
+      )
+    }
+
+    const activeKeys = this.list({ userId }).filter((key) => !key.revokedAt)
+    if (activeKeys.length >= config.apiKeys.maxPerUser) {
+      throw validationError(
+        `API key limit reached (${config.apiKeys.maxPerUser} active keys) - revoke one first`
+      )
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const record = {
+      id: `key_${crypto.randomUUID()}`,
+      name: name.trim(),
+      userId,
+      teamId,
+      scope,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      hash: hashKey(key),
+      rateLimit: { windowMs, maxRequests },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    }
+
+    this.keys.set(record.id, record)
+    this.keyIdsByHash.set(record.hash, record.id)
+    this.persist()
+    logger.info(`🔑 Created ${scope} API key ${record.prefix}… for ${userId}`)
+
+    return { key, apiKey: this.toPublic(record) }
+  }
+
+  /**
+   * Keys, newest first (revoked keys included)
+   * @param {Object} [filter] - { userId }
+   */
+  list({ userId } = {}) {
+    return Array.from(this.keys.values())
+      .filter((record) => !userId || record.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((record) => this.toPublic(record))
+  }
+
+  /**
+   * Revoke a key (it stops working immediately)
+   * @param {string} keyId - Key id
+   * @param {string} [userId] - Only revoke if the key belongs to this user
+   * @returns {Object|null} The revoked key, or null if not found
+   */
+  revoke(keyId, userId = null) {
+    const record = this.keys.get(keyId)
+    if (!record || (userId && record.userId !== userId)) {
+      return null
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString()
+      this.persist()
+      logger.info(`🔒 Revoked API key ${record.prefix}… (${record.userId})`)
+    }
+    return this.toPublic(record)
+  }
+
+  /**
+   * Look up an active key
+   * @param {string} key - The secret key
+   * @returns {Object|null} Key record (without its hash)
+   */
+  authenticate(key) {
+    if (!this.isApiKey(key)) return null
+
+    const record = this.keys.get(this.keyIdsByHash.get(hashKey(key)))
+    if (!record || record.revokedAt) return null
+
+    const now = Date.now()
+    const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0
+    record.lastUsedAt = new Date(now).toISOString()
+    if (now - lastUsed >= LAST_USED_PERSIST_MS) {
+      this.persist()
+    }
+
+    return this.toPublic(record)
+  }
+
+  toPublic(record) {
+    const { hash, ...apiKey } = record
+    return apiKey
+  }
+
+  getStats() {
+    const records = Array.from(this.keys.values())
+    return {
+      total: records.length,
+      active: records.filter((record) => !record.revokedAt).length,
+    }
+  }
+
+  loadFromDisk() {
+    const stored = this.store.load()
+    if (!stored) return
+
+    for (const record of stored.keys || []) {
+      this.keys.set(record.id, record)
+      this.keyIdsByHash.set(record.hash, record.id)
+    }
+
+    logger.info(`📂 Loaded ${this.keys.size} API keys from disk`)
+  }
+
+  persist() {
+    return this.store.save({ keys: Array.from(this.keys.values()) })
+  }
+}
+
+module.exports = new ApiKeyService()
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES
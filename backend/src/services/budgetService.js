@@ -0,0 +1,201 @@
+/**
+ * Budget Service for LinkedIntel Backend
+ * Daily and monthly caps on upstream spend (LLM + Sumble), measured from the usage ledger
+ *
+ * As spend approaches a cap, analyses degrade one step at a time:
+ *   normal          - everything runs
+ *   skip_optional   - optional micro-prompts (config.budget.optionalPrompts) are skipped
+ *   cheaper_models  - ...and the rest run on each provider's cheaper model
+ *   cache_only      - no upstream calls; only cached analyses are served
+ * The step is picked from the higher of the daily and monthly spend ratios.
+ * Days and months are UTC.
+ */
+
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const usageLedgerService = require('./usageLedgerService')
+
+const logger = new Logger('BudgetService')
+
+const BUDGET_MODES = ['normal', 'skip_optional', 'cheaper_models', 'cache_only']
+const STATUS_TTL_MS = 5000 // Spend is re-summed at most this often
+
+/**
+ * Error for requests refused because the budget is exhausted
+ * Routes turn it into 503 budget_exceeded (see routes/errorHandler.js)
+ */
+function createBudgetError(message) {
+  const error = new Error(message)
+  error.statusCode = 503
+  error.errorType = 'budget_exceeded'
+  return error
+}
+
+function isBudgetError(error) {
+  return error?.errorType === 'budget_exceeded'
+}
+
+class BudgetService {
+  constructor() {
+    this.dailyUsd = config.budget.dailyUsd
+    this.monthlyUsd = config.budget.monthlyUsd
+    this.thresholds = config.budget.thresholds
+    this.optionalPrompts = new Set(config.budget.optionalPrompts)
+    this.cheapModels = config.budget.cheapModels
+    this.cachedStatus = null
+    this.cachedAt = 0
+    this.lastMode = 'normal'
+
+    if (this.isEnabled()) {
+      if (!usageLedgerService.enabled) {
+        logger.warn(
+          '⚠️  Spend budgets need the usage ledger - budgets are not enforced while USAGE_LEDGER_ENABLED=false'
+        )
+      } else {
+        logger.info(
+          `💰 Spend budget: ${
+            this.dailyUsd ? `$${this.dailyUsd}/day` : 'no daily cap'
+          }, ${
+            this.monthlyUsd ? `$${this.monthlyUsd}/month` : 'no monthly cap'
+          }`
+        )
+      }
+    }
+  }
+
+  isEnabled() {
+    return this.dailyUsd > 0 || this.monthlyUsd > 0
+  }
+
+  /**
+   * Current spend, caps and degradation mode
+   * @returns {Object} { enabled, mode, daily: { spentUsd, limitUsd, ratio }, monthly: {...} }
+   */
+  getStatus() {
+    if (!this.isEnabled() || !usageLedgerService.enabled) {
+      return { enabled: false, mode: 'normal' }
+    }
+
+    if (this.cachedStatus && Date.now() - this.cachedAt < STATUS_TTL_MS) {
+      return this.cachedStatus
+    }
+
+    const now = new Date()
+    const dayStart = Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate()
+    )
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+
+    let dailySpent = 0
+    let monthlySpent = 0
+    for (const entry of usageLedgerService.query({
+      since: new Date(monthStart).toISOString(),
+    })) {
+      monthlySpent += entry.costUsd
+      if (Date.parse(entry.timestamp) >= dayStart) {
+        dailySpent += entry.costUsd
+      }
+    }
+
+    const daily = this.describeCap(dailySpent, this.dailyUsd)
+    const monthly = this.describeCap(monthlySpent, this.monthlyUsd)
+    const mode = this.modeForRatio(Math.max(daily.ratio, monthly.ratio))
+
+    if (mode !== this.lastMode) {
+      const log = mode === 'normal' ? logger.info : logger.warn
+      log.call(
+        logger,
+        `💰 Budget mode ${this.lastMode} → ${mode} (today $${daily.spentUsd}, this month $${monthly.spentUsd})`
+      )
+      this.lastMode = mode
+    }
+
+    this.cachedStatus = { enabled: true, mode, daily, monthly }
+    this.cachedAt = Date.now()
+    return this.cachedStatus
+  }
+
+  describeCap(spent, limit) {
+    return {
+      spentUsd: parseFloat(spent.toFixed(4)),
+      limitUsd: limit || null,
+      ratio: limit > 0 ? spent / limit : 0,
+    }
+  }
+
+  modeForRatio(ratio) {
+    if (ratio >= this.thresholds.cacheOnly) return 'cache_only'
+    if (ratio >= this.thresholds.cheaperModels) return 'cheaper_models'
+    if (ratio >= this.thresholds.skipOptional) return 'skip_optional'
+    return 'normal'
+  }
+
+  getMode() {
+    return this.getStatus().mode
+  }
+
+  /**
+   * Whether the current mode is at least `mode` (e.g. atLeast('skip_optional'))
+   */
+  atLeast(mode) {
+    return BUDGET_MODES.indexOf(this.getMode()) >= BUDGET_MODES.indexOf(mode)
+  }
+
+  isCacheOnly() {
+    return this.atLeast('cache_only')
+  }
+
+  /**
+   * Whether a micro-prompt should be skipped to save budget
+   */
+  shouldSkip(promptType) {
+    return this.optionalPrompts.has(promptType) && this.atLeast('skip_optional')
+  }
+
+  /**
+   * Swap a { provider, model } route to the provider's cheaper model when needed
+   * @returns {Object} { provider, model, downgraded }
+   */
+  applyModelDowngrade(route) {
+    const cheapModel = this.cheapModels[route.provider]
+    if (!cheapModel || !this.atLeast('cheaper_models')) {
+      return { ...route, downgraded: false }
+    }
+
+    return {
+      ...route,
+      model: cheapModel,
+      downgraded: route.model !== cheapModel,
+    }
+  }
+
+  /**
+   * @throws {Error} budget_exceeded if only cached responses may be served
+   */
+  assertCanSpend() {
+    if (this.isCacheOnly()) {
+      throw createBudgetError(
+        'Spend budget reached - only cached analyses are available until it resets'
+      )
+    }
+  }
+
+  /**
+   * @throws {Error} budget_exceeded if this micro-prompt may not run right now
+   */
+  assertCanRun(promptType) {
+    this.assertCanSpend()
+    if (this.shouldSkip(promptType)) {
+      throw createBudgetError(
+        `${promptType} is paused to stay within the spend budget`
+      )
+    }
+  }
+}
+
+module.exports = new BudgetService()
+module.exports.BUDGET_MODES = BUDGET_MODES
+module.exports.createBudgetError = createBudgetError
+module.exports.isBudgetError = isBudgetError
@@ -1,24 +1,45 @@
 /**
  * Cache Service for LinkedIntel Backend
- * Two-tier caching: Memory (L1) + Database (L2)
+ * Two-tier caching: Memory (L1) + Persistent store (L2)
  *
  * L1 Cache: In-memory Map for fast access (lost on restart)
- * L2 Cache: Supabase database for persistence across restarts
+ * L2 Cache: Pluggable store (Supabase or local files, see cacheStores/) for persistence across restarts
  *
  * Cache flow:
  * - get(): Check L1 → if miss, check L2 → if hit, warm L1
  * - set(): Write to L1 AND L2 simultaneously
+ * - Stale-while-revalidate: analyses past the soft TTL (ttl) are kept until the
+ *   hard TTL (ttl + staleWindow); getWithStatus() serves them flagged stale and
+ *   revalidate() refreshes them in the background
  * - Graceful fallback: If DB unavailable, use memory-only
+ * - Workspace scope: analyses requested in a workspace with a private cache get
+ *   keys of their own ("company:li:acme#ws_…"), see workspaceScopeTag()
  */
 
 const config = require('../config')
 const { Logger } = require('../utils/logger')
 const supabaseService = require('./supabaseService')
+const { createCacheStore } = require('./cacheStores')
+const snapshotService = require('./snapshotService')
+const usageLedgerService = require('./usageLedgerService')
+const budgetService = require('./budgetService')
+const promptExperimentService = require('./promptExperimentService')
+const entityAliasService = require('./entityAliasService')
+const workspaceService = require('./workspaceService')
 const {
   CompanyAnalysisSchema,
   PersonAnalysisSchema,
   SCHEMA_VERSION,
 } = require('../schemas/analysisSchemas')
+const { migrateAnalysis } = require('../schemas/migrations')
+const {
+  linkedinCompanySlug,
+  linkedinProfileSlug,
+  domainAlias,
+  companyNameAlias,
+  companyAliases,
+  personAlias,
+} = require('../utils/entityIdentity')
 
 const logger = new Logger('CacheService')
 
@@ -26,22 +47,71 @@ const logger = new Logger('CacheService')
 // Incremented when cache format/schema changes to auto-invalidate old entries
 const CACHE_VERSION = SCHEMA_VERSION // v2: Cache consolidation - single source of truth
 
+// Separates an identity from the workspace it is cached for
+const WORKSPACE_SCOPE_SEPARATOR = '#'
+
 class CacheService {
   constructor() {
     this.cache = new Map() // L1: In-memory cache
     this.pendingRequests = new Map() // Request deduplication to prevent race conditions
     this.ttl = config.cache.ttl
+    this.staleWindow = config.cache.staleWindow
     this.maxSize = config.cache.maxSize
     this.cacheVersion = CACHE_VERSION
+    this.l2Store = createCacheStore() // L2: Persistent store (CACHE_L2_BACKEND)
+
+    logger.info(
+      `L2 cache backend: ${this.l2Store.name}${
+        this.l2Store.isConfigured() ? '' : ' (unavailable - memory-only)'
+      }`
+    )
+
+    // Schema migration counters (reported in getStats)
+    this.migrationStats = {
+      migrated: 0,
+      discarded: 0,
+      failed: 0,
+      lastSweepAt: null,
+    }
 
     // Start cleanup interval
     this.startCleanupInterval()
+
+    // Upgrade entries written under an older SCHEMA_VERSION in the background
+    if (config.cache.migrationSweepOnStartup) {
+      this.migrateAll().catch((error) =>
+        logger.warn('Cache migration sweep failed:', error.message)
+      )
+    }
   }
 
   /**
-   * Get value from cache (two-tier: memory L1 → database L2)
+   * Get a fresh value from cache (two-tier: memory L1 → database L2)
+   * Stale entries are a miss here - use getWithStatus() to serve them
    */
   async get(key) {
+    const entry = await this.getWithStatus(key)
+    return entry && !entry.stale ? entry.value : null
+  }
+
+  /**
+   * Get value from cache with its freshness (two-tier: memory L1 → database L2)
+   * Hits and misses count towards the current request's usage ledger entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { value, stale, cachedAt } or null on miss
+   */
+  async getWithStatus(key) {
+    const entry = await this.lookup(key)
+    usageLedgerService.noteCacheLookup(!!entry)
+    return entry
+  }
+
+  /**
+   * Two-tier lookup behind getWithStatus()
+   * @private
+   */
+  async lookup(key) {
     // L1: Check in-memory cache first
     const memoryEntry = this.cache.get(key)
 
@@ -53,20 +123,26 @@ class CacheService {
         )
         this.cache.delete(key)
       } else if (Date.now() > memoryEntry.expiresAt) {
-        // Check if entry has expired
+        // Past the hard TTL
         this.cache.delete(key)
       } else {
-        // L1 HIT - refresh TTL on access (sliding expiration)
+        // L1 HIT - the soft TTL does not slide, so hot entries still get refreshed
         memoryEntry.accessedAt = Date.now()
-        memoryEntry.expiresAt = Date.now() + this.ttl // Extend TTL
-        logger.debug(`Cache HIT (L1 memory) for key: ${key}, TTL refreshed`)
-        return memoryEntry.value
+        const stale = Date.now() > memoryEntry.staleAt
+        logger.debug(
+          `Cache HIT (L1 memory${stale ? ', stale' : ''}) for key: ${key}`
+        )
+        return {
+          value: memoryEntry.value,
+          stale,
+          cachedAt: memoryEntry.createdAt,
+        }
       }
     }
 
-    // L1 MISS: Try L2 (database)
+    // L1 MISS: Try L2 (persistent store)
     try {
-      const dbEntry = await supabaseService.getCachedAnalysis(key)
+      let dbEntry = await this.l2Store.get(key)
 
       if (dbEntry) {
         // Check if database entry has correct schema version (unified version system)
@@ -74,19 +150,32 @@ class CacheService {
 
         if (dbSchemaVersion !== this.cacheVersion) {
           logger.debug(
-            `Database cache entry schema version mismatch (${dbSchemaVersion} vs ${this.cacheVersion}), invalidating: ${key}`
+            `Database cache entry schema version mismatch (${dbSchemaVersion} vs ${this.cacheVersion}), migrating: ${key}`
           )
-          // Don't return old data, let it re-analyze
-          return null
+          // Upgrade in place; null means no migration path (re-analyze)
+          dbEntry = await this.migrateStoredEntry(key, dbEntry)
+          if (!dbEntry) {
+            return null
+          }
         }
 
-        // L2 HIT: Warm L1 cache
-        logger.debug(`Cache HIT (L2 database) for key: ${key}, warming L1`)
+        // L2 HIT: Warm L1 cache, keeping the original write time as the soft TTL anchor
+        // (entries written before cachedAt existed count as fresh from now)
+        const cachedAt =
+          Date.parse(dbEntry.metadata?.cachedAt || '') || Date.now()
+        const ttl = this.softTtlFor(dbEntry, this.ttl)
+        this.setMemory(key, dbEntry, ttl, {
+          staleWindow: this.staleWindow,
+          cachedAt,
+        })
+
+        const stale = Date.now() > cachedAt + ttl
         logger.debug(
-          `Retrieved from L2 with schemaVersion: ${dbEntry.metadata?.schemaVersion} (unified version system)`
+          `Cache HIT (L2 database${
+            stale ? ', stale' : ''
+          }) for key: ${key}, warming L1`
         )
-        this.setMemory(key, dbEntry, this.ttl)
-        return dbEntry
+        return { value: dbEntry, stale, cachedAt }
       }
     } catch (error) {
       logger.warn(`Database cache lookup failed for key ${key}:`, error.message)
@@ -123,6 +212,11 @@ class CacheService {
       return null
     }
 
+    // Stale entries are only served through getWithStatus()
+    if (Date.now() > entry.staleAt) {
+      return null
+    }
+
     // Update access time for LRU-like behavior
     entry.accessedAt = Date.now()
     return entry.value
@@ -133,17 +227,24 @@ class CacheService {
    *
    * Note: Component caches (Sumble tech, contacts, etc.) are L1-only
    * Full company/person analyses go to both L1 and L2
+   *
+   * @param {Object} options - { cachedAt: ms timestamp to keep (defaults to now) }
    */
-  async set(key, value, customTtl = null) {
-    const ttl = customTtl || this.ttl
-
-    // Write to L1 (memory) with version
-    this.setMemory(key, value, ttl)
+  async set(key, value, customTtl = null, options = {}) {
+    const ttl = this.softTtlFor(value, customTtl || this.ttl)
 
     // Determine if this should be written to L2 (database)
     const analysisType = this.extractAnalysisType(key)
     const isComponentCache = analysisType === 'unknown' // Component caches like sumble:tech:*
 
+    // Write to L1 (memory) with version - only full analyses get a stale window
+    // options.cachedAt keeps an existing soft TTL anchor (partial updates)
+    const cachedAt = options.cachedAt || Date.now()
+    this.setMemory(key, value, ttl, {
+      staleWindow: isComponentCache ? 0 : this.staleWindow,
+      cachedAt,
+    })
+
     if (isComponentCache) {
       // Component caches stay in L1 (memory) only
       // Examples: sumble:tech:*, sumble:contacts:*, perplexity:*
@@ -155,30 +256,37 @@ class CacheService {
 
     // Write full analyses to L2 (database) asynchronously with version metadata
     try {
-      // Convert milliseconds to hours for database storage
-      // config.cache.ttl is in ms: 5 min (dev) = 300000ms = 0.083h, 24h (prod) = 86400000ms = 24h
-      const ttlHours = ttl / (1000 * 60 * 60)
-
       // Ensure metadata has schemaVersion (unified with CACHE_VERSION)
       const valueWithMetadata = {
         ...value,
         metadata: {
           ...value.metadata,
           schemaVersion: this.cacheVersion, // Ensure schemaVersion is set
+          cachedAt: new Date(cachedAt).toISOString(), // Soft TTL anchor for L1 warming
         },
       }
 
+      // Keep a versioned copy for history/diff (best effort, not awaited)
+      snapshotService.record(key, analysisType, valueWithMetadata)
+
+      // Later lookups by another spelling, domain or without the LinkedIn URL land here
+      this.registerAliases(key, analysisType, valueWithMetadata)
+
       // Debug: Log schemaVersion being saved
       logger.debug(
         `Saving to L2 with schemaVersion: ${valueWithMetadata.metadata?.schemaVersion} (unified version system)`
       )
 
-      await supabaseService.setCachedAnalysis(
+      const written = await this.l2Store.set(
         key,
         analysisType,
         valueWithMetadata,
-        ttlHours
+        cachedAt + ttl + this.staleWindow - Date.now() // L2 keeps entries until the hard TTL
       )
+      if (!written) {
+        logger.debug(`Cache SET (L1 only, L2 unavailable) for key: ${key}`)
+        return
+      }
       logger.debug(
         `Cache SET (L1 + L2) for key: ${key} [v${this.cacheVersion}]`
       )
@@ -192,12 +300,27 @@ class CacheService {
     }
   }
 
+  /**
+   * Soft TTL of a value - analyses degraded by the spend budget (skipped
+   * sections, cheaper models) go stale sooner so they get re-run
+   * @param {Object} value - Cached value
+   * @param {number} ttl - TTL it would otherwise get
+   */
+  softTtlFor(value, ttl) {
+    return value?.metadata?.budget
+      ? Math.min(ttl, config.budget.degradedTtl)
+      : ttl
+  }
+
   /**
    * Set value in memory cache only (L1)
    * Used internally and for warming cache from L2
+   *
+   * @param {Object} options - { staleWindow: ms served stale after ttl, cachedAt: write time }
    */
-  setMemory(key, value, ttl = null) {
+  setMemory(key, value, ttl = null, { staleWindow = 0, cachedAt } = {}) {
     const cacheTtl = ttl || this.ttl
+    const createdAt = cachedAt || Date.now()
 
     // If cache is full, remove oldest entry
     if (this.cache.size >= this.maxSize) {
@@ -207,9 +330,10 @@ class CacheService {
     this.cache.set(key, {
       value,
       version: this.cacheVersion,
-      createdAt: Date.now(),
+      createdAt,
       accessedAt: Date.now(),
-      expiresAt: Date.now() + cacheTtl,
+      staleAt: createdAt + cacheTtl, // Soft TTL
+      expiresAt: createdAt + cacheTtl + staleWindow, // Hard TTL
     })
   }
 
@@ -261,13 +385,12 @@ class CacheService {
       }`
     )
 
-    // Delete from L2 (database)
+    // Delete from L2 (persistent store)
     let deletedFromL2 = false
-    if (this.l2Enabled) {
-      const supabaseService = require('./supabaseService')
-      deletedFromL2 = await supabaseService.deleteCachedAnalysis(key)
+    if (this.l2Store.isConfigured()) {
+      deletedFromL2 = await this.l2Store.delete(key)
       logger.debug(
-        `Cache DELETE (L2): ${key} - ${
+        `Cache DELETE (L2 ${this.l2Store.name}): ${key} - ${
           deletedFromL2 ? 'deleted' : 'not found or failed'
         }`
       )
@@ -297,22 +420,21 @@ class CacheService {
       }`
     )
 
-    // Delete from L2 (database analysis_cache)
+    // Delete from L2 (persistent store)
     let deletedFromL2 = false
     let clearedReferences = 0
 
     try {
-      const supabaseService = require('./supabaseService')
-
-      if (supabaseService.isConfigured()) {
-        // Delete from analysis_cache table
-        deletedFromL2 = await supabaseService.deleteCachedAnalysis(key)
+      if (this.l2Store.isConfigured()) {
+        deletedFromL2 = await this.l2Store.delete(key)
         logger.debug(
-          `Cache DELETE (L2): ${key} - ${
+          `Cache DELETE (L2 ${this.l2Store.name}): ${key} - ${
             deletedFromL2 ? 'deleted' : 'not found or failed'
           }`
         )
+      }
 
+      if (supabaseService.isConfigured()) {
         // Clear cache_key references in usage_logs (set to NULL)
         // This preserves usage history but removes broken cache link
         const { error: updateError } = await supabaseService.client
@@ -359,12 +481,15 @@ class CacheService {
   async getStats() {
     const now = Date.now()
     let expired = 0
+    let stale = 0
     let valid = 0
 
     // L1 stats (memory)
     for (const [key, entry] of this.cache) {
       if (now > entry.expiresAt) {
         expired++
+      } else if (now > entry.staleAt) {
+        stale++
       } else {
         valid++
       }
@@ -374,15 +499,17 @@ class CacheService {
       totalEntries: this.cache.size,
       validEntries: valid,
       expiredEntries: expired,
+      staleEntries: stale,
       maxSize: this.maxSize,
       ttlMs: this.ttl,
+      staleWindowMs: this.staleWindow,
       memoryUsage: this.estimateMemoryUsage(),
     }
 
-    // L2 stats (database)
+    // L2 stats (persistent store)
     let databaseStats = null
     try {
-      databaseStats = await supabaseService.getCacheStats()
+      databaseStats = await this.l2Store.getStats()
     } catch (error) {
       logger.debug('Could not get database cache stats:', error.message)
     }
@@ -390,6 +517,8 @@ class CacheService {
     return {
       l1_memory: memoryStats,
       l2_database: databaseStats,
+      migrations: { ...this.migrationStats },
+      aliases: entityAliasService.getStats(),
       total: {
         l1_entries: memoryStats.totalEntries,
         l2_entries: databaseStats?.total_entries || 0,
@@ -404,6 +533,191 @@ class CacheService {
     return Array.from(this.cache.keys())
   }
 
+  /**
+   * Every cache key across L1 (memory) and L2 (persistent store)
+   */
+  async getAllKeys() {
+    let storedKeys = []
+    try {
+      storedKeys = await this.l2Store.keys()
+    } catch (error) {
+      logger.warn('Failed to list L2 cache keys:', error.message)
+    }
+    return Array.from(new Set([...this.cache.keys(), ...storedKeys]))
+  }
+
+  /**
+   * Entry type for admin listings: company | person | component
+   */
+  entryType(key) {
+    const analysisType = this.extractAnalysisType(key)
+    return analysisType === 'unknown' ? 'component' : analysisType
+  }
+
+  /**
+   * Entity identity a key belongs to, without workspace scope or prompt tag
+   */
+  identityOf(key) {
+    return promptExperimentService
+      .stripCacheKeyTag(key)
+      .split(WORKSPACE_SCOPE_SEPARATOR)[0]
+  }
+
+  /**
+   * Workspace whose private cache a key belongs to, or null for the global cache
+   */
+  workspaceOf(key) {
+    return (
+      promptExperimentService
+        .stripCacheKeyTag(key)
+        .split(WORKSPACE_SCOPE_SEPARATOR)[1] || null
+    )
+  }
+
+  /**
+   * Describe one entry as stored, for the admin API
+   * Reads L1 and L2 directly: no migration, no L1 warming, no usage ledger hit
+   *
+   * @param {string} key - Cache key
+   * @param {Object} [options] - { includeValue: also return the cached value }
+   * @returns {Promise<Object|null>} { key, type, name, workspaceId, layers,
+   *   schemaVersion, cachedAt, ageMs, stale, expiresAt, value? } or null if absent
+   */
+  async describeEntry(key, { includeValue = false } = {}) {
+    const now = Date.now()
+    let memoryEntry = this.cache.get(key)
+    if (memoryEntry && now > memoryEntry.expiresAt) {
+      memoryEntry = null
+    }
+
+    // Component caches are L1-only
+    let storedValue = null
+    if (this.extractAnalysisType(key) !== 'unknown') {
+      try {
+        storedValue = await this.l2Store.get(key)
+      } catch (error) {
+        logger.debug(`L2 read failed for ${key}:`, error.message)
+      }
+    }
+
+    if (!memoryEntry && !storedValue) {
+      return null
+    }
+
+    const value = storedValue || memoryEntry.value
+    const cachedAt = memoryEntry
+      ? memoryEntry.createdAt
+      : Date.parse(storedValue.metadata?.cachedAt || '') || null
+    const staleAt = memoryEntry
+      ? memoryEntry.staleAt
+      : cachedAt && cachedAt + this.ttl
+    const expiresAt = memoryEntry
+      ? memoryEntry.expiresAt
+      : cachedAt && cachedAt + this.ttl + this.staleWindow
+
+    const entry = {
+      key,
+      type: this.entryType(key),
+      name: value?.companyName || value?.metadata?.personName || null,
+      workspaceId: this.workspaceOf(key),
+      layers: { l1: !!memoryEntry, l2: !!storedValue },
+      schemaVersion: storedValue
+        ? storedValue.metadata?.schemaVersion || 1
+        : memoryEntry.version,
+      cachedAt: cachedAt ? new Date(cachedAt).toISOString() : null,
+      ageMs: cachedAt ? now - cachedAt : null,
+      stale: staleAt ? now > staleAt : false,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    }
+
+    if (includeValue) {
+      entry.value = value
+    }
+    return entry
+  }
+
+  /**
+   * List entries across L1 and L2, newest first
+   * Each candidate is read from L2, so narrow large listings with type or prefix
+   *
+   * @param {Object} [filter] - { type, prefix, schemaVersion, minAgeMs, maxAgeMs,
+   *   limit (default 100), offset }
+   * @returns {Promise<Object>} { total, entries } - total before limit/offset
+   */
+  async listEntries({
+    type,
+    prefix,
+    schemaVersion,
+    minAgeMs,
+    maxAgeMs,
+    limit = 100,
+    offset = 0,
+  } = {}) {
+    const keys = (await this.getAllKeys()).filter(
+      (key) =>
+        (!prefix || key.startsWith(prefix)) &&
+        (!type || this.entryType(key) === type)
+    )
+
+    const entries = []
+    for (const key of keys) {
+      const entry = await this.describeEntry(key)
+      if (
+        !entry ||
+        (schemaVersion !== undefined &&
+          entry.schemaVersion !== schemaVersion) ||
+        (minAgeMs !== undefined && !(entry.ageMs >= minAgeMs)) ||
+        (maxAgeMs !== undefined && !(entry.ageMs <= maxAgeMs))
+      ) {
+        continue
+      }
+      entries.push(entry)
+    }
+
+    entries.sort((a, b) => (b.cachedAt || '').localeCompare(a.cachedAt || ''))
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit),
+    }
+  }
+
+  /**
+   * Purge matching entries from every source (see deleteFromAllSources)
+   *
+   * @param {Object} target - One of: { key } (exact key), { prefix } (key
+   *   prefix), { identities } (entities in every workspace scope and prompt version),
+   *   { minAgeMs } (entries cached at least this long ago)
+   * @returns {Promise<Object>} { keys, l1, l2 } - purged keys, deletions per layer
+   */
+  async purge({ key, prefix, identities, minAgeMs } = {}) {
+    if (!key && !prefix && !identities?.length && minAgeMs === undefined) {
+      throw new Error('purge needs a key, prefix, identities or minAgeMs')
+    }
+
+    const keys =
+      minAgeMs !== undefined
+        ? (await this.listEntries({ minAgeMs, limit: Infinity })).entries.map(
+            (entry) => entry.key
+          )
+        : (await this.getAllKeys()).filter((candidate) => {
+            if (key) return candidate === key
+            if (prefix) return candidate.startsWith(prefix)
+            return identities.includes(this.identityOf(candidate))
+          })
+
+    const summary = { keys, l1: 0, l2: 0 }
+    for (const candidate of keys) {
+      const result = await this.deleteFromAllSources(candidate)
+      if (result.l1) summary.l1++
+      if (result.l2) summary.l2++
+    }
+
+    logger.info(
+      `🗑️  Purged ${keys.length} cache entries (L1=${summary.l1}, L2=${summary.l2})`
+    )
+    return summary
+  }
+
   /**
    * Validate cached company analysis against comprehensive Zod schema
    * Returns { valid: boolean, errors: string[], schemaVersion: number }
@@ -616,29 +930,161 @@ class CacheService {
 
   /**
    * Generate cache key for company analysis
-   * Uses normalized company name for consistency
+   * The company's identity (see companyIdentityKey), scoped to the request's
+   * workspace (see workspaceScopeTag), tagged with the prompt versions the
+   * analysis is built with (see promptExperimentService)
+   * @param {string} companyName - Company name
+   * @param {Object} [identity] - { companyUrl, domain } when known
    */
-  generateCompanyKey(companyName) {
-    const normalized = this.normalizeCompanyName(companyName)
-    return `company:${normalized}`
+  generateCompanyKey(companyName, identity = {}) {
+    const subject = this.companyKeyBase(companyName)
+    return `${this.companyIdentityKey(
+      companyName,
+      identity
+    )}${this.workspaceScopeTag()}${promptExperimentService.cacheKeyTag(
+      'company',
+      subject
+    )}`
   }
 
   /**
    * Generate cache key for person analysis
-   * Uses normalized names for consistency
+   * The person's identity (see personIdentityKey), workspace scope and prompt
+   * version tag
+   * @param {string} name - Person name
+   * @param {string} [company] - Company name
+   * @param {Object} [identity] - { profileUrl } when known
+   */
+  generatePersonKey(name, company = '', identity = {}) {
+    const subject = this.personKeyBase(name, company)
+    return `${this.personIdentityKey(
+      name,
+      company,
+      identity
+    )}${this.workspaceScopeTag()}${promptExperimentService.cacheKeyTag(
+      'person',
+      subject
+    )}`
+  }
+
+  /**
+   * Workspace part of a cache key - the request's workspace when it keeps a
+   * private cache, else nothing (the global cache)
+   * Snapshots follow the key, so a private workspace's history stays private too
+   */
+  workspaceScopeTag() {
+    const workspaceId = workspaceService.currentCacheScope()
+    return workspaceId ? `${WORKSPACE_SCOPE_SEPARATOR}${workspaceId}` : ''
+  }
+
+  /**
+   * Untagged company key by name - the subject for prompt variant assignment,
+   * and the identity of companies without a slug or alias
+   */
+  companyKeyBase(companyName) {
+    return `company:${this.normalizeCompanyName(companyName)}`
+  }
+
+  /**
+   * Untagged person key by name - the subject for prompt variant assignment,
+   * and the identity of people without a slug or alias
    */
-  generatePersonKey(name, company = '') {
-    const normalizedName = this.normalizePersonName(name)
-    const key = `person:${normalizedName}`
+  personKeyBase(name, company = '') {
+    const key = `person:${this.normalizePersonName(name)}`
 
     if (company) {
-      const normalizedCompany = this.normalizeCompanyName(company)
-      return `${key}:${normalizedCompany}`
+      return `${key}:${this.normalizeCompanyName(company)}`
     }
 
     return key
   }
 
+  /**
+   * Canonical company identity: company:li:<slug> from the LinkedIn URL, else
+   * whatever its domain (or name) is aliased to, else a new identity - by
+   * domain when one was picked (names can be ambiguous), otherwise by name
+   */
+  companyIdentityKey(companyName, { companyUrl, domain } = {}) {
+    const slug = linkedinCompanySlug(companyUrl)
+    if (slug) {
+      return `company:li:${slug}`
+    }
+
+    const pickedDomain = domainAlias(domain)
+    if (pickedDomain) {
+      return (
+        entityAliasService.resolve('company', [pickedDomain]) ||
+        `company:${pickedDomain}`
+      )
+    }
+
+    return (
+      entityAliasService.resolve('company', [companyNameAlias(companyName)]) ||
+      this.companyKeyBase(companyName)
+    )
+  }
+
+  /**
+   * Canonical person identity: person:li:<slug> from the LinkedIn URL, else
+   * whatever name + company is aliased to, else the name-based key
+   */
+  personIdentityKey(name, company = '', { profileUrl } = {}) {
+    const slug = linkedinProfileSlug(profileUrl)
+    if (slug) {
+      return `person:li:${slug}`
+    }
+
+    return (
+      entityAliasService.resolve('person', [
+        this.personAliasFor(name, company),
+      ]) || this.personKeyBase(name, company)
+    )
+  }
+
+  /**
+   * Person alias - the company part is its identity when aliased, so "Acme Inc"
+   * and "ACME" give the same alias
+   */
+  personAliasFor(name, company = '') {
+    const companyRef = company
+      ? entityAliasService.resolve('company', [companyNameAlias(company)]) ||
+        companyNameAlias(company) ||
+        ''
+      : ''
+    return personAlias(this.normalizePersonName(name), companyRef)
+  }
+
+  /**
+   * Point a cached analysis' names (and resolved domain) at its identity
+   * Only global-cache analyses register: the alias table is shared, so a
+   * private workspace's analysis must not steer other callers' lookups
+   * Never breaks the cache write
+   */
+  registerAliases(key, analysisType, value) {
+    if (this.workspaceOf(key)) return
+
+    try {
+      const identity = this.identityOf(key)
+
+      if (analysisType === 'company') {
+        entityAliasService.register(
+          'company',
+          identity,
+          companyAliases(value.companyName, value.metadata?.companyDomain)
+        )
+      } else if (analysisType === 'person' && value.metadata?.personName) {
+        entityAliasService.register('person', identity, [
+          this.personAliasFor(
+            value.metadata.personName,
+            value.metadata.company || ''
+          ),
+        ])
+      }
+    } catch (error) {
+      logger.warn(`Failed to register aliases for ${key}:`, error.message)
+    }
+  }
+
   /**
    * Evict oldest entry (LRU-like behavior)
    */
@@ -678,12 +1124,12 @@ class CacheService {
       logger.info(`Cache cleanup (L1): removed ${removedCount} expired entries`)
     }
 
-    // Clean up L2 (database) - run asynchronously
+    // Clean up L2 (persistent store) - run asynchronously
     try {
-      const dbRemovedCount = await supabaseService.cleanupExpiredCache()
+      const dbRemovedCount = await this.l2Store.cleanupExpired()
       if (dbRemovedCount > 0) {
         logger.info(
-          `Cache cleanup (L2): removed ${dbRemovedCount} expired entries from database`
+          `Cache cleanup (L2 ${this.l2Store.name}): removed ${dbRemovedCount} expired entries`
         )
       }
     } catch (error) {
@@ -794,6 +1240,202 @@ class CacheService {
     }
   }
 
+  /**
+   * Upgrade an outdated L2 entry to the current SCHEMA_VERSION and write it back
+   * Entries are only discarded when no migration path exists; failed migrations
+   * are left in place (the next fresh analysis overwrites them)
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Stored payload with an older metadata.schemaVersion
+   * @returns {Promise<Object|null>} Migrated payload, or null if unusable
+   */
+  async migrateStoredEntry(key, entry) {
+    const analysisType = this.extractAnalysisType(key)
+
+    let result
+    try {
+      result = migrateAnalysis(analysisType, entry)
+    } catch (error) {
+      this.migrationStats.failed++
+      logger.warn(`⚠️  Cache migration failed for ${key}:`, error.message)
+      return null
+    }
+
+    if (result.status === 'current') {
+      return result.data
+    }
+
+    if (result.status === 'unsupported') {
+      this.migrationStats.discarded++
+      await this.l2Store.delete(key)
+      logger.info(
+        `🗑️  Discarded cache entry ${key}: no migration path (schemaVersion ${
+          result.fromVersion ?? 'missing'
+        } → ${this.cacheVersion})`
+      )
+      return null
+    }
+
+    const validation =
+      analysisType === 'company'
+        ? this.validateCompanyCache(result.data)
+        : this.validatePersonCache(result.data)
+
+    if (!validation.valid) {
+      this.migrationStats.failed++
+      logger.warn(
+        `⚠️  Migrated cache entry ${key} failed validation: ${validation.errors.join(
+          ', '
+        )}`
+      )
+      return null
+    }
+
+    await this.l2Store.set(
+      key,
+      analysisType,
+      result.data,
+      this.ttl + this.staleWindow
+    )
+    this.migrationStats.migrated++
+    logger.info(`🔄 Migrated cache entry ${key}: ${result.steps.join(', ')}`)
+
+    return result.data
+  }
+
+  /**
+   * Background sweep: migrate every outdated entry in the L2 store
+   * @returns {Promise<Object>} { scanned, migrated, discarded, failed }
+   */
+  async migrateAll() {
+    if (!this.l2Store.isConfigured()) {
+      return { scanned: 0, migrated: 0, discarded: 0, failed: 0 }
+    }
+
+    const before = { ...this.migrationStats }
+    const keys = await this.l2Store.keys()
+    let scanned = 0
+
+    for (const key of keys) {
+      if (this.extractAnalysisType(key) === 'unknown') continue
+
+      const entry = await this.l2Store.get(key)
+      if (!entry) continue
+
+      scanned++
+      if (entry.metadata?.schemaVersion !== this.cacheVersion) {
+        await this.migrateStoredEntry(key, entry)
+      }
+    }
+
+    this.migrationStats.lastSweepAt = new Date().toISOString()
+    const summary = {
+      scanned,
+      migrated: this.migrationStats.migrated - before.migrated,
+      discarded: this.migrationStats.discarded - before.discarded,
+      failed: this.migrationStats.failed - before.failed,
+    }
+
+    if (summary.migrated || summary.discarded || summary.failed) {
+      logger.info(
+        `🔄 Cache migration sweep: ${summary.migrated} migrated, ${summary.discarded} discarded, ${summary.failed} failed (${scanned} scanned)`
+      )
+    }
+
+    return summary
+  }
+
+  /**
+   * Refresh a stale entry in the background (stale-while-revalidate)
+   * Deduplicated through the pending request registry: concurrent stale hits start
+   * a single refresh, and cache misses for the key wait on it
+   *
+   * @param {string} key - Cache key
+   * @param {Function} refresh - Runs the analysis, resolves to { success, data }
+   * @returns {boolean} true (a refresh is in flight for this key)
+   */
+  revalidate(key, refresh) {
+    if (this.pendingRequests.has(key)) {
+      return true
+    }
+
+    logger.info(`🔄 Revalidating stale cache entry in background: ${key}`)
+
+    const refreshPromise = Promise.resolve()
+      .then(refresh)
+      .then(async (result) => {
+        if (!result || !result.success) {
+          throw new Error('Refresh analysis failed')
+        }
+        await this.set(key, result.data)
+        return result
+      })
+
+    this.registerPendingRequest(key, refreshPromise)
+
+    refreshPromise
+      .then(() => logger.info(`✅ Background refresh completed: ${key}`))
+      .catch((error) =>
+        logger.warn(`⚠️  Background refresh failed for ${key}:`, error.message)
+      )
+      .finally(() => this.clearPendingRequest(key))
+
+    return true
+  }
+
+  /**
+   * Resolve a getWithStatus() hit for a response
+   * - Fresh: returned as-is
+   * - Stale: returned immediately while revalidate() runs in the background
+   * - Stale + awaitRefresh (client follow-up): waits for the in-flight refresh and
+   *   returns the fresh value, or the stale one if the refresh failed
+   * - Stale while the spend budget is cache-only: returned without a refresh
+   * - Stale and degraded by the budget (metadata.budget): only refreshed once
+   *   the budget is back to normal, so the refresh gets the full analysis
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - getWithStatus() result
+   * @param {Function} refresh - Runs the analysis, resolves to { success, data }
+   * @param {Object} options - { awaitRefresh }
+   * @returns {Promise<Object>} { value, stale, refreshing }
+   */
+  async serveWithRevalidation(
+    key,
+    entry,
+    refresh,
+    { awaitRefresh = false } = {}
+  ) {
+    if (!entry.stale) {
+      return { value: entry.value, stale: false, refreshing: false }
+    }
+
+    if (awaitRefresh) {
+      const refreshed = await this.waitForPendingRequest(key)
+      if (refreshed && refreshed.success) {
+        return { value: refreshed.data, stale: false, refreshing: false }
+      }
+      return { value: entry.value, stale: true, refreshing: false }
+    }
+
+    return {
+      value: entry.value,
+      stale: true,
+      refreshing: this.canRevalidate(entry.value)
+        ? this.revalidate(key, refresh)
+        : false,
+    }
+  }
+
+  /**
+   * Whether a stale value may be refreshed under the current spend budget
+   */
+  canRevalidate(value) {
+    if (budgetService.isCacheOnly()) {
+      return false
+    }
+    return !value?.metadata?.budget || budgetService.getMode() === 'normal'
+  }
+
   /**
    * Get pending requests statistics
    */
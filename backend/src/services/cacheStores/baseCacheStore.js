@@ -0,0 +1,90 @@
+/**
+ * Base L2 Cache Store
+ * Interface for persistent cache backends used by cacheService as its L2 layer
+ *
+ * Stores persist full company/person analyses with an absolute expiry. Values are
+ * stored as-is; schema version checks stay in cacheService (value.metadata.schemaVersion).
+ *
+ * Every method must resolve (never reject) - cache failures are never fatal.
+ */
+
+class BaseCacheStore {
+  /**
+   * @param {string} name - Backend id reported in stats (e.g. 'supabase', 'file')
+   */
+  constructor(name) {
+    this.name = name
+  }
+
+  /**
+   * Whether this store can persist entries
+   */
+  isConfigured() {
+    return false
+  }
+
+  /**
+   * Read an unexpired entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Stored value, or null on miss/expiry
+   */
+  async get() {
+    return null
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - Cache key
+   * @param {string} entityType - 'company' | 'person'
+   * @param {Object} value - Analysis payload
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  async set() {
+    return false
+  }
+
+  /**
+   * Delete an entry
+   * @returns {Promise<boolean>} Whether the delete succeeded
+   */
+  async delete() {
+    return false
+  }
+
+  /**
+   * List stored cache keys (used by the schema migration sweep)
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    return []
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async cleanupExpired() {
+    return 0
+  }
+
+  /**
+   * Entry counts
+   * @returns {Promise<Object>} { backend, total_entries, company_entries, person_entries, total_size_bytes }
+   */
+  async getStats() {
+    return this.emptyStats()
+  }
+
+  emptyStats() {
+    return {
+      backend: this.name,
+      total_entries: 0,
+      company_entries: 0,
+      person_entries: 0,
+      total_size_bytes: 0,
+    }
+  }
+}
+
+module.exports = BaseCacheStore
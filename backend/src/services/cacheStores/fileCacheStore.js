@@ -0,0 +1,184 @@
+/**
+ * File L2 Cache Store
+ * Self-hosted persistence without a database - one JSON file per cache entry
+ *
+ * - Files are named by a hash of the cache key, so any key is filesystem-safe
+ * - Writes go to a temp file and are renamed into place (no torn reads)
+ * - Entries carry the same fields as the analysis_cache table
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const BaseCacheStore = require('./baseCacheStore')
+const { Logger } = require('../../utils/logger')
+
+const logger = new Logger('FileCacheStore')
+
+class FileCacheStore extends BaseCacheStore {
+  /**
+   * @param {string} directory - Directory holding the entry files
+   */
+  constructor(directory) {
+    super('file')
+    this.directory = directory
+    this.configured = false
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true })
+      this.configured = true
+    } catch (error) {
+      logger.warn(
+        `⚠ File cache directory unavailable (${this.directory}):`,
+        error.message
+      )
+    }
+  }
+
+  isConfigured() {
+    return this.configured
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex')
+    return path.join(this.directory, `${hash}.json`)
+  }
+
+  /**
+   * Read and parse an entry file (null if missing or unreadable)
+   */
+  async readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`File cache read error (${filePath}):`, error.message)
+      }
+      return null
+    }
+  }
+
+  async get(key) {
+    if (!this.isConfigured()) return null
+
+    const entry = await this.readEntry(this.filePath(key))
+    if (!entry || entry.cache_key !== key) {
+      return null
+    }
+
+    if (new Date(entry.expires_at).getTime() < Date.now()) {
+      return null
+    }
+
+    return entry.analysis_result
+  }
+
+  async set(key, entityType, value, ttlMs) {
+    if (!this.isConfigured()) return false
+
+    const filePath = this.filePath(key)
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    const entry = {
+      cache_key: key,
+      entity_type: entityType,
+      analysis_result: value,
+      metadata: { schemaVersion: value?.metadata?.schemaVersion },
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      created_at: new Date().toISOString(),
+    }
+
+    try {
+      await fs.promises.writeFile(tmpPath, JSON.stringify(entry))
+      await fs.promises.rename(tmpPath, filePath)
+      return true
+    } catch (error) {
+      logger.warn('Failed to write to file cache:', error.message)
+      return false
+    }
+  }
+
+  async delete(key) {
+    if (!this.isConfigured()) return false
+
+    try {
+      await fs.promises.unlink(this.filePath(key))
+      return true
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to delete from file cache:', error.message)
+      }
+      return false
+    }
+  }
+
+  /**
+   * Iterate over all entry files
+   * @returns {Promise<Array>} [{ filePath, entry, size }]
+   */
+  async listEntries() {
+    let files
+    try {
+      files = await fs.promises.readdir(this.directory)
+    } catch (error) {
+      logger.warn('Failed to list file cache:', error.message)
+      return []
+    }
+
+    const entries = []
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+
+      const filePath = path.join(this.directory, file)
+      const entry = await this.readEntry(filePath)
+      if (!entry) continue
+
+      const { size } = await fs.promises
+        .stat(filePath)
+        .catch(() => ({ size: 0 }))
+      entries.push({ filePath, entry, size })
+    }
+
+    return entries
+  }
+
+  async keys() {
+    if (!this.isConfigured()) return []
+
+    const entries = await this.listEntries()
+    return entries.map(({ entry }) => entry.cache_key)
+  }
+
+  async cleanupExpired() {
+    if (!this.isConfigured()) return 0
+
+    const now = Date.now()
+    let removed = 0
+
+    for (const { filePath, entry } of await this.listEntries()) {
+      if (new Date(entry.expires_at).getTime() < now) {
+        await fs.promises.unlink(filePath).catch(() => {})
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  async getStats() {
+    if (!this.isConfigured()) {
+      return this.emptyStats()
+    }
+
+    const stats = this.emptyStats()
+    for (const { entry, size } of await this.listEntries()) {
+      stats.total_entries++
+      stats.total_size_bytes += size
+      if (entry.entity_type === 'company') stats.company_entries++
+      if (entry.entity_type === 'person') stats.person_entries++
+    }
+
+    return stats
+  }
+}
+
+module.exports = FileCacheStore
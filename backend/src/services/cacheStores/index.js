@@ -0,0 +1,41 @@
+/**
+ * L2 Cache Store Factory
+ * Picks the persistent cache backend from config.cache.l2Backend (CACHE_L2_BACKEND):
+ *   auto     - Supabase when configured, otherwise local files (default)
+ *   supabase - analysis_cache table
+ *   file     - JSON files in config.cache.fileStorePath
+ *   none     - memory-only (L1)
+ */
+
+const config = require('../../config')
+const BaseCacheStore = require('./baseCacheStore')
+const SupabaseCacheStore = require('./supabaseCacheStore')
+const FileCacheStore = require('./fileCacheStore')
+const supabaseService = require('../supabaseService')
+const { Logger } = require('../../utils/logger')
+
+const logger = new Logger('CacheStore')
+
+function createCacheStore(backend = config.cache.l2Backend) {
+  switch (backend) {
+    case 'supabase':
+      return new SupabaseCacheStore()
+
+    case 'file':
+      return new FileCacheStore(config.cache.fileStorePath)
+
+    case 'none':
+      return new BaseCacheStore('none')
+
+    case 'auto':
+      return supabaseService.isConfigured()
+        ? new SupabaseCacheStore()
+        : new FileCacheStore(config.cache.fileStorePath)
+
+    default:
+      logger.warn(`⚠️  Unknown CACHE_L2_BACKEND '${backend}', using 'auto'`)
+      return createCacheStore('auto')
+  }
+}
+
+module.exports = { createCacheStore }
@@ -0,0 +1,60 @@
+/**
+ * Supabase L2 Cache Store
+ * Persists analyses in the analysis_cache table via supabaseService
+ */
+
+const BaseCacheStore = require('./baseCacheStore')
+const supabaseService = require('../supabaseService')
+
+class SupabaseCacheStore extends BaseCacheStore {
+  constructor() {
+    super('supabase')
+  }
+
+  isConfigured() {
+    return supabaseService.isConfigured()
+  }
+
+  async get(key) {
+    const row = await supabaseService.getCachedAnalysis(key)
+    if (!row) {
+      return null
+    }
+
+    // Expired rows linger until the next cleanup - treat them as misses
+    if (row.expires_at && new Date(row.expires_at).getTime() < Date.now()) {
+      return null
+    }
+
+    return row.analysis_result || null
+  }
+
+  async set(key, entityType, value, ttlMs) {
+    return await supabaseService.setCachedAnalysis(
+      key,
+      value,
+      entityType,
+      { schemaVersion: value?.metadata?.schemaVersion },
+      ttlMs
+    )
+  }
+
+  async delete(key) {
+    return await supabaseService.deleteCachedAnalysis(key)
+  }
+
+  async keys() {
+    return await supabaseService.listCacheKeys()
+  }
+
+  async cleanupExpired() {
+    return await supabaseService.cleanupExpiredCache()
+  }
+
+  async getStats() {
+    const stats = await supabaseService.getCacheStats()
+    return { backend: this.name, ...stats }
+  }
+}
+
+module.exports = SupabaseCacheStore
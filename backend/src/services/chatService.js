@@ -0,0 +1,590 @@
+/**
+ * Chat Service for LinkedIntel Backend
+ * Conversational Q&A grounded in the cached analyses of the account being viewed
+ *
+ * A chat turn runs in two steps:
+ * 1. Tool rounds (up to config.chat.maxToolRounds) - a JSON planning call
+ *    (routed as 'chatTools') picks tools to run; each reads the cache only, so
+ *    chat never triggers or pays for an analysis:
+ *      getAnalysis      - headline facts of an account and the sections it has
+ *      getSection       - every fact in one section (e.g. recentNews)
+ *      getVerifiedFacts - facts from verified origins (Sumble, the LinkedIn page)
+ * 2. The answer (routed as 'chat'), streamed token by token. Every fact a tool
+ *    returned has a citation id ("c3"); the answer cites facts inline as [c3],
+ *    and each id resolves to the analysis field it came from with its provenance
+ *
+ * Tools default to the chat's subject - the company or person on screen.
+ */
+
+const config = require('../config')
+const llmService = require('./llmService')
+const cacheService = require('./cacheService')
+const { repairJson } = require('../utils/jsonRepair')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('ChatService')
+
+const ACCOUNT_TYPES = ['company', 'person']
+
+const CHAT_TOOLS = {
+  getAnalysis: {
+    args: '{ account? }',
+    description:
+      "Headline facts of an account's cached analysis and the sections it has",
+  },
+  getSection: {
+    args: '{ account?, section }',
+    description:
+      'Every fact in one section of a cached analysis (section names come from getAnalysis)',
+  },
+  getVerifiedFacts: {
+    args: '{ account? }',
+    description:
+      'Facts from verified origins (Sumble data, the LinkedIn page) with their sources',
+  },
+}
+
+// Analysis fields that are bookkeeping rather than facts
+const NON_FACT_FIELDS = ['metadata', 'provenance']
+
+// Inline citation marker in an answer: [c3]
+const CITATION_PATTERN = /\[(c\d+)\]/g
+
+const PERSONA =
+  'You are LinkedIntel AI, a sales intelligence assistant specializing in LinkedIn profile and company analysis. You help sales professionals with insights, research, and actionable intelligence.'
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+/**
+ * Leaf facts under a value, keyed by dot path ("recentNews.0.title")
+ * @returns {Array<Object>} { path, value }
+ */
+function leafFacts(value, path, facts = []) {
+  if (value === null || value === undefined || value === '') return facts
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => leafFacts(item, `${path}.${index}`, facts))
+  } else if (typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      leafFacts(child, `${path}.${key}`, facts)
+    }
+  } else if (isScalar(value)) {
+    facts.push({ path, value })
+  }
+
+  return facts
+}
+
+/**
+ * Whether a path lies inside an item marked verified: false (e.g. a contact
+ * source reconciliation found has left)
+ */
+function underUnverifiedItem(analysis, path) {
+  const keys = path.split('.')
+  let value = analysis
+  for (const key of keys.slice(0, -1)) {
+    value = value?.[key]
+    if (value && value.verified === false) return true
+  }
+  return false
+}
+
+/**
+ * Account an input describes, with the cache key its analysis is stored under
+ * (in the request's workspace scope)
+ * @param {Object} input - { type, name, companyName?, companyUrl?, domain?, profileUrl? }
+ * @returns {Object|null} { type, name, cacheKey }
+ */
+function resolveAccount(input) {
+  if (
+    !input ||
+    !ACCOUNT_TYPES.includes(input.type) ||
+    typeof input.name !== 'string' ||
+    !input.name.trim()
+  ) {
+    return null
+  }
+
+  const name = input.name.trim()
+  const cacheKey =
+    input.type === 'company'
+      ? cacheService.generateCompanyKey(name, {
+          companyUrl: input.companyUrl,
+          domain: input.domain,
+        })
+      : cacheService.generatePersonKey(name, input.companyName || '', {
+          profileUrl: input.profileUrl,
+        })
+
+  return { type: input.type, name, cacheKey }
+}
+
+/**
+ * The chat's subject from the page context the extension sends
+ * ({ type: 'profile'|'company', name, company, linkedinUrl }, or the unified
+ * context's { profile, company })
+ * @returns {Object|null} Account input for resolveAccount()
+ */
+function subjectFromContext(context) {
+  if (!context || typeof context !== 'object') return null
+
+  if (context.type === 'company') {
+    return {
+      type: 'company',
+      name: context.name,
+      companyUrl: context.linkedinUrl,
+    }
+  }
+  if (context.type === 'profile') {
+    return {
+      type: 'person',
+      name: context.name,
+      companyName: context.company,
+      profileUrl: context.linkedinUrl,
+    }
+  }
+
+  if (context.profile?.name) {
+    return {
+      type: 'person',
+      name: context.profile.name,
+      companyName: context.profile.company || context.company?.name,
+    }
+  }
+  if (context.company?.name) {
+    return { type: 'company', name: context.company.name }
+  }
+
+  return null
+}
+
+/**
+ * Citation ids for the facts tools return in one chat turn
+ * The same field of the same account always gets the same id
+ */
+class CitationRegistry {
+  constructor() {
+    this.citations = new Map() // id -> citation
+    this.idsByField = new Map() // cacheKey|path -> id
+  }
+
+  /**
+   * @param {Object} account - { type, name, cacheKey }
+   * @param {Object} fact - { path, value } plus provenance
+   * @returns {string} Citation id
+   */
+  add(account, fact) {
+    const fieldKey = `${account.cacheKey}|${fact.path}`
+    if (this.idsByField.has(fieldKey)) {
+      return this.idsByField.get(fieldKey)
+    }
+
+    const id = `c${this.citations.size + 1}`
+    this.idsByField.set(fieldKey, id)
+    this.citations.set(id, {
+      id,
+      entityType: account.type,
+      entityName: account.name,
+      cacheKey: account.cacheKey,
+      field: fact.path,
+      value: fact.value,
+      sources: fact.sources || [],
+      confidence: fact.confidence ?? null,
+      origin: fact.origin || null,
+      retrievedAt: fact.retrievedAt || null,
+    })
+    return id
+  }
+
+  get(id) {
+    return this.citations.get(id) || null
+  }
+}
+
+class ChatService {
+  /**
+   * Answer the latest message of a conversation
+   *
+   * @param {Object} request - { messages: [{ role, content }], subject?, context? }
+   *   subject is an account input ({ type, name, ... }); without one it is
+   *   taken from the page context
+   * @param {Object} [handlers] - { onTool(call), onToken(text), onCitation(citation), signal }
+   * @returns {Promise<Object>} { content, fieldCitations, citations (web URLs),
+   *   toolCalls, subject, usage, provider, model, timestamp }
+   */
+  async chat({ messages, subject, context = null }, handlers = {}) {
+    // Keep the latest messages, starting at a user message
+    const history = messages.slice(-config.chat.maxHistoryMessages)
+    while (history.length > 1 && history[0].role !== 'user') history.shift()
+    const account = resolveAccount(subject || subjectFromContext(context))
+    const registry = new CitationRegistry()
+
+    const toolCalls = await this.runToolRounds(
+      history,
+      account,
+      registry,
+      handlers
+    )
+
+    // Announce each citation the first time the answer uses it; markers can
+    // be split across tokens, so rescan the tail of the answer so far
+    const announced = new Set()
+    let answer = ''
+    const onDelta = (text) => {
+      const scanFrom = Math.max(0, answer.length - 8)
+      answer += text
+      handlers.onToken?.(text)
+
+      for (const [, id] of answer.slice(scanFrom).matchAll(CITATION_PATTERN)) {
+        const citation = registry.get(id)
+        if (citation && !announced.has(id)) {
+          announced.add(id)
+          handlers.onCitation?.(citation)
+        }
+      }
+    }
+
+    const result = await llmService.stream(
+      [
+        {
+          role: 'system',
+          content: this.buildAnswerPrompt(context, account, toolCalls),
+        },
+        ...history,
+      ],
+      {
+        ...llmService.resolveRoute('chat'),
+        promptType: 'chat',
+        temperature: 0.7, // More conversational
+        topP: 0.9,
+        maxTokens: 2000, // Allow longer responses
+        searchRecencyFilter: 'month', // Focus on recent info
+        returnCitations: true,
+        signal: handlers.signal,
+      },
+      onDelta
+    )
+
+    // Ids the model made up are dropped from the final text
+    const content = result.content.replace(CITATION_PATTERN, (marker, id) =>
+      registry.get(id) ? marker : ''
+    )
+    const usedIds = [
+      ...new Set([...content.matchAll(CITATION_PATTERN)].map(([, id]) => id)),
+    ]
+
+    return {
+      content,
+      fieldCitations: usedIds.map((id) => registry.get(id)),
+      citations: result.citations || [],
+      toolCalls: toolCalls.map(({ facts, ...call }) => ({
+        ...call,
+        facts: facts.length,
+      })),
+      subject: account
+        ? { type: account.type, name: account.name, cacheKey: account.cacheKey }
+        : null,
+      usage: result.usage,
+      provider: result.provider,
+      model: result.model,
+      timestamp: new Date().toISOString(),
+    }
+  }
+
+  /**
+   * Let the model pick tools until it has what it needs (or the rounds run out)
+   * A failed planning call ends the rounds - the answer goes ahead with what
+   * was fetched
+   * @returns {Promise<Array>} Executed calls (see runTool)
+   */
+  async runToolRounds(history, subject, registry, handlers) {
+    const executed = []
+    const seen = new Set()
+
+    for (let round = 0; round < config.chat.maxToolRounds; round++) {
+      if (handlers.signal?.aborted) break
+
+      let requested
+      try {
+        requested = await this.planToolCalls(history, subject, executed)
+      } catch (error) {
+        if (error.errorType === 'budget_exceeded') throw error
+        logger.warn(`Chat tool planning failed: ${error.message}`)
+        break
+      }
+
+      const calls = requested
+        .filter((call) => {
+          const signature = JSON.stringify([call.tool, call.args])
+          if (seen.has(signature)) return false
+          seen.add(signature)
+          return true
+        })
+        .slice(0, config.chat.maxToolCallsPerRound)
+      if (calls.length === 0) break
+
+      for (const call of calls) {
+        const outcome = await this.runTool(call, subject, registry)
+        executed.push(outcome)
+        handlers.onTool?.({
+          tool: outcome.tool,
+          args: outcome.args,
+          account: outcome.account,
+          found: outcome.found,
+          stale: outcome.stale,
+          facts: outcome.facts.length,
+          error: outcome.error,
+        })
+      }
+    }
+
+    if (executed.length > 0) {
+      logger.debug(
+        `💬 Chat tools: ${executed
+          .map((call) => `${call.tool}(${call.account?.cacheKey || '-'})`)
+          .join(', ')}`
+      )
+    }
+    return executed
+  }
+
+  /**
+   * Ask the model which tools to run next
+   * @returns {Promise<Array>} [{ tool, args }] - empty when it is ready to answer
+   */
+  async planToolCalls(history, subject, executed) {
+    const toolList = Object.entries(CHAT_TOOLS)
+      .map(([name, tool]) => `- ${name} ${tool.args}: ${tool.description}`)
+      .join('\n')
+
+    const subjectLine = subject
+      ? `The user is looking at the ${subject.type} "${subject.name}" - tools use it when account is omitted.`
+      : 'No account is on screen - tools need an account.'
+
+    const fetched = executed.length
+      ? executed.map((call) => this.formatToolResult(call)).join('\n\n')
+      : 'Nothing yet.'
+
+    const transcript = history
+      .map((message) => `${message.role}: ${message.content}`)
+      .join('\n')
+
+    const result = await llmService.complete(
+      [
+        {
+          role: 'system',
+          content: `You decide which tools to run before a sales assistant answers the user's latest message. Tools read LinkedIntel's cached analyses:
+${toolList}
+
+account is { "type": "company"|"person", "name": "...", "companyName"?: "..." }.
+${subjectLine}
+
+Already fetched:
+${fetched}
+
+Respond with JSON only: {"toolCalls":[{"tool":"getSection","args":{"section":"recentNews"}}]}
+Return {"toolCalls":[]} when the fetched facts are enough, or when the question doesn't need account data.`,
+        },
+        { role: 'user', content: transcript },
+      ],
+      {
+        ...llmService.resolveRoute('chatTools'),
+        promptType: 'chatTools',
+        temperature: 0,
+        maxTokens: 300,
+        responseFormat: 'json',
+        webSearchOptions: { search_context_size: 'low' },
+      }
+    )
+
+    const parsed = repairJson(result.content)
+    if (!parsed.success) {
+      throw new Error(`Invalid JSON from tool planning: ${parsed.error}`)
+    }
+
+    const calls = Array.isArray(parsed.data?.toolCalls)
+      ? parsed.data.toolCalls
+      : []
+    return calls
+      .filter((call) => call && CHAT_TOOLS[call.tool])
+      .map((call) => ({
+        tool: call.tool,
+        args:
+          call.args &&
+          typeof call.args === 'object' &&
+          !Array.isArray(call.args)
+            ? call.args
+            : {},
+      }))
+  }
+
+  /**
+   * Run one tool against the cache
+   * @returns {Promise<Object>} { tool, args, account, found, stale, cachedAt,
+   *   facts: [{ id, path, value }], sections?, error? }
+   */
+  async runTool({ tool, args }, subject, registry) {
+    const account = args.account ? resolveAccount(args.account) : subject
+    const outcome = {
+      tool,
+      args,
+      account: account && { type: account.type, name: account.name },
+      found: false,
+      stale: false,
+      cachedAt: null,
+      facts: [],
+    }
+
+    if (!account) {
+      return { ...outcome, error: 'No account given and none on screen' }
+    }
+
+    const entry = await cacheService.getWithStatus(account.cacheKey)
+    if (!entry) {
+      return { ...outcome, error: 'No cached analysis for this account' }
+    }
+
+    const analysis = entry.value
+    outcome.account.cacheKey = account.cacheKey
+    outcome.found = true
+    outcome.stale = entry.stale
+    outcome.cachedAt = new Date(entry.cachedAt).toISOString()
+
+    const sections = Object.keys(analysis).filter(
+      (field) => !NON_FACT_FIELDS.includes(field)
+    )
+    let facts
+
+    if (tool === 'getAnalysis') {
+      // Scalars at the top level and one level down - lists are left to getSection
+      outcome.sections = sections
+      facts = sections.flatMap((field) => {
+        const value = analysis[field]
+        if (isScalar(value)) return [{ path: field, value }]
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          return Object.entries(value)
+            .filter(([, child]) => isScalar(child) && child !== '')
+            .map(([key, child]) => ({ path: `${field}.${key}`, value: child }))
+        }
+        return []
+      })
+    } else if (tool === 'getSection') {
+      if (!sections.includes(args.section)) {
+        return {
+          ...outcome,
+          sections,
+          error: `Unknown section "${args.section}"`,
+        }
+      }
+      facts = leafFacts(analysis[args.section], args.section)
+    } else {
+      facts = Object.entries(analysis.provenance || {})
+        .filter(
+          ([path, entry]) =>
+            entry.confidence >= config.chat.verifiedConfidence &&
+            !underUnverifiedItem(analysis, path)
+        )
+        .map(([path, entry]) => ({ path, ...entry }))
+    }
+
+    outcome.facts = facts.slice(0, config.chat.maxFactsPerTool).map((fact) => {
+      const provenance = analysis.provenance?.[fact.path] || {}
+      const id = registry.add(account, { ...provenance, ...fact })
+      return { id, path: fact.path, value: fact.value }
+    })
+    outcome.truncated = facts.length > outcome.facts.length
+
+    return outcome
+  }
+
+  /**
+   * A tool call's result as prompt text, one citable fact per line
+   */
+  formatToolResult(call) {
+    const argText = call.args.section ? ` ${call.args.section}` : ''
+    const who = call.account
+      ? `${call.account.name} (${call.account.type})`
+      : 'no account'
+
+    if (call.error) {
+      const available = call.sections
+        ? ` - sections: ${call.sections.join(', ')}`
+        : ''
+      return `${call.tool}${argText} → ${who}: ${call.error}${available}`
+    }
+
+    const lines = [
+      `${call.tool}${argText} → ${who}, analyzed ${call.cachedAt.slice(0, 10)}${
+        call.stale ? ' (stale)' : ''
+      }:`,
+      ...call.facts.map((fact) => {
+        const value = String(fact.value)
+        const shown =
+          value.length > config.chat.maxFactValueLength
+            ? `${value.slice(0, config.chat.maxFactValueLength)}…`
+            : value
+        return `[${fact.id}] ${fact.path}: ${shown}`
+      }),
+    ]
+    if (call.sections) lines.push(`Sections: ${call.sections.join(', ')}`)
+    if (call.truncated) lines.push('(more facts not shown)')
+    return lines.join('\n')
+  }
+
+  /**
+   * System prompt for the answer: persona, page context and the fetched facts
+   */
+  buildAnswerPrompt(context, subject, toolCalls) {
+    let prompt = PERSONA
+
+    const pageContext = this.describePageContext(context)
+    if (pageContext) {
+      prompt += `\n\nCurrent Context:\n${pageContext}`
+    }
+
+    if (toolCalls.some((call) => call.facts.length > 0)) {
+      prompt += `\n\nFacts from LinkedIntel's analyses:\n${toolCalls
+        .map((call) => this.formatToolResult(call))
+        .join('\n\n')}`
+      prompt +=
+        '\n\nGround your answer in these facts. Cite each fact you use right after the claim with its id in square brackets, one id per bracket, e.g. [c3][c7]. Only cite ids listed above. If the facts do not cover something, say so before answering from general knowledge or search.'
+    } else if (subject) {
+      prompt += `\n\nThere is no analysis data for ${subject.name} to draw on - say so when it matters.`
+    }
+
+    return prompt
+  }
+
+  /**
+   * What the user is looking at, from the extension's page context
+   */
+  describePageContext(context) {
+    if (!context) return ''
+
+    const lines = []
+    if (context.type === 'profile') {
+      lines.push('You are currently viewing a LinkedIn profile:')
+      lines.push(`- Name: ${context.name || 'Unknown'}`)
+      lines.push(`- Title: ${context.title || 'Unknown'}`)
+      lines.push(`- Company: ${context.company || 'Unknown'}`)
+      if (context.location) lines.push(`- Location: ${context.location}`)
+    } else if (context.type === 'company') {
+      lines.push('You are currently viewing a company page:')
+      lines.push(`- Company: ${context.name || 'Unknown'}`)
+      if (context.industry) lines.push(`- Industry: ${context.industry}`)
+      if (context.size) lines.push(`- Size: ${context.size}`)
+      if (context.location) lines.push(`- Location: ${context.location}`)
+    }
+
+    if (Array.isArray(context.highlights) && context.highlights.length > 0) {
+      lines.push(`- Highlights: ${context.highlights.join('; ')}`)
+    }
+
+    return lines.join('\n')
+  }
+}
+
+module.exports = new ChatService()
+module.exports.CHAT_TOOLS = CHAT_TOOLS
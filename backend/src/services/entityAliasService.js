@@ -0,0 +1,109 @@
+/**
+ * Entity Alias Service for LinkedIntel Backend
+ * Alias table mapping the names and domains a company or person is referred to
+ * by onto one canonical identity, so "Acme Inc", "ACME" and "acme.com" share a
+ * cached analysis (alias forms: utils/entityIdentity.js)
+ *
+ * - Canonical identities are untagged cache keys: company:li:<slug> /
+ *   person:li:<slug> when the LinkedIn URL is known, else the name-based key
+ * - cacheService registers an analysis' aliases whenever it caches one; the
+ *   latest analysis wins an alias
+ * - Aliases are written to a JSON file (config.aliases.storePath); the least
+ *   recently registered are dropped past config.aliases.maxEntries
+ */
+
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+const logger = new Logger('EntityAliasService')
+
+class EntityAliasService {
+  constructor() {
+    this.store = new JsonFileStore(config.aliases.storePath, {
+      label: 'entity aliases',
+    })
+    this.maxEntries = config.aliases.maxEntries
+    this.aliases = new Map() // `${entityType}|${alias}` -> { identity, updatedAt }, oldest first
+
+    this.loadFromDisk()
+  }
+
+  /**
+   * Identity of the first known alias
+   * @param {string} entityType - 'company' | 'person'
+   * @param {Array<string>} aliases - Alias forms, most specific first
+   * @returns {string|null} Canonical identity key
+   */
+  resolve(entityType, aliases) {
+    for (const alias of aliases) {
+      if (!alias) continue
+      const entry = this.aliases.get(`${entityType}|${alias}`)
+      if (entry) return entry.identity
+    }
+    return null
+  }
+
+  /**
+   * Point aliases at an identity (persisted only if something changed)
+   * @param {string} entityType - 'company' | 'person'
+   * @param {string} identity - Canonical identity key
+   * @param {Array<string>} aliases - Alias forms
+   * @returns {number} Aliases added or re-pointed
+   */
+  register(entityType, identity, aliases) {
+    let changed = 0
+
+    for (const alias of aliases) {
+      if (!alias) continue
+      const key = `${entityType}|${alias}`
+      const existing = this.aliases.get(key)
+      if (existing?.identity === identity) continue
+
+      if (existing) {
+        logger.info(`🔗 Alias ${key} moved: ${existing.identity} → ${identity}`)
+      }
+      this.aliases.delete(key) // Re-insert so Map order stays oldest first
+      this.aliases.set(key, { identity, updatedAt: new Date().toISOString() })
+      changed++
+    }
+
+    if (changed > 0) {
+      this.evictOldest()
+      this.persist()
+    }
+    return changed
+  }
+
+  evictOldest() {
+    const excess = this.aliases.size - this.maxEntries
+    if (excess <= 0) return
+
+    const keys = this.aliases.keys()
+    for (let i = 0; i < excess; i++) {
+      this.aliases.delete(keys.next().value)
+    }
+    logger.info(`🗑️ Dropped ${excess} least recently registered aliases`)
+  }
+
+  getStats() {
+    return { aliases: this.aliases.size, maxEntries: this.maxEntries }
+  }
+
+  loadFromDisk() {
+    const stored = this.store.load()
+    if (!stored) return
+
+    for (const [key, entry] of stored.aliases || []) {
+      this.aliases.set(key, entry)
+    }
+
+    logger.info(`📂 Loaded ${this.aliases.size} entity aliases from disk`)
+  }
+
+  persist() {
+    return this.store.save({ aliases: Array.from(this.aliases.entries()) })
+  }
+}
+
+module.exports = new EntityAliasService()
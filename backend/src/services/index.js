@@ -5,9 +5,33 @@
 const perplexityService = require('./perplexityService');
 const cacheService = require('./cacheService');
 const sumbleService = require('./sumbleService');
+const jobQueueService = require('./jobQueueService');
+const llmService = require('./llmService');
+const upstreamRecorder = require('./upstreamRecorder');
+const snapshotService = require('./snapshotService');
+const watchlistService = require('./watchlistService');
+const usageLedgerService = require('./usageLedgerService');
+const budgetService = require('./budgetService');
+const promptExperimentService = require('./promptExperimentService');
+const apiKeyService = require('./apiKeyService');
+const quotaService = require('./quotaService');
+const workspaceService = require('./workspaceService');
+const chatService = require('./chatService');
 
 module.exports = {
   perplexityService,
   cacheService,
-  sumbleService
+  sumbleService,
+  jobQueueService,
+  llmService,
+  upstreamRecorder,
+  snapshotService,
+  watchlistService,
+  usageLedgerService,
+  budgetService,
+  promptExperimentService,
+  apiKeyService,
+  quotaService,
+  workspaceService,
+  chatService
 };
\ No newline at end of file
@@ -0,0 +1,474 @@
+/**
+ * Job Queue Service for LinkedIntel Backend
+ * Persistent queue for batch company/person analysis
+ *
+ * - Jobs are written to a JSON file (config.jobs.storePath) after every state change
+ * - On startup, items that were running when the server stopped are re-queued
+ * - Items run through the micro-prompt orchestrator with bounded concurrency
+ * - Cache hits (L1 + L2) are reused, so already-analyzed entities cost nothing
+ * - Jobs belong to the user who created them; finished jobs are pruned after
+ *   config.jobs.retentionMs
+ * - Items run in the workspace the job was created in, so they read and write
+ *   that workspace's cache
+ */
+
+const crypto = require('crypto')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+const perplexityService = require('./perplexityService')
+const cacheService = require('./cacheService')
+const usageLedgerService = require('./usageLedgerService')
+const workspaceService = require('./workspaceService')
+
+const logger = new Logger('JobQueueService')
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial', // Finished, but some items failed
+  FAILED: 'failed', // Finished, every item failed
+}
+
+class JobQueueService {
+  constructor() {
+    this.store = new JsonFileStore(config.jobs.storePath, {
+      label: 'job store',
+    })
+    this.concurrency = config.jobs.concurrency
+    this.retentionMs = config.jobs.retentionMs
+    this.jobs = new Map() // jobId -> job
+    this.activeCount = 0
+
+    this.loadFromDisk()
+    this.pruneExpiredJobs()
+    this.startPruneInterval()
+    this.processQueue()
+  }
+
+  /**
+   * Create a batch job and start processing it
+   * Cache keys are derived in the current request's workspace; the job keeps
+   * that workspace for its items
+   * @param {Object} batch - { companies: [{companyName, companyUrl}], people: [{fullName, title, profileUrl, companyName}] }
+   * @param {Object} options - { userId, requestId }
+   * @returns {Object} Public job summary
+   */
+  createJob(batch, options = {}) {
+    this.pruneExpiredJobs()
+
+    const now = new Date().toISOString()
+    const items = []
+
+    for (const company of batch.companies || []) {
+      items.push({
+        type: 'company',
+        input: {
+          companyName: company.companyName,
+          companyUrl: company.companyUrl || null,
+        },
+        cacheKey: cacheService.generateCompanyKey(company.companyName, {
+          companyUrl: company.companyUrl,
+        }),
+      })
+    }
+
+    for (const person of batch.people || []) {
+      items.push({
+        type: 'person',
+        input: {
+          fullName: person.fullName,
+          title: person.title || '',
+          profileUrl: person.profileUrl || null,
+          companyName: person.companyName || '',
+        },
+        cacheKey: cacheService.generatePersonKey(
+          person.fullName,
+          person.companyName,
+          { profileUrl: person.profileUrl }
+        ),
+      })
+    }
+
+    const job = {
+      id: `job_${crypto.randomUUID()}`,
+      status: JOB_STATUS.QUEUED,
+      userId: options.userId || null,
+      requestId: options.requestId || null,
+      workspaceId: workspaceService.currentWorkspace()?.id || null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      items: items.map((item, index) => ({
+        index,
+        ...item,
+        status: JOB_STATUS.QUEUED,
+        cached: false,
+        attempts: 0,
+        result: null,
+        error: null,
+        startedAt: null,
+        completedAt: null,
+      })),
+    }
+
+    this.jobs.set(job.id, job)
+    this.persist()
+
+    logger.info(
+      `📥 Batch job created: ${job.id} (${items.length} items, concurrency ${this.concurrency})`
+    )
+
+    this.processQueue()
+    return this.toSummary(job)
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId
+   * @param {Object} options - { includeResults: boolean, userId?: only return
+   *   the job if it belongs to this user (null for anonymous callers) }
+   * @returns {Object|null} Job with progress and (optionally) item results
+   */
+  getJob(jobId, options = {}) {
+    const job = this.jobs.get(jobId)
+    if (!job) {
+      return null
+    }
+    if ('userId' in options && job.userId !== (options.userId || null)) {
+      return null
+    }
+
+    const includeResults = options.includeResults !== false
+
+    return {
+      ...this.toSummary(job),
+      items: job.items.map((item) => ({
+        index: item.index,
+        type: item.type,
+        input: item.input,
+        status: item.status,
+        cached: item.cached,
+        attempts: item.attempts,
+        error: item.error,
+        startedAt: item.startedAt,
+        completedAt: item.completedAt,
+        ...(includeResults && { data: item.result }),
+      })),
+    }
+  }
+
+  /**
+   * Build a compact job summary (no item payloads)
+   */
+  toSummary(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      progress: this.getProgress(job),
+    }
+  }
+
+  /**
+   * Count items by status
+   */
+  getProgress(job) {
+    const progress = {
+      total: job.items.length,
+      queued: 0,
+      running: 0,
+      completed: 0,
+      failed: 0,
+      cached: 0,
+    }
+
+    for (const item of job.items) {
+      if (item.status === JOB_STATUS.QUEUED) progress.queued++
+      else if (item.status === JOB_STATUS.RUNNING) progress.running++
+      else if (item.status === JOB_STATUS.COMPLETED) progress.completed++
+      else if (item.status === JOB_STATUS.FAILED) progress.failed++
+
+      if (item.cached) progress.cached++
+    }
+
+    progress.percent =
+      progress.total > 0
+        ? Math.round(
+            ((progress.completed + progress.failed) / progress.total) * 100
+          )
+        : 100
+
+    return progress
+  }
+
+  /**
+   * Queue statistics for health checks
+   */
+  getStats() {
+    let queuedItems = 0
+    let activeJobs = 0
+
+    for (const job of this.jobs.values()) {
+      if (
+        job.status === JOB_STATUS.QUEUED ||
+        job.status === JOB_STATUS.RUNNING
+      ) {
+        activeJobs++
+      }
+      queuedItems += job.items.filter(
+        (item) => item.status === JOB_STATUS.QUEUED
+      ).length
+    }
+
+    return {
+      totalJobs: this.jobs.size,
+      activeJobs,
+      queuedItems,
+      runningItems: this.activeCount,
+      concurrency: this.concurrency,
+    }
+  }
+
+  /**
+   * Start as many queued items as the concurrency limit allows
+   * Items are picked oldest-job-first so earlier batches finish first
+   */
+  processQueue() {
+    while (this.activeCount < this.concurrency) {
+      const next = this.findNextItem()
+      if (!next) {
+        return
+      }
+
+      const { job, item } = next
+      this.activeCount++
+      item.status = JOB_STATUS.RUNNING
+      item.startedAt = new Date().toISOString()
+      item.attempts++
+      if (job.status === JOB_STATUS.QUEUED) {
+        job.status = JOB_STATUS.RUNNING
+      }
+      this.touch(job)
+
+      // Each item is its own usage ledger entry, billed to the job's user
+      usageLedgerService
+        .track(
+          {
+            requestId: job.requestId,
+            userId: job.userId,
+            endpoint: `batch:${item.type}`,
+          },
+          () => this.runInJobWorkspace(job, () => this.runItem(item))
+        )
+        .then((outcome) => {
+          item.status = JOB_STATUS.COMPLETED
+          item.cached = outcome.cached
+          item.result = outcome.data
+          item.error = null
+        })
+        .catch((error) => {
+          logger.warn(
+            `⚠️ Batch item failed (${job.id} #${item.index}):`,
+            error.message
+          )
+          item.status = JOB_STATUS.FAILED
+          item.error = error.message
+        })
+        .finally(() => {
+          item.completedAt = new Date().toISOString()
+          this.activeCount--
+          this.finalizeJobIfDone(job)
+          this.touch(job)
+          this.processQueue()
+        })
+    }
+  }
+
+  /**
+   * Run fn in the workspace the job was created in
+   */
+  runInJobWorkspace(job, fn) {
+    const workspace = job.workspaceId
+      ? workspaceService.contextFor(job.workspaceId)
+      : null
+    if (job.workspaceId && !workspace) {
+      return Promise.reject(new Error('Workspace no longer exists'))
+    }
+    return workspaceService.runInWorkspace(workspace, fn)
+  }
+
+  /**
+   * Find the next queued item across all jobs
+   */
+  findNextItem() {
+    for (const job of this.jobs.values()) {
+      if (
+        job.status !== JOB_STATUS.QUEUED &&
+        job.status !== JOB_STATUS.RUNNING
+      ) {
+        continue
+      }
+      const item = job.items.find((i) => i.status === JOB_STATUS.QUEUED)
+      if (item) {
+        return { job, item }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Mark a job finished once no items are queued or running
+   */
+  finalizeJobIfDone(job) {
+    const progress = this.getProgress(job)
+    if (progress.queued > 0 || progress.running > 0) {
+      return
+    }
+
+    if (progress.failed === 0) {
+      job.status = JOB_STATUS.COMPLETED
+    } else if (progress.completed === 0) {
+      job.status = JOB_STATUS.FAILED
+    } else {
+      job.status = JOB_STATUS.PARTIAL
+    }
+    job.completedAt = new Date().toISOString()
+
+    logger.info(
+      `✅ Batch job ${job.id} ${job.status}: ${progress.completed}/${progress.total} completed (${progress.cached} from cache, ${progress.failed} failed)`
+    )
+  }
+
+  /**
+   * Run one batch item: cache → pending request → fresh analysis
+   * Companies are resolved like an interactive cache miss; a name that matches
+   * several companies fails the item instead of guessing
+   * @returns {Object} { data, cached }
+   */
+  async runItem(item) {
+    const isCompany = item.type === 'company'
+    const cacheKey = item.cacheKey
+
+    // Reuse two-tier cache (L1 memory + L2 database)
+    const cachedEntry = await cacheService.getWithStatus(cacheKey)
+    const cachedResult =
+      cachedEntry && !cachedEntry.stale ? cachedEntry.value : null
+    if (cachedResult) {
+      const validation = isCompany
+        ? cacheService.validateCompanyCache(cachedResult)
+        : cacheService.validatePersonCache(cachedResult)
+
+      if (validation.valid) {
+        logger.debug(`💾 Batch cache hit: ${cacheKey}`)
+        return { data: cachedResult, cached: true }
+      }
+
+      await cacheService.deleteFromAllSources(cacheKey)
+    }
+
+    // Another request (batch or interactive) is already analyzing this entity
+    const pendingResult = await cacheService.waitForPendingRequest(cacheKey)
+    if (pendingResult && pendingResult.success) {
+      return { data: pendingResult.data, cached: true }
+    }
+
+    const analysisPromise = isCompany
+      ? // Same company as the cached analysis; an ambiguous name fails the item
+        perplexityService.refreshCompanyAnalysis(item.input.companyName, {
+          companyDomain: cachedEntry?.value?.metadata?.companyDomain,
+          hints: { companyUrl: item.input.companyUrl },
+        })
+      : perplexityService.analyzePerson({
+          name: item.input.fullName,
+          title: item.input.title,
+          company: item.input.companyName,
+          profileUrl: item.input.profileUrl,
+        })
+    cacheService.registerPendingRequest(cacheKey, analysisPromise)
+
+    let result
+    try {
+      result = await analysisPromise
+    } finally {
+      cacheService.clearPendingRequest(cacheKey)
+    }
+
+    if (!result || !result.success) {
+      throw new Error(`${isCompany ? 'Company' : 'Person'} analysis failed`)
+    }
+
+    await cacheService.set(cacheKey, result.data)
+    return { data: result.data, cached: false }
+  }
+
+  /**
+   * Update job timestamp and persist
+   */
+  touch(job) {
+    job.updatedAt = new Date().toISOString()
+    this.persist()
+  }
+
+  /**
+   * Remove finished jobs older than the retention window
+   */
+  pruneExpiredJobs() {
+    const cutoff = Date.now() - this.retentionMs
+    let removed = 0
+
+    for (const [jobId, job] of this.jobs) {
+      const finishedAt = job.completedAt ? Date.parse(job.completedAt) : null
+      if (finishedAt && finishedAt < cutoff) {
+        this.jobs.delete(jobId)
+        removed++
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`🗑️ Pruned ${removed} expired batch jobs`)
+      this.persist()
+    }
+  }
+
+  startPruneInterval() {
+    const timer = setInterval(() => this.pruneExpiredJobs(), 60 * 60 * 1000)
+    timer.unref() // Never keep the process alive just for pruning
+  }
+
+  /**
+   * Load jobs from disk and re-queue items interrupted by a restart
+   */
+  loadFromDisk() {
+    const stored = this.store.load()
+    if (!stored) return
+
+    let requeued = 0
+    for (const job of stored.jobs || []) {
+      for (const item of job.items) {
+        if (item.status === JOB_STATUS.RUNNING) {
+          item.status = JOB_STATUS.QUEUED
+          item.startedAt = null
+          requeued++
+        }
+      }
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.QUEUED
+      }
+      this.jobs.set(job.id, job)
+    }
+
+    logger.info(
+      `📂 Loaded ${this.jobs.size} batch jobs from disk (${requeued} interrupted items re-queued)`
+    )
+  }
+
+  persist() {
+    return this.store.save({ jobs: Array.from(this.jobs.values()) })
+  }
+}
+
+module.exports = new JobQueueService()
@@ -0,0 +1,236 @@
+/**
+ * LLM Service - Provider registry and per-prompt routing
+ *
+ * Every LLM call (micro-prompts, chat, fact enrichment) goes through
+ * complete() - or stream() for chat answers - which dispatches to a provider adapter:
+ *   - perplexity        → Sonar models with web search (PERPLEXITY_API_KEY)
+ *   - openaiCompatible  → any /chat/completions server, e.g. a local model
+ *
+ * Route resolution for a prompt (first match wins):
+ *   1. config.llm.promptRoutes[promptType]   (LLM_PROMPT_ROUTES env JSON)
+ *   2. MICRO_PROMPTS[promptType].provider / .model metadata
+ *   3. config.llm.defaultProvider
+ * If the resolved provider is not configured, the first configured provider is used instead.
+ * Near the spend budget the route's model is swapped for a cheaper one (budgetService).
+ */
+
+const config = require('../config')
+const PerplexityProvider = require('./providers/perplexityProvider')
+const OpenAICompatibleProvider = require('./providers/openaiCompatibleProvider')
+const usageLedgerService = require('./usageLedgerService')
+const budgetService = require('./budgetService')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('LLMService')
+
+class LLMService {
+  constructor() {
+    this.providers = {
+      perplexity: new PerplexityProvider(config.apis.perplexity),
+      openaiCompatible: new OpenAICompatibleProvider(
+        config.apis.openaiCompatible
+      ),
+    }
+    this.defaultProvider = config.llm.defaultProvider
+    this.promptRoutes = config.llm.promptRoutes
+    this.warnedFallbacks = new Set()
+
+    const configured = this.getConfiguredProviders()
+    if (configured.length === 0) {
+      logger.warn(
+        '⚠️  No LLM provider configured - set PERPLEXITY_API_KEY or OPENAI_COMPATIBLE_BASE_URL + OPENAI_COMPATIBLE_MODEL. Analysis endpoints will fail until one is set.'
+      )
+    } else {
+      logger.info(
+        `🤖 LLM providers: ${configured.join(', ')} (default: ${
+          this.defaultProvider
+        })`
+      )
+    }
+  }
+
+  /**
+   * Names of providers that can serve requests
+   */
+  getConfiguredProviders() {
+    return Object.keys(this.providers).filter((name) =>
+      this.providers[name].isConfigured()
+    )
+  }
+
+  /**
+   * Get a provider adapter by name
+   * @throws {Error} If the provider is unknown
+   */
+  getProvider(name) {
+    const provider = this.providers[name]
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`)
+    }
+    return provider
+  }
+
+  /**
+   * Resolve which provider/model should serve a prompt
+   * @param {string} promptType - Micro-prompt key, or 'chat'
+   * @param {Object} metadata - Optional { provider, model } (from MICRO_PROMPTS)
+   * @returns {Object} { provider, model } - model is undefined for the provider default
+   */
+  resolveRoute(promptType, metadata = {}) {
+    const override = (promptType && this.promptRoutes[promptType]) || {}
+    const requested =
+      override.provider || metadata.provider || this.defaultProvider
+    const model = override.provider
+      ? override.model
+      : override.model || metadata.model
+
+    if (this.providers[requested]?.isConfigured()) {
+      return { provider: requested, model }
+    }
+
+    // Requested provider unavailable - fall back to the default, then any configured one
+    const fallback = [this.defaultProvider, ...this.getConfiguredProviders()]
+      .filter((name) => this.providers[name]?.isConfigured())
+      .shift()
+
+    if (!fallback) {
+      return { provider: requested, model }
+    }
+
+    const warnKey = `${promptType}:${requested}`
+    if (!this.warnedFallbacks.has(warnKey)) {
+      this.warnedFallbacks.add(warnKey)
+      logger.warn(
+        `⚠️  Provider '${requested}' not configured for ${
+          promptType || 'request'
+        }, using '${fallback}'`
+      )
+    }
+
+    // A model name only makes sense for the provider it was written for
+    return { provider: fallback, model: undefined }
+  }
+
+  /**
+   * Send a chat completion through the routed provider
+   * Usage and cost are recorded in the usage ledger under options.promptType
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - { provider, model, promptType, maxTokens, temperature, ...provider options }
+   * @returns {Object} { content, usage, citations, searchResults, finishReason, provider, model, budgetDowngraded }
+   * @throws {Error} budget_exceeded once the spend budget is used up
+   */
+  async complete(messages, options = {}) {
+    const call = this.prepareCall(options)
+    const result = await call.provider.complete(messages, call.requestOptions)
+    return this.finishCall(call, result)
+  }
+
+  /**
+   * Stream a chat completion through the routed provider
+   * Recorded in the usage ledger like complete() once the stream ends
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - As for complete(), plus { signal } to cancel
+   * @param {Function} onDelta - Called with each content fragment as it arrives
+   * @returns {Object} Same shape as complete()
+   * @throws {Error} budget_exceeded once the spend budget is used up
+   */
+  async stream(messages, options = {}, onDelta) {
+    const call = this.prepareCall(options)
+    const result = await call.provider.stream(
+      messages,
+      call.requestOptions,
+      onDelta
+    )
+    return this.finishCall(call, result)
+  }
+
+  /**
+   * Route a call and apply the spend budget (shared by complete and stream)
+   * @private
+   * @returns {Object} { provider, providerName, promptType, requestOptions, downgraded }
+   */
+  prepareCall(options) {
+    const { provider: providerName, promptType, ...requestOptions } = options
+    const route = providerName
+      ? { provider: providerName, model: options.model }
+      : this.resolveRoute(null)
+
+    const provider = this.getProvider(route.provider)
+    if (!provider.isConfigured()) {
+      throw new Error(
+        `LLM provider '${route.provider}' is not configured. Set PERPLEXITY_API_KEY or OPENAI_COMPATIBLE_BASE_URL + OPENAI_COMPATIBLE_MODEL.`
+      )
+    }
+
+    budgetService.assertCanSpend()
+    const { model, downgraded } = budgetService.applyModelDowngrade({
+      provider: route.provider,
+      model: route.model || provider.model,
+    })
+    if (downgraded) {
+      logger.debug(
+        `💰 ${promptType || 'completion'}: ${
+          route.provider
+        } model → ${model} (budget)`
+      )
+    }
+
+    return {
+      provider,
+      providerName: route.provider,
+      promptType,
+      requestOptions: { ...requestOptions, model },
+      downgraded,
+    }
+  }
+
+  /**
+   * Record a finished call in the usage ledger
+   * @private
+   */
+  finishCall(call, result) {
+    usageLedgerService.recordLLMCall({
+      promptType: call.promptType,
+      provider: call.providerName,
+      model: result.model,
+      usage: result.usage,
+      cost: this.calculateCost(result.usage, result.model, call.providerName),
+    })
+
+    return call.downgraded ? { ...result, budgetDowngraded: true } : result
+  }
+
+  /**
+   * Calculate cost for a request using the provider's pricing table
+   * @param {Object} usage - Token usage { prompt_tokens, completion_tokens, total_tokens }
+   * @param {string} model - Model name
+   * @param {string} providerName - Provider (default: perplexity)
+   */
+  calculateCost(usage, model, providerName = 'perplexity') {
+    const provider = this.providers[providerName] || this.providers.perplexity
+    return provider.calculateCost(usage, model)
+  }
+
+  /**
+   * Provider configuration summary (no secrets) for health checks
+   */
+  getStatus() {
+    const providers = {}
+    for (const [name, provider] of Object.entries(this.providers)) {
+      providers[name] = {
+        configured: provider.isConfigured(),
+        model: provider.model || null,
+        webSearch: provider.supportsWebSearch,
+      }
+    }
+
+    return {
+      defaultProvider: this.defaultProvider,
+      configuredProviders: this.getConfiguredProviders(),
+      promptRoutes: this.promptRoutes,
+      providers,
+    }
+  }
+}
+
+module.exports = new LLMService()
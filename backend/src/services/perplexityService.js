@@ -1,22 +1,19 @@
 /**
  * Perplexity AI Service
- * Handles communication with Perplexity API for analysis
+ * Analysis entry point - LLM calls are routed through llmService, so
+ * Perplexity is the default provider rather than the only one
  */
 
 const config = require('../config')
+const llmService = require('./llmService')
 const MicroPromptOrchestrator = require('./microPromptOrchestrator')
+const budgetService = require('./budgetService')
 const { Logger } = require('../utils/logger')
 
 const logger = new Logger('PerplexityService')
 
 class PerplexityService {
   constructor() {
-    this.apiKey = config.apis.perplexity.apiKey
-    this.baseUrl = config.apis.perplexity.baseUrl
-    this.model = config.apis.perplexity.model
-    this.timeout = config.apis.perplexity.timeout
-    this.maxTokens = config.apis.perplexity.maxTokens
-
     // Performance tracking
     this.requestQueue = []
     this.isProcessingQueue = false
@@ -25,162 +22,27 @@ class PerplexityService {
 
     // Initialize micro-prompt orchestrator
     this.microPromptOrchestrator = new MicroPromptOrchestrator(this)
-
-    // Perplexity API Pricing (as of 2024, per 1M tokens)
-    // Source: https://docs.perplexity.ai/docs/pricing
-    this.PRICING = {
-      'sonar-pro': {
-        input: 3.0, // $3 per 1M input tokens
-        output: 15.0, // $15 per 1M output tokens
-      },
-      sonar: {
-        input: 1.0, // $1 per 1M input tokens
-        output: 1.0, // $1 per 1M output tokens
-      },
-    }
   }
 
   /**
-   * Calculate cost for a Perplexity API request
+   * Calculate cost for an LLM request
    * @param {Object} usage - Token usage object { prompt_tokens, completion_tokens, total_tokens }
    * @param {string} model - Model used (default: sonar-pro)
+   * @param {string} provider - Provider that served the request (default: perplexity)
    * @returns {Object} Cost breakdown { inputCost, outputCost, totalCost }
    */
-  calculateCost(usage, model = 'sonar-pro') {
-    if (!usage || !usage.prompt_tokens || !usage.completion_tokens) {
-      return { inputCost: 0, outputCost: 0, totalCost: 0 }
-    }
-
-    const pricing = this.PRICING[model] || this.PRICING['sonar-pro']
-
-    // Calculate cost per token (price is per 1M tokens)
-    const inputCost = (usage.prompt_tokens / 1000000) * pricing.input
-    const outputCost = (usage.completion_tokens / 1000000) * pricing.output
-    const totalCost = inputCost + outputCost
-
-    return {
-      inputCost: parseFloat(inputCost.toFixed(4)),
-      outputCost: parseFloat(outputCost.toFixed(4)),
-      totalCost: parseFloat(totalCost.toFixed(4)),
-    }
+  calculateCost(usage, model = 'sonar-pro', provider = 'perplexity') {
+    return llmService.calculateCost(usage, model, provider)
   }
 
   /**
-   * Make a request to Perplexity API with optimized search options
+   * Make an LLM request with optimized search options
+   * Routed through llmService - pass { provider, model } to pick an adapter,
+   * otherwise the default provider is used. Search options are ignored by
+   * providers without web search.
    */
   async makeRequest(messages, options = {}) {
-    const requestBody = {
-      model: options.model || this.model,
-      messages: messages,
-      max_tokens: options.maxTokens || this.maxTokens,
-      temperature: options.temperature ?? 0.1,
-      top_p: options.topP ?? 0.9,
-      return_citations: options.returnCitations !== false,
-      return_images: false,
-      return_related_questions: false,
-    }
-
-    // Search mode (sec/academic/web)
-    if (options.searchMode) {
-      requestBody.search_mode = options.searchMode
-    }
-
-    // Web search context sizing
-    if (options.webSearchOptions) {
-      requestBody.web_search_options = options.webSearchOptions
-    }
-
-    // Domain filtering for accuracy
-    if (options.searchDomainFilter && options.searchDomainFilter.length > 0) {
-      requestBody.search_domain_filter = options.searchDomainFilter
-    }
-
-    // Temporal filtering (mutually exclusive with recency filter)
-    if (options.searchAfterDate || options.searchBeforeDate) {
-      if (options.searchAfterDate) {
-        requestBody.search_after_date_filter = options.searchAfterDate
-      }
-      if (options.searchBeforeDate) {
-        requestBody.search_before_date_filter = options.searchBeforeDate
-      }
-    } else {
-      requestBody.search_recency_filter = options.searchRecencyFilter || 'year'
-    }
-
-    try {
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout)
-
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal,
-      })
-
-      clearTimeout(timeoutId)
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => null)
-        const errorMsg = errorData?.error?.message || response.statusText
-
-        if (response.status === 401) {
-          throw new Error('Perplexity API: Authentication failed')
-        } else if (response.status === 429) {
-          throw new Error('Perplexity API: Rate limit exceeded')
-        } else if (response.status >= 500) {
-          throw new Error(`Perplexity API: Server error (${response.status})`)
-        }
-
-        throw new Error(`Perplexity API error: ${response.status} ${errorMsg}`)
-      }
-
-      const data = await response.json()
-
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new Error('Invalid response format from Perplexity API')
-      }
-
-      if (data.usage) {
-        const cost = this.calculateCost(data.usage, requestBody.model)
-        logger.info(
-          `✅ Perplexity: ${
-            data.usage.total_tokens
-          } tokens | $${cost.totalCost.toFixed(4)} (in: ${
-            data.usage.prompt_tokens
-          }, out: ${data.usage.completion_tokens})`
-        )
-      }
-
-      const citations = data.citations || []
-      const searchResults = data.search_results || []
-
-      if (citations.length > 0) {
-        logger.debug(`📚 ${citations.length} citations`)
-      }
-
-      return {
-        content: data.choices[0].message.content,
-        usage: data.usage,
-        citations: citations,
-        searchResults: searchResults,
-        finishReason: data.choices[0].finish_reason,
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Perplexity API: Request timeout (${this.timeout}ms)`)
-      }
-
-      if (error.message.includes('fetch failed')) {
-        throw new Error('Perplexity API: Network error')
-      }
-
-      logger.error('❌ Perplexity API error:', error.message)
-      throw error
-    }
+    return await llmService.complete(messages, options)
   }
 
   /**
@@ -195,12 +57,103 @@ class PerplexityService {
 
   /**
    * Analyze a company using enhanced micro-prompts (new method)
+   * @param {string} companyName - Company name
+   * @param {Object} options - Orchestrator options (e.g. { onSection } for streaming)
    */
-  async analyzeCompanyWithMicroPrompts(companyName) {
+  async analyzeCompanyWithMicroPrompts(companyName, options = {}) {
     logger.debug(
       `[PerplexityService] Starting enhanced micro-prompt analysis: ${companyName}`
     )
-    return await this.microPromptOrchestrator.analyzeCompany(companyName)
+    return await this.microPromptOrchestrator.analyzeCompany(
+      companyName,
+      options
+    )
+  }
+
+  /**
+   * Resolve which company a request means before analyzing it
+   * A domain the user already picked is used as-is. Otherwise the candidates are
+   * ranked against the LinkedIn page hints; an ambiguous name returns them so the
+   * user can pick before any analysis credits are spent.
+   * @param {string} companyName - Company name
+   * @param {Object} options - { companyDomain, hints: { companyUrl, website, industry, location } }
+   * @returns {Promise<Object>} { needsDisambiguation, candidates } or { analysisOptions } for analyzeCompanyWithMicroPrompts
+   */
+  async resolveCompanyForAnalysis(companyName, { companyDomain, hints } = {}) {
+    if (companyDomain || !config.disambiguation.enabled) {
+      return { analysisOptions: { companyDomain, hints } }
+    }
+
+    budgetService.assertCanSpend() // Cache-only mode: fail before the resolver call
+    const resolution =
+      await this.microPromptOrchestrator.resolveCompanyCandidates(
+        companyName,
+        hints
+      )
+
+    if (resolution.ambiguous) {
+      logger.info(
+        `🔀 "${companyName}" is ambiguous (${resolution.candidates.length} candidates, top score ${resolution.confidence})`
+      )
+      return { needsDisambiguation: true, candidates: resolution.candidates }
+    }
+
+    return {
+      analysisOptions: {
+        companyDomain: resolution.candidates[0].domain,
+        hints,
+      },
+    }
+  }
+
+  /**
+   * Resolve a company for work that can't ask the user to pick one
+   * (background refreshes, batch jobs, watchlist checks)
+   * @param {string} companyName - Company name
+   * @param {Object} options - { companyDomain, hints } as for resolveCompanyForAnalysis
+   * @returns {Promise<string|undefined>} Domain to analyze (undefined if disambiguation is off)
+   * @throws {Error} needs_disambiguation if the name matches several companies
+   */
+  async resolveCompanyDomain(companyName, options = {}) {
+    const resolution = await this.resolveCompanyForAnalysis(
+      companyName,
+      options
+    )
+    if (resolution.needsDisambiguation) {
+      const error = new Error(
+        `"${companyName}" is ambiguous - pick a company to analyze it`
+      )
+      error.errorType = 'needs_disambiguation'
+      error.candidates = resolution.candidates
+      throw error
+    }
+    return resolution.analysisOptions.companyDomain
+  }
+
+  /**
+   * Analyze a company without asking the user to pick it - for background
+   * refreshes, batch jobs and watchlist checks
+   * The name is resolved with the caller's options first, exactly as a cache
+   * miss would be, so the result is about the same company
+   * @param {string} companyName - Company name
+   * @param {Object} options - { companyDomain, hints } as for resolveCompanyForAnalysis,
+   *   plus orchestrator options (e.g. onSection)
+   * @returns {Promise<Object>} analyzeCompanyWithMicroPrompts() result
+   * @throws {Error} needs_disambiguation if the name matches several companies
+   */
+  async refreshCompanyAnalysis(
+    companyName,
+    { companyDomain, hints, ...analysisOptions } = {}
+  ) {
+    const resolvedDomain = await this.resolveCompanyDomain(companyName, {
+      companyDomain,
+      hints,
+    })
+    return this.analyzeCompanyWithMicroPrompts(companyName, {
+      ...analysisOptions,
+      companyDomain: resolvedDomain,
+      hints,
+    })
   }
 
   /**
@@ -345,9 +298,11 @@ Provide factual, current information. Include confidence levels for all major in
 
   /**
    * Analyze a person/profile using micro-prompts
+   * @param {Object} personData - { name, title, company, profileUrl, observedFacts }
+   * @param {Object} options - Orchestrator options (e.g. { onSection } for streaming)
    */
-  async analyzePerson(personData) {
-    const { name, title = '', company = '' } = personData
+  async analyzePerson(personData, options = {}) {
+    const { name, title = '', company = '', observedFacts } = personData
     logger.debug(`Person analysis request: ${name}, ${title} at ${company}`)
 
     try {
@@ -355,7 +310,8 @@ Provide factual, current information. Include confidence levels for all major in
       const result = await this.microPromptOrchestrator.analyzePerson(
         name,
         title,
-        company
+        company,
+        { ...options, observedFacts }
       )
 
       return {
@@ -367,6 +323,8 @@ Provide factual, current information. Include confidence levels for all major in
         microPromptStats: result.microPromptStats,
       }
     } catch (error) {
+      if (budgetService.isBudgetError(error)) throw error // Keep the 503 budget_exceeded shape
+
       logger.error('Person analysis failed:', error)
       throw new Error(
         `Person analysis failed for ${name} at ${company}: ${error.message}`
@@ -375,83 +333,37 @@ Provide factual, current information. Include confidence levels for all major in
   }
 
   /**
-   * Chat with Perplexity AI (context-aware conversational interface)
-   * @param {Array} messages - Array of chat messages [{ role: 'user'|'assistant', content: string }]
-   * @param {Object} context - Optional LinkedIn context (profile/company data)
-   * @returns {Object} Chat response with content, usage, and citations
+   * Re-run one section of a company analysis
+   * @param {string} companyName - Company name
+   * @param {string} section - Section name (see COMPANY_SECTION_FIELDS)
+   * @param {Object} options - { companyDomain, hints } as for resolveCompanyForAnalysis
+   * @returns {Promise<Object>} { success, section, fields, source, usage }
+   * @throws {Error} needs_disambiguation if the name matches several companies
    */
-  async chat(messages, context = null) {
-    logger.debug('[PerplexityService] Chat request received')
-
-    try {
-      // Build system prompt with context if available
-      let systemPrompt = {
-        role: 'system',
-        content:
-          'You are LinkedIntel AI, a sales intelligence assistant specializing in LinkedIn profile and company analysis. You help sales professionals with insights, research, and actionable intelligence.',
-      }
-
-      // Add context to system prompt if available
-      if (context) {
-        let contextInfo = '\n\nCurrent Context:\n'
-
-        if (context.type === 'profile') {
-          contextInfo += `You are currently viewing a LinkedIn profile:\n`
-          contextInfo += `- Name: ${context.name || 'Unknown'}\n`
-          contextInfo += `- Title: ${context.title || 'Unknown'}\n`
-          contextInfo += `- Company: ${context.company || 'Unknown'}\n`
-          if (context.location) {
-            contextInfo += `- Location: ${context.location}\n`
-          }
-        } else if (context.type === 'company') {
-          contextInfo += `You are currently viewing a company page:\n`
-          contextInfo += `- Company: ${context.name || 'Unknown'}\n`
-          if (context.industry) {
-            contextInfo += `- Industry: ${context.industry}\n`
-          }
-          if (context.size) {
-            contextInfo += `- Size: ${context.size}\n`
-          }
-          if (context.location) {
-            contextInfo += `- Location: ${context.location}\n`
-          }
-        }
-
-        // Add analysis data if available
-        if (context.analysis) {
-          contextInfo += `\nAvailable Analysis Data:\n`
-          contextInfo += JSON.stringify(context.analysis, null, 2)
-        }
-
-        systemPrompt.content += contextInfo
-        systemPrompt.content +=
-          '\n\nUse this context to provide personalized, relevant answers. Reference specific details when helpful.'
-      }
-
-      // Prepare messages for Perplexity
-      const apiMessages = [systemPrompt, ...messages]
-
-      // Make request with optimized settings for chat
-      const result = await this.makeRequest(apiMessages, {
-        temperature: 0.7, // More conversational
-        topP: 0.9,
-        maxTokens: 2000, // Allow longer responses
-        searchRecencyFilter: 'month', // Focus on recent info
-        returnCitations: true,
-      })
+  async refreshCompanySection(companyName, section, options = {}) {
+    const companyDomain = await this.resolveCompanyDomain(companyName, options)
+    return await this.microPromptOrchestrator.refreshCompanySection(
+      companyName,
+      section,
+      { companyDomain, hints: options.hints }
+    )
+  }
 
-      return {
-        success: true,
-        content: result.content,
-        usage: result.usage,
-        citations: result.citations || [],
-        searchResults: result.searchResults || [],
-        timestamp: new Date().toISOString(),
-      }
-    } catch (error) {
-      logger.error('[PerplexityService] Chat error:', error.message)
-      throw error
-    }
+  /**
+   * Re-run one micro-prompt of a person analysis
+   * @param {Object} personData - { name, title, company, profileUrl?, observedFacts? }
+   * @param {string} section - Micro-prompt type (see PERSON_SECTION_FIELDS)
+   * @returns {Promise<Object>} { success, section, fields, source, usage }
+   */
+  async refreshPersonSection(personData, section) {
+    const { name, title = '', company = '', observedFacts } = personData
+    return await this.microPromptOrchestrator.refreshPersonSection(
+      name,
+      title,
+      company,
+      section,
+      { observedFacts }
+    )
   }
 
   /**
@@ -0,0 +1,321 @@
+/**
+ * Prompt Experiment Service for LinkedIntel Backend
+ * Versioned micro-prompts and A/B experiments between prompt variants
+ *
+ * - Every micro-prompt has a version (MICRO_PROMPTS[type].version); variants
+ *   live in prompts/promptVariants.js
+ * - PROMPT_EXPERIMENTS sends a percentage of subjects (a company, or a person at
+ *   a company) to each variant. Assignment is a stable hash of the subject, so
+ *   an account always gets the same variant and its cached analysis stays whole
+ * - The prompt versions behind an analysis are part of its cache key
+ *   (cacheKeyTag) and of its metadata.promptVersions
+ * - Every micro-prompt run (validation, tokens, cost, latency, empty fields) is
+ *   appended to a JSONL log (config.promptExperiments.storePath) and compared
+ *   per version by compare()
+ */
+
+const crypto = require('crypto')
+const config = require('../config')
+const { MICRO_PROMPTS } = require('../prompts/microPrompts')
+const { PROMPT_VARIANTS } = require('../prompts/promptVariants')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+const logger = new Logger('PromptExperimentService')
+
+const CACHE_KEY_TAG_SEPARATOR = '@'
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits))
+
+/**
+ * Entity a micro-prompt analyses - person prompts are named person*
+ * @returns {string} 'company' | 'person'
+ */
+function promptEntity(promptType) {
+  return promptType.startsWith('person') ? 'person' : 'company'
+}
+
+/**
+ * Share of top-level fields that came back empty (null, '', [] or {})
+ */
+function emptyFieldRate(data) {
+  const values = data && typeof data === 'object' ? Object.values(data) : []
+  if (values.length === 0) return 1
+
+  const empty = values.filter(
+    (value) =>
+      value === null ||
+      value === undefined ||
+      value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.keys(value).length === 0)
+  ).length
+
+  return round(empty / values.length, 3)
+}
+
+class PromptExperimentService {
+  constructor() {
+    this.store = new JsonFileStore(config.promptExperiments.storePath, {
+      label: 'prompt run log',
+    })
+    this.retentionMs = config.promptExperiments.retentionMs
+    this.experiments = this.parseExperiments(
+      config.promptExperiments.experiments
+    )
+    this.runs = [] // Oldest first
+
+    this.loadFromDisk()
+    this.startPruneInterval()
+  }
+
+  /**
+   * Check PROMPT_EXPERIMENTS against the prompt and variant registries
+   * @returns {Object} promptType → [{ version, percent }]
+   */
+  parseExperiments(raw) {
+    const experiments = {}
+
+    for (const [promptType, split] of Object.entries(raw)) {
+      const base = MICRO_PROMPTS[promptType]
+      if (!base) {
+        logger.warn(`⚠️  Ignoring experiment for unknown prompt: ${promptType}`)
+        continue
+      }
+
+      const arms = Object.entries(split || {})
+        .filter(([version]) => {
+          if (PROMPT_VARIANTS[promptType]?.[version]) return true
+          logger.warn(`⚠️  Ignoring unknown variant ${promptType} ${version}`)
+          return false
+        })
+        .map(([version, percent]) => ({ version, percent: Number(percent) }))
+        .filter((arm) => arm.percent > 0)
+
+      const total = arms.reduce((sum, arm) => sum + arm.percent, 0)
+      if (total > 100) {
+        logger.warn(
+          `⚠️  Ignoring experiment for ${promptType}: variants add up to ${total}%`
+        )
+        continue
+      }
+
+      if (arms.length > 0) {
+        experiments[promptType] = arms
+        logger.info(
+          `🧪 Prompt experiment ${promptType}: ${arms
+            .map((arm) => `${arm.version} ${arm.percent}%`)
+            .join(', ')}, ${base.version} ${100 - total}%`
+        )
+      }
+    }
+
+    return experiments
+  }
+
+  /**
+   * Stable 0-99 bucket for a subject within one prompt's experiment
+   */
+  bucket(promptType, subject) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(`${promptType}:${subject}`)
+      .digest('hex')
+    return parseInt(hash.slice(0, 8), 16) % 100
+  }
+
+  /**
+   * Prompt definition to run for a subject
+   * @param {string} promptType - Micro-prompt type
+   * @param {string} subject - Stable id of the analysed entity (its untagged cache key)
+   * @returns {Object} { version, prompt } - prompt is the base merged with the variant, if any
+   */
+  select(promptType, subject) {
+    const base = MICRO_PROMPTS[promptType]
+    const arms = this.experiments[promptType]
+    if (!arms) {
+      return { version: base.version, prompt: base }
+    }
+
+    let point = this.bucket(promptType, subject)
+    for (const arm of arms) {
+      if (point < arm.percent) {
+        return {
+          version: arm.version,
+          prompt: {
+            ...base,
+            ...PROMPT_VARIANTS[promptType][arm.version],
+            version: arm.version,
+          },
+        }
+      }
+      point -= arm.percent
+    }
+
+    return { version: base.version, prompt: base }
+  }
+
+  /**
+   * Versions of every prompt of one entity type that a subject is assigned
+   * @param {string} entityType - 'company' | 'person'
+   * @returns {Object} promptType → version
+   */
+  getVersions(entityType, subject) {
+    const versions = {}
+    for (const promptType of Object.keys(MICRO_PROMPTS)) {
+      if (promptEntity(promptType) === entityType) {
+        versions[promptType] = this.select(promptType, subject).version
+      }
+    }
+    return versions
+  }
+
+  /**
+   * Cache key suffix for the prompt versions behind a subject's analysis,
+   * e.g. "@p1a2b3c4d" - bumping a prompt version (or moving the subject to
+   * another variant) moves the analysis to a new cache key
+   */
+  cacheKeyTag(entityType, subject) {
+    const fingerprint = Object.entries(this.getVersions(entityType, subject))
+      .map(([promptType, version]) => `${promptType}=${version}`)
+      .sort()
+      .join(',')
+    const hash = crypto.createHash('sha1').update(fingerprint).digest('hex')
+    return `${CACHE_KEY_TAG_SEPARATOR}p${hash.slice(0, 8)}`
+  }
+
+  /**
+   * Cache key without its prompt version tag (stable across prompt changes)
+   */
+  stripCacheKeyTag(key) {
+    return key.split(CACHE_KEY_TAG_SEPARATOR)[0]
+  }
+
+  /**
+   * Record the outcome of one micro-prompt execution
+   * @param {Object} run - { promptType, version, success, responses, validationFailures, latencyMs, tokens, costUsd, data }
+   */
+  recordRun({
+    promptType,
+    version,
+    success,
+    responses,
+    validationFailures,
+    latencyMs,
+    tokens,
+    costUsd,
+    data,
+  }) {
+    const run = {
+      timestamp: new Date().toISOString(),
+      prompt: promptType,
+      version,
+      success,
+      responses, // Attempts that got a response back (validated or not)
+      validationFailures,
+      latencyMs,
+      tokens,
+      costUsd: round(costUsd, 6),
+      emptyFieldRate: success ? emptyFieldRate(data) : null,
+    }
+    this.runs.push(run)
+
+    this.store.append(run)
+  }
+
+  /**
+   * Compare prompt versions on validation pass rate, token cost, latency and
+   * empty-field rate
+   * @param {Object} filters - { promptType, since } (since as ISO string)
+   * @returns {Array} [{ promptType, currentVersion, experiment, versions: [...] }]
+   */
+  compare({ promptType, since } = {}) {
+    const sinceMs = since ? Date.parse(since) : 0
+    const groups = new Map() // promptType → version → runs
+
+    for (const run of this.runs) {
+      if (promptType && run.prompt !== promptType) continue
+      if (Date.parse(run.timestamp) < sinceMs) continue
+
+      if (!groups.has(run.prompt)) groups.set(run.prompt, new Map())
+      const versions = groups.get(run.prompt)
+      if (!versions.has(run.version)) versions.set(run.version, [])
+      versions.get(run.version).push(run)
+    }
+
+    return Array.from(groups.entries())
+      .map(([type, versions]) => ({
+        promptType: type,
+        currentVersion: MICRO_PROMPTS[type]?.version || null,
+        experiment: this.experiments[type] || null,
+        versions: Array.from(versions.entries())
+          .map(([version, runs]) => this.summarizeRuns(version, runs))
+          .sort((a, b) => a.version.localeCompare(b.version)),
+      }))
+      .sort((a, b) => a.promptType.localeCompare(b.promptType))
+  }
+
+  summarizeRuns(version, runs) {
+    const succeeded = runs.filter((run) => run.success)
+    const responses = runs.reduce((sum, run) => sum + run.responses, 0)
+    const failures = runs.reduce((sum, run) => sum + run.validationFailures, 0)
+    const average = (list, field) =>
+      list.length
+        ? list.reduce((sum, run) => sum + run[field], 0) / list.length
+        : null
+
+    return {
+      version,
+      runs: runs.length,
+      successRate: round(succeeded.length / runs.length, 3),
+      validationPassRate: responses
+        ? round((responses - failures) / responses, 3)
+        : null,
+      avgTokens: Math.round(average(runs, 'tokens')),
+      avgCostUsd: round(average(runs, 'costUsd'), 6),
+      avgLatencyMs: Math.round(average(runs, 'latencyMs')),
+      emptyFieldRate: succeeded.length
+        ? round(average(succeeded, 'emptyFieldRate'), 3)
+        : null,
+    }
+  }
+
+  getStats() {
+    return {
+      experiments: this.experiments,
+      runs: this.runs.length,
+    }
+  }
+
+  /**
+   * Drop runs past the retention window (rewrites the run log)
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs
+    const before = this.runs.length
+    this.runs = this.runs.filter((run) => Date.parse(run.timestamp) >= cutoff)
+
+    const removed = before - this.runs.length
+    if (removed === 0) return
+
+    logger.info(`🗑️ Pruned ${removed} prompt runs`)
+    this.store.saveLines(this.runs)
+  }
+
+  startPruneInterval() {
+    const timer = setInterval(() => this.prune(), 6 * 60 * 60 * 1000)
+    timer.unref() // Never keep the process alive just for pruning
+  }
+
+  loadFromDisk() {
+    this.runs = this.store.loadLines()
+    logger.info(`📂 Loaded ${this.runs.length} prompt runs`)
+    this.prune()
+  }
+}
+
+module.exports = new PromptExperimentService()
+module.exports.promptEntity = promptEntity
+module.exports.emptyFieldRate = emptyFieldRate
@@ -0,0 +1,304 @@
+/**
+ * Base LLM Provider
+ * Shared chat-completions transport for every provider adapter
+ *
+ * Adapters implement:
+ *   buildRequestBody(messages, options) → vendor-specific request body
+ *   buildHeaders()                      → vendor-specific HTTP headers
+ *
+ * and inherit complete(), which returns the normalized response shape used by
+ * the rest of the backend: { content, usage, citations, searchResults, finishReason, provider, model }
+ * stream() returns the same shape once the completion ends, passing each
+ * content fragment to a callback as it arrives
+ */
+
+const upstreamRecorder = require('../upstreamRecorder')
+const { Logger } = require('../../utils/logger')
+
+/**
+ * Parse a streamed chat completion (SSE, OpenAI chunk format) into its chunks
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>} Parsed `data:` payloads, until [DONE]
+ */
+async function* readCompletionChunks(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      const payload = line.startsWith('data:') ? line.slice(5).trim() : ''
+      if (!payload) continue // Blank lines, comments, event names
+      if (payload === '[DONE]') return
+      yield JSON.parse(payload)
+    }
+  }
+}
+
+class BaseProvider {
+  /**
+   * @param {string} name - Provider id used for routing (e.g. 'perplexity')
+   * @param {Object} settings - { apiKey, baseUrl, model, timeout, maxTokens }
+   * @param {Object} pricing - Per-model pricing per 1M tokens { model: { input, output } }
+   */
+  constructor(name, settings = {}, pricing = {}) {
+    this.name = name
+    this.label = settings.label || name
+    this.apiKey = settings.apiKey
+    this.baseUrl = settings.baseUrl
+    this.model = settings.model
+    this.timeout = settings.timeout || 120000
+    this.maxTokens = settings.maxTokens || 4000
+    this.pricing = pricing
+    this.supportsWebSearch = false
+    this.logger = new Logger(`LLM:${name}`)
+  }
+
+  /**
+   * Whether this provider has enough configuration to serve requests
+   */
+  isConfigured() {
+    return this.hasReplayFixtures() || !!(this.baseUrl && this.model)
+  }
+
+  /**
+   * In replay mode, recorded fixtures stand in for credentials
+   */
+  hasReplayFixtures() {
+    return upstreamRecorder.hasFixtures(this.name)
+  }
+
+  /**
+   * Build the request body - must be implemented by adapters
+   */
+  buildRequestBody() {
+    throw new Error(`${this.label}: buildRequestBody() not implemented`)
+  }
+
+  /**
+   * Build HTTP headers for the request
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' }
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`
+    }
+    return headers
+  }
+
+  /**
+   * Calculate cost for a request
+   * @param {Object} usage - Token usage object { prompt_tokens, completion_tokens, total_tokens }
+   * @param {string} model - Model used (defaults to provider model)
+   * @returns {Object} Cost breakdown { inputCost, outputCost, totalCost }
+   */
+  calculateCost(usage, model = this.model) {
+    if (!usage || !usage.prompt_tokens || !usage.completion_tokens) {
+      return { inputCost: 0, outputCost: 0, totalCost: 0 }
+    }
+
+    const pricing = this.pricing[model] || this.pricing.default
+    if (!pricing) {
+      return { inputCost: 0, outputCost: 0, totalCost: 0 }
+    }
+
+    // Calculate cost per token (price is per 1M tokens)
+    const inputCost = (usage.prompt_tokens / 1000000) * pricing.input
+    const outputCost = (usage.completion_tokens / 1000000) * pricing.output
+    const totalCost = inputCost + outputCost
+
+    return {
+      inputCost: parseFloat(inputCost.toFixed(4)),
+      outputCost: parseFloat(outputCost.toFixed(4)),
+      totalCost: parseFloat(totalCost.toFixed(4)),
+    }
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - { model, maxTokens, temperature, topP, ...search options }
+   */
+  async complete(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label}: Provider not configured`)
+    }
+
+    const requestBody = this.buildRequestBody(messages, options)
+
+    try {
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout)
+
+      // Clear the abort timer even when the call throws (e.g. replay miss)
+      const response = await this.post(requestBody, controller.signal).finally(
+        () => clearTimeout(timeoutId)
+      )
+
+      const data = await response.json()
+
+      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+        throw new Error(`Invalid response format from ${this.label}`)
+      }
+
+      if (data.usage) {
+        this.logUsage(data.usage, requestBody.model)
+      }
+
+      const citations = data.citations || []
+      const searchResults = data.search_results || []
+
+      if (citations.length > 0) {
+        this.logger.debug(`📚 ${citations.length} citations`)
+      }
+
+      return {
+        content: data.choices[0].message.content,
+        usage: data.usage,
+        citations: citations,
+        searchResults: searchResults,
+        finishReason: data.choices[0].finish_reason,
+        provider: this.name,
+        model: requestBody.model,
+      }
+    } catch (error) {
+      throw this.normalizeError(error)
+    }
+  }
+
+  /**
+   * Send a streaming chat completion request
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - As for complete(), plus { signal } to cancel
+   * @param {Function} onDelta - Called with each content fragment
+   * @returns {Object} Same shape as complete(), content being the whole completion
+   */
+  async stream(messages, options = {}, onDelta = () => {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label}: Provider not configured`)
+    }
+
+    const requestBody = {
+      ...this.buildRequestBody(messages, { ...options, stream: true }),
+      stream: true,
+    }
+
+    // The timeout covers the whole completion, not just the first byte
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout)
+    const cancel = () => controller.abort()
+    options.signal?.addEventListener('abort', cancel)
+
+    try {
+      const response = await this.post(requestBody, controller.signal)
+
+      let content = ''
+      let usage = null
+      let citations = []
+      let searchResults = []
+      let finishReason = null
+
+      for await (const chunk of readCompletionChunks(response.body)) {
+        const choice = chunk.choices?.[0]
+        const delta = choice?.delta?.content
+        if (delta) {
+          content += delta
+          onDelta(delta)
+        }
+
+        // Usage, citations and search results come with the last chunks
+        finishReason = choice?.finish_reason || finishReason
+        usage = chunk.usage || usage
+        citations = chunk.citations || citations
+        searchResults = chunk.search_results || searchResults
+      }
+
+      if (usage) {
+        this.logUsage(usage, requestBody.model)
+      }
+
+      return {
+        content,
+        usage,
+        citations,
+        searchResults,
+        finishReason,
+        provider: this.name,
+        model: requestBody.model,
+      }
+    } catch (error) {
+      throw this.normalizeError(error)
+    } finally {
+      clearTimeout(timeoutId)
+      options.signal?.removeEventListener('abort', cancel)
+    }
+  }
+
+  /**
+   * POST to /chat/completions (through the record/replay layer)
+   * @returns {Promise<Response>} The response, if it is ok
+   * @throws {Error} Mapped from the HTTP status otherwise
+   */
+  async post(requestBody, signal) {
+    const response = await upstreamRecorder.fetch(
+      this.name,
+      '/chat/completions',
+      `${this.baseUrl}/chat/completions`,
+      {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(requestBody),
+        signal,
+      }
+    )
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null)
+      const errorMsg = errorData?.error?.message || response.statusText
+
+      if (response.status === 401) {
+        throw new Error(`${this.label}: Authentication failed`)
+      } else if (response.status === 429) {
+        throw new Error(`${this.label}: Rate limit exceeded`)
+      } else if (response.status >= 500) {
+        throw new Error(`${this.label}: Server error (${response.status})`)
+      }
+
+      throw new Error(`${this.label} error: ${response.status} ${errorMsg}`)
+    }
+
+    return response
+  }
+
+  logUsage(usage, model) {
+    const cost = this.calculateCost(usage, model)
+    this.logger.info(
+      `✅ ${this.label} (${model}): ${
+        usage.total_tokens
+      } tokens | $${cost.totalCost.toFixed(4)} (in: ${
+        usage.prompt_tokens
+      }, out: ${usage.completion_tokens})`
+    )
+  }
+
+  /**
+   * Timeouts and network failures as provider errors (logged)
+   */
+  normalizeError(error) {
+    if (error.name === 'AbortError') {
+      return new Error(`${this.label}: Request timeout (${this.timeout}ms)`)
+    }
+
+    if (error.message.includes('fetch failed')) {
+      return new Error(`${this.label}: Network error`)
+    }
+
+    this.logger.error(`❌ ${this.label} error:`, error.message)
+    return error
+  }
+}
+
+module.exports = BaseProvider
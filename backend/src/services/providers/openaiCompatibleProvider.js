@@ -0,0 +1,57 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any endpoint that speaks POST {baseUrl}/chat/completions - OpenAI, vLLM,
+ * Ollama, LM Studio, llama.cpp server, etc.
+ *
+ * These endpoints have no built-in web search, so Perplexity-only options
+ * (search filters, web_search_options, citations) are dropped and responses
+ * come back with empty citations/searchResults.
+ */
+
+const BaseProvider = require('./baseProvider')
+
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} settings - { apiKey?, baseUrl, model, timeout, maxTokens, inputCostPer1M, outputCostPer1M }
+   */
+  constructor(settings) {
+    super(
+      'openaiCompatible',
+      { label: 'OpenAI-compatible API', ...settings },
+      {
+        default: {
+          input: settings.inputCostPer1M || 0,
+          output: settings.outputCostPer1M || 0,
+        },
+      }
+    )
+    this.jsonMode = !!settings.jsonMode
+  }
+
+  /**
+   * Build a standard chat completions request
+   */
+  buildRequestBody(messages, options = {}) {
+    const requestBody = {
+      model: options.model || this.model,
+      messages: messages,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? 0.1,
+      top_p: options.topP ?? 0.9,
+    }
+
+    // Micro-prompts always expect JSON - ask servers that support it to enforce that
+    if (this.jsonMode && options.responseFormat === 'json') {
+      requestBody.response_format = { type: 'json_object' }
+    }
+
+    // Streamed completions report usage in a final chunk only when asked
+    if (options.stream) {
+      requestBody.stream_options = { include_usage: true }
+    }
+
+    return requestBody
+  }
+}
+
+module.exports = OpenAICompatibleProvider
@@ -0,0 +1,81 @@
+/**
+ * Perplexity Provider
+ * Sonar models with built-in web search, citations and search filters
+ */
+
+const BaseProvider = require('./baseProvider')
+
+// Perplexity API Pricing (as of 2024, per 1M tokens)
+// Source: https://docs.perplexity.ai/docs/pricing
+const PERPLEXITY_PRICING = {
+  'sonar-pro': {
+    input: 3.0, // $3 per 1M input tokens
+    output: 15.0, // $15 per 1M output tokens
+  },
+  sonar: {
+    input: 1.0, // $1 per 1M input tokens
+    output: 1.0, // $1 per 1M output tokens
+  },
+}
+
+class PerplexityProvider extends BaseProvider {
+  constructor(settings) {
+    super(
+      'perplexity',
+      { label: 'Perplexity API', ...settings },
+      { ...PERPLEXITY_PRICING, default: PERPLEXITY_PRICING['sonar-pro'] }
+    )
+    this.supportsWebSearch = true
+  }
+
+  isConfigured() {
+    return this.hasReplayFixtures() || !!(this.apiKey && this.baseUrl)
+  }
+
+  /**
+   * Build a Perplexity request with optimized search options
+   */
+  buildRequestBody(messages, options = {}) {
+    const requestBody = {
+      model: options.model || this.model,
+      messages: messages,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? 0.1,
+      top_p: options.topP ?? 0.9,
+      return_citations: options.returnCitations !== false,
+      return_images: false,
+      return_related_questions: false,
+    }
+
+    // Search mode (sec/academic/web)
+    if (options.searchMode) {
+      requestBody.search_mode = options.searchMode
+    }
+
+    // Web search context sizing
+    if (options.webSearchOptions) {
+      requestBody.web_search_options = options.webSearchOptions
+    }
+
+    // Domain filtering for accuracy
+    if (options.searchDomainFilter && options.searchDomainFilter.length > 0) {
+      requestBody.search_domain_filter = options.searchDomainFilter
+    }
+
+    // Temporal filtering (mutually exclusive with recency filter)
+    if (options.searchAfterDate || options.searchBeforeDate) {
+      if (options.searchAfterDate) {
+        requestBody.search_after_date_filter = options.searchAfterDate
+      }
+      if (options.searchBeforeDate) {
+        requestBody.search_before_date_filter = options.searchBeforeDate
+      }
+    } else {
+      requestBody.search_recency_filter = options.searchRecencyFilter || 'year'
+    }
+
+    return requestBody
+  }
+}
+
+module.exports = PerplexityProvider
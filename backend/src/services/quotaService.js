@@ -0,0 +1,222 @@
+/**
+ * Quota Service for LinkedIntel Backend
+ * Plan-aware sliding-window quotas for requests, analyses and chat messages
+ *
+ * - Windows use the sliding window counter approximation: one counter per
+ *   fixed bucket, with the previous bucket weighted by how much of it still
+ *   overlaps the window. No burst of 2x the limit at a bucket boundary.
+ * - Counters live in a pluggable store (quotaStores/); the default saves them
+ *   to disk so quotas survive restarts
+ * - A request is checked against every metric it costs before anything is
+ *   counted, so a rejected request consumes nothing
+ * - Check-and-count runs one request at a time per subject, so concurrent
+ *   requests can't all pass the check before any of them is counted
+ */
+
+const config = require('../config')
+const { createQuotaStore } = require('./quotaStores')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('QuotaService')
+
+const QUOTA_METRICS = ['requests', 'analyses', 'chatMessages']
+
+// Expired counters are removed this often
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000
+
+function counterKey(subject, metric, windowMs, bucketStart) {
+  return `${subject}|${metric}|${windowMs}|${bucketStart}`
+}
+
+class QuotaService {
+  constructor() {
+    this.store = createQuotaStore()
+    this.consumeChains = new Map() // subject -> promise (serializes consume())
+
+    const cleanupTimer = setInterval(async () => {
+      const removed = await this.store.cleanupExpired()
+      if (removed > 0) {
+        logger.debug(`Quota cleanup: removed ${removed} expired counters`)
+      }
+    }, CLEANUP_INTERVAL_MS)
+    cleanupTimer.unref?.()
+  }
+
+  /**
+   * Plan of a caller (anonymous without a user)
+   * @param {Object} [user] - req.user
+   * @returns {string} Plan name (a key of config.quotas.plans)
+   */
+  planFor(user) {
+    if (!user) return 'anonymous'
+
+    const plan = config.quotas.userPlans[user.id] || user.plan
+    return config.quotas.plans[plan] ? plan : config.quotas.defaultPlan
+  }
+
+  /**
+   * Limits of a plan
+   * @returns {Object} metric → { limit, windowMs }
+   */
+  limitsFor(plan) {
+    return (
+      config.quotas.plans[plan] ||
+      config.quotas.plans[config.quotas.defaultPlan]
+    )
+  }
+
+  /**
+   * Sliding-window usage of one metric
+   * @returns {Promise<Object>} { limit, windowMs, used, remaining, resetAt, ... }
+   */
+  async measure(subject, metric, { limit, windowMs }, now) {
+    const bucketStart = Math.floor(now / windowMs) * windowMs
+    const key = counterKey(subject, metric, windowMs, bucketStart)
+    const [current, previous] = await this.store.getMany([
+      key,
+      counterKey(subject, metric, windowMs, bucketStart - windowMs),
+    ])
+    const previousWeight = 1 - (now - bucketStart) / windowMs
+    const used = current + previous * previousWeight
+
+    return {
+      limit,
+      windowMs,
+      used: Math.ceil(used),
+      remaining: Math.max(0, Math.floor(limit - used)),
+      resetAt: new Date(bucketStart + windowMs).toISOString(),
+      // For consume()
+      key,
+      exactUsed: used,
+      current,
+      previous,
+      bucketStart,
+    }
+  }
+
+  /**
+   * When a request costing `cost` would fit again
+   * @returns {number} Timestamp (ms)
+   */
+  retryAt(usage, cost) {
+    const { limit, windowMs, current, previous, bucketStart } = usage
+    const nextBucket = bucketStart + windowMs
+
+    // Fits once the previous bucket's weight has decayed enough
+    if (current + cost <= limit && previous > 0) {
+      const weightNeeded = (limit - current - cost) / previous
+      return bucketStart + windowMs * (1 - weightNeeded)
+    }
+
+    // Otherwise this bucket becomes the previous one and starts decaying
+    const weightNeeded = current > 0 ? (limit - cost) / current : 1
+    return nextBucket + windowMs * (1 - Math.max(0, weightNeeded))
+  }
+
+  toPublic(usage) {
+    const { limit, windowMs, used, remaining, resetAt } = usage
+    return { limit, windowMs, used, remaining, resetAt }
+  }
+
+  /**
+   * Count a request against its quotas, unless one of them would be exceeded
+   * @param {string} subject - Whose quota ('user:<id>', 'ip:<address>', 'apiKey:<id>')
+   * @param {Object} limits - metric → { limit, windowMs }
+   * @param {Object} costs - metric → amount this request uses
+   * @param {number} [now] - Timestamp to measure at (default: when the check runs)
+   * @returns {Promise<Object>} { allowed, exceeded, retryAfter, metrics }
+   *   metrics: metric → { limit, windowMs, used, remaining, resetAt } (after counting);
+   *   exceeded/retryAfter (seconds) are set when the request was rejected
+   */
+  consume(subject, limits, costs, now) {
+    const previous = this.consumeChains.get(subject) || Promise.resolve()
+    const run = previous.then(() =>
+      this.checkAndCount(subject, limits, costs, now ?? Date.now())
+    )
+
+    const settled = run.catch(() => {})
+    this.consumeChains.set(subject, settled)
+    settled.finally(() => {
+      if (this.consumeChains.get(subject) === settled) {
+        this.consumeChains.delete(subject)
+      }
+    })
+
+    return run
+  }
+
+  async checkAndCount(subject, limits, costs, now) {
+    const charged = Object.entries(costs).filter(
+      ([metric, cost]) => cost > 0 && limits[metric]
+    )
+    const usages = await Promise.all(
+      charged.map(([metric]) =>
+        this.measure(subject, metric, limits[metric], now)
+      )
+    )
+
+    const exceededIndex = charged.findIndex(
+      ([, cost], i) => usages[i].exactUsed + cost > usages[i].limit
+    )
+    if (exceededIndex !== -1) {
+      const [metric, cost] = charged[exceededIndex]
+      const usage = usages[exceededIndex]
+      return {
+        allowed: false,
+        exceeded: metric,
+        retryAfter: Math.max(
+          1,
+          Math.ceil((this.retryAt(usage, cost) - now) / 1000)
+        ),
+        metrics: Object.fromEntries(
+          charged.map(([name], i) => [name, this.toPublic(usages[i])])
+        ),
+      }
+    }
+
+    const metrics = {}
+    await Promise.all(
+      charged.map(async ([metric, cost], i) => {
+        const usage = usages[i]
+        // A bucket's counter is read for two windows (current, then previous)
+        await this.store.increment(usage.key, cost, usage.windowMs * 2)
+        metrics[metric] = this.toPublic({
+          ...usage,
+          used: Math.ceil(usage.exactUsed + cost),
+          remaining: Math.max(
+            0,
+            Math.floor(usage.limit - usage.exactUsed - cost)
+          ),
+        })
+      })
+    )
+
+    return { allowed: true, exceeded: null, retryAfter: null, metrics }
+  }
+
+  /**
+   * Current usage of every metric of a plan, without counting anything
+   * @returns {Promise<Object>} metric → { limit, windowMs, used, remaining, resetAt }
+   */
+  async getUsage(subject, limits, now = Date.now()) {
+    const metrics = QUOTA_METRICS.filter((metric) => limits[metric])
+    const usages = await Promise.all(
+      metrics.map((metric) =>
+        this.measure(subject, metric, limits[metric], now)
+      )
+    )
+    return Object.fromEntries(
+      metrics.map((metric, i) => [metric, this.toPublic(usages[i])])
+    )
+  }
+
+  async getStats() {
+    return {
+      store: await this.store.getStats(),
+      plans: config.quotas.plans,
+    }
+  }
+}
+
+module.exports = new QuotaService()
+module.exports.QUOTA_METRICS = QUOTA_METRICS
@@ -0,0 +1,56 @@
+/**
+ * Base Quota Store
+ * Interface for the counters behind quotaService's sliding windows
+ *
+ * A counter is a number under a key (subject + metric + window bucket) that
+ * expires on its own. A shared backend (e.g. Redis INCRBY + PEXPIRE) can
+ * implement this to enforce quotas across several instances.
+ *
+ * Every method must resolve (never reject) - a store failure never blocks requests.
+ */
+
+class BaseQuotaStore {
+  /**
+   * @param {string} name - Backend id reported in stats (e.g. 'local', 'memory')
+   */
+  constructor(name) {
+    this.name = name
+  }
+
+  /**
+   * Add to a counter, creating it if missing
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @param {number} ttlMs - Time to live of a new counter
+   * @returns {Promise<number>} The counter's new value
+   */
+  async increment() {
+    return 0
+  }
+
+  /**
+   * Read counters (0 for missing or expired ones)
+   * @param {string[]} keys - Counter keys
+   * @returns {Promise<number[]>}
+   */
+  async getMany(keys) {
+    return keys.map(() => 0)
+  }
+
+  /**
+   * Remove expired counters
+   * @returns {Promise<number>} Number of counters removed
+   */
+  async cleanupExpired() {
+    return 0
+  }
+
+  /**
+   * @returns {Promise<Object>} { backend, counters }
+   */
+  async getStats() {
+    return { backend: this.name, counters: 0 }
+  }
+}
+
+module.exports = BaseQuotaStore
@@ -0,0 +1,29 @@
+/**
+ * Quota Store Factory
+ * Picks the quota counter backend from config.quotas.backend (QUOTA_STORE):
+ *   local  - in memory, saved to config.quotas.storePath (default)
+ *   memory - in memory only (counters reset on restart)
+ */
+
+const config = require('../../config')
+const LocalQuotaStore = require('./localQuotaStore')
+const MemoryQuotaStore = require('./memoryQuotaStore')
+const { Logger } = require('../../utils/logger')
+
+const logger = new Logger('QuotaStore')
+
+function createQuotaStore(backend = config.quotas.backend) {
+  switch (backend) {
+    case 'local':
+      return new LocalQuotaStore(config.quotas.storePath)
+
+    case 'memory':
+      return new MemoryQuotaStore()
+
+    default:
+      logger.warn(`⚠️  Unknown QUOTA_STORE '${backend}', using 'local'`)
+      return createQuotaStore('local')
+  }
+}
+
+module.exports = { createQuotaStore }
@@ -0,0 +1,58 @@
+/**
+ * Local Quota Store
+ * Counters kept in memory and saved to a JSON file, so quotas survive restarts
+ * of a single instance
+ *
+ * - Saves are debounced (at most one write per SAVE_DELAY_MS)
+ */
+
+const MemoryQuotaStore = require('./memoryQuotaStore')
+const { Logger } = require('../../utils/logger')
+const { JsonFileStore } = require('../../utils/jsonFileStore')
+
+const logger = new Logger('LocalQuotaStore')
+
+const SAVE_DELAY_MS = 1000
+
+class LocalQuotaStore extends MemoryQuotaStore {
+  /**
+   * @param {string} storePath - JSON file holding the counters
+   */
+  constructor(storePath) {
+    super('local')
+    this.file = new JsonFileStore(storePath, { label: 'quota counters' })
+    this.saveTimer = null
+
+    this.loadFromDisk()
+  }
+
+  loadFromDisk() {
+    const stored = this.file.load()
+    if (!stored) return
+
+    const now = Date.now()
+    for (const [key, counter] of Object.entries(stored.counters || {})) {
+      if (counter.expiresAt > now) {
+        this.counters.set(key, counter)
+      }
+    }
+
+    logger.info(`📂 Loaded ${this.counters.size} quota counters from disk`)
+  }
+
+  onChange() {
+    if (this.saveTimer) return
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null
+      this.persist()
+    }, SAVE_DELAY_MS)
+    this.saveTimer.unref?.()
+  }
+
+  persist() {
+    return this.file.save({ counters: Object.fromEntries(this.counters) })
+  }
+}
+
+module.exports = LocalQuotaStore
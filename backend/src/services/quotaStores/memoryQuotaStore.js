@@ -0,0 +1,64 @@
+/**
+ * Memory Quota Store
+ * Counters in process memory - lost on restart, so only for development and tests
+ */
+
+const BaseQuotaStore = require('./baseQuotaStore')
+
+class MemoryQuotaStore extends BaseQuotaStore {
+  constructor(name = 'memory') {
+    super(name)
+    this.counters = new Map() // key -> { count, expiresAt }
+  }
+
+  readCounter(key, now = Date.now()) {
+    const counter = this.counters.get(key)
+    if (!counter) return null
+    if (counter.expiresAt <= now) {
+      this.counters.delete(key)
+      return null
+    }
+    return counter
+  }
+
+  async increment(key, amount, ttlMs) {
+    const now = Date.now()
+    const counter = this.readCounter(key, now) || {
+      count: 0,
+      expiresAt: now + ttlMs,
+    }
+    counter.count += amount
+    this.counters.set(key, counter)
+    this.onChange()
+    return counter.count
+  }
+
+  async getMany(keys) {
+    const now = Date.now()
+    return keys.map((key) => this.readCounter(key, now)?.count || 0)
+  }
+
+  async cleanupExpired() {
+    const now = Date.now()
+    let removed = 0
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key)
+        removed++
+      }
+    }
+    if (removed > 0) this.onChange()
+    return removed
+  }
+
+  async getStats() {
+    return { backend: this.name, counters: this.counters.size }
+  }
+
+  /**
+   * Called after counters change (persistent subclasses save here)
+   */
+  onChange() {}
+}
+
+module.exports = MemoryQuotaStore
@@ -0,0 +1,239 @@
+/**
+ * Snapshot Service for LinkedIntel Backend
+ * Versioned history of company/person analyses, so users can see what changed
+ * between two analyses (new funding, new tech, executives who left, ...)
+ *
+ * - cacheService.set() records a snapshot for every full analysis it writes
+ * - Snapshots identical to the latest one (ignoring metadata) are skipped
+ * - One JSON file per cache key in config.snapshots.storePath, capped at maxPerKey
+ * - Keys are stored without their prompt version tag, so history carries on
+ *   across prompt changes
+ * - Diffs migrate both snapshots to the current SCHEMA_VERSION first
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const config = require('../config')
+const { migrateAnalysis } = require('../schemas/migrations')
+const { diffAnalyses } = require('../utils/analysisDiff')
+const { Logger } = require('../utils/logger')
+const promptExperimentService = require('./promptExperimentService')
+
+const logger = new Logger('SnapshotService')
+
+class SnapshotService {
+  constructor() {
+    this.enabled = config.snapshots.enabled
+    this.directory = config.snapshots.storePath
+    this.maxPerKey = config.snapshots.maxPerKey
+    this.writeChains = new Map() // key -> promise (serializes read-modify-write per key)
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex')
+    return path.join(this.directory, `${hash}.json`)
+  }
+
+  /**
+   * Read all snapshots for a key (oldest first)
+   * @returns {Promise<Array>} [{ id, takenAt, schemaVersion, data }]
+   */
+  async readSnapshots(key) {
+    try {
+      const stored = JSON.parse(
+        await fs.promises.readFile(this.filePath(key), 'utf8')
+      )
+      return stored.cache_key === key ? stored.snapshots || [] : []
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read snapshots for ${key}:`, error.message)
+      }
+      return []
+    }
+  }
+
+  /**
+   * Record a snapshot of an analysis (never throws - history is best effort)
+   * @param {string} cacheKey - Cache key
+   * @param {string} entityType - 'company' | 'person'
+   * @param {Object} value - Analysis payload (with metadata)
+   * @returns {Promise<Object|null>} Snapshot summary, or null if skipped
+   */
+  record(cacheKey, entityType, value) {
+    if (!this.enabled) {
+      return Promise.resolve(null)
+    }
+
+    const key = promptExperimentService.stripCacheKeyTag(cacheKey)
+
+    const previous = this.writeChains.get(key) || Promise.resolve()
+    const write = previous
+      .then(() => this.appendSnapshot(key, entityType, value))
+      .catch((error) => {
+        logger.warn(`Failed to record snapshot for ${key}:`, error.message)
+        return null
+      })
+
+    this.writeChains.set(key, write)
+    write.finally(() => {
+      if (this.writeChains.get(key) === write) {
+        this.writeChains.delete(key)
+      }
+    })
+
+    return write
+  }
+
+  /**
+   * Wait for pending snapshot writes for a key
+   * @returns {Promise<Object|null>} Summary of the last queued snapshot (null if it was skipped)
+   */
+  flush(key) {
+    return (
+      this.writeChains.get(promptExperimentService.stripCacheKeyTag(key)) ||
+      Promise.resolve(null)
+    )
+  }
+
+  async appendSnapshot(key, entityType, value) {
+    const snapshots = await this.readSnapshots(key)
+    const latest = snapshots[snapshots.length - 1]
+    const schemaVersion = value?.metadata?.schemaVersion
+
+    if (
+      latest &&
+      latest.schemaVersion === schemaVersion &&
+      diffAnalyses(latest.data, value).changes.length === 0
+    ) {
+      logger.debug(`Snapshot unchanged, skipped: ${key}`)
+      return null
+    }
+
+    const snapshot = {
+      id: `snap_${crypto.randomUUID()}`,
+      takenAt: new Date().toISOString(),
+      schemaVersion,
+      data: value,
+    }
+    snapshots.push(snapshot)
+
+    const filePath = this.filePath(key)
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    await fs.promises.mkdir(this.directory, { recursive: true })
+    await fs.promises.writeFile(
+      tmpPath,
+      JSON.stringify({
+        cache_key: key,
+        entity_type: entityType,
+        snapshots: snapshots.slice(-this.maxPerKey),
+      })
+    )
+    await fs.promises.rename(tmpPath, filePath)
+
+    logger.debug(`📸 Snapshot recorded: ${key} (${snapshots.length} total)`)
+    return this.summarize(snapshot)
+  }
+
+  summarize(snapshot) {
+    return {
+      id: snapshot.id,
+      takenAt: snapshot.takenAt,
+      schemaVersion: snapshot.schemaVersion,
+    }
+  }
+
+  /**
+   * List snapshots for a key (newest first, without payloads)
+   */
+  async getHistory(key) {
+    const snapshots = await this.readSnapshots(
+      promptExperimentService.stripCacheKeyTag(key)
+    )
+    return snapshots.map((snapshot) => this.summarize(snapshot)).reverse()
+  }
+
+  /**
+   * Find a snapshot by id, or the latest one taken at/before an ISO date
+   * @returns {number} Index into snapshots, or -1
+   */
+  resolveSnapshot(snapshots, ref) {
+    const byId = snapshots.findIndex((snapshot) => snapshot.id === ref)
+    if (byId !== -1) {
+      return byId
+    }
+
+    const timestamp = Date.parse(ref)
+    if (Number.isNaN(timestamp)) {
+      return -1
+    }
+
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (Date.parse(snapshots[i].takenAt) <= timestamp) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   * Defaults: to = latest snapshot, from = the one before `to`
+   *
+   * @param {string} key - Cache key
+   * @param {string} entityType - 'company' | 'person'
+   * @param {Object} refs - { from, to } snapshot ids or ISO dates
+   * @returns {Promise<Object>} { from, to, summary, changes }
+   * @throws {Error} With statusCode 404 if a snapshot can't be resolved
+   */
+  async diff(key, entityType, { from, to } = {}) {
+    const snapshots = await this.readSnapshots(
+      promptExperimentService.stripCacheKeyTag(key)
+    )
+
+    const toIndex = to
+      ? this.resolveSnapshot(snapshots, to)
+      : snapshots.length - 1
+    const fromIndex = from ? this.resolveSnapshot(snapshots, from) : toIndex - 1
+
+    if (toIndex < 0 || fromIndex < 0) {
+      let message = 'At least two snapshots are needed to compute a diff'
+      if (toIndex < 0 && to) {
+        message = `Snapshot not found: ${to}`
+      } else if (fromIndex < 0 && from) {
+        message = `Snapshot not found: ${from}`
+      }
+
+      const error = new Error(message)
+      error.statusCode = 404
+      throw error
+    }
+
+    const before = this.upgrade(entityType, snapshots[fromIndex].data)
+    const after = this.upgrade(entityType, snapshots[toIndex].data)
+
+    return {
+      from: this.summarize(snapshots[fromIndex]),
+      to: this.summarize(snapshots[toIndex]),
+      ...diffAnalyses(before, after),
+    }
+  }
+
+  /**
+   * Bring a stored payload up to the current schema so old and new compare cleanly
+   */
+  upgrade(entityType, data) {
+    try {
+      const migration = migrateAnalysis(entityType, data)
+      return migration.data || data
+    } catch (error) {
+      logger.warn(
+        'Snapshot migration failed, diffing as stored:',
+        error.message
+      )
+      return data
+    }
+  }
+}
+
+module.exports = new SnapshotService()
@@ -6,6 +6,8 @@
  */
 
 const cacheService = require('./cacheService')
+const upstreamRecorder = require('./upstreamRecorder')
+const usageLedgerService = require('./usageLedgerService')
 const { Logger } = require('../utils/logger')
 
 const logger = new Logger('SumbleService')
@@ -27,6 +29,13 @@ class SumbleService {
     this.COST_PER_CREDIT = 0.04 // $0.04 per credit
   }
 
+  /**
+   * Whether Sumble can serve requests (API key, or recorded fixtures in replay mode)
+   */
+  isConfigured() {
+    return !!this.apiKey || upstreamRecorder.hasFixtures('sumble')
+  }
+
   /**
    * Calculate cost for Sumble API credits
    * @param {number} creditsUsed - Number of credits consumed
@@ -37,6 +46,20 @@ class SumbleService {
     return parseFloat((creditsUsed * this.COST_PER_CREDIT).toFixed(2))
   }
 
+  /**
+   * Track remaining credits and record the credits a response consumed in the usage ledger
+   * @param {string} operation - e.g. 'techStack', 'priorityContacts'
+   * @param {Object} data - Sumble response body (credits_used, credits_remaining)
+   */
+  recordCredits(operation, data) {
+    this.creditsRemaining = data.credits_remaining
+    usageLedgerService.recordSumbleCall({
+      operation,
+      credits: data.credits_used,
+      cost: this.calculateCost(data.credits_used),
+    })
+  }
+
   /**
    * Get organization technology stack with verification from job posts
    *
@@ -46,7 +69,7 @@ class SumbleService {
    */
   async getOrganizationTechStack(companyDomain, technologies = null) {
     try {
-      if (!this.apiKey) {
+      if (!this.isConfigured()) {
         logger.error('SUMBLE_API_KEY not found in environment variables')
         logger.error(
           'Add SUMBLE_API_KEY to backend/.env to enable verified tech stack data'
@@ -173,14 +196,19 @@ class SumbleService {
         )
       }
 
-      const response = await fetch(`${this.baseUrl}/organizations/enrich`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      })
+      const response = await upstreamRecorder.fetch(
+        'sumble',
+        '/organizations/enrich',
+        `${this.baseUrl}/organizations/enrich`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(requestBody),
+        }
+      )
 
       if (!response.ok) {
         const errorText = await response.text()
@@ -198,7 +226,7 @@ class SumbleService {
           response.status
         }, Technologies found: ${data.technologies?.length || 0}`
       )
-      this.creditsRemaining = data.credits_remaining
+      this.recordCredits('techStack', data)
       this.lastCreditCheck = new Date()
 
       const cost = this.calculateCost(data.credits_used)
@@ -264,7 +292,7 @@ class SumbleService {
    */
   async findPriorityContacts(companyDomain, options = {}) {
     try {
-      if (!this.apiKey) {
+      if (!this.isConfigured()) {
         logger.error('❌ SUMBLE_API_KEY not found in environment variables')
         logger.error(
           'ℹ️  Add SUMBLE_API_KEY to backend/.env to enable verified executive discovery'
@@ -310,14 +338,19 @@ class SumbleService {
         limit: limit,
       }
 
-      const response = await fetch(`${this.baseUrl}/people/find`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestPayload),
-      })
+      const response = await upstreamRecorder.fetch(
+        'sumble',
+        '/people/find',
+        `${this.baseUrl}/people/find`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(requestPayload),
+        }
+      )
 
       if (!response.ok) {
         const errorText = await response.text()
@@ -325,7 +358,7 @@ class SumbleService {
       }
 
       const data = await response.json()
-      this.creditsRemaining = data.credits_remaining
+      this.recordCredits('priorityContacts', data)
       this.lastCreditCheck = new Date()
 
       const cost = this.calculateCost(data.credits_used)
@@ -357,18 +390,23 @@ class SumbleService {
           limit: limit,
         }
 
-        const fallbackResponse = await fetch(`${this.baseUrl}/people/find`, {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(fallbackPayload),
-        })
+        const fallbackResponse = await upstreamRecorder.fetch(
+          'sumble',
+          '/people/find',
+          `${this.baseUrl}/people/find`,
+          {
+            method: 'POST',
+            headers: {
+              Authorization: `Bearer ${this.apiKey}`,
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(fallbackPayload),
+          }
+        )
 
         if (fallbackResponse.ok) {
           const fallbackData = await fallbackResponse.json()
-          this.creditsRemaining = fallbackData.credits_remaining
+          this.recordCredits('priorityContacts', fallbackData)
 
           const fallbackCost = this.calculateCost(fallbackData.credits_used)
           const totalCredits = data.credits_used + fallbackData.credits_used
@@ -515,7 +553,7 @@ class SumbleService {
    */
   async getOrganizationInfo(companyDomain) {
     try {
-      if (!this.apiKey) {
+      if (!this.isConfigured()) {
         logger.error('❌ SUMBLE_API_KEY not found in environment variables')
         return {
           success: false,
@@ -540,14 +578,19 @@ class SumbleService {
         limit: 5, // Get a few results to find exact domain match (5 orgs × 5 credits = 25 credits)
       }
 
-      const response = await fetch(`${this.baseUrl}/organizations/find`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestPayload),
-      })
+      const response = await upstreamRecorder.fetch(
+        'sumble',
+        '/organizations/find',
+        `${this.baseUrl}/organizations/find`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(requestPayload),
+        }
+      )
 
       if (!response.ok) {
         const errorText = await response.text()
@@ -558,7 +601,7 @@ class SumbleService {
       }
 
       const data = await response.json()
-      this.creditsRemaining = data.credits_remaining
+      this.recordCredits('organizationInfo', data)
       this.lastCreditCheck = new Date()
 
       // Find exact domain match in results
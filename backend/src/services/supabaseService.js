@@ -1,7 +1,7 @@
 /**
  * Supabase Service - Optional Database Integration
  * For hackathon demo: Supabase is optional (fallback to memory-only caching)
- * 
+ *
  * Set SUPABASE_URL and SUPABASE_SECRET_KEY in .env to enable database caching
  */
 
@@ -25,10 +25,13 @@ class SupabaseService {
         this.configured = true
         logger.info('✓ Supabase database connection configured')
       } catch (error) {
-        logger.warn('⚠ Supabase initialization failed (optional):', error.message)
+        logger.warn(
+          '⚠ Supabase initialization failed (optional):',
+          error.message
+        )
       }
     } else {
-      logger.info('ℹ Supabase not configured - using memory-only caching')
+      logger.info('ℹ Supabase not configured - database features disabled')
     }
   }
 
@@ -69,8 +72,15 @@ class SupabaseService {
 
   /**
    * Set cached analysis in database
+   * @param {number} ttlMs - Time to live in milliseconds (default: 24 hours)
    */
-  async setCachedAnalysis(key, value, entityType, metadata = {}) {
+  async setCachedAnalysis(
+    key,
+    value,
+    entityType,
+    metadata = {},
+    ttlMs = 24 * 60 * 60 * 1000
+  ) {
     if (!this.isConfigured()) return false
 
     try {
@@ -80,7 +90,7 @@ class SupabaseService {
           entity_type: entityType,
           analysis_result: value,
           metadata: metadata,
-          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          expires_at: new Date(Date.now() + ttlMs).toISOString(),
           created_at: new Date().toISOString(),
         },
         {
@@ -124,6 +134,29 @@ class SupabaseService {
     }
   }
 
+  /**
+   * List all cache keys in the database
+   */
+  async listCacheKeys() {
+    if (!this.isConfigured()) return []
+
+    try {
+      const { data, error } = await this.client
+        .from('analysis_cache')
+        .select('cache_key')
+
+      if (error) {
+        logger.warn('Database cache key listing error:', error.message)
+        return []
+      }
+
+      return (data || []).map((row) => row.cache_key)
+    } catch (error) {
+      logger.warn('Failed to list database cache keys:', error.message)
+      return []
+    }
+  }
+
   /**
    * Get cache statistics
    */
@@ -191,4 +224,3 @@ class SupabaseService {
 
 // Export singleton instance
 module.exports = new SupabaseService()
-
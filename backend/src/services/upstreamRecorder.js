@@ -0,0 +1,288 @@
+/**
+ * Upstream Recorder for LinkedIntel Backend
+ * Record/replay layer for paid upstream APIs (LLM providers, Sumble)
+ *
+ * Modes (config.upstream.mode / UPSTREAM_MODE):
+ *   live   - pass-through to fetch (default)
+ *   record - call the real API and write each request/response pair to a fixture file
+ *   replay - serve responses from fixtures only; never touches the network
+ *
+ * Fixtures live in {fixturesDir}/{service}/{key}.json and match on a hash of the
+ * normalized request body (key order, whitespace and ISO timestamps don't matter).
+ * Each fixture also stores an identity hash that ignores system prompts, so a
+ * replay miss caused by an edited system prompt is reported as stale rather than missing.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+
+const logger = new Logger('UpstreamRecorder')
+
+const MODES = ['live', 'record', 'replay']
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g
+
+class UpstreamRecorder {
+  constructor() {
+    this.mode = MODES.includes(config.upstream.mode)
+      ? config.upstream.mode
+      : 'live'
+    this.fixturesDir = config.upstream.fixturesDir
+    this.index = null // service -> Map(key -> fixture), loaded lazily
+
+    if (config.upstream.mode && !MODES.includes(config.upstream.mode)) {
+      logger.warn(
+        `⚠️  Unknown UPSTREAM_MODE '${config.upstream.mode}', using 'live'`
+      )
+    }
+
+    if (this.mode !== 'live') {
+      logger.info(
+        `📼 Upstream ${this.mode} mode - fixtures: ${this.fixturesDir}`
+      )
+    }
+  }
+
+  isReplay() {
+    return this.mode === 'replay'
+  }
+
+  isRecording() {
+    return this.mode === 'record'
+  }
+
+  /**
+   * Whether replay fixtures exist for a service (lets replay run without API keys)
+   */
+  hasFixtures(service) {
+    if (!this.isReplay()) {
+      return false
+    }
+    return (this.loadIndex().get(service)?.size || 0) > 0
+  }
+
+  /**
+   * fetch() replacement for upstream calls
+   * @param {string} service - Fixture namespace (e.g. 'perplexity', 'sumble')
+   * @param {string} endpoint - Host-independent path used for matching (e.g. '/chat/completions')
+   * @param {string} url - Full URL for live/record calls
+   * @param {Object} init - fetch init ({ method, headers, body, signal })
+   * @returns {Promise<Response>}
+   */
+  async fetch(service, endpoint, url, init = {}) {
+    if (this.mode === 'live') {
+      return await fetch(url, init)
+    }
+
+    const request = this.normalizeBody(init.body)
+    const key = this.hash([service, endpoint, request])
+    const identity = this.hash([
+      service,
+      endpoint,
+      this.stripSystemPrompts(request),
+    ])
+
+    if (this.isReplay()) {
+      return this.replay(service, endpoint, key, identity)
+    }
+
+    const response = await fetch(url, init)
+    const body = await response.clone().text()
+
+    this.saveFixture({
+      key,
+      identity,
+      service,
+      endpoint,
+      recordedAt: new Date().toISOString(),
+      request,
+      response: { status: response.status, body },
+    })
+
+    return response
+  }
+
+  /**
+   * Serve a recorded response
+   * @throws {Error} If no fixture matches (message says whether it is stale or missing)
+   */
+  replay(service, endpoint, key, identity) {
+    const fixtures = this.loadIndex().get(service) || new Map()
+    const fixture = fixtures.get(key)
+
+    if (fixture) {
+      logger.debug(`📼 Replay hit: ${service}${endpoint} (${key})`)
+      return new Response(fixture.response.body, {
+        status: fixture.response.status,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    }
+
+    const stale = [...fixtures.values()].find((f) => f.identity === identity)
+    if (stale) {
+      throw new Error(
+        `Replay fixture stale for ${service}${endpoint}: system prompt changed since ${stale.recordedAt} (fixture ${stale.key}). Re-record with UPSTREAM_MODE=record`
+      )
+    }
+
+    throw new Error(
+      `Replay fixture not found for ${service}${endpoint} (${key}). Record it with UPSTREAM_MODE=record`
+    )
+  }
+
+  /**
+   * Write a fixture, replacing any older recording of the same request identity
+   */
+  saveFixture(fixture) {
+    const serviceDir = path.join(this.fixturesDir, fixture.service)
+    const fixtures = this.loadIndex().get(fixture.service) || new Map()
+
+    try {
+      fs.mkdirSync(serviceDir, { recursive: true })
+
+      for (const existing of fixtures.values()) {
+        if (
+          existing.identity === fixture.identity &&
+          existing.key !== fixture.key
+        ) {
+          fs.rmSync(path.join(serviceDir, `${existing.key}.json`), {
+            force: true,
+          })
+          fixtures.delete(existing.key)
+          logger.info(
+            `📼 Re-recorded ${fixture.service}${fixture.endpoint}: ${existing.key} → ${fixture.key} (system prompt changed)`
+          )
+        }
+      }
+
+      fs.writeFileSync(
+        path.join(serviceDir, `${fixture.key}.json`),
+        JSON.stringify(fixture, null, 2)
+      )
+      fixtures.set(fixture.key, fixture)
+      this.index.set(fixture.service, fixtures)
+      logger.debug(
+        `📼 Recorded ${fixture.service}${fixture.endpoint} (${fixture.key})`
+      )
+    } catch (error) {
+      logger.error('❌ Failed to write upstream fixture:', error.message)
+    }
+  }
+
+  /**
+   * Load all fixtures from disk (once)
+   * @returns {Map} service -> Map(key -> fixture)
+   */
+  loadIndex() {
+    if (this.index) {
+      return this.index
+    }
+
+    this.index = new Map()
+    if (!fs.existsSync(this.fixturesDir)) {
+      return this.index
+    }
+
+    for (const service of fs.readdirSync(this.fixturesDir)) {
+      const serviceDir = path.join(this.fixturesDir, service)
+      if (!fs.statSync(serviceDir).isDirectory()) continue
+
+      const fixtures = new Map()
+      for (const file of fs.readdirSync(serviceDir)) {
+        if (!file.endsWith('.json')) continue
+        try {
+          const fixture = JSON.parse(
+            fs.readFileSync(path.join(serviceDir, file), 'utf8')
+          )
+          fixtures.set(fixture.key, fixture)
+        } catch (error) {
+          logger.warn(`⚠️  Skipping unreadable fixture ${service}/${file}`)
+        }
+      }
+      this.index.set(service, fixtures)
+    }
+
+    return this.index
+  }
+
+  /**
+   * Parse and normalize a JSON request body so cosmetic differences hash the same
+   */
+  normalizeBody(body) {
+    if (!body) {
+      return null
+    }
+
+    let parsed
+    try {
+      parsed = typeof body === 'string' ? JSON.parse(body) : body
+    } catch (error) {
+      return this.normalizeValue(String(body))
+    }
+
+    return this.normalizeValue(parsed)
+  }
+
+  normalizeValue(value) {
+    if (typeof value === 'string') {
+      return value
+        .replace(ISO_TIMESTAMP_PATTERN, '<timestamp>')
+        .replace(/\s+/g, ' ')
+        .trim()
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalizeValue(item))
+    }
+
+    if (value && typeof value === 'object') {
+      const normalized = {}
+      for (const key of Object.keys(value).sort()) {
+        normalized[key] = this.normalizeValue(value[key])
+      }
+      return normalized
+    }
+
+    return value
+  }
+
+  /**
+   * Drop system messages - what remains identifies "the same request" across prompt edits
+   */
+  stripSystemPrompts(request) {
+    if (!request || !Array.isArray(request.messages)) {
+      return request
+    }
+
+    return {
+      ...request,
+      messages: request.messages.filter((m) => m.role !== 'system'),
+    }
+  }
+
+  hash(value) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(value))
+      .digest('hex')
+      .substring(0, 16)
+  }
+
+  /**
+   * Mode summary for health checks
+   */
+  getStatus() {
+    const fixtures = {}
+    if (this.mode !== 'live') {
+      for (const [service, entries] of this.loadIndex()) {
+        fixtures[service] = entries.size
+      }
+    }
+
+    return { mode: this.mode, fixturesDir: this.fixturesDir, fixtures }
+  }
+}
+
+module.exports = new UpstreamRecorder()
@@ -0,0 +1,400 @@
+/**
+ * Usage Ledger Service for LinkedIntel Backend
+ * Persistent per-request record of upstream consumption and cost
+ *
+ * - Every LLM completion (llmService.complete) and Sumble call is attributed to
+ *   the request that triggered it via AsyncLocalStorage (see middleware/usageTracking)
+ * - One entry per request: user, endpoint, per-prompt calls, tokens, Sumble
+ *   credits, dollar cost and whether it was served from cache
+ * - Calls made after the response was sent (background revalidation) or outside
+ *   any request (resumed batch jobs) become their own entries, flagged background
+ * - Entries are appended to a JSONL file (config.usageLedger.storePath) and kept
+ *   for retentionMs
+ */
+
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+const logger = new Logger('UsageLedgerService')
+
+const GROUP_BY = ['day', 'user', 'prompt']
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits))
+
+class UsageLedgerService {
+  constructor() {
+    this.enabled = config.usageLedger.enabled
+    this.store = new JsonFileStore(config.usageLedger.storePath, {
+      label: 'usage ledger',
+    })
+    this.retentionMs = config.usageLedger.retentionMs
+    this.entries = [] // Oldest first
+    this.storage = new AsyncLocalStorage()
+
+    if (this.enabled) {
+      this.loadFromDisk()
+      this.startPruneInterval()
+    }
+  }
+
+  /**
+   * New usage context - calls made while it is active are attributed to `meta`
+   * @param {Object} meta - { requestId, userId, endpoint }
+   */
+  createContext(meta = {}) {
+    return {
+      requestId: meta.requestId || null,
+      userId: meta.userId || null,
+      endpoint: meta.endpoint || null,
+      startedAt: Date.now(),
+      calls: [],
+      cacheHits: 0,
+      cacheMisses: 0,
+      finished: false,
+    }
+  }
+
+  /**
+   * Run fn (and everything it awaits or schedules) inside a context
+   */
+  runWithContext(context, fn) {
+    return this.storage.run(context, fn)
+  }
+
+  /**
+   * Run background work (batch items, watchlist checks) as its own ledger entry
+   * @param {Object} meta - { requestId, userId, endpoint }
+   * @param {Function} fn - Async work
+   */
+  async track(meta, fn) {
+    if (!this.enabled) {
+      return await fn()
+    }
+
+    const context = this.createContext(meta)
+    try {
+      return await this.runWithContext(context, fn)
+    } finally {
+      this.finishContext(context, { background: true })
+    }
+  }
+
+  /**
+   * Record one LLM completion
+   * @param {Object} call - { promptType, provider, model, usage, cost }
+   */
+  recordLLMCall({ promptType, provider, model, usage, cost }) {
+    this.recordCall({
+      source: 'llm',
+      prompt: promptType || 'unknown',
+      provider,
+      model,
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0,
+      costUsd: cost?.totalCost || 0,
+    })
+  }
+
+  /**
+   * Record one Sumble API call
+   * @param {Object} call - { operation, credits, cost }
+   */
+  recordSumbleCall({ operation, credits, cost }) {
+    this.recordCall({
+      source: 'sumble',
+      prompt: `sumble:${operation}`,
+      credits: credits || 0,
+      costUsd: cost || 0,
+    })
+  }
+
+  recordCall(call) {
+    if (!this.enabled) return
+
+    const context = this.storage.getStore()
+    if (context && !context.finished) {
+      context.calls.push(call)
+      return
+    }
+
+    // Response already sent, or no request at all - record the call on its own
+    this.append(
+      this.buildEntry(
+        {
+          requestId: context?.requestId || null,
+          userId: context?.userId || 'system',
+          endpoint: context?.endpoint || 'background',
+          startedAt: Date.now(),
+          calls: [call],
+          cacheHits: 0,
+        },
+        { background: true }
+      )
+    )
+  }
+
+  /**
+   * Note an analysis cache lookup for the current request (cacheService.getWithStatus)
+   */
+  noteCacheLookup(hit) {
+    const context = this.storage.getStore()
+    if (!context || context.finished) return
+
+    if (hit) {
+      context.cacheHits++
+    } else {
+      context.cacheMisses++
+    }
+  }
+
+  /**
+   * Close a context and write its entry (contexts that never touched the cache
+   * or an upstream API are not recorded)
+   */
+  finishContext(context, extra = {}) {
+    if (context.finished) return
+    context.finished = true
+
+    if (
+      context.calls.length === 0 &&
+      context.cacheHits === 0 &&
+      context.cacheMisses === 0
+    ) {
+      return
+    }
+
+    this.append(this.buildEntry(context, extra))
+  }
+
+  buildEntry(context, extra = {}) {
+    const totals = this.sumCalls(context.calls)
+
+    return {
+      id: `use_${crypto.randomUUID()}`,
+      timestamp: new Date().toISOString(),
+      requestId: context.requestId,
+      userId: context.userId || 'anonymous',
+      endpoint: context.endpoint,
+      statusCode: extra.statusCode ?? null,
+      background: !!extra.background,
+      durationMs: Date.now() - context.startedAt,
+      cacheHit: context.cacheHits > 0 && context.calls.length === 0,
+      ...totals,
+      calls: context.calls,
+    }
+  }
+
+  sumCalls(calls) {
+    let promptTokens = 0
+    let completionTokens = 0
+    let totalTokens = 0
+    let sumbleCredits = 0
+    let llmCostUsd = 0
+    let sumbleCostUsd = 0
+
+    for (const call of calls) {
+      if (call.source === 'sumble') {
+        sumbleCredits += call.credits
+        sumbleCostUsd += call.costUsd
+      } else {
+        promptTokens += call.promptTokens
+        completionTokens += call.completionTokens
+        totalTokens += call.totalTokens
+        llmCostUsd += call.costUsd
+      }
+    }
+
+    return {
+      tokens: {
+        prompt: promptTokens,
+        completion: completionTokens,
+        total: totalTokens,
+      },
+      sumbleCredits,
+      llmCostUsd: round(llmCostUsd),
+      sumbleCostUsd: round(sumbleCostUsd),
+      costUsd: round(llmCostUsd + sumbleCostUsd),
+    }
+  }
+
+  append(entry) {
+    this.entries.push(entry)
+
+    if (entry.costUsd > 0) {
+      logger.debug(
+        `🧾 ${entry.userId} ${entry.endpoint}: ${entry.tokens.total} tokens, ${
+          entry.sumbleCredits
+        } Sumble credits, $${entry.costUsd.toFixed(4)}`
+      )
+    }
+
+    this.store.append(entry)
+  }
+
+  /**
+   * Entries in a time range, optionally for one user
+   * @param {Object} filters - { since, until, userId } (dates as ISO strings)
+   */
+  query({ since, until, userId } = {}) {
+    const sinceMs = since ? Date.parse(since) : 0
+    const untilMs = until ? Date.parse(until) : Infinity
+
+    return this.entries.filter((entry) => {
+      const timestamp = Date.parse(entry.timestamp)
+      return (
+        timestamp >= sinceMs &&
+        timestamp <= untilMs &&
+        (!userId || entry.userId === userId)
+      )
+    })
+  }
+
+  /**
+   * Totals for a set of entries
+   */
+  summarize(entries) {
+    const summary = {
+      requests: entries.length,
+      cacheHits: 0,
+      tokens: 0,
+      sumbleCredits: 0,
+      costUsd: 0,
+    }
+
+    for (const entry of entries) {
+      if (entry.cacheHit) summary.cacheHits++
+      summary.tokens += entry.tokens.total
+      summary.sumbleCredits += entry.sumbleCredits
+      summary.costUsd += entry.costUsd
+    }
+
+    summary.costUsd = round(summary.costUsd)
+    return summary
+  }
+
+  /**
+   * A user's consumption: totals, per-day breakdown and most recent requests
+   * @param {string} userId - User id or 'anonymous'
+   * @param {Object} options - { days, limit }
+   */
+  getUserUsage(userId, { days = 30, limit = 20 } = {}) {
+    const since = new Date(Date.now() - days * 86400000).toISOString()
+    const entries = this.query({ since, userId })
+
+    return {
+      since,
+      summary: this.summarize(entries),
+      daily: this.aggregate(entries, 'day'),
+      recent: entries
+        .slice(-limit)
+        .reverse()
+        .map(({ calls, ...entry }) => ({ ...entry, calls: calls.length })),
+    }
+  }
+
+  /**
+   * Aggregate entries by day, user or prompt
+   * Grouping by prompt counts individual upstream calls (micro-prompts, Sumble
+   * operations); cache hits show up under the 'cache' prompt
+   * @returns {Array} [{ key, requests, cacheHits, tokens, sumbleCredits, costUsd }], costliest first
+   */
+  aggregate(entries, groupBy) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new Error(`groupBy must be one of: ${GROUP_BY.join(', ')}`)
+    }
+
+    const groups = new Map()
+    const add = (key, values) => {
+      const group = groups.get(key) || {
+        key,
+        requests: 0,
+        cacheHits: 0,
+        tokens: 0,
+        sumbleCredits: 0,
+        costUsd: 0,
+      }
+      group.requests += 1
+      group.cacheHits += values.cacheHit ? 1 : 0
+      group.tokens += values.tokens || 0
+      group.sumbleCredits += values.sumbleCredits || 0
+      group.costUsd += values.costUsd || 0
+      groups.set(key, group)
+    }
+
+    for (const entry of entries) {
+      if (groupBy === 'prompt') {
+        if (entry.cacheHit) {
+          add('cache', { cacheHit: true })
+        }
+        for (const call of entry.calls) {
+          add(call.prompt, {
+            tokens: call.totalTokens,
+            sumbleCredits: call.credits,
+            costUsd: call.costUsd,
+          })
+        }
+        continue
+      }
+
+      const key =
+        groupBy === 'day' ? entry.timestamp.slice(0, 10) : entry.userId
+      add(key, {
+        cacheHit: entry.cacheHit,
+        tokens: entry.tokens.total,
+        sumbleCredits: entry.sumbleCredits,
+        costUsd: entry.costUsd,
+      })
+    }
+
+    const rows = Array.from(groups.values()).map((group) => ({
+      ...group,
+      costUsd: round(group.costUsd),
+    }))
+
+    return groupBy === 'day'
+      ? rows.sort((a, b) => a.key.localeCompare(b.key))
+      : rows.sort((a, b) => b.costUsd - a.costUsd)
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.length,
+      oldest: this.entries[0]?.timestamp || null,
+    }
+  }
+
+  /**
+   * Drop entries past the retention window (rewrites the ledger file)
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs
+    const before = this.entries.length
+    this.entries = this.entries.filter(
+      (entry) => Date.parse(entry.timestamp) >= cutoff
+    )
+
+    const removed = before - this.entries.length
+    if (removed === 0) return
+
+    logger.info(`🗑️ Pruned ${removed} usage ledger entries`)
+    this.store.saveLines(this.entries)
+  }
+
+  startPruneInterval() {
+    const timer = setInterval(() => this.prune(), 6 * 60 * 60 * 1000)
+    timer.unref() // Never keep the process alive just for pruning
+  }
+
+  loadFromDisk() {
+    this.entries = this.store.loadLines()
+    logger.info(`📂 Loaded ${this.entries.length} usage ledger entries`)
+    this.prune()
+  }
+}
+
+module.exports = new UsageLedgerService()
@@ -0,0 +1,502 @@
+/**
+ * Watchlist Service for LinkedIntel Backend
+ * Named accounts that are re-analyzed on a schedule, with trigger events for
+ * material changes (funding, exec changes, hiring spikes, negative news)
+ *
+ * - Entries and events are written to a JSON file (config.watchlist.storePath)
+ * - Watchlists are per signed-in owner (user id); an entry added in a workspace
+ *   is re-analyzed in that workspace, so it reads and writes that workspace's cache
+ * - The scheduler re-runs one due account at a time, caches the result (which
+ *   records a snapshot), diffs it against the previous snapshot and stores the
+ *   trigger events it finds
+ * - Scheduled re-analyses count against the owner's analyses quota and a daily
+ *   cap per owner (config.watchlist.maxScheduledChecksPerDay)
+ */
+
+const crypto = require('crypto')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+const { detectTriggerEvents } = require('../utils/triggerEvents')
+const perplexityService = require('./perplexityService')
+const cacheService = require('./cacheService')
+const snapshotService = require('./snapshotService')
+const usageLedgerService = require('./usageLedgerService')
+const workspaceService = require('./workspaceService')
+const quotaService = require('./quotaService')
+
+const logger = new Logger('WatchlistService')
+
+const MAX_EVENTS = 5000 // Hard cap across all owners, oldest dropped first
+const DAY_MS = 24 * 60 * 60 * 1000
+// Owner of entries added without sign-in, before watchlists required it
+const LEGACY_ANONYMOUS_OWNER = 'anonymous'
+
+class WatchlistService {
+  constructor() {
+    this.store = new JsonFileStore(config.watchlist.storePath, {
+      label: 'watchlist store',
+    })
+    this.intervalMs = config.watchlist.intervalMs
+    this.entries = new Map() // watchId -> entry
+    this.events = [] // Oldest first
+    this.running = false // One re-analysis at a time
+
+    this.loadFromDisk()
+    this.pruneEvents()
+
+    if (config.watchlist.schedulerEnabled) {
+      this.startScheduler()
+    }
+  }
+
+  /**
+   * List an owner's watched accounts
+   */
+  list(ownerId) {
+    return Array.from(this.entries.values())
+      .filter((entry) => entry.ownerId === ownerId)
+      .sort((a, b) => a.companyName.localeCompare(b.companyName))
+  }
+
+  get(ownerId, watchId) {
+    const entry = this.entries.get(watchId)
+    return entry && entry.ownerId === ownerId ? entry : null
+  }
+
+  /**
+   * Add companies to an owner's watchlist (already-watched companies are skipped)
+   * Accounts with a cached analysis are first re-checked when that analysis is
+   * intervalMs old; the rest on the next tick
+   * @param {string} ownerId - User id
+   * @param {Array} companies - [{ companyName, companyUrl }]
+   * @returns {Promise<Object>} { added: [entries], skipped: [companyName] }
+   * @throws {Error} With statusCode 400 if the owner would exceed maxEntries
+   */
+  async add(ownerId, companies) {
+    const existing = this.list(ownerId)
+    const watchedKeys = new Set(existing.map((entry) => entry.cacheKey))
+    const added = []
+    const skipped = []
+
+    for (const company of companies) {
+      const cacheKey = cacheService.generateCompanyKey(company.companyName, {
+        companyUrl: company.companyUrl,
+      })
+      if (watchedKeys.has(cacheKey)) {
+        skipped.push(company.companyName)
+        continue
+      }
+      watchedKeys.add(cacheKey)
+
+      const cached = await cacheService.getWithStatus(cacheKey)
+      const firstCheckAt = cached
+        ? Math.max(Date.now(), cached.cachedAt + this.intervalMs)
+        : Date.now()
+
+      added.push({
+        id: `watch_${crypto.randomUUID()}`,
+        ownerId,
+        workspaceId: workspaceService.currentWorkspace()?.id || null,
+        companyName: company.companyName,
+        companyUrl: company.companyUrl || null,
+        companyDomain: cached?.value?.metadata?.companyDomain || null, // Pins re-checks to the analyzed company
+        cacheKey,
+        paused: false,
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        nextCheckAt: new Date(firstCheckAt).toISOString(),
+        lastStatus: null,
+        lastError: null,
+      })
+    }
+
+    if (existing.length + added.length > config.watchlist.maxEntries) {
+      const error = new Error(
+        `Watchlist limit reached (${config.watchlist.maxEntries} accounts)`
+      )
+      error.statusCode = 400
+      throw error
+    }
+
+    added.forEach((entry) => this.entries.set(entry.id, entry))
+    if (added.length > 0) {
+      logger.info(`👀 ${ownerId} now watching ${added.length} more accounts`)
+      this.persist()
+    }
+
+    return { added, skipped }
+  }
+
+  /**
+   * Update an entry (paused)
+   * @returns {Object|null} Updated entry, or null if not found
+   */
+  update(ownerId, watchId, changes) {
+    const entry = this.get(ownerId, watchId)
+    if (!entry) {
+      return null
+    }
+
+    if (typeof changes.paused === 'boolean') {
+      entry.paused = changes.paused
+    }
+    this.persist()
+    return entry
+  }
+
+  remove(ownerId, watchId) {
+    if (!this.get(ownerId, watchId)) {
+      return false
+    }
+
+    this.entries.delete(watchId)
+    this.persist()
+    return true
+  }
+
+  /**
+   * Trigger events for an owner
+   * Without a cursor: the latest `limit` events, newest first. With `after` (an
+   * event id) or `since` (ISO date): the next `limit` events after it, oldest
+   * first, so a poller can page through everything it missed. `after` wins;
+   * `since` is the fallback once that event has been pruned
+   * @param {string} ownerId
+   * @param {Object} options - { after: event id, since: ISO date, limit }
+   * @returns {Object} { events, hasMore, nextCursor } - nextCursor is the id to
+   *   pass as the next `after` (the given one when there is nothing new)
+   */
+  getEvents(ownerId, { after, since, limit = 100 } = {}) {
+    const owned = this.events.filter((event) => event.ownerId === ownerId)
+
+    if (!after && !since) {
+      return {
+        events: owned.slice(-limit).reverse(),
+        hasMore: owned.length > limit,
+        nextCursor: owned[owned.length - 1]?.id || null,
+      }
+    }
+
+    const afterIndex = after
+      ? owned.findIndex((event) => event.id === after)
+      : -1
+    let start = afterIndex + 1
+    if (afterIndex === -1) {
+      const sinceMs = since ? Date.parse(since) || 0 : 0
+      start = owned.findIndex((event) => Date.parse(event.detectedAt) > sinceMs)
+      if (start === -1) start = owned.length
+    }
+
+    const events = owned.slice(start, start + limit)
+    return {
+      events,
+      hasMore: start + limit < owned.length,
+      nextCursor: events[events.length - 1]?.id || after || null,
+    }
+  }
+
+  /**
+   * Re-analyze one account now and record trigger events
+   * Runs in the workspace the entry was added in. Scheduled checks are charged
+   * to the owner here (manual ones are charged by the route's quota)
+   * @param {Object} options - { scheduled: boolean }
+   * @returns {Promise<Array>} Events detected
+   */
+  async checkEntry(entry, { scheduled = false } = {}) {
+    const workspace = entry.workspaceId
+      ? workspaceService.contextFor(entry.workspaceId)
+      : null
+    if (entry.workspaceId && !workspace) {
+      return this.skipCheck(entry, 'failed', 'Workspace no longer exists')
+    }
+
+    if (scheduled) {
+      let quota
+      try {
+        quota = await this.chargeScheduledCheck(entry.ownerId)
+      } catch (error) {
+        logger.warn(
+          `Watchlist quota check failed for ${entry.ownerId}:`,
+          error.message
+        )
+        return this.skipCheck(entry, 'failed', 'Quota check failed')
+      }
+
+      if (!quota.allowed) {
+        logger.info(
+          `💰 Watchlist re-analysis of ${entry.companyName} postponed: ${entry.ownerId} is out of ${quota.exceeded}`
+        )
+        return this.skipCheck(
+          entry,
+          'quota_exceeded',
+          `Out of ${quota.exceeded} quota`,
+          quota.retryAfter * 1000
+        )
+      }
+    }
+
+    return workspaceService.runInWorkspace(workspace, () =>
+      this.reanalyze(entry)
+    )
+  }
+
+  /**
+   * Count a scheduled re-analysis against the owner's analyses quota and the
+   * daily watchlist cap (both or neither are counted)
+   * @returns {Promise<Object>} quotaService.consume() result
+   */
+  chargeScheduledCheck(ownerId) {
+    const limits = quotaService.limitsFor(quotaService.planFor({ id: ownerId }))
+    return quotaService.consume(
+      `user:${ownerId}`,
+      {
+        analyses: limits.analyses,
+        watchlistChecks: {
+          limit: config.watchlist.maxScheduledChecksPerDay,
+          windowMs: DAY_MS,
+        },
+      },
+      { analyses: 1, watchlistChecks: 1 }
+    )
+  }
+
+  /**
+   * Record a check that didn't run and when to try again
+   * @returns {Array} No events
+   */
+  skipCheck(entry, status, error, retryInMs = this.intervalMs) {
+    entry.nextCheckAt = new Date(Date.now() + retryInMs).toISOString()
+    entry.lastStatus = status
+    entry.lastError = error
+    this.persist()
+    return []
+  }
+
+  async reanalyze(entry) {
+    logger.info(`🔁 Watchlist re-analysis: ${entry.companyName}`)
+    // Re-derive the key - it changes when prompt versions do
+    entry.cacheKey = cacheService.generateCompanyKey(entry.companyName, {
+      companyUrl: entry.companyUrl,
+    })
+    entry.lastCheckedAt = new Date().toISOString()
+    entry.nextCheckAt = new Date(Date.now() + this.intervalMs).toISOString()
+
+    try {
+      // Entries added before their first analysis have no domain yet - take the
+      // cached analysis's. With neither, the name is resolved like an interactive
+      // cache miss, and an ambiguous name fails the check.
+      const companyDomain =
+        entry.companyDomain ||
+        (await cacheService.getWithStatus(entry.cacheKey))?.value?.metadata
+          ?.companyDomain
+      const result = await usageLedgerService.track(
+        { userId: entry.ownerId, endpoint: 'watchlist:check' },
+        () =>
+          perplexityService.refreshCompanyAnalysis(entry.companyName, {
+            companyDomain,
+            hints: { companyUrl: entry.companyUrl },
+          })
+      )
+      if (!result.success) {
+        throw new Error(result.error || 'Analysis failed')
+      }
+      entry.companyDomain =
+        result.data.metadata?.companyDomain || companyDomain || null
+
+      await cacheService.set(entry.cacheKey, result.data)
+      const snapshot = await snapshotService.flush(entry.cacheKey)
+
+      let events = []
+      if (snapshot) {
+        // New snapshot - compare it with the one before (404 = first snapshot)
+        const diff = await snapshotService
+          .diff(entry.cacheKey, 'company', { to: snapshot.id })
+          .catch((error) => {
+            if (error.statusCode === 404) return null
+            throw error
+          })
+
+        if (diff) {
+          events = detectTriggerEvents(diff, {
+            hiringSpikeMin: config.watchlist.hiringSpikeMin,
+          }).map((event) => ({
+            id: `evt_${crypto.randomUUID()}`,
+            ownerId: entry.ownerId,
+            watchId: entry.id,
+            companyName: entry.companyName,
+            snapshotId: snapshot.id,
+            detectedAt: new Date().toISOString(),
+            ...event,
+          }))
+        }
+      }
+
+      this.recordEvents(events)
+      entry.lastStatus = 'ok'
+      entry.lastError = null
+
+      if (events.length > 0) {
+        logger.info(
+          `🚨 ${events.length} trigger events for ${entry.companyName}: ${events
+            .map((event) => event.type)
+            .join(', ')}`
+        )
+      }
+      return events
+    } catch (error) {
+      logger.warn(
+        `Watchlist re-analysis failed for ${entry.companyName}:`,
+        error.message
+      )
+      entry.lastStatus = 'failed'
+      entry.lastError = error.message
+      return []
+    } finally {
+      this.persist()
+    }
+  }
+
+  /**
+   * Append trigger events (capped at MAX_EVENTS)
+   */
+  recordEvents(events) {
+    if (events.length === 0) return
+
+    for (const event of events) {
+      this.events.push(event)
+    }
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS)
+    }
+  }
+
+  /**
+   * Run due accounts one at a time (called on every scheduler tick)
+   * Owners watching the same company share one re-analysis
+   */
+  async runDueChecks() {
+    if (this.running) return
+    this.running = true
+
+    try {
+      const now = Date.now()
+      const due = Array.from(this.entries.values()).filter(
+        (entry) => !entry.paused && Date.parse(entry.nextCheckAt) <= now
+      )
+      if (due.length === 0) return
+
+      logger.info(`⏰ Watchlist: ${due.length} accounts due for re-analysis`)
+      const checkedKeys = new Map() // cacheKey -> events from the first owner's check
+
+      for (const entry of due) {
+        if (!this.entries.has(entry.id)) continue // Removed meanwhile
+
+        const shared = checkedKeys.get(entry.cacheKey)
+        if (shared) {
+          entry.lastCheckedAt = new Date().toISOString()
+          entry.nextCheckAt = new Date(
+            Date.now() + this.intervalMs
+          ).toISOString()
+          entry.lastStatus = 'ok'
+          this.recordEvents(
+            shared.map((event) => ({
+              ...event,
+              id: `evt_${crypto.randomUUID()}`,
+              ownerId: entry.ownerId,
+              watchId: entry.id,
+            }))
+          )
+          continue
+        }
+
+        const events = await this.checkEntry(entry, { scheduled: true })
+        if (entry.lastStatus === 'ok') {
+          checkedKeys.set(entry.cacheKey, events)
+        }
+      }
+
+      this.pruneEvents()
+      this.persist()
+    } finally {
+      this.running = false
+    }
+  }
+
+  startScheduler() {
+    const timer = setInterval(() => {
+      this.runDueChecks().catch((error) =>
+        logger.error('Watchlist scheduler tick failed:', error)
+      )
+    }, config.watchlist.tickMs)
+    timer.unref() // Never keep the process alive just for the scheduler
+
+    logger.info(
+      `Watchlist scheduler started (re-analysis every ${
+        this.intervalMs / 3600000
+      }h, checking every ${config.watchlist.tickMs / 60000} minutes)`
+    )
+  }
+
+  getStats() {
+    const entries = Array.from(this.entries.values())
+    return {
+      entries: entries.length,
+      paused: entries.filter((entry) => entry.paused).length,
+      failed: entries.filter((entry) => entry.lastStatus === 'failed').length,
+      events: this.events.length,
+      running: this.running,
+    }
+  }
+
+  /**
+   * Drop events older than the retention window
+   */
+  pruneEvents() {
+    const cutoff = Date.now() - config.watchlist.eventRetentionMs
+    const before = this.events.length
+    this.events = this.events.filter(
+      (event) => Date.parse(event.detectedAt) >= cutoff
+    )
+
+    if (this.events.length < before) {
+      logger.info(`🗑️ Pruned ${before - this.events.length} old trigger events`)
+    }
+  }
+
+  loadFromDisk() {
+    const stored = this.store.load()
+    if (!stored) return
+
+    // Watchlists need a signed-in owner - entries of the old shared
+    // 'anonymous' owner can't be reached or charged to anyone
+    const entries = (stored.entries || []).filter(
+      (entry) => entry.ownerId !== LEGACY_ANONYMOUS_OWNER
+    )
+    const dropped = (stored.entries || []).length - entries.length
+    if (dropped > 0) {
+      logger.warn(
+        `Dropped ${dropped} watched accounts of the shared anonymous owner`
+      )
+    }
+
+    for (const entry of entries) {
+      this.entries.set(entry.id, entry)
+    }
+    this.events = (stored.events || []).filter(
+      (event) => event.ownerId !== LEGACY_ANONYMOUS_OWNER
+    )
+
+    logger.info(
+      `📂 Loaded ${this.entries.size} watched accounts and ${this.events.length} trigger events from disk`
+    )
+  }
+
+  persist() {
+    return this.store.save({
+      entries: Array.from(this.entries.values()),
+      events: this.events,
+    })
+  }
+}
+
+module.exports = new WatchlistService()
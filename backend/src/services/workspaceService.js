@@ -0,0 +1,625 @@
+/**
+ * Workspace Service for LinkedIntel Backend
+ * Team workspaces: members with roles, invites, shared account notes and
+ * "analyzed by teammate" activity
+ *
+ * - Roles: owner (everything, incl. roles and deleting the workspace), admin
+ *   (invites, members, settings), member (analyses and notes)
+ * - Invites are single-use tokens shown once; only their SHA-256 hash is stored
+ * - Notes are 'workspace' (every member sees them) or 'private' (the author only)
+ * - Accounts are keyed by entity identity (cacheService.companyIdentityKey /
+ *   personIdentityKey), so notes follow a company across name variants
+ * - The workspace a request acts in is kept in an AsyncLocalStorage context
+ *   (set by middleware/auth.js); cacheService scopes cache keys by it
+ */
+
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+const config = require('../config')
+const { Logger } = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+const logger = new Logger('WorkspaceService')
+
+const WORKSPACE_ROLES = ['member', 'admin', 'owner']
+const CACHE_SCOPES = ['workspace', 'global']
+const NOTE_VISIBILITIES = ['workspace', 'private']
+
+const INVITE_PREFIX = 'wsi_'
+const DISPLAY_PREFIX_LENGTH = 12
+
+// Analyses remembered per account (latest per member)
+const MAX_ACTIVITY_PER_ACCOUNT = 20
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function workspaceError(message, statusCode) {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+function roleRank(role) {
+  return WORKSPACE_ROLES.indexOf(role)
+}
+
+/**
+ * Display name of a user (Supabase users carry metadata; API key users an id)
+ */
+function displayName(user) {
+  return user.user_metadata?.full_name || user.email || user.id
+}
+
+class WorkspaceService {
+  constructor() {
+    this.store = new JsonFileStore(config.workspaces.storePath, {
+      label: 'workspaces',
+      mode: 0o600,
+    })
+    this.workspaces = new Map() // workspaceId -> record
+    this.notes = new Map() // noteId -> note
+    this.activity = new Map() // `${workspaceId}|${entityKey}` -> [{ userId, name, analyzedAt }]
+    this.context = new AsyncLocalStorage()
+
+    this.loadFromDisk()
+  }
+
+  /**
+   * Run fn with a workspace as the request's workspace
+   * @param {Object|null} workspace - { id, cacheScope }
+   */
+  runInWorkspace(workspace, fn) {
+    return this.context.run(workspace || null, fn)
+  }
+
+  /**
+   * Workspace the current request acts in, if any
+   * @returns {Object|null} { id, cacheScope }
+   */
+  currentWorkspace() {
+    return this.context.getStore() || null
+  }
+
+  /**
+   * Context of a workspace for work that runs after its request (batch jobs,
+   * scheduled watchlist checks) - pass it to runInWorkspace()
+   * @returns {Object|null} { id, name, cacheScope }, or null if it was deleted
+   */
+  contextFor(workspaceId) {
+    const record = this.workspaces.get(workspaceId)
+    if (!record) return null
+
+    return { id: record.id, name: record.name, cacheScope: record.cacheScope }
+  }
+
+  /**
+   * Workspace whose private cache the current request uses (null = global cache)
+   */
+  currentCacheScope() {
+    const workspace = this.currentWorkspace()
+    return workspace?.cacheScope === 'workspace' ? workspace.id : null
+  }
+
+  /**
+   * Create a workspace; its creator is the owner
+   * @param {Object} user - req.user
+   * @param {Object} options - { name, cacheScope? }
+   * @throws {Error} With statusCode 400 on invalid options
+   */
+  create(
+    user,
+    { name, cacheScope = config.workspaces.defaultCacheScope } = {}
+  ) {
+    this.validateSettings({ name, cacheScope })
+
+    const now = new Date().toISOString()
+    const record = {
+      id: `ws_${crypto.randomUUID()}`,
+      name: name.trim(),
+      cacheScope,
+      createdBy: user.id,
+      createdAt: now,
+      updatedAt: now,
+      members: [
+        {
+          userId: user.id,
+          name: displayName(user),
+          role: 'owner',
+          joinedAt: now,
+        },
+      ],
+      invites: [],
+    }
+
+    this.workspaces.set(record.id, record)
+    this.persist()
+    logger.info(`👥 Created workspace ${record.id} (${record.name})`)
+
+    return this.toPublic(record, user.id)
+  }
+
+  validateSettings({ name, cacheScope }) {
+    if (
+      name !== undefined &&
+      (typeof name !== 'string' || !name.trim() || name.length > 100)
+    ) {
+      throw workspaceError('name is required (max 100 characters)', 400)
+    }
+    if (cacheScope !== undefined && !CACHE_SCOPES.includes(cacheScope)) {
+      throw workspaceError(
+        `cacheScope must be one of: ${CACHE_SCOPES.join(', ')}`,
+        400
+      )
+    }
+  }
+
+  /**
+   * Workspaces a user belongs to, with their role
+   */
+  listForUser(userId) {
+    return Array.from(this.workspaces.values())
+      .filter((record) => this.findMember(record, userId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((record) => this.toPublic(record, userId))
+  }
+
+  /**
+   * A user's membership of a workspace
+   * @returns {Object|null} { workspace: { id, name, cacheScope }, role }
+   */
+  membership(workspaceId, userId) {
+    const record = this.workspaces.get(workspaceId)
+    const member = record && this.findMember(record, userId)
+    if (!member) return null
+
+    return { workspace: this.contextFor(workspaceId), role: member.role }
+  }
+
+  findMember(record, userId) {
+    return record.members.find((member) => member.userId === userId) || null
+  }
+
+  /**
+   * Workspace record, if the user has at least the given role in it
+   * @throws {Error} 404 if missing or not a member (existence isn't revealed), 403 if the role is too low
+   */
+  requireRole(workspaceId, userId, minRole = 'member') {
+    const record = this.workspaces.get(workspaceId)
+    const member = record && this.findMember(record, userId)
+    if (!member) {
+      throw workspaceError('Workspace not found', 404)
+    }
+    if (roleRank(member.role) < roleRank(minRole)) {
+      throw workspaceError(`This needs the ${minRole} role`, 403)
+    }
+    return record
+  }
+
+  /**
+   * Workspace details (members, and invites for admins)
+   */
+  get(workspaceId, userId) {
+    return this.toPublic(this.requireRole(workspaceId, userId), userId)
+  }
+
+  /**
+   * Rename or change the cache scope (admin)
+   */
+  update(workspaceId, userId, { name, cacheScope } = {}) {
+    const record = this.requireRole(workspaceId, userId, 'admin')
+    this.validateSettings({ name, cacheScope })
+
+    if (name !== undefined) record.name = name.trim()
+    if (cacheScope !== undefined && cacheScope !== record.cacheScope) {
+      record.cacheScope = cacheScope
+      logger.info(`👥 Workspace ${record.id} cache scope → ${cacheScope}`)
+    }
+    record.updatedAt = new Date().toISOString()
+    this.persist()
+
+    return this.toPublic(record, userId)
+  }
+
+  /**
+   * Delete a workspace with its notes and activity (owner)
+   */
+  remove(workspaceId, userId) {
+    const record = this.requireRole(workspaceId, userId, 'owner')
+
+    this.workspaces.delete(record.id)
+    for (const [noteId, note] of this.notes.entries()) {
+      if (note.workspaceId === record.id) this.notes.delete(noteId)
+    }
+    for (const key of this.activity.keys()) {
+      if (key.startsWith(`${record.id}|`)) this.activity.delete(key)
+    }
+    this.persist()
+    logger.info(`🗑️ Deleted workspace ${record.id} (${record.name})`)
+
+    return { id: record.id, name: record.name }
+  }
+
+  /**
+   * Create an invite (admin)
+   * @param {Object} options - { role: member|admin }
+   * @returns {Object} { token, invite } - token is the secret, returned only here
+   */
+  createInvite(workspaceId, userId, { role = 'member' } = {}) {
+    const record = this.requireRole(workspaceId, userId, 'admin')
+    if (!['member', 'admin'].includes(role)) {
+      throw workspaceError('role must be one of: member, admin', 400)
+    }
+
+    const token = `${INVITE_PREFIX}${crypto
+      .randomBytes(24)
+      .toString('base64url')}`
+    const now = Date.now()
+    const invite = {
+      id: `inv_${crypto.randomUUID()}`,
+      prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+      hash: hashToken(token),
+      role,
+      createdBy: userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.workspaces.inviteTtlMs).toISOString(),
+      acceptedBy: null,
+      acceptedAt: null,
+      revokedAt: null,
+    }
+
+    record.invites.push(invite)
+    this.persist()
+    logger.info(
+      `✉️ Invite ${invite.prefix}… (${role}) for workspace ${record.id}`
+    )
+
+    return { token, invite: this.inviteToPublic(invite) }
+  }
+
+  /**
+   * Revoke an unused invite (admin)
+   * @returns {Object|null} The invite, or null if not found
+   */
+  revokeInvite(workspaceId, userId, inviteId) {
+    const record = this.requireRole(workspaceId, userId, 'admin')
+    const invite = record.invites.find((candidate) => candidate.id === inviteId)
+    if (!invite) return null
+
+    if (!invite.revokedAt && !invite.acceptedAt) {
+      invite.revokedAt = new Date().toISOString()
+      this.persist()
+    }
+    return this.inviteToPublic(invite)
+  }
+
+  /**
+   * Join a workspace with an invite token
+   * @throws {Error} 404 for an unknown, used, revoked or expired invite; 400 when the workspace is full
+   */
+  acceptInvite(token, user) {
+    const hash = hashToken(String(token || ''))
+    for (const record of this.workspaces.values()) {
+      const invite = record.invites.find((candidate) => candidate.hash === hash)
+      if (!invite) continue
+
+      if (this.findMember(record, user.id)) {
+        return this.toPublic(record, user.id)
+      }
+      if (
+        invite.acceptedAt ||
+        invite.revokedAt ||
+        Date.parse(invite.expiresAt) < Date.now()
+      ) {
+        break
+      }
+      if (record.members.length >= config.workspaces.maxMembers) {
+        throw workspaceError(
+          `Workspace is full (${config.workspaces.maxMembers} members)`,
+          400
+        )
+      }
+
+      const now = new Date().toISOString()
+      invite.acceptedBy = user.id
+      invite.acceptedAt = now
+      record.members.push({
+        userId: user.id,
+        name: displayName(user),
+        role: invite.role,
+        joinedAt: now,
+      })
+      this.persist()
+      logger.info(
+        `👥 ${user.id} joined workspace ${record.id} as ${invite.role}`
+      )
+
+      return this.toPublic(record, user.id)
+    }
+
+    throw workspaceError('Invite not found or no longer valid', 404)
+  }
+
+  /**
+   * Change a member's role (owner); a workspace always keeps an owner
+   */
+  setMemberRole(workspaceId, userId, memberId, role) {
+    const record = this.requireRole(workspaceId, userId, 'owner')
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw workspaceError(
+        `role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+        400
+      )
+    }
+
+    const member = this.findMember(record, memberId)
+    if (!member) {
+      throw workspaceError('Member not found', 404)
+    }
+    if (member.role === 'owner' && role !== 'owner') {
+      this.assertAnotherOwner(record, memberId)
+    }
+
+    member.role = role
+    record.updatedAt = new Date().toISOString()
+    this.persist()
+    return this.toPublic(record, userId)
+  }
+
+  /**
+   * Remove a member (admin), or leave (any member removing themselves)
+   * Admins can't remove owners; the last owner can't leave
+   */
+  removeMember(workspaceId, userId, memberId) {
+    const record = this.requireRole(
+      workspaceId,
+      userId,
+      memberId === userId ? 'member' : 'admin'
+    )
+
+    const member = this.findMember(record, memberId)
+    if (!member) {
+      throw workspaceError('Member not found', 404)
+    }
+    if (member.role === 'owner') {
+      if (
+        memberId !== userId &&
+        this.findMember(record, userId).role !== 'owner'
+      ) {
+        throw workspaceError('Only owners can remove an owner', 403)
+      }
+      this.assertAnotherOwner(record, memberId)
+    }
+
+    record.members = record.members.filter(
+      (candidate) => candidate.userId !== memberId
+    )
+    record.updatedAt = new Date().toISOString()
+    this.persist()
+    logger.info(`👥 ${memberId} left workspace ${record.id}`)
+
+    return { userId: memberId, workspaceId: record.id }
+  }
+
+  assertAnotherOwner(record, memberId) {
+    const owners = record.members.filter(
+      (member) => member.role === 'owner' && member.userId !== memberId
+    )
+    if (owners.length === 0) {
+      throw workspaceError(
+        'A workspace needs an owner - make someone else owner first',
+        400
+      )
+    }
+  }
+
+  /**
+   * Notes a member can see (workspace notes + their own private ones), newest first
+   * @param {Object} [filter] - { entityKey }
+   */
+  listNotes(workspaceId, userId, { entityKey } = {}) {
+    this.requireRole(workspaceId, userId)
+
+    return Array.from(this.notes.values())
+      .filter(
+        (note) =>
+          note.workspaceId === workspaceId &&
+          (!entityKey || note.entityKey === entityKey) &&
+          (note.visibility === 'workspace' || note.authorId === userId)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  }
+
+  /**
+   * Add a note to an account
+   * @param {Object} note - { entityType, entityKey, entityName, text, visibility? }
+   */
+  addNote(
+    workspaceId,
+    user,
+    { entityType, entityKey, entityName, text, visibility = 'workspace' } = {}
+  ) {
+    this.requireRole(workspaceId, user.id)
+    this.validateNote({ text, visibility })
+
+    const now = new Date().toISOString()
+    const note = {
+      id: `note_${crypto.randomUUID()}`,
+      workspaceId,
+      entityType,
+      entityKey,
+      entityName,
+      text: text.trim(),
+      visibility,
+      authorId: user.id,
+      authorName: displayName(user),
+      createdAt: now,
+      updatedAt: now,
+    }
+
+    this.notes.set(note.id, note)
+    this.persist()
+    return note
+  }
+
+  /**
+   * Edit a note (author only)
+   */
+  updateNote(workspaceId, userId, noteId, { text, visibility } = {}) {
+    this.requireRole(workspaceId, userId)
+    const note = this.findNote(workspaceId, userId, noteId)
+    if (note.authorId !== userId) {
+      throw workspaceError('Only the author can edit a note', 403)
+    }
+    this.validateNote({ text, visibility }, { partial: true })
+
+    if (text !== undefined) note.text = text.trim()
+    if (visibility !== undefined) note.visibility = visibility
+    note.updatedAt = new Date().toISOString()
+    this.persist()
+    return note
+  }
+
+  /**
+   * Delete a note (author, or an admin for workspace notes)
+   */
+  deleteNote(workspaceId, userId, noteId) {
+    const record = this.requireRole(workspaceId, userId)
+    const note = this.findNote(workspaceId, userId, noteId)
+    const isAdmin =
+      roleRank(this.findMember(record, userId).role) >= roleRank('admin')
+    if (note.authorId !== userId && !isAdmin) {
+      throw workspaceError('Only the author or an admin can delete a note', 403)
+    }
+
+    this.notes.delete(note.id)
+    this.persist()
+    return { id: note.id }
+  }
+
+  /**
+   * A note the user can see
+   * @throws {Error} 404 otherwise (private notes of others don't exist for them)
+   */
+  findNote(workspaceId, userId, noteId) {
+    const note = this.notes.get(noteId)
+    if (
+      !note ||
+      note.workspaceId !== workspaceId ||
+      (note.visibility === 'private' && note.authorId !== userId)
+    ) {
+      throw workspaceError('Note not found', 404)
+    }
+    return note
+  }
+
+  validateNote({ text, visibility }, { partial = false } = {}) {
+    if (
+      (!partial || text !== undefined) &&
+      (typeof text !== 'string' ||
+        !text.trim() ||
+        text.length > config.workspaces.maxNoteLength)
+    ) {
+      throw workspaceError(
+        `text is required (max ${config.workspaces.maxNoteLength} characters)`,
+        400
+      )
+    }
+    if (visibility !== undefined && !NOTE_VISIBILITIES.includes(visibility)) {
+      throw workspaceError(
+        `visibility must be one of: ${NOTE_VISIBILITIES.join(', ')}`,
+        400
+      )
+    }
+  }
+
+  /**
+   * Remember that a member analyzed an account (latest analysis per member)
+   * Never throws - activity is informational
+   */
+  recordAnalysis(workspaceId, entityKey, user) {
+    const record = this.workspaces.get(workspaceId)
+    if (!record || !entityKey || !this.findMember(record, user.id)) return
+
+    const key = `${workspaceId}|${entityKey}`
+    const entries = (this.activity.get(key) || []).filter(
+      (entry) => entry.userId !== user.id
+    )
+    entries.unshift({
+      userId: user.id,
+      name: displayName(user),
+      analyzedAt: new Date().toISOString(),
+    })
+    this.activity.set(key, entries.slice(0, MAX_ACTIVITY_PER_ACCOUNT))
+    this.persist()
+  }
+
+  /**
+   * Members who analyzed an account, most recent first
+   * @param {string} [excludeUserId] - Leave this member out (the caller)
+   */
+  getActivity(workspaceId, entityKey, excludeUserId = null) {
+    return (this.activity.get(`${workspaceId}|${entityKey}`) || []).filter(
+      (entry) => entry.userId !== excludeUserId
+    )
+  }
+
+  inviteToPublic(invite) {
+    const { hash, ...publicInvite } = invite
+    return publicInvite
+  }
+
+  /**
+   * Workspace as a member sees it - invites only for admins
+   */
+  toPublic(record, userId) {
+    const role = this.findMember(record, userId)?.role || null
+    const { invites, ...workspace } = record
+    return {
+      ...workspace,
+      role,
+      ...(roleRank(role) >= roleRank('admin') && {
+        invites: invites.map((invite) => this.inviteToPublic(invite)),
+      }),
+    }
+  }
+
+  getStats() {
+    return {
+      workspaces: this.workspaces.size,
+      notes: this.notes.size,
+    }
+  }
+
+  loadFromDisk() {
+    const stored = this.store.load()
+    if (!stored) return
+
+    for (const record of stored.workspaces || []) {
+      this.workspaces.set(record.id, record)
+    }
+    for (const note of stored.notes || []) {
+      this.notes.set(note.id, note)
+    }
+    for (const [key, entries] of Object.entries(stored.activity || {})) {
+      this.activity.set(key, entries)
+    }
+
+    logger.info(
+      `📂 Loaded ${this.workspaces.size} workspaces and ${this.notes.size} notes from disk`
+    )
+  }
+
+  persist() {
+    return this.store.save({
+      workspaces: Array.from(this.workspaces.values()),
+      notes: Array.from(this.notes.values()),
+      activity: Object.fromEntries(this.activity),
+    })
+  }
+}
+
+module.exports = new WorkspaceService()
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES
+module.exports.CACHE_SCOPES = CACHE_SCOPES
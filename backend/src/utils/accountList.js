@@ -0,0 +1,131 @@
+/**
+ * Account List - companies and people from an uploaded CSV
+ *
+ * The header row names the columns, using the batch field names (any case):
+ *   companyName, companyUrl, fullName, title, profileUrl
+ * A row with a fullName is a person (companyName is where they work), any
+ * other row with a companyName is a company:
+ *   companyName,companyUrl,fullName,title
+ *   Stripe,https://www.linkedin.com/company/stripe,,
+ *   Anthropic,,Dario Amodei,CEO
+ * Fields may be quoted ("Acme, Inc."), with "" for a quote inside one.
+ */
+
+const ACCOUNT_COLUMNS = [
+  'companyName',
+  'companyUrl',
+  'fullName',
+  'title',
+  'profileUrl',
+]
+
+function parseError(message) {
+  const error = new Error(message)
+  error.statusCode = 400
+  return error
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting, blank lines dropped)
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw parseError('CSV has an unterminated quoted field')
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter((fields) => fields.some((value) => value.trim()))
+}
+
+/**
+ * Parse an account CSV into a batch
+ * @param {string} text - CSV with a header row
+ * @returns {Object} { companies: [{ companyName, companyUrl }], people: [{ fullName, title, profileUrl, companyName }] }
+ * @throws {Error} With statusCode 400 when the header has no name column
+ */
+function parseAccountsCsv(text) {
+  const [header, ...rows] = parseCsvRows(String(text || ''))
+  if (!header) {
+    throw parseError('CSV is empty')
+  }
+
+  const columns = header.map((name) =>
+    ACCOUNT_COLUMNS.find(
+      (column) => column.toLowerCase() === name.trim().toLowerCase()
+    )
+  )
+  if (!columns.includes('companyName') && !columns.includes('fullName')) {
+    throw parseError(
+      `CSV header needs a companyName or fullName column (columns: ${ACCOUNT_COLUMNS.join(
+        ', '
+      )})`
+    )
+  }
+
+  const companies = []
+  const people = []
+
+  for (const fields of rows) {
+    const record = {}
+    columns.forEach((column, index) => {
+      const value = (fields[index] || '').trim()
+      if (column && value) record[column] = value
+    })
+
+    if (record.fullName) {
+      people.push({
+        fullName: record.fullName,
+        title: record.title,
+        profileUrl: record.profileUrl,
+        companyName: record.companyName,
+      })
+    } else if (record.companyName) {
+      companies.push({
+        companyName: record.companyName,
+        companyUrl: record.companyUrl,
+      })
+    }
+  }
+
+  return { companies, people }
+}
+
+module.exports = {
+  ACCOUNT_COLUMNS,
+  parseAccountsCsv,
+}
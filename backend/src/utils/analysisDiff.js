@@ -0,0 +1,195 @@
+/**
+ * Analysis Diff - field-level diff between two snapshots of a company/person analysis
+ *
+ * Objects are compared key by key. Arrays of objects (techStack, priorityContacts,
+ * recentNews, ...) are matched by an identity field rather than by position, so a
+ * new tool or a departed executive shows up as one added/removed item instead of
+ * every later index "changing".
+ *
+ * Each change: { section, path, type: 'added'|'removed'|'changed', from, to, label }
+ */
+
+// Fields that identify an array item, in priority order
+const IDENTITY_FIELDS = [
+  'tool',
+  'name',
+  'title',
+  'challenge',
+  'achievement',
+  'event',
+  'award',
+  'activity',
+  'technology',
+  'url',
+  'description',
+]
+
+// Bookkeeping that changes on every write (provenance follows the fields)
+const IGNORED_TOP_LEVEL_FIELDS = ['metadata', 'provenance']
+
+/**
+ * Identity used to match array items across snapshots
+ */
+function itemIdentity(item) {
+  if (item === null || typeof item !== 'object') {
+    return String(item)
+  }
+
+  const field = IDENTITY_FIELDS.find(
+    (candidate) => typeof item[candidate] === 'string' && item[candidate]
+  )
+  return field ? item[field] : JSON.stringify(item)
+}
+
+// Longest label before truncation
+const MAX_LABEL_LENGTH = 120
+
+/**
+ * Short human label for a value (used by the "What changed" UI)
+ */
+function describe(value) {
+  if (value === null || value === undefined) return null
+  if (Array.isArray(value)) return `${value.length} items`
+
+  const label = typeof value === 'object' ? itemIdentity(value) : String(value)
+  return label.length > MAX_LABEL_LENGTH
+    ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…`
+    : label
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function diffValues(before, after, path, section, changes) {
+  if (before === undefined && after === undefined) return
+
+  if (before === undefined || before === null) {
+    if (after !== null && after !== undefined) {
+      changes.push({
+        section,
+        path,
+        type: 'added',
+        to: after,
+        label: describe(after),
+      })
+    }
+    return
+  }
+
+  if (after === undefined || after === null) {
+    changes.push({
+      section,
+      path,
+      type: 'removed',
+      from: before,
+      label: describe(before),
+    })
+    return
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrays(before, after, path, section, changes)
+    return
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+    for (const key of keys) {
+      diffValues(before[key], after[key], `${path}.${key}`, section, changes)
+    }
+    return
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({
+      section,
+      path,
+      type: 'changed',
+      from: before,
+      to: after,
+      label: `${describe(before)} → ${describe(after)}`,
+    })
+  }
+}
+
+function diffArrays(before, after, path, section, changes) {
+  // Group by identity - duplicates are matched in order
+  const remaining = new Map()
+  for (const item of before) {
+    const id = itemIdentity(item)
+    if (!remaining.has(id)) remaining.set(id, [])
+    remaining.get(id).push(item)
+  }
+
+  for (const item of after) {
+    const id = itemIdentity(item)
+    const matches = remaining.get(id)
+
+    if (!matches || matches.length === 0) {
+      changes.push({
+        section,
+        path,
+        type: 'added',
+        to: item,
+        label: describe(item),
+      })
+      continue
+    }
+
+    const previous = matches.shift()
+    if (isPlainObject(previous) && isPlainObject(item)) {
+      diffValues(previous, item, `${path}[${id}]`, section, changes)
+    }
+  }
+
+  for (const items of remaining.values()) {
+    for (const item of items) {
+      changes.push({
+        section,
+        path,
+        type: 'removed',
+        from: item,
+        label: describe(item),
+      })
+    }
+  }
+}
+
+/**
+ * Diff two analysis payloads (same entity, same schema version)
+ *
+ * @param {Object} before - Older analysis
+ * @param {Object} after - Newer analysis
+ * @returns {Object} { summary: { added, removed, changed, sections }, changes }
+ */
+function diffAnalyses(before, after) {
+  const changes = []
+  const sections = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ])
+
+  for (const section of sections) {
+    if (IGNORED_TOP_LEVEL_FIELDS.includes(section)) continue
+    diffValues(before?.[section], after?.[section], section, section, changes)
+  }
+
+  const count = (type) =>
+    changes.filter((change) => change.type === type).length
+
+  return {
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      sections: [...new Set(changes.map((change) => change.section))],
+    },
+    changes,
+  }
+}
+
+module.exports = {
+  diffAnalyses,
+  itemIdentity,
+}
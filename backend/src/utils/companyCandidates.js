@@ -0,0 +1,216 @@
+/**
+ * Company Candidates - rank the companies a name could refer to
+ *
+ * The companyDomain micro-prompt lists candidates for a company name ("Mercury"
+ * can be the bank, the insurer or the systems company). They are scored against
+ * hints scraped from the LinkedIn company page:
+ *   linkedin  - candidate's LinkedIn slug matches the page's /company/<slug>
+ *   website   - candidate's domain matches the website on the page
+ *   industry  - industries share a word
+ *   location  - headquarters shares a word with the page location
+ *
+ * A LinkedIn or website match settles it (the page's website is added as a
+ * candidate if the model didn't list it). Otherwise the name is ambiguous when
+ * the top score is low or the runner-up is close behind, and the caller should
+ * let the user pick (needs_disambiguation) before running the analysis.
+ */
+
+const config = require('../config')
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/
+
+// Score floor for a candidate that matched the LinkedIn page or its website
+const CONFIRMED_SCORE = 0.95
+
+// Words too generic to count as an industry/location match
+const STOPWORDS = new Set(['and', 'of', 'the', 'services', 'inc', 'company'])
+
+/**
+ * Bare lowercase domain from a domain or URL ("https://www.Stripe.com/x" → "stripe.com")
+ * @returns {string|null} Domain, or null if it doesn't look like one
+ */
+function normalizeDomain(value) {
+  if (typeof value !== 'string') return null
+
+  const domain = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0]
+
+  return DOMAIN_PATTERN.test(domain) ? domain : null
+}
+
+/**
+ * Slug from a LinkedIn company URL ("https://www.linkedin.com/company/stripe/about" → "stripe")
+ * @returns {string|null}
+ */
+function linkedinCompanySlug(url) {
+  if (typeof url !== 'string') return null
+  const match = url.match(/linkedin\.com\/company\/([^/?#]+)/i)
+  return match ? decodeURIComponent(match[1]).toLowerCase() : null
+}
+
+/**
+ * Logo for a candidate, derived from its domain
+ */
+function logoUrl(domain) {
+  return `https://www.google.com/s2/favicons?domain=${encodeURIComponent(
+    domain
+  )}&sz=128`
+}
+
+function words(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+  )
+}
+
+function sharesWord(a, b) {
+  const bWords = words(b)
+  return [...words(a)].some((word) => bWords.has(word))
+}
+
+function clampConfidence(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value)
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0.5
+}
+
+/**
+ * Candidates from a companyDomain response. Accepts the v1 shape
+ * ({ domain }) as a single candidate. Invalid and duplicate domains are dropped.
+ */
+function normalizeCandidates(companyName, data) {
+  const raw = Array.isArray(data?.candidates)
+    ? data.candidates
+    : data?.domain
+    ? [{ domain: data.domain, confidence: 1 }]
+    : []
+
+  const seen = new Set()
+  const candidates = []
+
+  for (const candidate of raw) {
+    const domain = normalizeDomain(candidate?.domain)
+    if (!domain || seen.has(domain)) continue
+    seen.add(domain)
+
+    candidates.push({
+      name: candidate.name || companyName,
+      domain,
+      headquarters: candidate.headquarters || null,
+      employeeCount: candidate.employeeCount || null,
+      industry: candidate.industry || null,
+      linkedinUrl: candidate.linkedinUrl || null,
+      logoUrl: logoUrl(domain),
+      confidence: clampConfidence(candidate.confidence),
+    })
+  }
+
+  return candidates
+}
+
+/**
+ * Score one candidate against the page hints
+ * @returns {Object} { score, matchedHints }
+ */
+function scoreCandidate(candidate, hints) {
+  let score = candidate.confidence
+  const matchedHints = []
+
+  const slug = linkedinCompanySlug(candidate.linkedinUrl)
+  if (hints.linkedinSlug && slug) {
+    if (slug === hints.linkedinSlug) {
+      matchedHints.push('linkedin')
+      score = Math.max(score, CONFIRMED_SCORE)
+    } else {
+      score *= 0.5 // A different LinkedIn page is a different company
+    }
+  }
+
+  if (hints.websiteDomain && candidate.domain === hints.websiteDomain) {
+    matchedHints.push('website')
+    score = Math.max(score, CONFIRMED_SCORE)
+  }
+
+  if (hints.industry && sharesWord(candidate.industry, hints.industry)) {
+    matchedHints.push('industry')
+    score += 0.1
+  }
+
+  if (hints.location && sharesWord(candidate.headquarters, hints.location)) {
+    matchedHints.push('location')
+    score += 0.05
+  }
+
+  return {
+    score: Math.round(Math.min(1, score) * 100) / 100,
+    matchedHints,
+  }
+}
+
+/**
+ * Rank companyDomain candidates and decide whether the user has to pick one
+ * @param {string} companyName - Company name as entered
+ * @param {Object} data - companyDomain response ({ candidates } or v1 { domain })
+ * @param {Object} hints - { companyUrl, website, industry, location } from the LinkedIn page
+ * @returns {Object} { candidates (best first), confidence, ambiguous }
+ */
+function rankCompanyCandidates(companyName, data, hints = {}) {
+  const { minConfidence, minMargin, maxCandidates } = config.disambiguation
+  const pageHints = {
+    linkedinSlug: linkedinCompanySlug(hints.companyUrl),
+    websiteDomain: normalizeDomain(hints.website),
+    industry: hints.industry || null,
+    location: hints.location || null,
+  }
+
+  const listed = normalizeCandidates(companyName, data)
+
+  // The website on the LinkedIn page is authoritative even if the model missed it
+  if (
+    pageHints.websiteDomain &&
+    !listed.some((candidate) => candidate.domain === pageHints.websiteDomain)
+  ) {
+    listed.push(
+      ...normalizeCandidates(companyName, {
+        candidates: [
+          { domain: pageHints.websiteDomain, industry: hints.industry },
+        ],
+      })
+    )
+  }
+
+  const candidates = listed
+    .map((candidate) => ({
+      ...candidate,
+      ...scoreCandidate(candidate, pageHints),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxCandidates)
+
+  const [top, runnerUp] = candidates
+  const confirmed =
+    !!top &&
+    (top.matchedHints.includes('linkedin') ||
+      top.matchedHints.includes('website'))
+
+  return {
+    candidates,
+    confidence: top ? top.score : 0,
+    ambiguous:
+      !confirmed &&
+      !!runnerUp &&
+      (top.score < minConfidence || top.score - runnerUp.score < minMargin),
+  }
+}
+
+module.exports = {
+  normalizeDomain,
+  linkedinCompanySlug,
+  rankCompanyCandidates,
+}
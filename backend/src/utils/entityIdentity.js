@@ -0,0 +1,115 @@
+/**
+ * Entity Identity - LinkedIn slugs and alias forms for companies and people
+ *
+ * The LinkedIn slug is the canonical identity (company:li:<slug> /
+ * person:li:<slug>). Names and domains are aliases pointing at it, normalized
+ * so the common spellings collapse:
+ *   "Acme Inc", "ACME", "Acme, Inc."  → name:acme
+ *   "acme.com", "https://www.acme.com" → domain:acme.com
+ *   Jane Doe at "Acme Inc"             → name:jane-doe|<Acme's identity>
+ */
+
+const { normalizeDomain, linkedinCompanySlug } = require('./companyCandidates')
+
+// Legal-form suffixes dropped from company name aliases
+const LEGAL_SUFFIXES = new Set([
+  'inc',
+  'incorporated',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'llc',
+  'llp',
+  'ltd',
+  'limited',
+  'plc',
+  'gmbh',
+  'ag',
+  'sa',
+  'sas',
+  'bv',
+  'nv',
+  'pty',
+  'pvt',
+])
+
+/**
+ * Slug from a LinkedIn profile URL ("https://www.linkedin.com/in/jane-doe/" → "jane-doe")
+ * @returns {string|null}
+ */
+function linkedinProfileSlug(url) {
+  if (typeof url !== 'string') return null
+  const match = url.match(/linkedin\.com\/in\/([^/?#]+)/i)
+  return match ? decodeURIComponent(match[1]).toLowerCase() : null
+}
+
+/**
+ * Company name without punctuation, casing or a trailing legal form
+ * ("Acme, Inc." → "acme")
+ */
+function normalizeCompanyAlias(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop()
+  }
+
+  return words.join('-')
+}
+
+function domainAlias(domain) {
+  const normalized = normalizeDomain(domain)
+  return normalized ? `domain:${normalized}` : null
+}
+
+/**
+ * Alias a company name is looked up by - a domain if the "name" is one
+ * ("acme.com"), otherwise its normalized name
+ * @returns {string|null}
+ */
+function companyNameAlias(name) {
+  const trimmed = String(name || '').trim()
+  if (!/\s/.test(trimmed) && trimmed.includes('.')) {
+    const alias = domainAlias(trimmed)
+    if (alias) return alias
+  }
+
+  const normalized = normalizeCompanyAlias(trimmed)
+  return normalized ? `name:${normalized}` : null
+}
+
+/**
+ * Aliases a cached company analysis is registered under
+ * @param {string} companyName - Name it was analyzed as
+ * @param {string} [domain] - Resolved website domain
+ * @returns {Array<string>}
+ */
+function companyAliases(companyName, domain) {
+  return [
+    ...new Set([companyNameAlias(companyName), domainAlias(domain)]),
+  ].filter(Boolean)
+}
+
+/**
+ * Alias for a person at a company
+ * @param {string} normalizedName - Normalized person name
+ * @param {string} companyRef - Company identity key or alias ('' if unknown)
+ */
+function personAlias(normalizedName, companyRef = '') {
+  return normalizedName ? `name:${normalizedName}|${companyRef}` : null
+}
+
+module.exports = {
+  linkedinCompanySlug,
+  linkedinProfileSlug,
+  normalizeCompanyAlias,
+  domainAlias,
+  companyNameAlias,
+  companyAliases,
+  personAlias,
+}
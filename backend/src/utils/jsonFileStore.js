@@ -0,0 +1,141 @@
+/**
+ * JSON File Store - the local file a service keeps its state in
+ *
+ * - JSON snapshots ({ version, savedAt, ...data }) or JSONL logs (one record
+ *   per line, appended)
+ * - Snapshots and rewrites go to a temp file that is renamed into place, so a
+ *   crash never leaves a half-written file
+ * - Writes are chained so they never interleave
+ * - Write failures are logged, not thrown - the service's in-memory state stays
+ *   the source of truth until the next write
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { Logger } = require('./logger')
+
+const logger = new Logger('JsonFileStore')
+
+class JsonFileStore {
+  /**
+   * @param {string} filePath - File to read and write
+   * @param {Object} options - { label: what the file holds (for logs), mode?: file mode }
+   */
+  constructor(filePath, { label, mode } = {}) {
+    this.filePath = filePath
+    this.label = label || path.basename(filePath)
+    this.mode = mode
+    this.writeChain = Promise.resolve()
+  }
+
+  /**
+   * Read the snapshot
+   * @returns {Object|null} Stored data, or null if there is none (or it can't be read)
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return null
+      }
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    } catch (error) {
+      logger.warn(
+        `Failed to load ${this.label} from ${this.filePath}:`,
+        error.message
+      )
+      return null
+    }
+  }
+
+  /**
+   * Read a JSONL log
+   * A partial last line (a crash mid-append) is skipped
+   * @returns {Array} Records, oldest first
+   */
+  loadLines() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return []
+      }
+
+      const records = []
+      for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue
+        try {
+          records.push(JSON.parse(line))
+        } catch (error) {
+          // Partial line - skip it
+        }
+      }
+      return records
+    } catch (error) {
+      logger.warn(
+        `Failed to load ${this.label} from ${this.filePath}:`,
+        error.message
+      )
+      return []
+    }
+  }
+
+  /**
+   * Replace the snapshot
+   * @param {Object} data - Fields to store beside version and savedAt
+   * @returns {Promise} Settles once written
+   */
+  save(data) {
+    const contents = JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      ...data,
+    })
+    return this.enqueue('persist', () => this.replaceFile(contents))
+  }
+
+  /**
+   * Rewrite a JSONL log with these records (compaction)
+   */
+  saveLines(records) {
+    const contents = records
+      .map((record) => `${JSON.stringify(record)}\n`)
+      .join('')
+    return this.enqueue('compact', () => this.replaceFile(contents))
+  }
+
+  /**
+   * Append one record to a JSONL log
+   */
+  append(record) {
+    const line = `${JSON.stringify(record)}\n`
+    return this.enqueue('append to', async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+      await fs.promises.appendFile(this.filePath, line, this.writeOptions())
+    })
+  }
+
+  /**
+   * Wait for queued writes
+   */
+  flush() {
+    return this.writeChain
+  }
+
+  async replaceFile(contents) {
+    const tmpPath = `${this.filePath}.tmp`
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+    await fs.promises.writeFile(tmpPath, contents, this.writeOptions())
+    await fs.promises.rename(tmpPath, this.filePath)
+  }
+
+  writeOptions() {
+    return this.mode ? { encoding: 'utf8', mode: this.mode } : 'utf8'
+  }
+
+  enqueue(action, write) {
+    this.writeChain = this.writeChain.then(write).catch((error) => {
+      logger.warn(`Failed to ${action} ${this.label}:`, error.message)
+    })
+    return this.writeChain
+  }
+}
+
+module.exports = { JsonFileStore }
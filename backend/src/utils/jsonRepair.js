@@ -0,0 +1,221 @@
+/**
+ * JSON Repair - recover JSON from LLM responses with common defects
+ *
+ * The first two stages always run; the rest run in order, each only while the
+ * text still doesn't parse:
+ *   code_fence        - ```json ... ``` wrappers
+ *   surrounding_prose - explanations before/after the JSON value
+ *   single_quotes     - 'single-quoted' keys and strings
+ *   invalid_escapes   - \' and over-escaped string delimiters (\"value\")
+ *   trailing_commas   - , before } or ]
+ *   truncated         - output cut off at maxTokens: the unfinished string and
+ *                       brackets are closed (dropping a partial last item that
+ *                       still doesn't parse)
+ *
+ * repairJson() reports which stages changed the text, so callers can track
+ * how often each defect happens per prompt.
+ */
+
+const MAX_TRUNCATION_CUTS = 50
+
+/**
+ * Walk a JSON-ish string, calling visit(char, index, state) for each character
+ * before it is applied to state: { inString, stack } (open '{' / '[' outside strings)
+ */
+function scan(text, visit) {
+  const state = { inString: false, stack: [] }
+  let escapeNext = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    visit(char, i, state)
+
+    if (escapeNext) {
+      escapeNext = false
+    } else if (state.inString) {
+      if (char === '\\') escapeNext = true
+      else if (char === '"') state.inString = false
+    } else if (char === '"') {
+      state.inString = true
+    } else if (char === '{' || char === '[') {
+      state.stack.push(char)
+    } else if (char === '}' || char === ']') {
+      state.stack.pop()
+    }
+  }
+
+  return state
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) }
+  } catch (error) {
+    return { ok: false, error }
+  }
+}
+
+function stripCodeFence(text) {
+  const fence = text.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/)
+  return fence ? fence[1].trim() : text
+}
+
+/**
+ * The first JSON object/array in the text, up to its matching close (or the
+ * end of the text if it never closes)
+ */
+function extractJsonValue(text) {
+  const start = text.search(/[{[]/)
+  if (start === -1) return null
+
+  let end = text.length
+  let done = false
+  scan(text.substring(start), (char, index, state) => {
+    if (done || state.inString) return
+    if ((char === '}' || char === ']') && state.stack.length === 1) {
+      end = start + index + 1
+      done = true
+    }
+  })
+
+  return text.substring(start, end)
+}
+
+function fixEscapes(text) {
+  return text
+    .replace(/\\'/g, "'")
+    .replace(/(":\s*)\\"/g, '$1"') // "key": \"value\"
+    .replace(/\\"(\s*[,}\]])/g, '"$1') // value\",
+}
+
+/**
+ * Turn 'single-quoted' keys and strings into JSON strings (double-quoted
+ * strings are left alone)
+ */
+function fixSingleQuotes(text) {
+  let output = ''
+  let quote = null
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quote === '"') {
+      output += char
+      if (char === '\\') output += text[++i] ?? ''
+      else if (char === '"') quote = null
+    } else if (quote === "'") {
+      if (char === '\\') {
+        const next = text[++i] ?? ''
+        output += next === "'" ? "'" : `\\${next}`
+      } else if (char === "'") {
+        output += '"'
+        quote = null
+      } else {
+        output += char === '"' ? '\\"' : char
+      }
+    } else {
+      if (char === '"' || char === "'") quote = char
+      output += char === "'" ? '"' : char
+    }
+  }
+
+  return output
+}
+
+function removeTrailingCommas(text) {
+  let output = ''
+  scan(text, (char, index, state) => {
+    if (!state.inString && char === ',') {
+      let next = index + 1
+      while (/\s/.test(text[next] || '')) next++
+      if (text[next] === '}' || text[next] === ']') return
+    }
+    output += char
+  })
+  return output
+}
+
+/**
+ * Close a value that was cut off mid-stream. Tries closing everything that is
+ * open; if that doesn't parse, drops back to the previous comma (losing the
+ * partial last item) and tries again.
+ */
+function closeTruncated(text) {
+  const end = scan(text, () => {})
+  if (!end.inString && end.stack.length === 0) return null // Not truncated
+
+  let candidate = text.trimEnd()
+
+  for (let cut = 0; cut < MAX_TRUNCATION_CUTS && candidate; cut++) {
+    let lastComma = -1
+    const state = scan(candidate, (char, index, scanState) => {
+      if (!scanState.inString && char === ',') lastComma = index
+    })
+
+    const closers = state.stack
+      .slice()
+      .reverse()
+      .map((open) => (open === '{' ? '}' : ']'))
+      .join('')
+    const body = state.inString ? `${candidate.replace(/\\$/, '')}"` : candidate
+    const closed = removeTrailingCommas(`${body}${closers}`)
+    const parsed = tryParse(closed)
+    if (parsed.ok) return closed
+
+    if (lastComma === -1) return null
+    candidate = candidate.substring(0, lastComma)
+  }
+
+  return null
+}
+
+const STAGES = [
+  ['single_quotes', fixSingleQuotes],
+  ['invalid_escapes', fixEscapes],
+  ['trailing_commas', removeTrailingCommas],
+  ['truncated', closeTruncated],
+]
+
+/**
+ * Parse JSON out of an LLM response, repairing common defects
+ * @param {string} content - Raw response content
+ * @returns {Object} { success, data, repairs: [stage], error }
+ */
+function repairJson(content) {
+  const repairs = []
+  const trimmed = String(content || '').trim()
+
+  let text = stripCodeFence(trimmed)
+  if (text !== trimmed) repairs.push('code_fence')
+
+  const extracted = extractJsonValue(text)
+  if (extracted === null) {
+    return {
+      success: false,
+      repairs,
+      error: 'No JSON structure found in content (no { or [ found)',
+    }
+  }
+  if (extracted !== text) repairs.push('surrounding_prose')
+  text = extracted
+
+  let parsed = tryParse(text)
+  const firstError = parsed.error
+
+  for (const [stage, repair] of STAGES) {
+    if (parsed.ok) break
+
+    const repaired = repair(text)
+    if (repaired === null || repaired === text) continue
+
+    text = repaired
+    repairs.push(stage)
+    parsed = tryParse(text)
+  }
+
+  return parsed.ok
+    ? { success: true, data: parsed.value, repairs }
+    : { success: false, repairs, error: firstError.message }
+}
+
+module.exports = { repairJson }
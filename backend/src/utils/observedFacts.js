@@ -0,0 +1,167 @@
+/**
+ * Observed Facts - what the extension scraped from the LinkedIn profile
+ *
+ * The person analysis request can carry the facts visible on the page
+ * (observedFacts: headline, currentCompany, location, industry, companySize,
+ * recentPosts). The micro-prompts get them as ground truth, and backend claims
+ * that contradict them are flagged in the result (factConflicts):
+ *   title       - personBasicInfo title shares no word with the headline
+ *   company     - personBasicInfo company is not the current company
+ *   companySize - an employee count in realityCheck is far outside the page's range
+ *
+ * Location, industry and posts have no backend claim to check; they only ground
+ * the prompts.
+ */
+
+const { normalizeCompanyAlias } = require('./entityIdentity')
+
+const OBSERVED_FACT_FIELDS = [
+  'headline',
+  'currentCompany',
+  'location',
+  'industry',
+  'companySize',
+]
+
+// A claimed employee count this many times outside the page's range conflicts
+const COMPANY_SIZE_TOLERANCE = 2
+
+// Words that don't make two titles the same
+const TITLE_STOPWORDS = new Set(['and', 'the', 'for', 'of', 'at', 'in', '&'])
+
+function titleWords(text) {
+  return String(text || '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(
+      (word) => word.length > 1 && !TITLE_STOPWORDS.has(word.toLowerCase())
+    )
+}
+
+/**
+ * Whether a title matches a headline - a shared word, or an acronym of the
+ * other's words ("CTO" / "Chief Technology Officer")
+ */
+function titleMatches(title, headline) {
+  const a = titleWords(title)
+  const b = titleWords(headline)
+  const bLower = new Set(b.map((word) => word.toLowerCase()))
+  if (a.some((word) => bLower.has(word.toLowerCase()))) return true
+
+  const initials = (words) =>
+    words.map((word) => word[0].toLowerCase()).join('')
+  const isAcronymOf = (acronymWords, words) =>
+    acronymWords.some(
+      (word) =>
+        word.length > 1 &&
+        word === word.toUpperCase() &&
+        initials(words).includes(word.toLowerCase())
+    )
+
+  return isAcronymOf(a, b) || isAcronymOf(b, a)
+}
+
+/**
+ * Whether two company names refer to the same company - equal once normalized,
+ * or one is the other plus extra words ("Acme" / "Acme Health")
+ */
+function companyMatches(a, b) {
+  const aWords = normalizeCompanyAlias(a).split('-').filter(Boolean)
+  const bWords = normalizeCompanyAlias(b).split('-').filter(Boolean)
+  if (aWords.length === 0 || bWords.length === 0) return true
+
+  const [shorter, longer] =
+    aWords.length <= bWords.length ? [aWords, bWords] : [bWords, aWords]
+  return shorter.every((word, i) => longer[i] === word)
+}
+
+/**
+ * Employee range from a LinkedIn size label ("1,001-5,000 employees", "10,001+")
+ * @returns {Object|null} { min, max } (max is Infinity for "+")
+ */
+function parseEmployeeRange(label) {
+  const text = String(label || '').replace(/,/g, '')
+  const range = text.match(/(\d+)\s*[-–]\s*(\d+)/)
+  if (range) return { min: Number(range[1]), max: Number(range[2]) }
+
+  const plus = text.match(/(\d+)\s*\+/)
+  if (plus) return { min: Number(plus[1]), max: Infinity }
+
+  return null
+}
+
+/**
+ * Employee counts stated in a text ("Company has 170 employees")
+ */
+function employeeCountsIn(text) {
+  const counts = []
+  const pattern = /(\d[\d,]*)\s*(?:\+\s*)?(?:full-time\s+)?employees/gi
+  let match
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    counts.push(Number(match[1].replace(/,/g, '')))
+  }
+  return counts
+}
+
+/**
+ * Backend claims that contradict the observed facts
+ * @param {Object} claims - { title, company } from personBasicInfo, realityCheck items
+ * @param {Object} observedFacts - Validated observed facts
+ * @returns {Array<Object>} { field, observed, claimed, source }
+ */
+function findFactConflicts(claims, observedFacts = {}) {
+  const conflicts = []
+  const { headline, currentCompany, companySize } = observedFacts
+
+  if (headline && claims.title && !titleMatches(claims.title, headline)) {
+    conflicts.push({
+      field: 'title',
+      observed: headline,
+      claimed: claims.title,
+      source: 'personBasicInfo',
+    })
+  }
+
+  if (
+    currentCompany &&
+    claims.company &&
+    !companyMatches(claims.company, currentCompany)
+  ) {
+    conflicts.push({
+      field: 'company',
+      observed: currentCompany,
+      claimed: claims.company,
+      source: 'personBasicInfo',
+    })
+  }
+
+  const range = parseEmployeeRange(companySize)
+  if (range) {
+    for (const item of claims.realityCheck || []) {
+      const outside = employeeCountsIn(
+        `${item.observation} ${item.evidence}`
+      ).find(
+        (count) =>
+          count < range.min / COMPANY_SIZE_TOLERANCE ||
+          count > range.max * COMPANY_SIZE_TOLERANCE
+      )
+      if (outside !== undefined) {
+        conflicts.push({
+          field: 'companySize',
+          observed: companySize,
+          claimed: `${outside} employees`,
+          source: 'personRiskSignals',
+        })
+        break
+      }
+    }
+  }
+
+  return conflicts
+}
+
+module.exports = {
+  OBSERVED_FACT_FIELDS,
+  findFactConflicts,
+  titleMatches,
+  parseEmployeeRange,
+}
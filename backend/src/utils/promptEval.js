@@ -0,0 +1,430 @@
+/**
+ * Prompt Eval - scoring for the offline micro-prompt evaluation harness
+ * (scripts/evalPrompts.js)
+ *
+ * Each micro-prompt output is scored on:
+ *   schema     - the document fields it feeds pass analysisSchemas.js
+ *   coverage   - share of top-level fields that came back non-empty
+ *   citations  - source URLs in the output (or search results from the provider)
+ *   dates      - date fields follow SHARED_INSTRUCTIONS.dateFormat (YYYY-MM-DD)
+ *   drift      - agreement with the golden fixture's expected values
+ * and an overall score, the mean of the metrics that apply.
+ */
+
+const { emptyFieldRate } = require('../services/promptExperimentService')
+
+const DATE_FIELD_PATTERN = /date|timestamp/i
+const URL_FIELD_PATTERN = /url|source|link/i
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const NUMBER_TOLERANCE = 0.1 // Numbers within 10% of the expected value match
+const MAX_EXAMPLES = 5 // Violations/mismatches/issues kept per result
+
+// Placeholders the prompts allow for unknown values (not counted as dates)
+const PLACEHOLDERS = new Set([
+  '',
+  'n/a',
+  'not disclosed',
+  'not available',
+  'unknown',
+])
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits))
+
+const mean = (values) => {
+  const present = values.filter((value) => typeof value === 'number')
+  return present.length
+    ? round(present.reduce((sum, value) => sum + value, 0) / present.length)
+    : null
+}
+
+/**
+ * Every primitive value in a JSON tree with its dot path, e.g. ['news.0.date', '2025-10-01']
+ */
+function leaves(value, path = '') {
+  if (value === null || typeof value !== 'object') {
+    return [[path, value]]
+  }
+
+  return Object.entries(value).flatMap(([key, child]) =>
+    leaves(child, path ? `${path}.${key}` : key)
+  )
+}
+
+function lastSegment(path) {
+  return (
+    path
+      .split('.')
+      .filter((segment) => !/^\d+$/.test(segment))
+      .pop() || ''
+  )
+}
+
+/**
+ * Value at a dot path (numeric segments index arrays)
+ */
+function getPath(data, path) {
+  return path
+    .split('.')
+    .reduce(
+      (value, segment) =>
+        value === null || value === undefined ? undefined : value[segment],
+      data
+    )
+}
+
+function scoreCoverage(data) {
+  return round(1 - emptyFieldRate(data))
+}
+
+/**
+ * Source URLs in the output plus search results returned by the provider
+ * @returns {Object} { urls, searchResults, present }
+ */
+function scoreCitations(data, searchResults = []) {
+  const urls = leaves(data).filter(
+    ([path, value]) =>
+      URL_FIELD_PATTERN.test(lastSegment(path)) &&
+      typeof value === 'string' &&
+      /^https?:\/\//i.test(value)
+  ).length
+
+  return {
+    urls,
+    searchResults: searchResults.length,
+    present: urls > 0 || searchResults.length > 0,
+  }
+}
+
+/**
+ * Date fields that aren't YYYY-MM-DD (nulls and "Not disclosed" are skipped)
+ * @returns {Object} { checked, compliant, rate, violations }
+ */
+function scoreDates(data) {
+  const dates = leaves(data).filter(
+    ([path, value]) =>
+      DATE_FIELD_PATTERN.test(lastSegment(path)) &&
+      typeof value === 'string' &&
+      !PLACEHOLDERS.has(value.trim().toLowerCase())
+  )
+  const violations = dates.filter(
+    ([, value]) => !ISO_DATE_PATTERN.test(value) || isNaN(Date.parse(value))
+  )
+
+  return {
+    checked: dates.length,
+    compliant: dates.length - violations.length,
+    rate: dates.length
+      ? round((dates.length - violations.length) / dates.length)
+      : null,
+    violations: violations
+      .slice(0, MAX_EXAMPLES)
+      .map(([path, value]) => ({ path, value })),
+  }
+}
+
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value
+}
+
+/**
+ * Whether an actual value agrees with an expected one
+ * - strings: case-insensitive; numbers: within NUMBER_TOLERANCE
+ * - arrays: every expected item appears in the actual array
+ * - null: the actual value is empty too
+ */
+function matches(expected, actual) {
+  if (expected === null) {
+    return actual === null || actual === undefined || actual === ''
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) return false
+    const actualItems = actual.map((item) =>
+      item !== null && typeof item === 'object'
+        ? JSON.stringify(item).toLowerCase()
+        : normalize(item)
+    )
+    return expected.every((item) =>
+      actualItems.some((actualItem) =>
+        typeof actualItem === 'string' && typeof item === 'string'
+          ? actualItem.includes(normalize(item))
+          : actualItem === item
+      )
+    )
+  }
+
+  if (typeof expected === 'number') {
+    const number = typeof actual === 'string' ? parseFloat(actual) : actual
+    if (typeof number !== 'number' || isNaN(number)) return false
+    return expected === 0
+      ? number === 0
+      : Math.abs(number - expected) / Math.abs(expected) <= NUMBER_TOLERANCE
+  }
+
+  return normalize(expected) === normalize(actual)
+}
+
+/**
+ * Agreement with a fixture's expected values for one prompt
+ * @param {Object} expected - dot path → expected value (see matches())
+ * @returns {Object|null} { checked, matched, score, mismatches } - null without expectations
+ */
+function scoreDrift(data, expected) {
+  const paths = Object.keys(expected || {})
+  if (paths.length === 0) return null
+
+  const mismatches = paths
+    .map((path) => ({
+      path,
+      expected: expected[path],
+      actual: getPath(data, path),
+    }))
+    .filter((check) => !matches(check.expected, check.actual))
+
+  return {
+    checked: paths.length,
+    matched: paths.length - mismatches.length,
+    score: round((paths.length - mismatches.length) / paths.length),
+    mismatches: mismatches.slice(0, MAX_EXAMPLES).map((mismatch) => ({
+      ...mismatch,
+      actual: mismatch.actual === undefined ? null : mismatch.actual,
+    })),
+  }
+}
+
+/**
+ * Validate document fields against the top-level fields of an analysis schema
+ * @param {Object} schema - CompanyAnalysisSchema | PersonAnalysisSchema
+ * @param {Object} fields - Document fields built from the prompt's output
+ * @returns {Object} { valid, issues }
+ */
+function validateFields(schema, fields) {
+  const issues = Object.entries(fields).flatMap(([field, value]) => {
+    const fieldSchema = schema.shape[field]
+    if (!fieldSchema) return []
+
+    const result = fieldSchema.safeParse(value)
+    return result.success
+      ? []
+      : result.error.issues.map(
+          (issue) => `${[field, ...issue.path].join('.')}: ${issue.message}`
+        )
+  })
+
+  return { valid: issues.length === 0, issues: issues.slice(0, MAX_EXAMPLES) }
+}
+
+/**
+ * Score one micro-prompt output
+ * @param {Object} output - { data, searchResults, schema } (schema from validateFields, or null)
+ * @param {Object} expected - Fixture expectations for this prompt
+ * @returns {Object} { coverage, citations, dates, drift, score }
+ */
+function scoreOutput({ data, searchResults, schema }, expected) {
+  const coverage = scoreCoverage(data)
+  const citations = scoreCitations(data, searchResults)
+  const dates = scoreDates(data)
+  const drift = scoreDrift(data, expected)
+
+  return {
+    coverage,
+    citations,
+    dates,
+    drift,
+    score: mean([
+      schema ? (schema.valid ? 1 : 0) : null,
+      coverage,
+      citations.present ? 1 : 0,
+      dates.rate,
+      drift?.score,
+    ]),
+  }
+}
+
+/**
+ * Per-prompt averages over every fixture
+ * @param {Array} results - Scored results ({ promptType, parsed, schema, ...scores })
+ * @returns {Array} [{ promptType, version, runs, parseRate, schemaPassRate, coverage, citationRate, dateCompliance, driftScore, score, avgLatencyMs, avgTokens }]
+ */
+function summarize(results) {
+  const groups = new Map()
+  for (const result of results) {
+    if (!groups.has(result.promptType)) groups.set(result.promptType, [])
+    groups.get(result.promptType).push(result)
+  }
+
+  return Array.from(groups.entries()).map(([promptType, runs]) => {
+    const parsed = runs.filter((run) => run.parsed)
+    const rate = (list, test) =>
+      list.length ? round(list.filter(test).length / list.length) : null
+    const validated = parsed.filter((run) => run.schema)
+
+    return {
+      promptType,
+      versions: [...new Set(runs.map((run) => run.version))],
+      runs: runs.length,
+      parseRate: rate(runs, (run) => run.parsed),
+      schemaPassRate: rate(validated, (run) => run.schema.valid),
+      coverage: mean(parsed.map((run) => run.coverage)),
+      citationRate: rate(parsed, (run) => run.citations.present),
+      dateCompliance: mean(parsed.map((run) => run.dates.rate)),
+      driftScore: mean(parsed.map((run) => run.drift?.score)),
+      score: mean(runs.map((run) => run.score)),
+      avgLatencyMs: Math.round(mean(runs.map((run) => run.latencyMs)) || 0),
+      avgTokens: Math.round(mean(runs.map((run) => run.tokens)) || 0),
+    }
+  })
+}
+
+/**
+ * Score change per prompt against an earlier report
+ * @returns {Object} promptType → { before, after, delta }
+ */
+function compareToBaseline(summary, baseline) {
+  const before = new Map(
+    (baseline?.summary || []).map((entry) => [entry.promptType, entry.score])
+  )
+
+  return Object.fromEntries(
+    summary
+      .filter((entry) => before.has(entry.promptType))
+      .map((entry) => {
+        const previous = before.get(entry.promptType)
+        return [
+          entry.promptType,
+          {
+            before: previous,
+            after: entry.score,
+            delta:
+              typeof previous === 'number' && typeof entry.score === 'number'
+                ? round(entry.score - previous)
+                : null,
+          },
+        ]
+      })
+  )
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function formatRate(value) {
+  return typeof value === 'number' ? `${Math.round(value * 100)}%` : '–'
+}
+
+function formatDelta(delta) {
+  if (typeof delta !== 'number') return ''
+  const className = delta > 0 ? 'up' : delta < 0 ? 'down' : ''
+  const sign = delta > 0 ? '+' : ''
+  return `<span class="${className}">${sign}${Math.round(delta * 100)}</span>`
+}
+
+/**
+ * Standalone HTML rendering of an eval report
+ */
+function renderHtmlReport(report) {
+  const summaryRows = report.summary
+    .map(
+      (entry) => `<tr>
+  <td>${escapeHtml(entry.promptType)}</td>
+  <td>${escapeHtml(entry.versions.join(', '))}</td>
+  <td>${entry.runs}</td>
+  <td>${formatRate(entry.parseRate)}</td>
+  <td>${formatRate(entry.schemaPassRate)}</td>
+  <td>${formatRate(entry.coverage)}</td>
+  <td>${formatRate(entry.citationRate)}</td>
+  <td>${formatRate(entry.dateCompliance)}</td>
+  <td>${formatRate(entry.driftScore)}</td>
+  <td><strong>${formatRate(entry.score)}</strong> ${formatDelta(
+        report.baseline?.deltas[entry.promptType]?.delta
+      )}</td>
+  <td>${entry.avgLatencyMs} ms</td>
+  <td>${entry.avgTokens}</td>
+</tr>`
+    )
+    .join('\n')
+
+  const resultRows = report.results
+    .map((result) => {
+      const notes = [
+        result.error,
+        ...(result.schema?.issues || []),
+        ...(result.dates?.violations || []).map(
+          (violation) => `date ${violation.path}: ${violation.value}`
+        ),
+        ...(result.drift?.mismatches || []).map(
+          (mismatch) =>
+            `drift ${mismatch.path}: expected ${JSON.stringify(
+              mismatch.expected
+            )}, got ${JSON.stringify(mismatch.actual)}`
+        ),
+      ].filter(Boolean)
+
+      return `<tr class="${result.parsed ? '' : 'failed'}">
+  <td>${escapeHtml(result.fixture)}</td>
+  <td>${escapeHtml(result.promptType)}</td>
+  <td>${escapeHtml(result.version)}</td>
+  <td>${formatRate(result.score)}</td>
+  <td>${notes.map(escapeHtml).join('<br>')}</td>
+</tr>`
+    })
+    .join('\n')
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Micro-prompt eval ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; margin: 24px; color: #1f2937; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 32px; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  tr.failed { background: #fef2f2; }
+  .up { color: #059669; }
+  .down { color: #dc2626; }
+  .meta { color: #6b7280; font-size: 13px; }
+</style>
+</head>
+<body>
+<h1>Micro-prompt eval</h1>
+<p class="meta">${escapeHtml(report.generatedAt)} · ${
+    report.fixtures.length
+  } fixtures · upstream mode ${escapeHtml(
+    report.upstreamMode
+  )} · overall score <strong>${formatRate(report.score)}</strong>${
+    report.baseline
+      ? ` (baseline ${formatRate(report.baseline.score)} from ${escapeHtml(
+          report.baseline.generatedAt
+        )})`
+      : ''
+  }</p>
+<h2>By prompt</h2>
+<table>
+<tr><th>Prompt</th><th>Version</th><th>Runs</th><th>Parsed</th><th>Schema</th><th>Coverage</th><th>Citations</th><th>Dates</th><th>Drift</th><th>Score</th><th>Latency</th><th>Tokens</th></tr>
+${summaryRows}
+</table>
+<h2>By fixture</h2>
+<table>
+<tr><th>Fixture</th><th>Prompt</th><th>Version</th><th>Score</th><th>Notes</th></tr>
+${resultRows}
+</table>
+</body>
+</html>
+`
+}
+
+module.exports = {
+  getPath,
+  validateFields,
+  scoreOutput,
+  summarize,
+  compareToBaseline,
+  renderHtmlReport,
+  mean,
+}
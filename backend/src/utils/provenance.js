@@ -0,0 +1,196 @@
+/**
+ * Provenance - where each fact in an analysis came from
+ *
+ * Analyses carry a provenance map beside their fields, keyed by the dot path of
+ * every leaf fact ("stockInfo.marketCap", "recentNews.0.title"):
+ *   { value, sources: [url], retrievedAt, confidence, origin }
+ *
+ * origin is where the value came from:
+ *   perplexity - a micro-prompt answer (sources: the item's own URL, else the
+ *                search results the answer was grounded on)
+ *   sumble     - Sumble API data
+ *   page       - observed on the LinkedIn page by the extension
+ *
+ * The fields keep their plain values, so everything reading an analysis (the
+ * panel, chat, diffs, snapshots) is unaffected.
+ */
+
+// Confidence by origin - Perplexity answers without any source count for less
+const ORIGIN_CONFIDENCE = {
+  page: 0.95,
+  sumble: 0.9,
+  perplexity: 0.7,
+  perplexityUnsourced: 0.5,
+}
+
+// Search results listed per fact when the item has no URL of its own
+const MAX_SOURCES_PER_FACT = 3
+
+// Keys of an item that hold the URL backing it
+const ITEM_URL_KEYS = ['url', 'sourceUrl', 'verificationUrl']
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value)
+}
+
+/**
+ * Origin of a micro-prompt/Sumble result or of one of its items
+ * ('sumble', 'hybrid-sumble-perplexity' items tagged per item, else perplexity)
+ */
+function originOf(source) {
+  return typeof source === 'string' && source.startsWith('sumble')
+    ? 'sumble'
+    : 'perplexity'
+}
+
+/**
+ * URLs a micro-prompt answer was grounded on (search results, then citations)
+ */
+function resultSources(result) {
+  const urls = [
+    ...(result?.searchResults || []).map((item) => item?.url),
+    ...(result?.citations || []),
+  ].filter(isHttpUrl)
+  return [...new Set(urls)]
+}
+
+/**
+ * Provenance shared by every fact of one result
+ * @param {Object} result - Micro-prompt or Sumble result ({ source, searchResults, retrievedAt })
+ * @param {string} [origin] - Overrides the origin derived from result.source
+ */
+function describeResult(result, origin) {
+  return {
+    origin: origin || originOf(result?.source),
+    sources: resultSources(result),
+    retrievedAt: result?.retrievedAt || new Date().toISOString(),
+  }
+}
+
+function confidenceFor(origin, hasSources) {
+  if (origin !== 'perplexity') return ORIGIN_CONFIDENCE[origin]
+  return hasSources
+    ? ORIGIN_CONFIDENCE.perplexity
+    : ORIGIN_CONFIDENCE.perplexityUnsourced
+}
+
+/**
+ * Whether a path is the field itself or inside it
+ */
+function isUnder(path, field) {
+  return path === field || path.startsWith(`${field}.`)
+}
+
+/**
+ * Value at a dot path ("overview.industry")
+ */
+function getPath(doc, path) {
+  return path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      doc
+    )
+}
+
+/**
+ * Record a provenance entry for every leaf under the given fields
+ * Items (objects in arrays) with their own URL or source override the
+ * result-level sources/origin for their leaves
+ * @param {Object} provenance - Map to add entries to (path → entry)
+ * @param {Object} doc - Analysis document
+ * @param {Array<string>} fields - Dot paths the result produced
+ * @param {Object} description - From describeResult()
+ */
+function recordFacts(provenance, doc, fields, description) {
+  const visit = (value, path, context) => {
+    if (value === null || value === undefined || value === '') return
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}.${index}`, context))
+      return
+    }
+
+    if (typeof value === 'object') {
+      const itemUrl = ITEM_URL_KEYS.map((key) => value[key]).find(isHttpUrl)
+      const itemContext = {
+        origin:
+          typeof value.source === 'string' && value.source.startsWith('sumble')
+            ? 'sumble'
+            : context.origin,
+        sources: itemUrl ? [itemUrl] : context.sources,
+      }
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, `${path}.${key}`, itemContext)
+      }
+      return
+    }
+
+    const sources = context.sources.slice(0, MAX_SOURCES_PER_FACT)
+    provenance[path] = {
+      value,
+      sources,
+      retrievedAt: description.retrievedAt,
+      confidence: confidenceFor(context.origin, sources.length > 0),
+      origin: context.origin,
+    }
+  }
+
+  for (const field of fields) {
+    // Replace whatever an earlier result recorded for this field
+    for (const path of Object.keys(provenance)) {
+      if (isUnder(path, field)) delete provenance[path]
+    }
+    visit(getPath(doc, field), field, description)
+  }
+
+  return provenance
+}
+
+/**
+ * Provenance map for an analysis
+ * @param {Object} doc - Combined analysis document
+ * @param {Array<Object>} producers - { fields, result, origin? } in merge order;
+ *   unsuccessful results are skipped (their fields hold defaults, not facts)
+ * @returns {Object} path → { value, sources, retrievedAt, confidence, origin }
+ */
+function buildProvenance(doc, producers) {
+  const provenance = {}
+
+  for (const { fields, result, origin } of producers) {
+    if (!result?.success && origin !== 'page') continue
+    recordFacts(provenance, doc, fields, describeResult(result, origin))
+  }
+
+  return provenance
+}
+
+/**
+ * Entries under the given fields (for a section refresh)
+ */
+function pickProvenance(provenance = {}, fields) {
+  return Object.fromEntries(
+    Object.entries(provenance).filter(([path]) =>
+      fields.some((field) => isUnder(path, field))
+    )
+  )
+}
+
+/**
+ * Replace the entries of refreshed fields in a cached analysis' provenance
+ */
+function mergeProvenance(provenance = {}, refreshed = {}, fields) {
+  const kept = Object.fromEntries(
+    Object.entries(provenance).filter(
+      ([path]) => !fields.some((field) => isUnder(path, field))
+    )
+  )
+  return { ...kept, ...refreshed }
+}
+
+module.exports = {
+  buildProvenance,
+  pickProvenance,
+  mergeProvenance,
+}
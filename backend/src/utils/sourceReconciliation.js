@@ -0,0 +1,249 @@
+/**
+ * Source Reconciliation - where Sumble and Perplexity disagree about a company
+ *
+ * Runs over a combined company analysis. Each check picks a winner by a fixed
+ * rule, applies it, and the conflicts are recorded in metadata.sourceConflicts
+ * ({ field, subject, sumble, perplexity, winner, rule }) for the rep to judge:
+ *   employeeCount   - counts more than EMPLOYEE_COUNT_RATIO apart → Sumble
+ *                     (counted from employee profiles; overview already uses it)
+ *   contactTitle    - a Sumble contact quoted by Perplexity with an unrelated
+ *                     title → Sumble (its current role record)
+ *   contactDeparted - Perplexity news says a Sumble contact left, dated after
+ *                     Sumble's start date → Perplexity (newer); the contact is
+ *                     kept but marked unverified
+ *   hiring          - Sumble job posts show active hiring while Perplexity
+ *                     reports recent layoffs → Sumble for hiring (job posts are
+ *                     observed directly); the layoff stays in the timeline
+ */
+
+const { titleMatches, parseEmployeeRange } = require('./observedFacts')
+
+// Employee counts further apart than this (either way) conflict
+const EMPLOYEE_COUNT_RATIO = 3
+
+// Layoffs reported within this many days contradict active hiring
+const LAYOFF_WINDOW_DAYS = 90
+
+const DEPARTURE_PATTERN =
+  /\b(left|leaves|leaving|departed|departs|departure|stepped down|steps down|resigned|resigns|exited|exits|former)\b/i
+const LAYOFF_PATTERN =
+  /\b(layoffs?|laid off|job cuts|workforce reduction|cutting \d+%? of (its )?(workforce|staff))\b/i
+
+/**
+ * Employee range from a Perplexity count ("1,001-5,000", "~5,000", "12K+")
+ * @returns {Object|null} { min, max }
+ */
+function parseEmployeeCount(text) {
+  const range = parseEmployeeRange(text)
+  if (range) return range
+
+  const match = String(text || '')
+    .replace(/,/g, '')
+    .match(/(\d+(?:\.\d+)?)\s*([kK])?/)
+  if (!match) return null
+
+  const count = Number(match[1]) * (match[2] ? 1000 : 1)
+  return count > 0 ? { min: count, max: count } : null
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Dated statements from the Perplexity timeline sections
+ * @returns {Array<Object>} { text, date, url, layoffs }
+ */
+function timelineStatements(analysis) {
+  const statements = [
+    ...(analysis.recentNews || []).map((item) => ({
+      text: `${item.title || ''} ${item.summary || ''}`,
+      date: item.date,
+      url: item.url,
+      layoffs: item.category === 'layoffs',
+    })),
+    ...(analysis.growthEvents || []).map((item) => ({
+      text: item.activity || '',
+      date: item.date,
+      url: item.url,
+      layoffs: item.type === 'layoffs',
+    })),
+    // Sumble hiring signals carry a technology; the rest is Perplexity's
+    ...(analysis.companyActivity || [])
+      .filter((item) => !item.technology)
+      .map((item) => ({
+        text: item.description || item.activity || '',
+        date: item.date,
+        url: item.url,
+        layoffs: item.type === 'layoffs',
+      })),
+  ]
+
+  return statements.map((statement) => ({
+    ...statement,
+    layoffs: statement.layoffs || LAYOFF_PATTERN.test(statement.text),
+  }))
+}
+
+function checkEmployeeCount(results) {
+  const sumbleCount = results.sumbleOrgInfo?.data?.total_employees
+  const perplexityCount = results.stockData?.success
+    ? results.stockData.data?.employeeCount
+    : null
+  const range = parseEmployeeCount(perplexityCount)
+  if (!sumbleCount || !range) return []
+
+  if (
+    sumbleCount * EMPLOYEE_COUNT_RATIO >= range.min &&
+    sumbleCount <= range.max * EMPLOYEE_COUNT_RATIO
+  ) {
+    return []
+  }
+
+  return [
+    {
+      field: 'employeeCount',
+      subject: 'Employee count',
+      sumble: String(sumbleCount),
+      perplexity: String(perplexityCount),
+      winner: 'sumble',
+      rule: 'Sumble counts current employee profiles',
+    },
+  ]
+}
+
+function checkContactTitles(analysis, sumbleContacts) {
+  const conflicts = []
+
+  for (const quote of analysis.companyIntelligence?.executiveQuotes || []) {
+    const [quotedName, ...titleParts] = String(quote.executive || '').split(',')
+    const quotedTitle = titleParts.join(',').trim()
+    if (!quotedTitle) continue
+
+    const contact = sumbleContacts.find(
+      (candidate) => normalizeName(candidate.name) === normalizeName(quotedName)
+    )
+    if (
+      contact &&
+      contact.title !== 'Unknown' &&
+      !titleMatches(contact.title, quotedTitle) &&
+      !conflicts.some((conflict) => conflict.subject === contact.name)
+    ) {
+      conflicts.push({
+        field: 'contactTitle',
+        subject: contact.name,
+        sumble: contact.title,
+        perplexity: quotedTitle,
+        winner: 'sumble',
+        rule: "Sumble's role record is current; quotes may predate a change",
+      })
+    }
+  }
+
+  return conflicts
+}
+
+function checkContactDepartures(statements, sumbleContacts) {
+  const conflicts = []
+
+  for (const contact of sumbleContacts) {
+    const name = normalizeName(contact.name)
+    if (!name.includes(' ')) continue // First names alone match too much
+
+    const departure = statements.find(
+      (statement) =>
+        normalizeName(statement.text).includes(name) &&
+        DEPARTURE_PATTERN.test(statement.text) &&
+        (!contact.startDate ||
+          !statement.date ||
+          new Date(statement.date) > new Date(contact.startDate))
+    )
+    if (departure) {
+      conflicts.push({
+        field: 'contactDeparted',
+        subject: contact.name,
+        sumble: `${contact.title} (current)`,
+        perplexity: departure.text.trim(),
+        winner: 'perplexity',
+        rule: "News of a departure is newer than Sumble's record",
+      })
+    }
+  }
+
+  return conflicts
+}
+
+function checkHiring(analysis, statements, now) {
+  const hiringSignals = (analysis.companyActivity || []).filter(
+    (item) => item.technology && item.type === 'hiring'
+  )
+  if (hiringSignals.length === 0) return []
+
+  const cutoff = now - LAYOFF_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  const layoff = statements.find(
+    (statement) =>
+      statement.layoffs &&
+      statement.date &&
+      new Date(statement.date).getTime() >= cutoff
+  )
+  if (!layoff) return []
+
+  const jobCount = hiringSignals.reduce(
+    (total, signal) => total + (signal.jobCount || 0),
+    0
+  )
+  return [
+    {
+      field: 'hiring',
+      subject: 'Hiring activity',
+      sumble: `${jobCount} job posts in the last 30 days`,
+      perplexity: layoff.text.trim(),
+      winner: 'sumble',
+      rule: 'Job posts are observed directly; the layoff stays in the timeline',
+    },
+  ]
+}
+
+/**
+ * Find where Sumble and Perplexity disagree and apply the winners
+ * @param {Object} analysis - Combined company analysis (contacts are replaced, not mutated)
+ * @param {Object} results - Raw orchestrator results (for the pre-merge values)
+ * @param {number} [now] - Reference time for recency checks
+ * @returns {Array<Object>} { field, subject, sumble, perplexity, winner, rule }
+ */
+function reconcileSources(analysis, results, now = Date.now()) {
+  const sumbleContacts = (analysis.priorityContacts || []).filter(
+    (contact) => contact.source === 'sumble'
+  )
+  const statements = timelineStatements(analysis)
+
+  const conflicts = [
+    ...checkEmployeeCount(results),
+    ...checkContactTitles(analysis, sumbleContacts),
+    ...checkContactDepartures(statements, sumbleContacts),
+    ...checkHiring(analysis, statements, now),
+  ]
+
+  const departed = new Set(
+    conflicts
+      .filter((conflict) => conflict.field === 'contactDeparted')
+      .map((conflict) => conflict.subject)
+  )
+  if (departed.size > 0) {
+    analysis.priorityContacts = analysis.priorityContacts.map((contact) =>
+      contact.source === 'sumble' && departed.has(contact.name)
+        ? { ...contact, verified: false }
+        : contact
+    )
+  }
+
+  return conflicts
+}
+
+module.exports = {
+  reconcileSources,
+}
@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events Utility for LinkedIntel Backend
+ * Minimal SSE writer for streaming endpoints
+ *
+ * Usage:
+ *   const stream = openEventStream(res)
+ *   stream.send('section', { section: 'stockData', data })
+ *   stream.close()
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000 // Keep proxies from closing idle connections
+
+/**
+ * Switch a response into SSE mode
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), close(), isClosed() }
+ */
+function openEventStream(res) {
+  let closed = false
+  let eventId = 0
+
+  res.status(200)
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+  res.setHeader('X-Accel-Buffering', 'no') // Disable nginx buffering
+  res.flushHeaders()
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n')
+    }
+  }, HEARTBEAT_INTERVAL_MS)
+
+  // Client went away - stop writing, but let any running work finish
+  // (res 'close' rather than req 'close': the request emits close once its body is read)
+  res.on('close', () => {
+    closed = true
+    clearInterval(heartbeat)
+  })
+
+  return {
+    send(event, data) {
+      if (closed) return false
+      eventId++
+      res.write(`id: ${eventId}\n`)
+      res.write(`event: ${event}\n`)
+      res.write(`data: ${JSON.stringify(data)}\n\n`)
+      return true
+    },
+
+    close() {
+      if (closed) return
+      closed = true
+      clearInterval(heartbeat)
+      res.end()
+    },
+
+    isClosed() {
+      return closed
+    },
+  }
+}
+
+module.exports = { openEventStream }
@@ -0,0 +1,147 @@
+/**
+ * Trigger Events - material changes picked out of an analysis diff
+ *
+ * Turns the field-level changes from diffAnalyses() into the few events a seller
+ * acts on:
+ *   funding       - new funding round / activity, changed total funding or valuation
+ *   exec_change   - decision makers added, gone, or retitled
+ *   hiring_spike  - new large hiring signal, or open roles up 50%+
+ *   negative_news - negative news, new challenges, layoffs
+ *
+ * Each event: { type, title, detail, path }
+ */
+
+const FUNDING_PATTERN = /fund|raise|series|invest|valuation/i
+const EXEC_PATTERN =
+  /exec|leadership|appoint|hire[sd]? (a |as )?(new )?(ceo|cto|cfo|coo|cro|cmo|vp|chief)/i
+const HIRING_COUNT_FIELDS = /\.(jobCount|roleCount)$/
+
+function roleCount(item) {
+  return item?.jobCount || item?.roleCount || 0
+}
+
+function describeActivity(item) {
+  return item?.description || item?.note || item?.activity || ''
+}
+
+/**
+ * @param {Object} diff - diffAnalyses() result
+ * @param {Object} options - { hiringSpikeMin }
+ * @returns {Array} Trigger events (may be empty)
+ */
+function detectTriggerEvents(diff, { hiringSpikeMin = 10 } = {}) {
+  const events = []
+  const push = (type, title, detail, change) =>
+    events.push({ type, title, detail: detail || '', path: change.path })
+
+  for (const change of diff.changes || []) {
+    const { section, type, path, from, to } = change
+
+    // Funding
+    if (
+      type === 'added' &&
+      (section === 'companyActivity' || section === 'growthEvents') &&
+      FUNDING_PATTERN.test(`${to?.type || ''} ${to?.activity || ''}`)
+    ) {
+      push(
+        'funding',
+        [to.fundingType, to.amount].filter(Boolean).join(' ') || 'New funding',
+        describeActivity(to),
+        change
+      )
+    } else if (type === 'added' && path.endsWith('fundingRounds')) {
+      push(
+        'funding',
+        [to?.round, to?.amount].filter(Boolean).join(' ') ||
+          'New funding round',
+        to?.leadInvestor ? `Led by ${to.leadInvestor}` : '',
+        change
+      )
+    } else if (
+      type === 'changed' &&
+      /(totalFunding|latestValuation|lastFunding\.\w+)$/.test(path)
+    ) {
+      push('funding', `${path.split('.').pop()} changed`, change.label, change)
+    }
+
+    // Executive changes
+    else if (section === 'priorityContacts' && path === 'priorityContacts') {
+      push(
+        'exec_change',
+        type === 'added'
+          ? `New decision maker: ${to?.name}`
+          : `Decision maker no longer listed: ${from?.name}`,
+        type === 'added' ? to?.title : from?.title,
+        change
+      )
+    } else if (
+      section === 'priorityContacts' &&
+      type === 'changed' &&
+      path.endsWith('.title')
+    ) {
+      push('exec_change', 'Decision maker title changed', change.label, change)
+    } else if (
+      type === 'added' &&
+      section === 'companyActivity' &&
+      EXEC_PATTERN.test(`${to?.type || ''} ${describeActivity(to)}`)
+    ) {
+      push('exec_change', 'Leadership change', describeActivity(to), change)
+    }
+
+    // Hiring spikes
+    else if (
+      type === 'added' &&
+      section === 'companyActivity' &&
+      to?.type === 'hiring' &&
+      roleCount(to) >= hiringSpikeMin
+    ) {
+      push(
+        'hiring_spike',
+        `Hiring: ${roleCount(to)} open roles${
+          to.technology ? ` (${to.technology})` : ''
+        }`,
+        describeActivity(to),
+        change
+      )
+    } else if (
+      type === 'changed' &&
+      section === 'companyActivity' &&
+      HIRING_COUNT_FIELDS.test(path) &&
+      typeof from === 'number' &&
+      typeof to === 'number' &&
+      to >= from * 1.5 &&
+      to - from >= 5
+    ) {
+      push('hiring_spike', `Open roles up ${from} → ${to}`, path, change)
+    }
+
+    // Negative news
+    else if (
+      type === 'added' &&
+      section === 'recentNews' &&
+      to?.sentiment === 'negative'
+    ) {
+      push('negative_news', to.title, to.summary, change)
+    } else if (type === 'added' && path === 'companyChallenges.challenges') {
+      push(
+        'negative_news',
+        `New challenge: ${to?.category || 'unspecified'}`,
+        to?.description,
+        change
+      )
+    } else if (
+      (path === 'companyChallenges.layoffNews.hasLayoffs' && to === true) ||
+      (path === 'companyChallenges.layoffNews' &&
+        type === 'added' &&
+        to?.hasLayoffs)
+    ) {
+      push('negative_news', 'Layoffs reported', to?.summary, change)
+    }
+  }
+
+  return events
+}
+
+module.exports = {
+  detectTriggerEvents,
+}
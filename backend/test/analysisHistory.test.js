@@ -0,0 +1,44 @@
+const { startServer } = require('./helpers')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { snapshotService } = require('../src/services')
+
+let server
+let getHistory
+const lookedUp = []
+
+before(async () => {
+  getHistory = snapshotService.getHistory
+  snapshotService.getHistory = async (key) => {
+    lookedUp.push(key)
+    return []
+  }
+  server = await startServer()
+})
+
+after(async () => {
+  snapshotService.getHistory = getHistory
+  await server.close()
+})
+
+test('company history is keyed by the LinkedIn URL when given', async () => {
+  const companyUrl = 'https://www.linkedin.com/company/acme-robotics/'
+  const response = await server.request(
+    'GET',
+    `/analyze/company/Acme/history?companyUrl=${encodeURIComponent(companyUrl)}`
+  )
+  assert.equal(response.status, 200)
+  assert.match(lookedUp.pop(), /^company:li:acme-robotics/)
+})
+
+test('person history is keyed by the profile URL when given', async () => {
+  const profileUrl = 'https://www.linkedin.com/in/jane-doe-123/'
+  const response = await server.request(
+    'GET',
+    `/analyze/person/Jane%20Doe/history?companyName=Acme&profileUrl=${encodeURIComponent(
+      profileUrl
+    )}`
+  )
+  assert.equal(response.status, 200)
+  assert.match(lookedUp.pop(), /^person:li:jane-doe-123/)
+})
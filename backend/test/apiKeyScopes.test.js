@@ -0,0 +1,140 @@
+const { ADMIN_KEY, startServer } = require('./helpers')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { apiKeyService } = require('../src/services')
+
+let server
+const keys = {}
+
+before(async () => {
+  server = await startServer()
+  for (const scope of ['analyze', 'enrich', 'chat', 'admin']) {
+    keys[scope] = apiKeyService.create(`user-${scope}`, {
+      name: scope,
+      scope,
+    }).key
+  }
+})
+
+after(() => server.close())
+
+const CACHE_ADMIN_ROUTES = [
+  ['GET', '/analyze/cache/stats'],
+  ['DELETE', '/analyze/cache'],
+]
+
+for (const [method, path] of CACHE_ADMIN_ROUTES) {
+  test(`${method} ${path} rejects non-admin API keys with 403`, async () => {
+    for (const scope of ['analyze', 'enrich', 'chat']) {
+      const response = await server.request(method, path, {
+        headers: { 'X-API-Key': keys[scope] },
+      })
+      assert.equal(response.status, 403, `${scope} key`)
+      assert.equal(response.body.errorType, 'insufficient_scope')
+    }
+  })
+
+  test(`${method} ${path} accepts an admin key`, async () => {
+    const withApiKey = await server.request(method, path, {
+      headers: { 'X-API-Key': keys.admin },
+    })
+    assert.notEqual(withApiKey.status, 401)
+    assert.notEqual(withApiKey.status, 403)
+
+    const withAdminKey = await server.request(method, path, {
+      headers: { 'X-Admin-Key': ADMIN_KEY },
+    })
+    assert.notEqual(withAdminKey.status, 401)
+    assert.notEqual(withAdminKey.status, 403)
+  })
+}
+
+test('admin routes reject non-admin keys and missing credentials', async () => {
+  const scoped = await server.request('GET', '/admin/cache', {
+    headers: { 'X-API-Key': keys.analyze },
+  })
+  assert.equal(scoped.status, 403)
+
+  const anonymous = await server.request('GET', '/admin/cache')
+  assert.equal(anonymous.status, 401)
+
+  const admin = await server.request('GET', '/admin/cache', {
+    headers: { 'X-API-Key': keys.admin },
+  })
+  assert.equal(admin.status, 200)
+})
+
+test('a key can only call the endpoints of its scope', async () => {
+  const chatOnAnalyze = await server.request('POST', '/analyze/company', {
+    headers: { 'X-API-Key': keys.chat },
+    body: { companyName: 'Acme Test Co' },
+  })
+  assert.equal(chatOnAnalyze.status, 403)
+  assert.equal(chatOnAnalyze.body.errorType, 'insufficient_scope')
+
+  const analyzeOnChat = await server.request('POST', '/analyze/chat', {
+    headers: { 'X-API-Key': keys.analyze },
+    body: { messages: [{ role: 'user', content: 'hi' }] },
+  })
+  assert.equal(analyzeOnChat.status, 403)
+
+  const analyzeOnEnrich = await server.request(
+    'POST',
+    '/enrich/company-signals',
+    {
+      headers: { 'X-API-Key': keys.analyze },
+      body: {},
+    }
+  )
+  assert.equal(analyzeOnEnrich.status, 403)
+})
+
+test('revoked and unknown keys get 401', async () => {
+  const { key, apiKey } = apiKeyService.create('user-revoked', {
+    name: 'revoked',
+    scope: 'analyze',
+  })
+  apiKeyService.revoke(apiKey.id)
+
+  const revoked = await server.request('GET', '/analyze/cache/stats', {
+    headers: { 'X-API-Key': key },
+  })
+  assert.equal(revoked.status, 401)
+
+  const unknown = await server.request('GET', '/usage', {
+    headers: { 'X-API-Key': 'lik_not-a-real-key' },
+  })
+  assert.equal(unknown.status, 401)
+})
+
+test('usage history needs a signed-in user or API key', async () => {
+  const anonymous = await server.request('GET', '/usage')
+  assert.equal(anonymous.status, 401)
+
+  const withKey = await server.request('GET', '/usage', {
+    headers: { 'X-API-Key': keys.analyze },
+  })
+  assert.equal(withKey.status, 200)
+})
+
+test('API keys cannot manage workspaces or API keys', async () => {
+  for (const scope of ['analyze', 'enrich', 'chat', 'admin']) {
+    const headers = { 'X-API-Key': keys[scope] }
+
+    const workspace = await server.request('POST', '/workspaces', {
+      headers,
+      body: { name: 'Team' },
+    })
+    assert.equal(workspace.status, 403, `${scope} key on /workspaces`)
+    assert.equal(workspace.body.errorType, 'insufficient_scope')
+
+    const listed = await server.request('GET', '/workspaces', { headers })
+    assert.equal(listed.status, 403, `${scope} key listing workspaces`)
+
+    const apiKey = await server.request('POST', '/api-keys', {
+      headers,
+      body: { name: 'another', scope: 'analyze' },
+    })
+    assert.equal(apiKey.status, 403, `${scope} key on /api-keys`)
+  }
+})
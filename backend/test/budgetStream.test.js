@@ -0,0 +1,47 @@
+const { startServer } = require('./helpers')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { budgetService } = require('../src/services')
+
+let server
+
+before(async () => {
+  server = await startServer()
+  budgetService.isCacheOnly = () => true
+})
+
+after(() => server.close())
+
+// Data of the first error event in an event stream
+function streamError(text) {
+  const event = text
+    .split('\n\n')
+    .find((block) => block.includes('event: error'))
+  assert.ok(event, `no error event in:\n${text}`)
+  return JSON.parse(
+    event
+      .split('\n')
+      .find((line) => line.startsWith('data: '))
+      .slice(6)
+  )
+}
+
+test('company stream reports a budget refusal in cache_only mode', async () => {
+  const response = await server.request('POST', '/analyze/company/stream', {
+    body: { companyName: 'Acme' },
+  })
+
+  const error = streamError(response.text)
+  assert.equal(error.errorType, 'budget_exceeded')
+  assert.match(error.error, /Spend budget reached/)
+})
+
+test('person stream reports a budget refusal in cache_only mode', async () => {
+  const response = await server.request('POST', '/analyze/person/stream', {
+    body: { fullName: 'Jane Doe', title: 'CTO', companyName: 'Acme' },
+  })
+
+  const error = streamError(response.text)
+  assert.equal(error.errorType, 'budget_exceeded')
+  assert.match(error.error, /Spend budget reached/)
+})
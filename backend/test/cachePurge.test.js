@@ -0,0 +1,31 @@
+const { ADMIN_KEY, startServer } = require('./helpers')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { cacheService } = require('../src/services')
+
+const DAY = 24 * 60 * 60 * 1000
+
+let server
+
+before(async () => {
+  server = await startServer()
+})
+
+after(() => server.close())
+
+test('DELETE /analyze/cache purges entries older than 30 days without Supabase', async () => {
+  const ttl = 60 * DAY
+  cacheService.setMemory('company:old-co', { companyName: 'Old Co' }, ttl, {
+    cachedAt: Date.now() - 31 * DAY,
+  })
+  cacheService.setMemory('company:new-co', { companyName: 'New Co' }, ttl)
+
+  const response = await server.request('DELETE', '/analyze/cache', {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+  })
+
+  assert.equal(response.status, 200)
+  assert.deepEqual(response.body.keys, ['company:old-co'])
+  assert.equal(cacheService.cache.has('company:old-co'), false)
+  assert.equal(cacheService.cache.has('company:new-co'), true)
+})
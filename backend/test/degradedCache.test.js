@@ -0,0 +1,71 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { budgetService, cacheService } = require('../src/services')
+
+const HOUR = 60 * 60 * 1000
+const DEGRADED = {
+  budget: {
+    mode: 'skip_optional',
+    skippedSections: ['industryContext'],
+    downgradedModels: [],
+  },
+}
+
+test('budget-degraded analyses go stale after the degraded TTL', async () => {
+  const cachedAt = Date.now() - 2 * HOUR
+  await cacheService.set(
+    'company:degraded-co',
+    { companyName: 'Degraded Co', metadata: DEGRADED },
+    null,
+    { cachedAt }
+  )
+  await cacheService.set(
+    'company:full-co',
+    { companyName: 'Full Co', metadata: {} },
+    null,
+    { cachedAt }
+  )
+
+  const degraded = await cacheService.getWithStatus('company:degraded-co')
+  assert.equal(degraded.stale, true)
+  const full = await cacheService.getWithStatus('company:full-co')
+  assert.equal(full.stale, false)
+})
+
+test('degraded analyses are only refreshed once the budget is back to normal', async () => {
+  const entry = {
+    value: { companyName: 'Degraded Co', metadata: DEGRADED },
+    stale: true,
+    cachedAt: Date.now() - 2 * HOUR,
+  }
+  const getMode = budgetService.getMode
+  let refreshes = 0
+  const refresh = async () => {
+    refreshes++
+    return { success: true, data: { companyName: 'Degraded Co', metadata: {} } }
+  }
+
+  try {
+    budgetService.getMode = () => 'skip_optional'
+    const waiting = await cacheService.serveWithRevalidation(
+      'company:degraded-refresh-co',
+      entry,
+      refresh
+    )
+    assert.equal(waiting.refreshing, false)
+    assert.equal(refreshes, 0)
+
+    budgetService.getMode = () => 'normal'
+    const served = await cacheService.serveWithRevalidation(
+      'company:degraded-refresh-co',
+      entry,
+      refresh
+    )
+    assert.equal(served.refreshing, true)
+    await cacheService.waitForPendingRequest('company:degraded-refresh-co')
+    assert.equal(refreshes, 1)
+  } finally {
+    budgetService.getMode = getMode
+  }
+})
@@ -0,0 +1,38 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { cacheService, workspaceService } = require('../src/services')
+
+const COMPANY_URL = 'https://www.linkedin.com/company/private-robotics/'
+
+test("a private workspace's analyses don't register shared aliases", async () => {
+  const workspace = workspaceService.create(
+    { id: 'alice' },
+    { name: 'Alias Test Team', cacheScope: 'workspace' }
+  )
+  const context = workspaceService.contextFor(workspace.id)
+
+  await workspaceService.runInWorkspace(context, () =>
+    cacheService.set(
+      cacheService.generateCompanyKey('Private Robotics', {
+        companyUrl: COMPANY_URL,
+      }),
+      { companyName: 'Private Robotics', metadata: {} }
+    )
+  )
+  assert.equal(
+    cacheService.companyIdentityKey('Private Robotics'),
+    cacheService.companyKeyBase('Private Robotics')
+  )
+
+  await cacheService.set(
+    cacheService.generateCompanyKey('Private Robotics', {
+      companyUrl: COMPANY_URL,
+    }),
+    { companyName: 'Private Robotics', metadata: {} }
+  )
+  assert.equal(
+    cacheService.companyIdentityKey('Private Robotics'),
+    'company:li:private-robotics'
+  )
+})
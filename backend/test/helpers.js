@@ -0,0 +1,94 @@
+/**
+ * Test helpers - require this first in every test file
+ *
+ * Points every store at a temp directory and turns off upstream providers,
+ * Supabase and background schedulers before any src/ module reads the config.
+ * Each test file runs in its own process (node --test), so each gets a clean
+ * environment.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedintel-test-'))
+const ADMIN_KEY = 'test-admin-key'
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  ADMIN_API_KEY: ADMIN_KEY,
+  // Empty rather than unset, so a local .env can't fill them in
+  PERPLEXITY_API_KEY: '',
+  OPENAI_COMPATIBLE_BASE_URL: '',
+  SUPABASE_URL: '',
+  SUPABASE_SECRET_KEY: '',
+  SUPABASE_PUBLISHABLE_KEY: '',
+  CACHE_L2_BACKEND: 'none',
+  CACHE_MIGRATION_SWEEP: 'false',
+  SNAPSHOTS_ENABLED: 'false',
+  USAGE_LEDGER_ENABLED: 'false',
+  WATCHLIST_SCHEDULER: 'false',
+  QUOTA_STORE: 'memory',
+  API_KEYS_PATH: path.join(TEST_DIR, 'api-keys.json'),
+  JOB_STORE_PATH: path.join(TEST_DIR, 'jobs.json'),
+  WATCHLIST_STORE_PATH: path.join(TEST_DIR, 'watchlist.json'),
+  WORKSPACES_PATH: path.join(TEST_DIR, 'workspaces.json'),
+  ENTITY_ALIASES_PATH: path.join(TEST_DIR, 'aliases.json'),
+  USAGE_LEDGER_PATH: path.join(TEST_DIR, 'usage-ledger.jsonl'),
+  PROMPT_RUNS_PATH: path.join(TEST_DIR, 'prompt-runs.jsonl'),
+  SNAPSHOT_STORE_PATH: path.join(TEST_DIR, 'snapshots'),
+  CACHE_FILE_STORE_PATH: path.join(TEST_DIR, 'cache'),
+  QUOTA_STORE_PATH: path.join(TEST_DIR, 'quotas.json'),
+})
+
+process.on('exit', () => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true })
+})
+
+/**
+ * Start the API on a random port
+ * @returns {Promise<Object>} { request(method, path, { headers, body }), close() }
+ */
+async function startServer() {
+  const LinkedIntelServer = require('../src/server')
+  const server = new LinkedIntelServer()
+  server.initialize()
+
+  const httpServer = await new Promise((resolve) => {
+    const listening = server.app.listen(0, '127.0.0.1', () =>
+      resolve(listening)
+    )
+  })
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`
+
+  return {
+    async request(method, requestPath, { headers = {}, body } = {}) {
+      const response = await fetch(`${baseUrl}${requestPath}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      })
+      const text = await response.text()
+      let json = null
+      try {
+        json = JSON.parse(text)
+      } catch (error) {
+        // Not JSON (e.g. an event stream)
+      }
+      return { status: response.status, body: json, text }
+    },
+    close() {
+      return new Promise((resolve) => httpServer.close(resolve))
+    },
+  }
+}
+
+module.exports = {
+  TEST_DIR,
+  ADMIN_KEY,
+  startServer,
+}
@@ -0,0 +1,156 @@
+const { ADMIN_KEY, startServer } = require('./helpers')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  apiKeyService,
+  cacheService,
+  jobQueueService,
+  perplexityService,
+  workspaceService,
+} = require('../src/services')
+
+let server
+let aliceKey
+let bobKey
+
+before(async () => {
+  server = await startServer()
+  aliceKey = apiKeyService.create('alice', { name: 'a', scope: 'analyze' }).key
+  bobKey = apiKeyService.create('bob', { name: 'b', scope: 'analyze' }).key
+})
+
+after(() => server.close())
+
+test('a batch job is only readable by the user who created it', async () => {
+  const created = await server.request('POST', '/analyze/batch', {
+    headers: { 'X-API-Key': aliceKey },
+    body: { companies: ['Acme Test Co'], people: [] },
+  })
+  assert.equal(created.status, 202)
+  const statusUrl = `/analyze/jobs/${created.body.jobId}`
+
+  const owner = await server.request('GET', statusUrl, {
+    headers: { 'X-API-Key': aliceKey },
+  })
+  assert.equal(owner.status, 200)
+  assert.equal(owner.body.job.id, created.body.jobId)
+
+  const otherUser = await server.request('GET', statusUrl, {
+    headers: { 'X-API-Key': bobKey },
+  })
+  assert.equal(otherUser.status, 404)
+
+  const anonymous = await server.request('GET', statusUrl)
+  assert.equal(anonymous.status, 404)
+})
+
+test('cache warm-up jobs are polled through the admin API', async () => {
+  const created = await server.request('POST', '/admin/cache/warm', {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+    body: { companies: ['Warm Test Co'], people: [] },
+  })
+  assert.equal(created.status, 202)
+  assert.equal(
+    created.body.statusUrl,
+    `/admin/cache/warm/${created.body.jobId}`
+  )
+
+  const admin = await server.request('GET', created.body.statusUrl, {
+    headers: { 'X-Admin-Key': ADMIN_KEY },
+  })
+  assert.equal(admin.status, 200)
+
+  const anonymous = await server.request(
+    'GET',
+    `/analyze/jobs/${created.body.jobId}`
+  )
+  assert.equal(anonymous.status, 404)
+})
+
+test('finished jobs past the retention window are pruned on enqueue', () => {
+  const old = jobQueueService.createJob(
+    { companies: [{ companyName: 'Old Test Co' }], people: [] },
+    { userId: 'alice' }
+  )
+  const stored = jobQueueService.jobs.get(old.id)
+  stored.completedAt = new Date(
+    Date.now() - jobQueueService.retentionMs - 1000
+  ).toISOString()
+
+  jobQueueService.createJob(
+    { companies: [{ companyName: 'New Test Co' }], people: [] },
+    { userId: 'alice' }
+  )
+
+  assert.equal(jobQueueService.jobs.has(old.id), false)
+})
+
+test('job items run in the workspace the job was created in', async () => {
+  const workspace = workspaceService.create(
+    { id: 'alice' },
+    { name: 'Job Test Team', cacheScope: 'workspace' }
+  )
+  const context = workspaceService.contextFor(workspace.id)
+
+  const runItem = jobQueueService.runItem
+  const scopes = new Map() // cacheKey -> cache scope the item ran in
+  jobQueueService.runItem = async (item) => {
+    scopes.set(item.cacheKey, workspaceService.currentCacheScope())
+    return { data: { cacheKey: item.cacheKey }, cached: true }
+  }
+
+  try {
+    const job = workspaceService.runInWorkspace(context, () =>
+      jobQueueService.createJob(
+        { companies: [{ companyName: 'Scoped Test Co' }], people: [] },
+        { userId: 'alice' }
+      )
+    )
+    const stored = jobQueueService.jobs.get(job.id)
+    assert.equal(stored.workspaceId, workspace.id)
+    assert.ok(stored.items[0].cacheKey.includes(`#${workspace.id}`))
+
+    // The worker runs outside the creating request
+    while (!stored.completedAt) {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    assert.equal(scopes.get(stored.items[0].cacheKey), workspace.id)
+  } finally {
+    jobQueueService.runItem = runItem
+  }
+})
+
+test('company items re-analyze the company their cached analysis was about', async () => {
+  const item = {
+    type: 'company',
+    input: {
+      companyName: 'Mercury',
+      companyUrl: 'https://www.linkedin.com/company/mercury-bank/',
+    },
+    cacheKey: 'company:job-test-mercury',
+  }
+  // Stale: past its soft TTL, still in the stale window
+  cacheService.setMemory(
+    item.cacheKey,
+    { metadata: { companyDomain: 'mercury.com' } },
+    1000,
+    { staleWindow: 60000, cachedAt: Date.now() - 2000 }
+  )
+
+  const refreshCompanyAnalysis = perplexityService.refreshCompanyAnalysis
+  let options
+  perplexityService.refreshCompanyAnalysis = async (name, requested) => {
+    options = requested
+    throw new Error('"Mercury" is ambiguous - pick a company to analyze it')
+  }
+
+  try {
+    await assert.rejects(jobQueueService.runItem(item), /ambiguous/)
+    assert.deepEqual(options, {
+      companyDomain: 'mercury.com',
+      hints: { companyUrl: item.input.companyUrl },
+    })
+  } finally {
+    perplexityService.refreshCompanyAnalysis = refreshCompanyAnalysis
+  }
+})
@@ -0,0 +1,44 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  validateMicroPromptResponse,
+} = require('../src/schemas/microPromptSchemas')
+
+test('rejects list items missing their required fields', () => {
+  const result = validateMicroPromptResponse('recentNews', [
+    { title: 'Acme raises $20M', summary: 'Series A', sentiment: 'positive' },
+    { summary: 'No title', sentiment: 'great' },
+  ])
+
+  assert.equal(result.success, false)
+  assert.deepEqual(result.issues, [
+    '1.title: Required (a non-empty string)',
+    '1.sentiment: Must be one of: positive, neutral, negative',
+  ])
+})
+
+test('accepts responses in the prompt output format', () => {
+  assert.equal(
+    validateMicroPromptResponse('techStack', [
+      { category: 'CRM', tool: 'Salesforce' },
+    ]).success,
+    true
+  )
+  assert.equal(
+    validateMicroPromptResponse('personRiskSignals', { realityCheck: [] })
+      .success,
+    true
+  )
+})
+
+test('checks person prompt items', () => {
+  const result = validateMicroPromptResponse('personQuotedChallenges', {
+    quotedChallenges: [{ quote: ' ', source: 'Podcast' }],
+  })
+
+  assert.equal(result.success, false)
+  assert.deepEqual(result.issues, [
+    'quotedChallenges.0.quote: Required (a non-empty string)',
+  ])
+})
@@ -0,0 +1,101 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { SCHEMA_VERSION } = require('../src/schemas/analysisSchemas')
+const {
+  MIGRATIONS,
+  getMigrationPath,
+  migrateAnalysis,
+} = require('../src/schemas/migrations')
+
+test('every version from 2 has a path to SCHEMA_VERSION', () => {
+  for (let version = 2; version < SCHEMA_VERSION; version++) {
+    const steps = getMigrationPath(version)
+    assert.ok(steps, `no path from v${version}`)
+    assert.equal(steps.at(-1).to, SCHEMA_VERSION)
+  }
+})
+
+test('upgrades a v3 company entry step by step without touching the original', () => {
+  const cached = {
+    companyName: 'Acme',
+    stockInfo: { symbol: 'ACME' },
+    companyChallenges: {
+      challenges: [{ title: 'Scaling', severity: 'high' }],
+      timelineOfEvents: [{ event: 'Layoffs', impact: 'negative' }],
+    },
+    metadata: { schemaVersion: 3 },
+  }
+
+  const result = migrateAnalysis('company', cached)
+
+  assert.equal(result.status, 'migrated')
+  assert.deepEqual(result.steps, ['v3→v4', 'v4→v5', 'v5→v6'])
+  assert.equal(result.data.metadata.schemaVersion, SCHEMA_VERSION)
+  assert.deepEqual(result.data.overview, {
+    isPublic: true,
+    employeeCount: null,
+    industry: '',
+  })
+  assert.deepEqual(result.data.companyChallenges.challenges, [
+    { title: 'Scaling' },
+  ])
+  assert.deepEqual(result.data.companyChallenges.timelineOfEvents, [
+    { event: 'Layoffs' },
+  ])
+  assert.equal(cached.metadata.schemaVersion, 3)
+  assert.equal(cached.companyChallenges.challenges[0].severity, 'high')
+})
+
+test('drops ICP scores from v4 person entries', () => {
+  const result = migrateAnalysis('person', {
+    name: 'Jane Doe',
+    icpScore: 82,
+    ICPFit: 'strong',
+    metadata: { schemaVersion: 4 },
+  })
+
+  assert.equal(result.status, 'migrated')
+  assert.deepEqual(result.data, {
+    name: 'Jane Doe',
+    metadata: { schemaVersion: SCHEMA_VERSION },
+  })
+})
+
+test('serves current entries as they are', () => {
+  const cached = { metadata: { schemaVersion: SCHEMA_VERSION } }
+  const result = migrateAnalysis('company', cached)
+
+  assert.equal(result.status, 'current')
+  assert.equal(result.data, cached)
+})
+
+test('reports entries without a migration path as unsupported', () => {
+  for (const schemaVersion of [1, undefined, SCHEMA_VERSION + 1]) {
+    const result = migrateAnalysis('company', { metadata: { schemaVersion } })
+    assert.equal(result.status, 'unsupported')
+    assert.equal(result.data, null)
+  }
+
+  assert.equal(
+    migrateAnalysis('watchlist', { metadata: { schemaVersion: 3 } }).status,
+    'unsupported'
+  )
+})
+
+test('names the step that failed', () => {
+  const step = MIGRATIONS.find((m) => m.from === 3)
+  const company = step.company
+  step.company = () => {
+    throw new Error('boom')
+  }
+
+  try {
+    assert.throws(
+      () => migrateAnalysis('company', { metadata: { schemaVersion: 3 } }),
+      /Migration v3→v4 failed for company: boom/
+    )
+  } finally {
+    step.company = company
+  }
+})
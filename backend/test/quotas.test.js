@@ -0,0 +1,180 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const quotaService = require('../src/services/quotaService')
+const {
+  enforceQuota,
+  chargeFollowUpAnalysis,
+} = require('../src/middleware/rateLimit')
+
+const HOUR = 60 * 60 * 1000
+const limits = {
+  requests: { limit: 10, windowMs: HOUR },
+  analyses: { limit: 2, windowMs: HOUR },
+}
+
+// Start of the current fixed bucket, so tests can place requests inside it
+const bucketStart = () => Math.floor(Date.now() / HOUR) * HOUR
+
+test('allows requests up to the limit, then rejects with retryAfter', async () => {
+  const now = bucketStart() + HOUR / 2
+  for (let i = 0; i < 10; i++) {
+    const result = await quotaService.consume(
+      'test:limit',
+      limits,
+      { requests: 1 },
+      now
+    )
+    assert.equal(result.allowed, true)
+    assert.equal(result.metrics.requests.remaining, 9 - i)
+  }
+
+  const rejected = await quotaService.consume(
+    'test:limit',
+    limits,
+    { requests: 1 },
+    now
+  )
+  assert.equal(rejected.allowed, false)
+  assert.equal(rejected.exceeded, 'requests')
+  assert.ok(rejected.retryAfter > 0)
+})
+
+test('a rejected request consumes none of its metrics', async () => {
+  const now = bucketStart() + HOUR / 2
+  const costs = { requests: 1, analyses: 2 }
+  assert.equal(
+    (await quotaService.consume('test:atomic', limits, costs, now)).allowed,
+    true
+  )
+
+  const rejected = await quotaService.consume('test:atomic', limits, costs, now)
+  assert.equal(rejected.allowed, false)
+  assert.equal(rejected.exceeded, 'analyses')
+
+  const usage = await quotaService.getUsage('test:atomic', limits, now)
+  assert.equal(usage.requests.used, 1)
+  assert.equal(usage.analyses.used, 2)
+})
+
+test('the previous bucket counts in proportion to its overlap with the window', async () => {
+  const previousBucket = bucketStart() - HOUR
+  for (let i = 0; i < 10; i++) {
+    await quotaService.consume(
+      'test:sliding',
+      limits,
+      { requests: 1 },
+      previousBucket + HOUR - 1000
+    )
+  }
+
+  // Right after the boundary the full previous bucket still overlaps
+  const atBoundary = await quotaService.consume(
+    'test:sliding',
+    limits,
+    { requests: 1 },
+    bucketStart() + 1000
+  )
+  assert.equal(atBoundary.allowed, false)
+
+  // Halfway through, half of it (5 requests) still counts
+  const halfway = bucketStart() + HOUR / 2
+  const usage = await quotaService.getUsage('test:sliding', limits, halfway)
+  assert.equal(usage.requests.used, 5)
+  assert.equal(usage.requests.remaining, 5)
+})
+
+test('concurrent requests never go over the limit', async () => {
+  const now = bucketStart() + HOUR / 2
+  const results = await Promise.all(
+    Array.from({ length: 25 }, () =>
+      quotaService.consume('test:concurrent', limits, { requests: 1 }, now)
+    )
+  )
+
+  assert.equal(results.filter((result) => result.allowed).length, 10)
+  const usage = await quotaService.getUsage('test:concurrent', limits, now)
+  assert.equal(usage.requests.used, 10)
+})
+
+test('enforceQuota passes store failures to the error handler', async () => {
+  const store = quotaService.store
+  quotaService.store = {
+    getMany: async () => {
+      throw new Error('store unavailable')
+    },
+  }
+
+  try {
+    const req = {
+      headers: {},
+      socket: { remoteAddress: '127.0.0.1' },
+      baseUrl: '/analyze',
+      path: '/company',
+      body: {},
+    }
+    const error = await new Promise((resolve) => {
+      enforceQuota(req, {}, resolve)
+    })
+    assert.equal(error.message, 'store unavailable')
+
+    // The failed check doesn't block the subject's later requests
+    quotaService.store = store
+    const result = await quotaService.consume('ip:127.0.0.1', limits, {
+      requests: 1,
+    })
+    assert.equal(result.allowed, true)
+  } finally {
+    quotaService.store = store
+  }
+})
+
+// Run enforceQuota for an anonymous request from `ip` and return req
+async function quotaFor(ip, path, body = {}) {
+  const headers = {}
+  const req = {
+    headers: {},
+    socket: { remoteAddress: ip },
+    baseUrl: '/analyze',
+    path,
+    body,
+  }
+  const res = {
+    getHeader: (name) => headers[name],
+    setHeader: (name, value) => (headers[name] = value),
+  }
+  await new Promise((resolve, reject) =>
+    enforceQuota(req, res, (error) => (error ? reject(error) : resolve()))
+  )
+  return req
+}
+
+test('section refreshes cost an analysis', async () => {
+  const req = await quotaFor(
+    '10.0.0.1',
+    '/company/Acme/sections/techStack/refresh'
+  )
+  assert.equal(req.quota.metrics.analyses.used, 1)
+})
+
+test('awaitRefresh follow-ups are only charged when they need a fresh analysis', async () => {
+  const first = await quotaFor('10.0.0.2', '/company/stream', {
+    companyName: 'Acme',
+  })
+  assert.equal(first.quota.metrics.analyses.used, 1)
+
+  const followUp = await quotaFor('10.0.0.2', '/company/stream', {
+    companyName: 'Acme',
+    awaitRefresh: true,
+  })
+  assert.equal(followUp.quota.metrics.analyses, undefined)
+
+  // The cached entry was gone - charged once, however often it is asked
+  assert.equal(await chargeFollowUpAnalysis(followUp), null)
+  assert.equal(await chargeFollowUpAnalysis(followUp), null)
+  const usage = await quotaService.getUsage(
+    followUp.quota.subject,
+    quotaService.limitsFor(followUp.quota.plan)
+  )
+  assert.equal(usage.analyses.used, 2)
+})
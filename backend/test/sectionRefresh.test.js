@@ -0,0 +1,78 @@
+const { startServer } = require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { cacheService, perplexityService } = require('../src/services')
+
+const PROFILE_URL = 'https://www.linkedin.com/in/jane-doe-123/'
+const COMPANY_URL = 'https://www.linkedin.com/company/acme-robotics/'
+
+test('person section refreshes use the profile key and observed facts', async () => {
+  await cacheService.set(
+    cacheService.generatePersonKey('Jane Doe', 'Acme', {
+      profileUrl: PROFILE_URL,
+    }),
+    { name: 'Jane Doe', title: 'CTO', metadata: {} }
+  )
+  const refreshPersonSection = perplexityService.refreshPersonSection
+  let received = null
+  perplexityService.refreshPersonSection = async (personData, section) => {
+    received = personData
+    return { success: true, section, fields: {}, provenance: {} }
+  }
+  const server = await startServer()
+
+  try {
+    const response = await server.request(
+      'POST',
+      '/analyze/person/Jane%20Doe/sections/personBasicInfo/refresh',
+      {
+        body: {
+          companyName: 'Acme',
+          profileUrl: PROFILE_URL,
+          observedFacts: { headline: 'CTO at Acme', unknown: 'dropped' },
+        },
+      }
+    )
+    assert.equal(response.status, 200)
+    assert.equal(received.profileUrl, PROFILE_URL)
+    assert.deepEqual(received.observedFacts, { headline: 'CTO at Acme' })
+  } finally {
+    perplexityService.refreshPersonSection = refreshPersonSection
+    await server.close()
+  }
+})
+
+test('company section refreshes use the company URL key', async () => {
+  await cacheService.set(
+    cacheService.generateCompanyKey('Acme', { companyUrl: COMPANY_URL }),
+    { companyName: 'Acme', metadata: { companyDomain: 'acme.example' } }
+  )
+  const refreshCompanySection = perplexityService.refreshCompanySection
+  let received = null
+  perplexityService.refreshCompanySection = async (name, section, options) => {
+    received = options
+    return { success: true, section, fields: {}, provenance: {} }
+  }
+  const server = await startServer()
+
+  try {
+    const response = await server.request(
+      'POST',
+      '/analyze/company/Acme%20Robotics/sections/techStack/refresh',
+      { body: { companyUrl: COMPANY_URL } }
+    )
+    assert.equal(response.status, 200)
+    assert.equal(received.companyDomain, 'acme.example')
+    assert.equal(received.hints.companyUrl, COMPANY_URL)
+
+    // Without the URL the name alone finds nothing cached
+    const byName = await server.request(
+      'POST',
+      '/analyze/company/Acme%20Robotics/sections/techStack/refresh'
+    )
+    assert.equal(byName.status, 404)
+  } finally {
+    perplexityService.refreshCompanySection = refreshCompanySection
+    await server.close()
+  }
+})
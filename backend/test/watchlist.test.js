@@ -0,0 +1,144 @@
+const { startServer } = require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const config = require('../src/config')
+const {
+  apiKeyService,
+  watchlistService,
+  workspaceService,
+} = require('../src/services')
+
+test('watchlist checks run in the workspace the entry was added in', async () => {
+  const workspace = workspaceService.create(
+    { id: 'carol' },
+    { name: 'Watch Test Team', cacheScope: 'workspace' }
+  )
+  const { added } = await workspaceService.runInWorkspace(
+    workspaceService.contextFor(workspace.id),
+    () => watchlistService.add('carol', [{ companyName: 'Watched Test Co' }])
+  )
+  const [entry] = added
+  assert.equal(entry.workspaceId, workspace.id)
+
+  const reanalyze = watchlistService.reanalyze
+  let scope
+  watchlistService.reanalyze = async () => {
+    scope = workspaceService.currentCacheScope()
+    return []
+  }
+
+  try {
+    // Scheduled checks run outside any request
+    await watchlistService.checkEntry(entry)
+    assert.equal(scope, workspace.id)
+  } finally {
+    watchlistService.reanalyze = reanalyze
+  }
+})
+
+test('scheduled checks stop at the per-owner daily cap', async () => {
+  const { added } = await watchlistService.add('dave', [
+    { companyName: 'Capped Test Co' },
+  ])
+  const [entry] = added
+
+  const reanalyze = watchlistService.reanalyze
+  const cap = config.watchlist.maxScheduledChecksPerDay
+  let runs = 0
+  watchlistService.reanalyze = async (checked) => {
+    runs++
+    checked.lastStatus = 'ok'
+    return []
+  }
+  config.watchlist.maxScheduledChecksPerDay = 2
+
+  try {
+    for (let i = 0; i < 3; i++) {
+      await watchlistService.checkEntry(entry, { scheduled: true })
+    }
+    assert.equal(runs, 2)
+    assert.equal(entry.lastStatus, 'quota_exceeded')
+    assert.ok(Date.parse(entry.nextCheckAt) > Date.now())
+
+    // Checking now from the API isn't capped here (the route's quota applies)
+    await watchlistService.checkEntry(entry)
+    assert.equal(runs, 3)
+  } finally {
+    watchlistService.reanalyze = reanalyze
+    config.watchlist.maxScheduledChecksPerDay = cap
+  }
+})
+
+test('watchlist routes need a signed-in user', async () => {
+  const server = await startServer()
+  try {
+    const anonymous = await server.request('GET', '/watchlist')
+    assert.equal(anonymous.status, 401)
+
+    const { key } = apiKeyService.create('erin', {
+      name: 'watch',
+      scope: 'analyze',
+    })
+    const created = await server.request('POST', '/watchlist', {
+      headers: { 'X-API-Key': key },
+      body: { companyName: 'Signed In Test Co' },
+    })
+    assert.equal(created.status, 201)
+    assert.equal(created.body.added[0].ownerId, 'erin')
+
+    const check = await server.request(
+      'POST',
+      `/watchlist/${created.body.added[0].id}/check`
+    )
+    assert.equal(check.status, 401)
+  } finally {
+    server.close()
+  }
+})
+
+test('polling events pages through a burst oldest first', async () => {
+  const detectedAt = new Date().toISOString()
+  watchlistService.recordEvents(
+    Array.from({ length: 5 }, (_, i) => ({
+      id: `evt_burst_${i}`,
+      ownerId: 'frank',
+      companyName: 'Burst Test Co',
+      detectedAt,
+    }))
+  )
+  const since = new Date(Date.parse(detectedAt) - 1000).toISOString()
+
+  const seen = []
+  let page = watchlistService.getEvents('frank', { since, limit: 2 })
+  seen.push(...page.events)
+  while (page.hasMore) {
+    page = watchlistService.getEvents('frank', {
+      after: page.nextCursor,
+      since,
+      limit: 2,
+    })
+    seen.push(...page.events)
+  }
+
+  assert.deepEqual(
+    seen.map((event) => event.id),
+    ['evt_burst_0', 'evt_burst_1', 'evt_burst_2', 'evt_burst_3', 'evt_burst_4']
+  )
+
+  // Nothing new - the cursor stays put
+  const empty = watchlistService.getEvents('frank', {
+    after: page.nextCursor,
+    limit: 2,
+  })
+  assert.deepEqual(empty.events, [])
+  assert.equal(empty.hasMore, false)
+  assert.equal(empty.nextCursor, 'evt_burst_4')
+
+  // The latest events, newest first
+  const latest = watchlistService.getEvents('frank', { limit: 2 })
+  assert.deepEqual(
+    latest.events.map((event) => event.id),
+    ['evt_burst_4', 'evt_burst_3']
+  )
+  assert.equal(latest.hasMore, true)
+})
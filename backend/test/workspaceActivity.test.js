@@ -0,0 +1,45 @@
+require('./helpers')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { EventEmitter } = require('node:events')
+const workspaceService = require('../src/services/workspaceService')
+const {
+  recordWorkspaceAnalysis,
+  markAnalysisServed,
+} = require('../src/middleware/workspaceActivity')
+
+// Run the middleware, let the route answer, then finish the response
+async function runAnalysis(route) {
+  const recorded = []
+  const recordAnalysis = workspaceService.recordAnalysis
+  workspaceService.recordAnalysis = (...args) => recorded.push(args)
+
+  try {
+    const req = {
+      workspace: { id: 'ws_1' },
+      user: { id: 'user_1' },
+      body: { companyName: 'Acme' },
+    }
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      locals: {},
+    })
+    recordWorkspaceAnalysis('company')(req, res, () => route(res))
+    res.emit('finish')
+  } finally {
+    workspaceService.recordAnalysis = recordAnalysis
+  }
+  return recorded
+}
+
+test('records an analysis the route marked as served', async () => {
+  const recorded = await runAnalysis((res) => markAnalysisServed(res))
+  assert.equal(recorded.length, 1)
+  assert.equal(recorded[0][0], 'ws_1')
+})
+
+test('skips failed analyses, including SSE streams that answered 200', async () => {
+  // e.g. a stream that sent an error event - the status is still 200
+  const recorded = await runAnalysis(() => {})
+  assert.equal(recorded.length, 0)
+})
@@ -53,6 +53,8 @@ class LinkedIntelPopup {
     this.updateUI()
     this.updateAuthUI()
     this.animateElements()
+    this.loadRecentUsage()
+    this.loadQuotaLimits()
 
     // Track popup opened
     this.trackEvent('popup_opened', {
@@ -90,6 +92,162 @@ class LinkedIntelPopup {
     }
   }
 
+  // Load recent consumption from the backend usage ledger
+  async loadRecentUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_USAGE_HISTORY',
+        data: { days: 7, limit: 5 },
+      })
+      if (response?.success) {
+        this.renderRecentUsage(response)
+      }
+    } catch (error) {
+      logger.debug('Recent usage unavailable:', error)
+    }
+  }
+
+  // Render the recent consumption list (hidden when there is nothing to show)
+  renderRecentUsage({ summary, recent }) {
+    const container = document.getElementById('recent-usage')
+    const summaryEl = document.getElementById('recent-usage-summary')
+    const list = document.getElementById('recent-usage-list')
+    if (!container || !summaryEl || !list || summary.requests === 0) return
+
+    summaryEl.textContent = `${summary.requests} requests • ${
+      summary.cacheHits
+    } cached • ${summary.tokens.toLocaleString()} tokens`
+
+    const labels = {
+      'POST /analyze/company': 'Company analysis',
+      'POST /analyze/person': 'Profile analysis',
+      'POST /analyze/chat': 'Chat',
+      'batch:company': 'Batch company',
+      'batch:person': 'Batch profile',
+      'watchlist:check': 'Watchlist check',
+    }
+
+    list.innerHTML = ''
+    recent.forEach((entry) => {
+      const item = document.createElement('li')
+      item.className = 'recent-usage-item'
+
+      const label = document.createElement('span')
+      label.textContent = labels[entry.endpoint] || entry.endpoint
+
+      const meta = document.createElement('span')
+      meta.className = 'recent-usage-meta'
+      const when = new Date(entry.timestamp).toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+      })
+      meta.textContent = entry.cacheHit
+        ? `cached • ${when}`
+        : `${entry.tokens.total.toLocaleString()} tokens • ${when}`
+
+      item.append(label, meta)
+      list.appendChild(item)
+    })
+
+    container.style.display = 'block'
+  }
+
+  // Load the user's team workspaces into the picker (hidden when there are none)
+  async loadWorkspaces() {
+    const picker = document.getElementById('workspace-picker')
+    const select = document.getElementById('workspace-select')
+    if (!picker || !select) return
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_WORKSPACES',
+      })
+      if (!response?.success || response.workspaces.length === 0) {
+        picker.style.display = 'none'
+        return
+      }
+
+      select.innerHTML = '<option value="">Personal</option>'
+      response.workspaces.forEach((workspace) => {
+        const option = document.createElement('option')
+        option.value = workspace.id
+        option.textContent = workspace.name
+        select.appendChild(option)
+      })
+      select.value = response.selectedId || ''
+
+      select.onchange = async () => {
+        await chrome.runtime.sendMessage({
+          type: 'SET_WORKSPACE',
+          data: { workspaceId: select.value || null },
+        })
+        this.trackEvent('workspace_selected', {
+          is_personal: !select.value,
+        })
+        this.loadQuotaLimits()
+      }
+
+      picker.style.display = 'flex'
+    } catch (error) {
+      logger.debug('Workspaces unavailable:', error)
+    }
+  }
+
+  // Load the plan's quota limits from the backend
+  async loadQuotaLimits() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_USAGE_LIMITS',
+      })
+      if (response?.success) {
+        this.renderQuotaLimits(response)
+      }
+    } catch (error) {
+      logger.debug('Quota limits unavailable:', error)
+    }
+  }
+
+  // Render what is left of each quota and when its window resets
+  renderQuotaLimits({ plan, limits }) {
+    const container = document.getElementById('quota-limits')
+    const planEl = document.getElementById('quota-plan')
+    const list = document.getElementById('quota-limits-list')
+    if (!container || !planEl || !list || !limits) return
+
+    planEl.textContent = `${plan.charAt(0).toUpperCase()}${plan.slice(1)} plan`
+
+    const labels = {
+      requests: 'Requests',
+      analyses: 'Analyses',
+      chatMessages: 'Chat messages',
+    }
+
+    list.innerHTML = ''
+    Object.entries(limits).forEach(([metric, quota]) => {
+      const item = document.createElement('li')
+      item.className = 'recent-usage-item'
+
+      const label = document.createElement('span')
+      label.textContent = labels[metric] || metric
+
+      const meta = document.createElement('span')
+      meta.className = 'recent-usage-meta'
+      if (quota.remaining === 0) {
+        meta.classList.add('quota-exhausted')
+      }
+      const resets = new Date(quota.resetAt).toLocaleTimeString(undefined, {
+        hour: 'numeric',
+        minute: '2-digit',
+      })
+      meta.textContent = `${quota.remaining}/${quota.limit} left • resets ${resets}`
+
+      item.append(label, meta)
+      list.appendChild(item)
+    })
+
+    container.style.display = 'block'
+  }
+
   // Update the UI with current usage status
   updateUI() {
     if (!this.usageStatus) return
@@ -467,6 +625,8 @@ class LinkedIntelPopup {
         userEmail.textContent = this.usageStatus.userEmail
       }
 
+      this.loadWorkspaces()
+
       if (userAvatar && this.usageStatus.userAvatar) {
         userAvatar.src = this.usageStatus.userAvatar
       } else if (userAvatar) {
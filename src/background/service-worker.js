@@ -352,12 +352,18 @@ async function handleMessageByType(message, sender, sendResponse) {
         break
 
       case 'ANALYZE_PROFILE':
-        const profileResult = await analyzeProfile(message.data)
+        const profileResult = await analyzeProfile(
+          message.data,
+          sender.tab?.id
+        )
         sendResponse(profileResult)
         break
 
       case 'ANALYZE_COMPANY':
-        const companyResult = await analyzeCompany(message.data)
+        const companyResult = await analyzeCompany(
+          message.data,
+          sender.tab?.id
+        )
         sendResponse(companyResult)
         break
 
@@ -420,11 +426,55 @@ async function handleMessageByType(message, sender, sendResponse) {
         break
 
       case 'CHAT':
-        // Handle chat query to Perplexity
-        const chatResult = await handleChat(message.data)
+        // Handle chat query - answer tokens are streamed to the tab as CHAT_TOKEN
+        const chatResult = await handleChat(message.data, sender.tab?.id)
         sendResponse(chatResult)
         break
 
+      case 'REFRESH_SECTION':
+        // Re-run one section of a cached analysis (insights panel tab refresh)
+        const sectionResult = await handleRefreshSection(message.data)
+        sendResponse(sectionResult)
+        break
+
+      case 'GET_USAGE_HISTORY':
+        // Recent consumption from the backend usage ledger (popup)
+        const usageHistory = await handleGetUsageHistory(message.data)
+        sendResponse(usageHistory)
+        break
+
+      case 'GET_USAGE_LIMITS':
+        // Plan quota limits and what is left of them (popup)
+        const usageLimits = await handleGetUsageLimits()
+        sendResponse(usageLimits)
+        break
+
+      case 'GET_WORKSPACES':
+        // Team workspaces the user belongs to + the selected one (popup)
+        const workspaces = await handleGetWorkspaces()
+        sendResponse(workspaces)
+        break
+
+      case 'SET_WORKSPACE':
+        // Select a team workspace (null = personal)
+        await chrome.storage.local.set({
+          workspace_id: message.data?.workspaceId || null,
+        })
+        sendResponse({ success: true })
+        break
+
+      case 'GET_TEAM_ACCOUNT':
+        // Teammates' analyses and notes for an account (insights panel)
+        const teamAccount = await handleGetTeamAccount(message.data)
+        sendResponse(teamAccount)
+        break
+
+      case 'GET_ANALYSIS_DIFF':
+        // "What changed" since the previous snapshot (Overview tab)
+        const diffResult = await handleGetAnalysisDiff(message.data)
+        sendResponse(diffResult)
+        break
+
       case 'OPEN_POPUP':
         // Handle opening the popup for sign-in
         try {
@@ -624,6 +674,9 @@ chrome.runtime.onConnect.addListener((port) => {
   }
 })
 
+const MAX_COMPANY_PAGE_FACTS = 50 // Company pages remembered for observed facts
+const MAX_PROFILE_OBSERVED_FACTS = 50 // Profiles remembered for section refreshes
+
 // New message handlers
 async function handlePageDetected(pageData, sender) {
   logger.info('[LinkedIntel] Page detected:', pageData)
@@ -636,6 +689,106 @@ async function handlePageDetected(pageData, sender) {
       timestamp: Date.now(),
     },
   })
+
+  // Remember company page facts - a later profile analysis of someone working
+  // there sends them as observed facts
+  if (pageData.type === 'company' && pageData.name) {
+    const { companyPageFacts = {} } = await chrome.storage.local.get(
+      'companyPageFacts'
+    )
+    companyPageFacts[pageData.name.toLowerCase()] = {
+      industry: pageData.industry || null,
+      companySize: pageData.size || null,
+      timestamp: Date.now(),
+    }
+
+    // Keep the most recently seen companies only
+    const names = Object.keys(companyPageFacts).sort(
+      (a, b) => companyPageFacts[b].timestamp - companyPageFacts[a].timestamp
+    )
+    names
+      .slice(MAX_COMPANY_PAGE_FACTS)
+      .forEach((name) => delete companyPageFacts[name])
+
+    await chrome.storage.local.set({ companyPageFacts })
+  }
+}
+
+/**
+ * Facts scraped from the profile (and the company's page, if visited) that the
+ * backend treats as ground truth - see observedFacts in the backend README
+ */
+async function buildObservedFacts(profileData) {
+  const companyName = profileData.company || ''
+  const { companyPageFacts = {} } = await chrome.storage.local.get(
+    'companyPageFacts'
+  )
+  const companyFacts = companyPageFacts[companyName.toLowerCase()] || {}
+
+  const posts = profileData.recentPosts?.length
+    ? profileData.recentPosts
+    : profileData.activity?.recentPosts || []
+
+  return {
+    headline: profileData.headline?.substring(0, 300) || null,
+    currentCompany: companyName || null,
+    location: profileData.location || null,
+    industry: companyFacts.industry || null,
+    companySize: companyFacts.companySize || null,
+    recentPosts: posts
+      .filter((post) => post?.text)
+      .slice(0, 5)
+      .map((post) => ({
+        text: post.text.substring(0, 500),
+        date: post.date || null,
+      })),
+  }
+}
+
+/**
+ * LinkedIn profile slug - the part of the profile URL the backend keys people by
+ */
+function profileSlug(profileUrl) {
+  const match = String(profileUrl || '').match(/\/in\/([^/?#]+)/)
+  return match ? match[1].toLowerCase() : null
+}
+
+/**
+ * Remember the observed facts a profile was analyzed with, so a section
+ * refresh is grounded in the same facts
+ */
+async function rememberObservedFacts(profileUrl, observedFacts) {
+  const slug = profileSlug(profileUrl)
+  if (!slug) return
+
+  const { profileObservedFacts = {} } = await chrome.storage.session.get(
+    'profileObservedFacts'
+  )
+  profileObservedFacts[slug] = { observedFacts, timestamp: Date.now() }
+
+  // Keep the most recently analyzed profiles only
+  const slugs = Object.keys(profileObservedFacts).sort(
+    (a, b) =>
+      profileObservedFacts[b].timestamp - profileObservedFacts[a].timestamp
+  )
+  slugs
+    .slice(MAX_PROFILE_OBSERVED_FACTS)
+    .forEach((key) => delete profileObservedFacts[key])
+
+  await chrome.storage.session.set({ profileObservedFacts })
+}
+
+/**
+ * Observed facts a profile was last analyzed with, if any
+ */
+async function getRememberedObservedFacts(profileUrl) {
+  const slug = profileSlug(profileUrl)
+  if (!slug) return undefined
+
+  const { profileObservedFacts = {} } = await chrome.storage.session.get(
+    'profileObservedFacts'
+  )
+  return profileObservedFacts[slug]?.observedFacts
 }
 
 /**
@@ -828,7 +981,7 @@ async function updateBadge(tabId = null) {
   }
 }
 
-async function analyzeProfile(profileData) {
+async function analyzeProfile(profileData, tabId = null) {
   logger.debug(
     '[LinkedIntel] Analyzing profile with enhanced combined analysis:',
     profileData
@@ -885,7 +1038,12 @@ async function analyzeProfile(profileData) {
       profileUrl: profileData.url || '',
       companyName: companyName,
       includeCompanyAnalysis: !!companyName, // Only request company analysis if we have a company
+      observedFacts: await buildObservedFacts(profileData),
     }
+    await rememberObservedFacts(
+      personApiData.profileUrl,
+      personApiData.observedFacts
+    )
 
     logger.debug(
       '[LinkedIntel] API Request Data:',
@@ -897,7 +1055,12 @@ async function analyzeProfile(profileData) {
     )
 
     // Make single API call that includes both person and company analysis
-    const result = await makeAPICall('/analyze/person', 'POST', personApiData)
+    // Streamed so the insights panel fills in as each section completes
+    const result = await makeAnalysisCall(
+      '/analyze/person',
+      personApiData,
+      tabId
+    )
 
     logger.info('[LinkedIntel] API Response:', JSON.stringify(result, null, 2))
 
@@ -957,6 +1120,16 @@ async function analyzeProfile(profileData) {
         plan_type: usageStatus.planType || 'anonymous',
       })
 
+      // Stale cache hit - backend is refreshing it, push the fresh data when it lands
+      const refreshId = result.refreshing
+        ? watchBackgroundRefresh(
+            '/analyze/person',
+            personApiData,
+            tabId,
+            'profile'
+          )
+        : null
+
       return {
         data: result.data, // This now contains both profile and company data
         pageType: 'profile', // ✅ Indicate this is a profile analysis
@@ -964,6 +1137,8 @@ async function analyzeProfile(profileData) {
         analysesRemaining: updatedUsageStatus.analysesRemaining,
         usageStatus: updatedUsageStatus,
         fromCache: wasCached,
+        stale: result.stale || false,
+        refreshId,
         combinedAnalysis: result.combinedAnalysis || false,
         usage: result.usage,
       }
@@ -985,7 +1160,7 @@ async function analyzeProfile(profileData) {
   }
 }
 
-async function analyzeCompany(companyData) {
+async function analyzeCompany(companyData, tabId = null) {
   logger.info('[LinkedIntel] Analyzing company:', companyData)
 
   // Check usage limits first
@@ -1018,15 +1193,40 @@ async function analyzeCompany(companyData) {
       description: companyData.description || '',
     }
 
+    // LinkedIn page URL and picked domain let the backend tell apart companies
+    // sharing a name ("Mercury")
+    if (companyData.url && companyData.url.includes('/company/')) {
+      apiData.companyUrl = companyData.url
+    }
+    if (companyData.companyDomain) {
+      apiData.companyDomain = companyData.companyDomain
+    }
+
     logger.info('[LinkedIntel] Calling backend API for company analysis')
 
-    // Call backend API
-    const backendResponse = await makeAPICall(
+    // Call backend API (streamed so the insights panel fills in as sections complete)
+    const backendResponse = await makeAnalysisCall(
       '/analyze/company',
-      'POST',
-      apiData
+      apiData,
+      tabId
     )
 
+    // Several companies share this name - the insights panel asks the user to
+    // pick one and re-sends with its companyDomain (nothing was charged)
+    if (backendResponse?.errorType === 'needs_disambiguation') {
+      logger.info(
+        `[LinkedIntel] "${apiData.companyName}" is ambiguous - ${backendResponse.candidates?.length} candidates`
+      )
+      return {
+        needsDisambiguation: true,
+        companyName: apiData.companyName,
+        candidates: backendResponse.candidates || [],
+        companyData,
+        pageType: 'company',
+        usageStatus,
+      }
+    }
+
     if (!backendResponse || backendResponse.error || !backendResponse.success) {
       throw new Error(backendResponse?.error || 'Analysis failed')
     }
@@ -1095,6 +1295,11 @@ async function analyzeCompany(companyData) {
       plan_type: usageStatus.planType || 'anonymous',
     })
 
+    // Stale cache hit - backend is refreshing it, push the fresh data when it lands
+    const refreshId = backendResponse.refreshing
+      ? watchBackgroundRefresh('/analyze/company', apiData, tabId, 'company')
+      : null
+
     return {
       data: analysisResult,
       pageType: 'company', // ✅ Indicate this is a company analysis
@@ -1102,6 +1307,8 @@ async function analyzeCompany(companyData) {
       analysesRemaining: updatedUsageStatus.analysesRemaining,
       usageStatus: updatedUsageStatus,
       fromCache: wasCached,
+      stale: backendResponse.stale || false,
+      refreshId,
     }
   } catch (error) {
     logger.error('[LinkedIntel] Company analysis error:', error)
@@ -1181,12 +1388,15 @@ async function incrementAnonymousUsage(usageStatus) {
 
 /**
  * Handle chat query to backend
+ * Streams the answer from /analyze/chat/stream, relaying tokens to the tab
+ * (CHAT_TOKEN with the chatId the content script sent); falls back to the
+ * JSON endpoint if streaming is unavailable
  */
-async function handleChat(chatData) {
+async function handleChat(chatData, tabId) {
   logger.info('[LinkedIntel] Handling chat query')
 
   try {
-    const { messages, context } = chatData
+    const { messages, context, subject, chatId } = chatData
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return {
@@ -1200,11 +1410,37 @@ async function handleChat(chatData) {
       messages: messages,
       context: context || null,
     }
+    if (subject) {
+      apiData.subject = subject
+    }
+
+    const sendToken = (text) => {
+      if (!tabId || !chatId) return
+      chrome.tabs
+        .sendMessage(tabId, { type: 'CHAT_TOKEN', data: { chatId, text } })
+        .catch(() => {
+          // Tab may have navigated away - the full answer is still returned
+        })
+    }
 
     logger.info('[LinkedIntel] Calling backend API for chat')
 
-    // Call backend API
-    const backendResponse = await makeAPICall('/analyze/chat', 'POST', apiData)
+    let backendResponse
+    try {
+      backendResponse = await makeStreamingAPICall(
+        '/analyze/chat/stream',
+        apiData,
+        { token: (payload) => sendToken(payload.text) }
+      )
+    } catch (error) {
+      if (error.streamStarted) {
+        throw error
+      }
+      logger.warn(
+        `[LinkedIntel] Chat streaming unavailable (${error.message}), falling back to /analyze/chat`
+      )
+      backendResponse = await makeAPICall('/analyze/chat', 'POST', apiData)
+    }
 
     if (!backendResponse || backendResponse.error || !backendResponse.success) {
       throw new Error(backendResponse?.error || 'Chat failed')
@@ -1217,6 +1453,7 @@ async function handleChat(chatData) {
       success: true,
       message: backendResponse.message,
       citations: backendResponse.citations || [],
+      fieldCitations: backendResponse.fieldCitations || [],
       timestamp: backendResponse.timestamp || new Date().toISOString(),
     }
   } catch (error) {
@@ -1229,6 +1466,421 @@ async function handleChat(chatData) {
   }
 }
 
+// Backend micro-prompt section → insights panel progress step(s)
+const STREAM_SECTION_STEPS = {
+  stockData: ['stockData'],
+  recentNews: ['recentNews'],
+  growthEvents: ['growthEvents'],
+  companyChallenges: ['companyChallenges'],
+  techStack: ['techStack'],
+  priorityContacts: ['priorityContacts'],
+  companyActivity: ['companyActivity'],
+  companyIntelligence: ['fitScore', 'recommendation'],
+  personBasicInfo: ['personProfile'],
+  personQuotedChallenges: ['personPainPoints'],
+}
+
+/**
+ * Relay analysis progress to the content script's insights panel
+ */
+function sendAnalysisProgress(tabId, stepId, status) {
+  if (!tabId) return
+
+  chrome.tabs
+    .sendMessage(tabId, {
+      type: 'ANALYSIS_PROGRESS',
+      data: { stepId, status },
+    })
+    .catch(() => {
+      // Tab may have navigated away - progress is best-effort
+    })
+}
+
+/**
+ * Run an analysis via the SSE streaming endpoint, relaying section progress to the tab
+ * Falls back to the regular JSON endpoint if streaming is unavailable
+ */
+async function makeAnalysisCall(endpoint, data, tabId) {
+  try {
+    return await makeStreamingAPICall(`${endpoint}/stream`, data, {
+      start: (payload) => {
+        ;(payload.sections || []).forEach((section) => {
+          ;(STREAM_SECTION_STEPS[section] || []).forEach((stepId) =>
+            sendAnalysisProgress(tabId, stepId, 'loading')
+          )
+        })
+      },
+      section: (payload) => {
+        ;(STREAM_SECTION_STEPS[payload.section] || []).forEach((stepId) =>
+          sendAnalysisProgress(
+            tabId,
+            stepId,
+            payload.success ? 'completed' : 'error'
+          )
+        )
+      },
+    })
+  } catch (error) {
+    if (error.streamStarted) {
+      throw error
+    }
+    logger.warn(
+      `[LinkedIntel] Streaming unavailable (${error.message}), falling back to ${endpoint}`
+    )
+    return makeAPICall(endpoint, 'POST', data)
+  }
+}
+
+/**
+ * Follow up on a stale cache hit: re-send the request with awaitRefresh so the
+ * backend holds it until its background refresh lands, then push the fresh
+ * analysis to the tab (ANALYSIS_REFRESHED) for the insights panel to swap in
+ * @returns {string|null} Refresh id the panel matches against, or null without a tab
+ */
+function watchBackgroundRefresh(endpoint, data, tabId, pageType) {
+  if (!tabId) return null
+
+  const refreshId = `${pageType}-${Date.now()}`
+  const notifyTab = (type, payload = {}) =>
+    chrome.tabs
+      .sendMessage(tabId, { type, data: { refreshId, ...payload } })
+      .catch(() => {
+        // Tab may have navigated away - the next analysis picks up the fresh cache
+      })
+
+  makeAnalysisCall(endpoint, { ...data, awaitRefresh: true }, null)
+    .then(async (result) => {
+      if (!result || !result.success || result.stale) {
+        throw new Error(result?.error || 'Background refresh did not complete')
+      }
+      if (result.usage) {
+        await syncUsageFromResponse(result.usage)
+      }
+      logger.info(`[LinkedIntel] Background refresh landed for ${endpoint}`)
+      notifyTab('ANALYSIS_REFRESHED', { data: result.data, pageType })
+    })
+    .catch((error) => {
+      logger.warn('[LinkedIntel] Background refresh failed:', error.message)
+      notifyTab('ANALYSIS_REFRESH_FAILED')
+    })
+
+  return refreshId
+}
+
+/**
+ * POST to an SSE endpoint and dispatch events until `complete` or `error`
+ * Resolves with the `complete` payload (same shape as the non-streaming response)
+ */
+async function makeStreamingAPICall(endpoint, data, handlers = {}) {
+  const url = `${CONFIG.API_BASE_URL}${endpoint}`
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'text/event-stream',
+    'User-Agent': 'LinkedIntel-Extension/1.0.0',
+  }
+
+  const { auth_token, workspace_id } = await chrome.storage.local.get([
+    'auth_token',
+    'workspace_id',
+  ])
+  if (auth_token) {
+    headers['Authorization'] = `Bearer ${auth_token}`
+  }
+  if (workspace_id) {
+    headers['X-Workspace-Id'] = workspace_id
+  }
+
+  // Idle timeout - reset whenever the backend sends anything (events or heartbeats)
+  const controller = new AbortController()
+  let timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT)
+  const resetTimeout = () => {
+    clearTimeout(timeoutId)
+    timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT)
+  }
+
+  let streamStarted = false
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(data),
+      signal: controller.signal,
+    })
+
+    const contentType = response.headers.get('Content-Type') || ''
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      throw new Error(`Stream not available (${response.status})`)
+    }
+
+    streamStarted = true
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      resetTimeout()
+
+      buffer += decoder.decode(value, { stream: true })
+      const frames = buffer.split('\n\n')
+      buffer = frames.pop()
+
+      for (const frame of frames) {
+        let event = 'message'
+        let payload = ''
+        frame.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) event = line.slice(6).trim()
+          else if (line.startsWith('data:')) payload += line.slice(5).trim()
+        })
+        if (!payload) continue // Heartbeat comment
+
+        const parsed = JSON.parse(payload)
+
+        if (event === 'complete') {
+          return parsed
+        }
+        if (event === 'error') {
+          return parsed // { success: false, error, usage? } - handled like a JSON error response
+        }
+        if (handlers[event]) {
+          handlers[event](parsed)
+        }
+      }
+    }
+
+    throw new Error('Stream ended unexpectedly')
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      error = new Error('Request timeout - backend might be unavailable')
+    }
+    error.streamStarted = streamStarted
+    throw error
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Refresh one section of a cached company/person analysis
+ * The body carries the identity the analysis was cached under (companyUrl, or
+ * companyName + profileUrl) and the profile's observed facts
+ * @param {Object} sectionData - { pageType, section, companyName, personName, title, profileUrl?, companyUrl? }
+ */
+async function handleRefreshSection(sectionData) {
+  const {
+    pageType,
+    section,
+    companyName,
+    personName,
+    title,
+    profileUrl,
+    companyUrl,
+  } = sectionData || {}
+  logger.info(`[LinkedIntel] Refreshing ${pageType} section: ${section}`)
+
+  try {
+    const endpoint =
+      pageType === 'company'
+        ? `/analyze/company/${encodeURIComponent(
+            companyName
+          )}/sections/${section}/refresh`
+        : `/analyze/person/${encodeURIComponent(
+            personName
+          )}/sections/${section}/refresh`
+    const body =
+      pageType === 'company'
+        ? { companyUrl }
+        : {
+            companyName: companyName || '',
+            title,
+            profileUrl,
+            observedFacts: await getRememberedObservedFacts(profileUrl),
+          }
+
+    const backendResponse = await makeAPICall(endpoint, 'POST', body)
+
+    if (!backendResponse || !backendResponse.success) {
+      throw new Error(backendResponse?.error || 'Section refresh failed')
+    }
+
+    return {
+      success: true,
+      section: backendResponse.section,
+      data: backendResponse.data,
+      provenance: backendResponse.provenance || {},
+      refreshedAt: backendResponse.refreshedAt,
+    }
+  } catch (error) {
+    logger.error('[LinkedIntel] Section refresh error:', error)
+    return {
+      success: false,
+      error: error.message || 'Failed to refresh section. Please try again.',
+    }
+  }
+}
+
+/**
+ * Diff the two latest snapshots of a company/person analysis
+ * Checks history first so entities with a single snapshot don't hit a 404
+ * The URLs pick the cache key the analysis was stored under
+ * @param {Object} diffData - { pageType, companyName, personName, companyUrl?, profileUrl? }
+ */
+async function handleGetAnalysisDiff(diffData) {
+  const { pageType, companyName, personName, companyUrl, profileUrl } =
+    diffData || {}
+
+  try {
+    const basePath =
+      pageType === 'company'
+        ? `/analyze/company/${encodeURIComponent(companyName)}`
+        : `/analyze/person/${encodeURIComponent(personName)}`
+    const params = new URLSearchParams(
+      Object.entries(
+        pageType === 'company'
+          ? { companyUrl }
+          : { companyName: companyName || '', profileUrl }
+      ).filter(([, value]) => value !== undefined)
+    )
+    const query = params.toString() ? `?${params}` : ''
+
+    const history = await makeAPICall(`${basePath}/history${query}`)
+    if (!history?.success || (history.snapshots || []).length < 2) {
+      return { success: true, diff: null }
+    }
+
+    const diff = await makeAPICall(`${basePath}/diff${query}`)
+    if (!diff?.success) {
+      throw new Error(diff?.error || 'Diff failed')
+    }
+
+    return {
+      success: true,
+      diff: {
+        from: diff.from,
+        to: diff.to,
+        summary: diff.summary,
+        changes: diff.changes,
+      },
+    }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Analysis diff unavailable:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Fetch the user's recent consumption from the backend usage ledger
+ */
+async function handleGetUsageHistory(options) {
+  const days = options?.days || 7
+  const limit = options?.limit || 5
+
+  try {
+    const result = await makeAPICall(`/usage?days=${days}&limit=${limit}`)
+    if (!result?.success || !result.summary) {
+      return { success: false, error: result?.error || 'Usage unavailable' }
+    }
+
+    return {
+      success: true,
+      days: result.days,
+      summary: result.summary,
+      recent: result.recent || [],
+    }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Usage history unavailable:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the user's team workspaces and which one is selected
+ * A selection the user no longer belongs to is cleared
+ */
+async function handleGetWorkspaces() {
+  try {
+    const result = await makeAPICall('/workspaces')
+    if (!result?.success) {
+      return { success: false, error: result?.error || 'Workspaces unavailable' }
+    }
+
+    const { workspace_id } = await chrome.storage.local.get(['workspace_id'])
+    const selected = result.workspaces.some((ws) => ws.id === workspace_id)
+      ? workspace_id
+      : null
+    if (workspace_id && !selected) {
+      await chrome.storage.local.set({ workspace_id: null })
+    }
+
+    return {
+      success: true,
+      workspaces: result.workspaces.map(({ id, name, role }) => ({
+        id,
+        name,
+        role,
+      })),
+      selectedId: selected,
+    }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Workspaces unavailable:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get what the selected workspace knows about an account
+ * @param {Object} accountData - { type, name, companyName?, companyUrl?, profileUrl? }
+ * @returns {Promise<Object>} { success, analyzedBy, notes } (no workspace: success false)
+ */
+async function handleGetTeamAccount(accountData) {
+  const { workspace_id } = await chrome.storage.local.get(['workspace_id'])
+  if (!workspace_id) {
+    return { success: false, error: 'No workspace selected' }
+  }
+
+  const params = new URLSearchParams(
+    Object.entries(accountData || {}).filter(([, value]) => value)
+  )
+
+  try {
+    const result = await makeAPICall(
+      `/workspaces/${encodeURIComponent(workspace_id)}/accounts?${params}`
+    )
+    if (!result?.success) {
+      return { success: false, error: result?.error || 'Account unavailable' }
+    }
+
+    return {
+      success: true,
+      analyzedBy: result.analyzedBy || [],
+      notes: result.notes || [],
+    }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Team account unavailable:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the caller's plan quotas from the backend
+ * @returns {Promise<Object>} { success, plan, limits: { metric: { limit, used, remaining, resetAt } } }
+ */
+async function handleGetUsageLimits() {
+  try {
+    const result = await makeAPICall('/usage/limits')
+    if (!result?.success || !result.limits) {
+      return { success: false, error: result?.error || 'Limits unavailable' }
+    }
+
+    return { success: true, plan: result.plan, limits: result.limits }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Usage limits unavailable:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Make API call to backend with retry logic and timeout
  */
@@ -1251,7 +1903,10 @@ async function makeAPICall(endpoint, method = 'GET', data = null) {
       // Include auth token if available (for authenticated users)
       // Re-read on each attempt in case it was refreshed
       try {
-        const result = await chrome.storage.local.get(['auth_token'])
+        const result = await chrome.storage.local.get([
+          'auth_token',
+          'workspace_id',
+        ])
         if (result.auth_token) {
           options.headers['Authorization'] = `Bearer ${result.auth_token}`
           logger.debug('[LinkedIntel] Including auth token in API call')
@@ -1259,6 +1914,13 @@ async function makeAPICall(endpoint, method = 'GET', data = null) {
           // Remove Authorization header if no token exists
           delete options.headers['Authorization']
         }
+
+        // Work inside the team workspace picked in the popup
+        if (result.auth_token && result.workspace_id) {
+          options.headers['X-Workspace-Id'] = result.workspace_id
+        } else {
+          delete options.headers['X-Workspace-Id']
+        }
       } catch (error) {
         logger.warn('[LinkedIntel] Could not retrieve auth token:', error)
       }
@@ -1319,6 +1981,14 @@ async function makeAPICall(endpoint, method = 'GET', data = null) {
           // Continue to throw the error so UI shows the message
         }
 
+        // 409 needs_disambiguation - not a failure, the caller shows a picker
+        if (
+          response.status === 409 &&
+          errorData?.errorType === 'needs_disambiguation'
+        ) {
+          return errorData
+        }
+
         // Handle 401 Unauthorized - try to refresh token first
         if (response.status === 401 && attempt === 0) {
           logger.warn(
@@ -1760,6 +2430,7 @@ async function handleGoogleSignOut() {
       'monthly_analyses_limit',
       'plan_type',
       'auth_timestamp',
+      'workspace_id',
     ])
 
     // Step 4: Update badge
@@ -1842,12 +2513,129 @@ chrome.alarms.create('linkedintel-usage-sync', {
   periodInMinutes: 5,
 })
 
+// Poll watchlist trigger events (every 30 minutes)
+chrome.alarms.create('linkedintel-watchlist-poll', {
+  delayInMinutes: 1,
+  periodInMinutes: 30,
+})
+
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'linkedintel-usage-sync') {
     await syncUserUsage()
+  } else if (alarm.name === 'linkedintel-watchlist-poll') {
+    await pollWatchlistEvents()
   }
 })
 
+const WATCHLIST_NOTIFICATION_PREFIX = 'linkedintel-watch:'
+const MAX_WATCHLIST_NOTIFICATIONS = 3 // Per poll - the rest are summarized
+const MAX_WATCHLIST_EVENT_PAGES = 10 // Per poll - the rest wait for the next one
+
+/**
+ * Fetch watchlist trigger events since the last poll and raise notifications
+ * The first poll only records where the events end, so old events don't flood
+ * in. Later polls page through everything after the stored cursor (oldest
+ * first), so a burst of events is never skipped
+ */
+async function pollWatchlistEvents() {
+  try {
+    const { watchlist_events_since: since, watchlist_events_cursor: cursor } =
+      await chrome.storage.local.get([
+        'watchlist_events_since',
+        'watchlist_events_cursor',
+      ])
+
+    if (!since && !cursor) {
+      const response = await makeAPICall('/watchlist/events?limit=1')
+      if (response?.success) {
+        await chrome.storage.local.set({
+          watchlist_events_since: response.serverTime,
+          watchlist_events_cursor: response.nextCursor || null,
+        })
+      }
+      return
+    }
+
+    const events = []
+    let after = cursor
+    let hasMore = true
+    for (let page = 0; hasMore && page < MAX_WATCHLIST_EVENT_PAGES; page++) {
+      const params = new URLSearchParams(
+        Object.entries({ after, since }).filter(([, value]) => value)
+      )
+      const response = await makeAPICall(`/watchlist/events?${params}`)
+      if (!response?.success) {
+        break
+      }
+
+      events.push(...(response.events || []))
+      after = response.nextCursor || after
+      hasMore = response.hasMore === true
+
+      // `since` is only the fallback for a cursor the backend has pruned
+      await chrome.storage.local.set({
+        watchlist_events_cursor: after || null,
+        watchlist_events_since: hasMore
+          ? events[events.length - 1]?.detectedAt || since
+          : response.serverTime,
+      })
+    }
+
+    if (events.length === 0) {
+      return
+    }
+
+    logger.info(`[LinkedIntel] ${events.length} new watchlist events`)
+
+    // Events come oldest first - notify about the newest
+    events
+      .slice(-MAX_WATCHLIST_NOTIFICATIONS)
+      .reverse()
+      .forEach((event) => {
+        chrome.notifications.create(
+          `${WATCHLIST_NOTIFICATION_PREFIX}${encodeURIComponent(
+            event.companyName
+          )}:${event.id}`,
+          {
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: `${event.companyName}: ${event.title}`,
+            message: event.detail || 'New activity on a watched account',
+          }
+        )
+      })
+
+    const remaining = events.length - MAX_WATCHLIST_NOTIFICATIONS
+    if (remaining > 0) {
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'LinkedIntel Watchlist',
+        message: `${remaining} more changes on watched accounts.`,
+      })
+    }
+  } catch (error) {
+    logger.warn('[LinkedIntel] Watchlist poll failed:', error.message)
+  }
+}
+
+// Open the company on LinkedIn when a watchlist notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCHLIST_NOTIFICATION_PREFIX)) {
+    return
+  }
+
+  const companyName = decodeURIComponent(
+    notificationId.slice(WATCHLIST_NOTIFICATION_PREFIX.length).split(':')[0]
+  )
+  chrome.tabs.create({
+    url: `https://www.linkedin.com/search/results/companies/?keywords=${encodeURIComponent(
+      companyName
+    )}`,
+  })
+  chrome.notifications.clear(notificationId)
+})
+
 // ====================
 // SMART ICON ACTIVATION - WEB NAVIGATION BASED (#4 + #9)
 // ====================
@@ -1,5 +1,6 @@
 // LinkedIntel Chat Interface
-// Context-aware AI chat using Perplexity API
+// Context-aware AI chat grounded in the backend's cached analyses
+// Answers stream in token by token; [cN] markers cite analysis fields
 
 const chatLogger = window.createLogger('ChatInterface')
 
@@ -9,6 +10,10 @@ class ChatInterface {
     this.messages = []
     this.isLoading = false
     this.container = null
+    this.streamingReply = null // { chatId, content } while an answer streams in
+
+    this.handleChatToken = this.handleChatToken.bind(this)
+    chrome.runtime.onMessage.addListener(this.handleChatToken)
 
     // Load chat history from storage
     this.loadChatHistory()
@@ -326,7 +331,8 @@ class ChatInterface {
         </div>
         <div class="linkedintel-chat-message-content">
           <div class="linkedintel-chat-message-text">${this.formatMessage(
-            msg.content
+            msg.content,
+            msg.fieldCitations
           )}</div>
 
           ${
@@ -357,8 +363,10 @@ class ChatInterface {
 
   /**
    * Format message content (CopilotKit-inspired rich rendering)
+   * @param {string} text - Message markdown
+   * @param {Array} fieldCitations - Analysis fields the [cN] markers cite
    */
-  formatMessage(text) {
+  formatMessage(text, fieldCitations = []) {
     if (!text) return ''
 
     // Escape HTML first
@@ -447,9 +455,37 @@ class ChatInterface {
       '<a href="$1" target="_blank" rel="noopener" class="linkedintel-msg-link">$1</a>'
     )
 
+    // Convert [cN] analysis field citations to chips (unknown ids are dropped)
+    formatted = formatted.replace(/\[c(\d+)\]/g, (match, number) => {
+      const citation = (fieldCitations || []).find(
+        (item) => item.id === `c${number}`
+      )
+      return citation ? this.formatCitationChip(citation, number) : ''
+    })
+
     return formatted
   }
 
+  /**
+   * Citation chip - hover shows the cited analysis field, its value and sources
+   */
+  formatCitationChip(citation, number) {
+    const lines = [
+      `${citation.entityName} → ${citation.field}`,
+      String(citation.value ?? ''),
+    ]
+    if (citation.sources?.length > 0) {
+      lines.push(`Sources: ${citation.sources.join(', ')}`)
+    }
+    if (typeof citation.confidence === 'number') {
+      lines.push(`Confidence: ${Math.round(citation.confidence * 100)}%`)
+    }
+
+    return `<sup class="linkedintel-chat-citation" title="${this.escapeAttr(
+      lines.join('\n')
+    )}">${number}</sup>`
+  }
+
   /**
    * Format markdown tables
    */
@@ -778,16 +814,7 @@ class ChatInterface {
     try {
       const context = this.buildContext()
 
-      const response = await chrome.runtime.sendMessage({
-        type: 'CHAT',
-        data: {
-          messages: this.messages.map((m) => ({
-            role: m.role,
-            content: m.content,
-          })),
-          context: context,
-        },
-      })
+      const response = await this.requestReply(context)
 
       this.hideTypingIndicator()
 
@@ -796,6 +823,7 @@ class ChatInterface {
           role: 'assistant',
           content: response.message,
           citations: response.citations || [],
+          fieldCitations: response.fieldCitations || [],
           timestamp: response.timestamp,
         })
 
@@ -863,16 +891,7 @@ class ChatInterface {
       const context = this.buildContext()
 
       // Send to backend via service worker
-      const response = await chrome.runtime.sendMessage({
-        type: 'CHAT',
-        data: {
-          messages: this.messages.map((m) => ({
-            role: m.role,
-            content: m.content,
-          })),
-          context: context,
-        },
-      })
+      const response = await this.requestReply(context)
 
       this.hideTypingIndicator()
 
@@ -882,6 +901,7 @@ class ChatInterface {
           role: 'assistant',
           content: response.message,
           citations: response.citations || [],
+          fieldCitations: response.fieldCitations || [],
           timestamp: response.timestamp,
         })
 
@@ -913,6 +933,102 @@ class ChatInterface {
     }
   }
 
+  /**
+   * Ask the backend (via the service worker) for the next assistant message
+   * Tokens arrive as CHAT_TOKEN messages while this waits for the full answer
+   */
+  async requestReply(context) {
+    const chatId = `chat-${Date.now()}`
+    this.streamingReply = { chatId, content: '' }
+
+    try {
+      return await chrome.runtime.sendMessage({
+        type: 'CHAT',
+        data: {
+          chatId,
+          messages: this.messages.map((m) => ({
+            role: m.role,
+            content: m.content,
+          })),
+          context: context,
+          subject: this.buildSubject(),
+        },
+      })
+    } finally {
+      this.streamingReply = null
+      this.container?.querySelector('.linkedintel-chat-streaming')?.remove()
+    }
+  }
+
+  /**
+   * Append a streamed answer token to the in-progress assistant message
+   */
+  handleChatToken(message) {
+    if (message.type !== 'CHAT_TOKEN' || !message.data) return
+    if (message.data.chatId !== this.streamingReply?.chatId) return
+
+    this.streamingReply.content += message.data.text || ''
+
+    const messagesContainer = this.container?.querySelector(
+      '#linkedintel-chat-messages'
+    )
+    if (!messagesContainer) return
+
+    this.hideTypingIndicator()
+
+    let streaming = messagesContainer.querySelector(
+      '.linkedintel-chat-streaming'
+    )
+    if (!streaming) {
+      streaming = document.createElement('div')
+      streaming.className =
+        'linkedintel-chat-message linkedintel-chat-message-assistant linkedintel-chat-streaming'
+      streaming.innerHTML = `
+        <div class="linkedintel-chat-message-avatar linkedintel-avatar-pulse">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2L2 7l10 5 10-5-10-5z"/><path d="M2 17l10 5 10-5"/><path d="M2 12l10 5 10-5"/></svg>
+        </div>
+        <div class="linkedintel-chat-message-content">
+          <div class="linkedintel-chat-message-text"></div>
+        </div>
+      `
+      messagesContainer.appendChild(streaming)
+    }
+
+    // Citation chips appear once the full answer (with its citations) arrives
+    streaming.querySelector('.linkedintel-chat-message-text').innerHTML =
+      this.formatMessage(this.streamingReply.content)
+    messagesContainer.scrollTop = messagesContainer.scrollHeight
+  }
+
+  /**
+   * The account the chat is about, so the backend can look up its cached analysis
+   */
+  buildSubject() {
+    const data = this.panel.currentData
+    if (!data) return null
+
+    if (this.panel.pageType === 'profile') {
+      const profile = data.profile || {}
+      if (!profile.name) return null
+      return {
+        type: 'person',
+        name: profile.name,
+        companyName: profile.company || data.company?.companyName,
+        profileUrl: window.location.href,
+      }
+    }
+
+    if (this.panel.pageType === 'company' && data.companyName) {
+      return {
+        type: 'company',
+        name: data.companyName,
+        companyUrl: window.location.href,
+      }
+    }
+
+    return null
+  }
+
   /**
    * Build context object from current LinkedIn page data
    * Now uses unified context service for rich, aggregated data
@@ -21,6 +21,8 @@ class LinkedIntelFAB {
     this.handleHover = this.handleHover.bind(this)
     this.handleMouseLeave = this.handleMouseLeave.bind(this)
     this.handleUsageUpdate = this.handleUsageUpdate.bind(this)
+    this.handleAnalysisProgress = this.handleAnalysisProgress.bind(this)
+    this.handleAnalysisRefresh = this.handleAnalysisRefresh.bind(this)
 
     // Initialize usage tracking
     this.initializeUsageStatus()
@@ -69,8 +71,10 @@ class LinkedIntelFAB {
   // Setup message listener for usage updates from service worker
   setupMessageListener() {
     chrome.runtime.onMessage.addListener(this.handleUsageUpdate)
+    chrome.runtime.onMessage.addListener(this.handleAnalysisProgress)
+    chrome.runtime.onMessage.addListener(this.handleAnalysisRefresh)
     fabLogger.debug(
-      '[LinkedIntel FAB] Message listener setup for usage updates'
+      '[LinkedIntel FAB] Message listener setup for usage and progress updates'
     )
   }
 
@@ -87,6 +91,31 @@ class LinkedIntelFAB {
     return true // Keep message channel open for async response
   }
 
+  // Handle streamed analysis progress from service worker (one event per backend section)
+  handleAnalysisProgress(message) {
+    if (message.type !== 'ANALYSIS_PROGRESS' || !message.data) return
+
+    const { stepId, status } = message.data
+    if (window.linkedIntelInsightsPanel?.progressSteps) {
+      window.linkedIntelInsightsPanel.updateProgressStep(stepId, status)
+    }
+  }
+
+  // Handle background refresh of a stale cached analysis (fresh data or failure)
+  handleAnalysisRefresh(message) {
+    if (
+      message.type !== 'ANALYSIS_REFRESHED' &&
+      message.type !== 'ANALYSIS_REFRESH_FAILED'
+    ) {
+      return
+    }
+
+    window.linkedIntelInsightsPanel?.handleBackgroundRefresh(
+      message.type,
+      message.data || {}
+    )
+  }
+
   // Check if extension context is still valid
   isExtensionContextValid() {
     try {
@@ -804,6 +833,7 @@ class LinkedIntelFAB {
           company: window.linkedInDetector.extractCurrentCompany(),
           location: window.linkedInDetector.extractLocation(),
           activity: window.linkedInDetector.extractRecentActivity(),
+          recentPosts: await this.extractRecentPosts(),
           executiveLevel: window.linkedInDetector.detectExecutiveLevel(),
           timestamp: Date.now(),
         }
@@ -853,9 +883,6 @@ class LinkedIntelFAB {
       if (response && !response.error) {
         fabLogger.debug('LinkedIntel FAB: Analysis completed successfully')
 
-        // Stop progress simulation
-        this.stopProgressSimulation()
-
         // Update insights panel with results
         window.linkedIntelInsightsPanel.updateContent(response)
 
@@ -869,9 +896,6 @@ class LinkedIntelFAB {
     } catch (error) {
       fabLogger.error('LinkedIntel FAB: Error during analysis:', error)
 
-      // Stop progress simulation
-      this.stopProgressSimulation()
-
       // Show error in insights panel if it exists
       if (window.linkedIntelInsightsPanel) {
         window.linkedIntelInsightsPanel.showError(error.message)
@@ -890,6 +914,12 @@ class LinkedIntelFAB {
     }
   }
 
+  // Recent posts on the profile - sent to the backend as observed facts
+  async extractRecentPosts() {
+    if (!window.linkedInPostsScraper) return []
+    return window.linkedInPostsScraper.extractRecentPosts(window.location.href)
+  }
+
   // Toggle insights panel (open/close)
   async toggleFloatingPanel() {
     // Check if LinkedIntelInsightsPanel class is available
@@ -1013,9 +1043,6 @@ class LinkedIntelFAB {
       window.linkedIntelInsightsPanel.pageType = pageData.type
       window.linkedIntelInsightsPanel.showLoading('Analyzing LinkedIn page...')
 
-      // Start simulated progress tracking
-      this.startProgressSimulation(pageData.type)
-
       // Re-extract profile data to get the latest company information
       // This ensures we don't use stale data from initial page load
       if (window.linkedInDetector && pageData.type === 'profile') {
@@ -1030,6 +1057,7 @@ class LinkedIntelFAB {
           company: window.linkedInDetector.extractCurrentCompany(),
           location: window.linkedInDetector.extractLocation(),
           activity: window.linkedInDetector.extractRecentActivity(),
+          recentPosts: await this.extractRecentPosts(),
           executiveLevel: window.linkedInDetector.detectExecutiveLevel(),
           timestamp: Date.now(),
         }
@@ -1079,9 +1107,6 @@ class LinkedIntelFAB {
       if (response && !response.error) {
         fabLogger.debug('LinkedIntel FAB: Analysis completed successfully')
 
-        // Stop progress simulation
-        this.stopProgressSimulation()
-
         // Update insights panel with results
         window.linkedIntelInsightsPanel.updateContent(response)
 
@@ -1095,9 +1120,6 @@ class LinkedIntelFAB {
     } catch (error) {
       fabLogger.error('LinkedIntel FAB: Error during analysis:', error)
 
-      // Stop progress simulation
-      this.stopProgressSimulation()
-
       // Show error in insights panel if it exists
       if (window.linkedIntelInsightsPanel) {
         window.linkedIntelInsightsPanel.showError(error.message)
@@ -1454,6 +1476,8 @@ class LinkedIntelFAB {
     // Remove message listener to prevent memory leaks
     if (this.handleUsageUpdate) {
       chrome.runtime.onMessage.removeListener(this.handleUsageUpdate)
+      chrome.runtime.onMessage.removeListener(this.handleAnalysisProgress)
+      chrome.runtime.onMessage.removeListener(this.handleAnalysisRefresh)
       fabLogger.debug('[LinkedIntel FAB] Message listener removed')
     }
 
@@ -1543,80 +1567,6 @@ class LinkedIntelFAB {
       style.remove()
     }
   }
-
-  // Start simulated progress tracking
-  startProgressSimulation(pageType) {
-    // Clear any existing simulation
-    this.stopProgressSimulation()
-
-    const progressSteps =
-      pageType === 'company'
-        ? [
-            // Company analysis: 9 stages
-            { id: 'stockData', delay: 2500 },
-            { id: 'recentNews', delay: 3500 },
-            { id: 'growthEvents', delay: 2500 },
-            { id: 'companyChallenges', delay: 2800 },
-            { id: 'techStack', delay: 3000 },
-            { id: 'companyActivity', delay: 3500 },
-            { id: 'priorityContacts', delay: 3000 },
-            { id: 'fitScore', delay: 2500 },
-            { id: 'recommendation', delay: 2000 },
-          ]
-        : [
-            // Profile analysis: 2 person stages + 8 company stages = 10 total
-            // Phase 1: Person analysis
-            { id: 'personProfile', delay: 2800 },
-            { id: 'personPainPoints', delay: 2800 },
-            // Phase 2: Company analysis (for their company)
-            { id: 'stockData', delay: 2200 },
-            { id: 'recentNews', delay: 2500 },
-            { id: 'growthEvents', delay: 2000 },
-            { id: 'techStack', delay: 2500 },
-            { id: 'companyActivity', delay: 2800 },
-            { id: 'priorityContacts', delay: 2500 },
-            { id: 'fitScore', delay: 2000 },
-            { id: 'recommendation', delay: 1800 },
-          ]
-
-    let cumulativeDelay = 0
-    this.progressTimeouts = []
-
-    progressSteps.forEach((step, index) => {
-      // Mark as loading
-      const loadingTimeout = setTimeout(() => {
-        if (
-          window.linkedIntelInsightsPanel &&
-          window.linkedIntelInsightsPanel.updateProgress
-        ) {
-          window.linkedIntelInsightsPanel.updateProgress(step.id, 'loading')
-        }
-      }, cumulativeDelay)
-
-      this.progressTimeouts.push(loadingTimeout)
-
-      // Mark as completed after delay
-      cumulativeDelay += step.delay
-      const completedTimeout = setTimeout(() => {
-        if (
-          window.linkedIntelInsightsPanel &&
-          window.linkedIntelInsightsPanel.updateProgress
-        ) {
-          window.linkedIntelInsightsPanel.updateProgress(step.id, 'completed')
-        }
-      }, cumulativeDelay)
-
-      this.progressTimeouts.push(completedTimeout)
-    })
-  }
-
-  // Stop progress simulation
-  stopProgressSimulation() {
-    if (this.progressTimeouts) {
-      this.progressTimeouts.forEach((timeout) => clearTimeout(timeout))
-      this.progressTimeouts = []
-    }
-  }
 }
 
 // Export for use in other scripts
@@ -4,6 +4,76 @@
 // Initialize logger using shared helper function
 const panelLogger = window.createLogger('InsightsPanel')
 
+// Backend sections behind each refreshable tab (POST .../sections/:section/refresh)
+// Tabs not listed (chat, Chrome AI, contact strategy) have no refresh button
+const TAB_SECTIONS = {
+  overview: { entity: 'company', sections: ['industryContext'] },
+  'tech-stack': { entity: 'company', sections: ['techStack'] },
+  financial: { entity: 'company', sections: ['stockData'] },
+  'risk-signals': { entity: 'company', sections: ['companyChallenges'] },
+  'news-signals': {
+    entity: 'company',
+    sections: ['recentNews', 'companyActivity'],
+  },
+  'decision-makers': { entity: 'company', sections: ['priorityContacts'] },
+  'company-overview': { entity: 'company', sections: ['industryContext'] },
+  'company-tech-stack': { entity: 'company', sections: ['techStack'] },
+  'company-financial': { entity: 'company', sections: ['stockData'] },
+  'company-risk-signals': {
+    entity: 'company',
+    sections: ['companyChallenges'],
+  },
+  'company-news': {
+    entity: 'company',
+    sections: ['recentNews', 'companyActivity'],
+  },
+  'company-contacts': { entity: 'company', sections: ['priorityContacts'] },
+  'person-overview': { entity: 'person', sections: ['personBasicInfo'] },
+  'person-painpoints': {
+    entity: 'person',
+    sections: ['personQuotedChallenges'],
+  },
+  'person-recent-activity': {
+    entity: 'person',
+    sections: ['personSocialActivity', 'personMediaPresence'],
+  },
+  'person-thought-leadership': {
+    entity: 'person',
+    sections: ['personMediaPresence'],
+  },
+}
+
+// Display names for sections the backend skipped to stay within the spend budget
+const BUDGET_SKIP_LABELS = {
+  industryContext: 'Company overview',
+  personMediaPresence: 'Media presence',
+}
+
+// Display names for analysis fields in the "What changed" section
+const DIFF_SECTION_LABELS = {
+  overview: 'Overview',
+  stockInfo: 'Financials',
+  privateFinancials: 'Financials',
+  industryContext: 'Company',
+  recentNews: 'News',
+  growthEvents: 'Growth',
+  techStack: 'Tech Stack',
+  companyChallenges: 'Risk Signals',
+  priorityContacts: 'Decision Makers',
+  companyIntelligence: 'Intelligence',
+  companyActivity: 'Activity',
+}
+
+// Where a fact came from (analysis.provenance origin) - tooltip labels
+const PROVENANCE_ORIGIN_LABELS = {
+  page: 'LinkedIn page',
+  sumble: 'Sumble',
+  perplexity: 'Web research',
+}
+
+// Shortest fact value matched against rendered text (shorter ones are too ambiguous)
+const MIN_PROVENANCE_MATCH_LENGTH = 3
+
 class LinkedIntelInsightsPanel {
   constructor() {
     this.panel = null
@@ -24,6 +94,10 @@ class LinkedIntelInsightsPanel {
       ? new window.ChatInterface(this)
       : null
 
+    // Normalized fact value -> provenance entry (see indexProvenance)
+    this.provenanceIndex = new Map()
+    this.provenanceTooltip = null
+
     this.handleClose = this.handleClose.bind(this)
     this.handleEscapeKey = this.handleEscapeKey.bind(this)
     this.handleTabClick = this.handleTabClick.bind(this)
@@ -195,6 +269,10 @@ class LinkedIntelInsightsPanel {
               <span>LinkedIntel</span>
             </div>
             <div id="linkedintel-company-status-badge" class="linkedintel-company-status-badge" style="display: none;"></div>
+            <div id="linkedintel-refresh-indicator" class="linkedintel-refresh-indicator" style="display: none;" title="Showing cached insights while fresh data loads">
+              <span class="linkedintel-refresh-spinner"></span>
+              <span>Refreshing…</span>
+            </div>
             <div class="linkedintel-header-actions">
               <div class="linkedintel-usage-counter" id="linkedintel-usage-counter">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -354,6 +432,258 @@ class LinkedIntelInsightsPanel {
         color: #fff;
       }
 
+      .linkedintel-refresh-indicator {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 10px;
+        border-radius: 16px;
+        font-size: 11px;
+        font-weight: 600;
+        color: #fff;
+        background: rgba(255, 255, 255, 0.15);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+      }
+
+      .linkedintel-refresh-spinner {
+        width: 10px;
+        height: 10px;
+        border: 2px solid rgba(255, 255, 255, 0.4);
+        border-top-color: #fff;
+        border-radius: 50%;
+        animation: spin 0.8s linear infinite;
+      }
+
+      .linkedintel-section-refresh {
+        display: flex;
+        justify-content: flex-end;
+        margin-bottom: 8px;
+      }
+
+      .linkedintel-section-refresh-btn {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 10px;
+        border-radius: 8px;
+        border: 1px solid #e5e7eb;
+        background: #fff;
+        color: #6b7280;
+        font-size: 12px;
+        font-weight: 500;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+
+      .linkedintel-section-refresh-btn:hover:not(:disabled) {
+        color: #0a66c2;
+        border-color: #0a66c2;
+      }
+
+      .linkedintel-section-refresh-btn:disabled {
+        cursor: default;
+        opacity: 0.7;
+      }
+
+      .linkedintel-section-refresh-btn svg {
+        width: 12px;
+        height: 12px;
+      }
+
+      .linkedintel-section-refresh-btn.refreshing svg {
+        animation: spin 0.8s linear infinite;
+      }
+
+      .linkedintel-budget-skip {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 12px;
+        margin-bottom: 16px;
+        border-radius: 8px;
+        border: 1px dashed #d1d5db;
+        background: #f9fafb;
+        color: #6b7280;
+        font-size: 13px;
+      }
+
+      .linkedintel-budget-skip strong {
+        color: #374151;
+      }
+
+      /* Company picker (needs_disambiguation) */
+      .linkedintel-disambiguation {
+        padding: 24px 20px;
+      }
+
+      .linkedintel-disambiguation-title {
+        font-size: 16px;
+        font-weight: 600;
+        color: #212529;
+        margin: 0 0 4px;
+      }
+
+      .linkedintel-disambiguation-subtitle {
+        font-size: 13px;
+        color: #6b7280;
+        margin: 0 0 16px;
+      }
+
+      .linkedintel-candidate {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        width: 100%;
+        padding: 12px;
+        margin-bottom: 8px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: #fff;
+        text-align: left;
+        cursor: pointer;
+        transition: border-color 0.15s, background 0.15s;
+      }
+
+      .linkedintel-candidate:hover {
+        border-color: #0a66c2;
+        background: #f0f7ff;
+      }
+
+      .linkedintel-candidate-logo {
+        width: 32px;
+        height: 32px;
+        flex-shrink: 0;
+        border-radius: 6px;
+        object-fit: contain;
+        background: #f3f4f6;
+      }
+
+      .linkedintel-candidate-name {
+        font-size: 14px;
+        font-weight: 600;
+        color: #212529;
+      }
+
+      .linkedintel-candidate-meta {
+        font-size: 12px;
+        color: #6b7280;
+        margin-top: 2px;
+      }
+
+      .linkedintel-team-analyzed {
+        font-size: 13px;
+        color: #374151;
+        padding: 4px 0 8px;
+      }
+
+      .linkedintel-team-others {
+        color: #6b7280;
+        font-size: 12px;
+      }
+
+      .linkedintel-team-notes-title {
+        font-size: 12px;
+        font-weight: 600;
+        color: #6b7280;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        margin: 4px 0;
+      }
+
+      .linkedintel-team-note {
+        padding: 6px 0;
+        border-bottom: 1px solid #f1f3f5;
+      }
+
+      .linkedintel-team-note-text {
+        font-size: 13px;
+        color: #212529;
+        white-space: pre-wrap;
+      }
+
+      .linkedintel-team-note-meta {
+        font-size: 11px;
+        color: #6b7280;
+        margin-top: 2px;
+      }
+
+      .linkedintel-what-changed-item {
+        display: flex;
+        align-items: baseline;
+        gap: 8px;
+        padding: 6px 0;
+        font-size: 13px;
+        color: #374151;
+        border-bottom: 1px solid #f1f3f5;
+      }
+
+      .linkedintel-what-changed-badge {
+        flex-shrink: 0;
+        width: 18px;
+        text-align: center;
+        font-weight: 700;
+      }
+
+      .linkedintel-what-changed-badge.added {
+        color: #059669;
+      }
+
+      .linkedintel-what-changed-badge.removed {
+        color: #dc2626;
+      }
+
+      .linkedintel-what-changed-badge.changed {
+        color: #d97706;
+      }
+
+      .linkedintel-what-changed-section {
+        flex-shrink: 0;
+        font-size: 11px;
+        font-weight: 600;
+        color: #6b7280;
+        text-transform: uppercase;
+      }
+
+      .linkedintel-has-provenance {
+        text-decoration: underline dotted #adb5bd;
+        text-underline-offset: 3px;
+        cursor: help;
+      }
+
+      .linkedintel-provenance-tooltip {
+        position: fixed;
+        z-index: 1000000;
+        max-width: 280px;
+        padding: 8px 10px;
+        border-radius: 8px;
+        background: #212529;
+        color: #f8f9fa;
+        font-size: 12px;
+        line-height: 1.5;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        pointer-events: none;
+        display: none;
+      }
+
+      .linkedintel-provenance-tooltip.visible {
+        display: block;
+      }
+
+      .linkedintel-provenance-origin {
+        font-weight: 600;
+      }
+
+      .linkedintel-provenance-meta {
+        color: #adb5bd;
+      }
+
+      .linkedintel-provenance-source {
+        color: #a5d8ff;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
       .linkedintel-usage-counter {
         display: flex;
         align-items: center;
@@ -2312,6 +2642,26 @@ class LinkedIntelInsightsPanel {
       if (typeBtn) {
         this.handleAISummaryTypeChange(typeBtn)
       }
+
+      // Per-tab section refresh buttons
+      const refreshBtn = e.target.closest('.linkedintel-section-refresh-btn')
+      if (refreshBtn) {
+        this.handleSectionRefresh(refreshBtn)
+      }
+    })
+
+    // Provenance tooltip for facts marked by annotateProvenance
+    this.panel.addEventListener('mouseover', (e) => {
+      const fact = e.target.closest('.linkedintel-has-provenance')
+      if (fact) {
+        this.showProvenanceTooltip(fact)
+      }
+    })
+    this.panel.addEventListener('mouseout', (e) => {
+      const fact = e.target.closest('.linkedintel-has-provenance')
+      if (fact && !fact.contains(e.relatedTarget)) {
+        this.hideProvenanceTooltip()
+      }
     })
   }
 
@@ -3048,24 +3398,25 @@ class LinkedIntelInsightsPanel {
         if (stepLabel) stepLabel.textContent = `${step.label}...`
         if (stepIcon) stepIcon.textContent = step.icon
       }
-
-      this.currentStepIndex = step.order - 1
     } else if (status === 'completed') {
       // Mark as completed
       stepCard.classList.add('completed')
       stepCard.classList.remove('active', 'error')
 
-      // Update progress bar (cap at 100%)
+      // Update progress bar from completed count (streamed sections finish out of order)
+      const completedCount = this.panel.querySelectorAll(
+        '.linkedintel-step-card.completed'
+      ).length
       const percentComplete = Math.min(
         100,
-        Math.round((step.order / this.totalSteps) * 100)
+        Math.round((completedCount / this.totalSteps) * 100)
       )
       progressFill.style.width = `${percentComplete}%`
       if (progressPercentage) {
         progressPercentage.textContent = `${percentComplete}%`
       }
 
-      this.currentStepIndex = step.order
+      this.currentStepIndex = completedCount
     } else if (status === 'error') {
       // Mark as error
       stepCard.classList.add('error')
@@ -3222,6 +3573,82 @@ class LinkedIntelInsightsPanel {
     }
   }
 
+  // Several companies share the name - let the user pick one before analyzing
+  // (the backend charges nothing until a company is picked)
+  showDisambiguation(response) {
+    const mainElement = this.panel.querySelector('.linkedintel-panel-main')
+    if (!mainElement) return
+
+    const badge = document.getElementById('linkedintel-company-status-badge')
+    if (badge) {
+      badge.style.display = 'none'
+    }
+
+    const candidates = response.candidates || []
+    mainElement.innerHTML = `
+      <div class="linkedintel-panel-body">
+        <div class="linkedintel-disambiguation">
+          <h2 class="linkedintel-disambiguation-title">Which ${this.escapeHtml(
+            response.companyName
+          )}?</h2>
+          <p class="linkedintel-disambiguation-subtitle">Several companies match this name. Pick one to analyze.</p>
+          ${candidates
+            .map(
+              (candidate, index) => `
+            <button class="linkedintel-candidate" data-index="${index}">
+              <img class="linkedintel-candidate-logo" src="${this.escapeHtml(
+                candidate.logoUrl || ''
+              )}" alt="">
+              <div>
+                <div class="linkedintel-candidate-name">${this.escapeHtml(
+                  candidate.name
+                )}</div>
+                <div class="linkedintel-candidate-meta">${[
+                  candidate.domain,
+                  candidate.headquarters,
+                  candidate.employeeCount &&
+                    `${candidate.employeeCount} employees`,
+                ]
+                  .filter(Boolean)
+                  .map((part) => this.escapeHtml(part))
+                  .join(' · ')}</div>
+              </div>
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `
+
+    mainElement.querySelectorAll('.linkedintel-candidate').forEach((button) => {
+      button.addEventListener('click', () => {
+        const candidate = candidates[button.dataset.index]
+        this.trackEvent('company_disambiguated', {
+          company_name: response.companyName,
+          candidate_rank: Number(button.dataset.index) + 1,
+        })
+        this.analyzeCandidate(response.companyData, candidate)
+      })
+    })
+  }
+
+  // Re-run the company analysis for the picked candidate
+  async analyzeCandidate(companyData, candidate) {
+    this.showLoading(`Analyzing ${candidate.name}...`)
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ANALYZE_COMPANY',
+        data: { ...companyData, companyDomain: candidate.domain },
+      })
+      this.updateContent(response)
+    } catch (error) {
+      panelLogger.error('[Panel] Candidate analysis failed:', error)
+      this.showError(error.message || 'Analysis failed. Please try again.')
+    }
+  }
+
   showGenericError(message) {
     // Hide company status badge during error states
     const badge = document.getElementById('linkedintel-company-status-badge')
@@ -3695,6 +4122,11 @@ class LinkedIntelInsightsPanel {
     // Update usage counter with new values
     this.updateUsageCounter()
 
+    if (response?.needsDisambiguation) {
+      this.showDisambiguation(response)
+      return
+    }
+
     if (!response || response.error) {
       panelLogger.error('[Panel] Response error or missing', {
         error: response?.error,
@@ -3718,6 +4150,10 @@ class LinkedIntelInsightsPanel {
     // Store data
     this.currentData = data
 
+    // Stale cache hit - keep "refreshing…" up until the service worker pushes fresh data
+    this.pendingRefreshId = response.refreshId || null
+    this.setRefreshIndicator(!!this.pendingRefreshId)
+
     // Determine page type
     this.pageType =
       response.pageType ||
@@ -3750,6 +4186,22 @@ class LinkedIntelInsightsPanel {
         // Update company status badge in header
         this.updateCompanyStatusBadge(data)
 
+        // Refresh buttons on tabs backed by a backend section
+        this.addSectionRefreshButtons(mainElement)
+
+        // Sections skipped to stay within the spend budget
+        this.addBudgetSkipNotices(mainElement, data)
+
+        // Hover any fact to see where it came from
+        this.indexProvenance(data)
+        this.annotateProvenance(mainElement)
+
+        // "What changed" since the previous analysis (loads after render)
+        this.loadWhatChanged(data)
+
+        // Teammates who analyzed this account + team notes (workspace only)
+        this.loadTeamActivity(data)
+
         // Attach tab click listeners
         const tabButtons = mainElement.querySelectorAll('.linkedintel-tab-btn')
         panelLogger.info('[Panel] Attaching tab listeners', {
@@ -3773,6 +4225,536 @@ class LinkedIntelInsightsPanel {
     }
   }
 
+  // Show/hide the "refreshing…" indicator in the header
+  setRefreshIndicator(visible) {
+    const indicator = document.getElementById('linkedintel-refresh-indicator')
+    if (indicator) {
+      indicator.style.display = visible ? 'flex' : 'none'
+    }
+  }
+
+  // Swap in fresh data from a background refresh of a stale cached analysis
+  // Ignored if the panel has since shown a different analysis
+  handleBackgroundRefresh(type, payload) {
+    if (!payload.refreshId || payload.refreshId !== this.pendingRefreshId) {
+      return
+    }
+
+    this.pendingRefreshId = null
+
+    if (type !== 'ANALYSIS_REFRESHED' || !payload.data) {
+      panelLogger.warn('[Panel] Background refresh failed, keeping cached data')
+      this.setRefreshIndicator(false)
+      return
+    }
+
+    panelLogger.info(
+      '[Panel] Background refresh landed, swapping in fresh data'
+    )
+    this.rerenderContent(payload.data, payload.pageType)
+  }
+
+  // Re-render with new data, keeping the user on the tab they were reading
+  rerenderContent(data, pageType) {
+    const activeTab = this.activeTab
+    this.updateContent({
+      data,
+      pageType,
+      fromCache: false,
+      refreshId: this.pendingRefreshId,
+    })
+
+    const tabButton = this.panel.querySelector(
+      `.linkedintel-tab-btn[data-tab="${activeTab}"]`
+    )
+    if (tabButton) {
+      this.handleTabClick(activeTab)
+    }
+  }
+
+  // Fetch the company diff and show it at the top of the Overview tab
+  async loadWhatChanged(data) {
+    const company = data.profile ? data.company : data
+    const companyName = company?.companyName || company?.name
+    if (!companyName) return
+    const pageUrl = window.location.href
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_ANALYSIS_DIFF',
+        data: {
+          pageType: 'company',
+          companyName,
+          companyUrl: pageUrl.includes('/company/') ? pageUrl : undefined,
+        },
+      })
+
+      // Ignore if the panel has moved on to other data meanwhile
+      if (this.currentData !== data || !response?.diff?.changes?.length) {
+        return
+      }
+
+      const overviewTab = this.panel.querySelector(
+        '.linkedintel-tab-content[data-tab="overview"], .linkedintel-tab-content[data-tab="company-overview"]'
+      )
+      const anchor = overviewTab?.querySelector('.linkedintel-section-refresh')
+      const html = this.generateWhatChanged(response.diff)
+
+      if (anchor) {
+        anchor.insertAdjacentHTML('afterend', html)
+      } else if (overviewTab) {
+        overviewTab.insertAdjacentHTML('afterbegin', html)
+      }
+    } catch (error) {
+      panelLogger.warn('[Panel] Could not load analysis diff', error)
+    }
+  }
+
+  // Fetch what the selected team workspace knows about this account and show
+  // it at the top of the Overview tab
+  async loadTeamActivity(data) {
+    const pageUrl = window.location.href
+    const account = data.profile
+      ? {
+          type: 'person',
+          name: data.profile.name,
+          companyName: data.profile.company || data.company?.companyName,
+          profileUrl: pageUrl.includes('/in/') ? pageUrl : undefined,
+        }
+      : {
+          type: 'company',
+          name: data.companyName || data.name,
+          companyUrl: pageUrl.includes('/company/') ? pageUrl : undefined,
+          domain: data.metadata?.companyDomain,
+        }
+    if (!account.name) return
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_TEAM_ACCOUNT',
+        data: account,
+      })
+
+      // Ignore if the panel has moved on to other data meanwhile
+      if (
+        this.currentData !== data ||
+        !response?.success ||
+        (response.analyzedBy.length === 0 && response.notes.length === 0)
+      ) {
+        return
+      }
+
+      const overviewTab = this.panel.querySelector(
+        '.linkedintel-tab-content[data-tab="overview"], .linkedintel-tab-content[data-tab="company-overview"]'
+      )
+      const anchor = overviewTab?.querySelector('.linkedintel-section-refresh')
+      const html = this.generateTeamActivity(response)
+
+      if (anchor) {
+        anchor.insertAdjacentHTML('afterend', html)
+      } else if (overviewTab) {
+        overviewTab.insertAdjacentHTML('afterbegin', html)
+      }
+    } catch (error) {
+      panelLogger.warn('[Panel] Could not load team activity', error)
+    }
+  }
+
+  // Render the "analyzed by teammate" indicator and the latest team notes
+  generateTeamActivity({ analyzedBy, notes }, maxNotes = 3) {
+    const formatDate = (iso) =>
+      new Date(iso).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+      })
+
+    const [latest, ...others] = analyzedBy
+    const indicator = latest
+      ? `
+        <div class="linkedintel-team-analyzed">
+          👥 Analyzed by <strong>${this.escapeHtml(latest.name)}</strong>
+          on ${formatDate(latest.analyzedAt)}${
+            others.length > 0
+              ? ` <span class="linkedintel-team-others">+${others.length} teammate${
+                  others.length === 1 ? '' : 's'
+                }</span>`
+              : ''
+          }
+        </div>
+      `
+      : ''
+
+    const noteItems = notes
+      .slice(0, maxNotes)
+      .map((note) => {
+        const meta = [
+          this.escapeHtml(note.authorName),
+          formatDate(note.createdAt),
+          note.visibility === 'private' ? '🔒 only you' : null,
+        ]
+          .filter(Boolean)
+          .join(' • ')
+        return `
+        <div class="linkedintel-team-note">
+          <div class="linkedintel-team-note-text">${this.escapeHtml(
+            note.text
+          )}</div>
+          <div class="linkedintel-team-note-meta">${meta}</div>
+        </div>
+      `
+      })
+      .join('')
+
+    return `
+      <div class="linkedintel-section linkedintel-team-activity" style="margin-bottom: 20px;">
+        ${indicator}
+        ${
+          notes.length > 0
+            ? `<div class="linkedintel-team-notes-title">Team notes (${notes.length})</div>${noteItems}`
+            : ''
+        }
+      </div>
+    `
+  }
+
+  // Render a snapshot diff as a compact change list
+  generateWhatChanged(diff, maxItems = 8) {
+    const symbols = { added: '+', removed: '−', changed: '~' }
+    const since = new Date(diff.from.takenAt).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    })
+    const items = diff.changes.slice(0, maxItems)
+    const remaining = diff.changes.length - items.length
+
+    return `
+      <div class="linkedintel-section linkedintel-what-changed" style="margin-bottom: 20px;">
+        <div class="linkedintel-section-header">
+          <svg class="linkedintel-section-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>
+          </svg>
+          <h3 class="linkedintel-section-title">What changed</h3>
+          <span style="font-size: 12px; color: #6b7280;">since ${since}</span>
+        </div>
+        ${items
+          .map(
+            (change) => `
+          <div class="linkedintel-what-changed-item">
+            <span class="linkedintel-what-changed-badge ${change.type}">${
+              symbols[change.type]
+            }</span>
+            <span class="linkedintel-what-changed-section">${this.escapeHtml(
+              DIFF_SECTION_LABELS[change.section] || change.section
+            )}</span>
+            <span>${this.escapeHtml(change.label || change.path)}</span>
+          </div>
+        `
+          )
+          .join('')}
+        ${
+          remaining > 0
+            ? `<div style="font-size: 12px; color: #6b7280; padding-top: 6px;">and ${remaining} more change${
+                remaining === 1 ? '' : 's'
+              }</div>`
+            : ''
+        }
+      </div>
+    `
+  }
+
+  // Prepend a refresh button to every tab listed in TAB_SECTIONS
+  addSectionRefreshButtons(container) {
+    container.querySelectorAll('.linkedintel-tab-content').forEach((tab) => {
+      if (!TAB_SECTIONS[tab.dataset.tab]) return
+
+      tab.insertAdjacentHTML(
+        'afterbegin',
+        `
+        <div class="linkedintel-section-refresh">
+          <button class="linkedintel-section-refresh-btn" data-refresh-tab="${tab.dataset.tab}" title="Re-fetch just this section">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>
+            <span>Refresh</span>
+          </button>
+        </div>
+      `
+      )
+    })
+  }
+
+  // Normalized form of a fact value / rendered text for matching
+  normalizeFactText(value) {
+    return String(value).replace(/\s+/g, ' ').trim().toLowerCase()
+  }
+
+  // Index the provenance of the displayed analyses by fact value
+  // The tabs render values, not paths, so facts are found by their text
+  indexProvenance(data) {
+    this.provenanceIndex = new Map()
+
+    const maps = [data.provenance, data.profile?.provenance]
+    if (data.profile) maps.push(data.company?.provenance)
+
+    for (const provenance of maps) {
+      for (const entry of Object.values(provenance || {})) {
+        if (typeof entry?.value === 'boolean') continue
+        const key = this.normalizeFactText(entry.value)
+        if (key.length < MIN_PROVENANCE_MATCH_LENGTH) continue
+        if (!this.provenanceIndex.has(key)) {
+          this.provenanceIndex.set(key, entry)
+        }
+      }
+    }
+  }
+
+  // Mark rendered elements showing a fact that has provenance
+  // Leaf elements match on their whole text, ignoring currency/percent signs
+  annotateProvenance(container) {
+    if (this.provenanceIndex.size === 0) return
+
+    container
+      .querySelectorAll('.linkedintel-tab-content *')
+      .forEach((element) => {
+        if (element.children.length > 0) return
+
+        const text = this.normalizeFactText(element.textContent)
+        if (text.length < MIN_PROVENANCE_MATCH_LENGTH) return
+
+        const key = [text, text.replace(/^[$€£¥₹]|%$/g, '')].find((candidate) =>
+          this.provenanceIndex.has(candidate)
+        )
+        if (key) {
+          element.classList.add('linkedintel-has-provenance')
+          element.dataset.provenanceKey = key
+        }
+      })
+  }
+
+  showProvenanceTooltip(element) {
+    const entry = this.provenanceIndex.get(element.dataset.provenanceKey)
+    if (!entry) return
+
+    if (!this.provenanceTooltip) {
+      this.provenanceTooltip = document.createElement('div')
+      this.provenanceTooltip.className = 'linkedintel-provenance-tooltip'
+      this.panel.appendChild(this.provenanceTooltip)
+    }
+
+    const retrieved = new Date(entry.retrievedAt).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    })
+    const sources = (entry.sources || [])
+      .map((url) => {
+        try {
+          return new URL(url).hostname.replace(/^www\./, '')
+        } catch {
+          return null
+        }
+      })
+      .filter(Boolean)
+
+    this.provenanceTooltip.innerHTML = `
+      <div class="linkedintel-provenance-origin">${this.escapeHtml(
+        PROVENANCE_ORIGIN_LABELS[entry.origin] || entry.origin
+      )}</div>
+      <div class="linkedintel-provenance-meta">
+        ${Math.round(entry.confidence * 100)}% confidence · retrieved ${this.escapeHtml(
+          retrieved
+        )}
+      </div>
+      ${
+        sources.length > 0
+          ? sources
+              .map(
+                (host) =>
+                  `<div class="linkedintel-provenance-source">${this.escapeHtml(
+                    host
+                  )}</div>`
+              )
+              .join('')
+          : '<div class="linkedintel-provenance-meta">No source links</div>'
+      }
+    `
+
+    const rect = element.getBoundingClientRect()
+    this.provenanceTooltip.style.left = `${Math.max(8, rect.left)}px`
+    this.provenanceTooltip.style.top = `${rect.bottom + 6}px`
+    this.provenanceTooltip.classList.add('visible')
+  }
+
+  hideProvenanceTooltip() {
+    this.provenanceTooltip?.classList.remove('visible')
+  }
+
+  // Mark tabs whose sections were skipped (metadata.budget.skippedSections)
+  addBudgetSkipNotices(container, data) {
+    const company = data.profile ? data.company : data
+    const skipped = {
+      company: company?.metadata?.budget?.skippedSections || [],
+      person: data.profile?.metadata?.budget?.skippedSections || [],
+    }
+    if (skipped.company.length === 0 && skipped.person.length === 0) return
+
+    container.querySelectorAll('.linkedintel-tab-content').forEach((tab) => {
+      const tabConfig = TAB_SECTIONS[tab.dataset.tab]
+      const tabSkipped = (tabConfig?.sections || []).filter((section) =>
+        skipped[tabConfig.entity].includes(section)
+      )
+      if (tabSkipped.length === 0) return
+
+      const labels = tabSkipped
+        .map((section) => BUDGET_SKIP_LABELS[section] || section)
+        .join(', ')
+      tab.querySelector('.linkedintel-section-refresh').insertAdjacentHTML(
+        'afterend',
+        `
+        <div class="linkedintel-budget-skip">
+          <span>💰</span>
+          <span><strong>${this.escapeHtml(
+            labels
+          )}</strong> skipped (budget). Use Refresh once spending allows.</span>
+        </div>
+      `
+      )
+    })
+  }
+
+  // Drop refreshed sections from an analysis' budget skip list
+  clearBudgetSkips(analysis, sections) {
+    const budget = analysis.metadata?.budget
+    if (!budget?.skippedSections) return analysis
+
+    return {
+      ...analysis,
+      metadata: {
+        ...analysis.metadata,
+        budget: {
+          ...budget,
+          skippedSections: budget.skippedSections.filter(
+            (section) => !sections.includes(section)
+          ),
+        },
+      },
+    }
+  }
+
+  // Re-fetch the backend sections behind a tab and patch them into currentData
+  async handleSectionRefresh(button) {
+    const tabConfig = TAB_SECTIONS[button.dataset.refreshTab]
+    if (!tabConfig || !this.currentData || button.disabled) return
+
+    // Profile pages hold { profile, company }; company pages hold the company itself
+    const profile = this.currentData.profile || {}
+    const company = this.currentData.profile
+      ? this.currentData.company || {}
+      : this.currentData
+    const companyName =
+      profile.company || company.companyName || company.name || ''
+    const pageUrl = window.location.href
+
+    button.disabled = true
+    button.classList.add('refreshing')
+    button.querySelector('span').textContent = 'Refreshing…'
+
+    try {
+      const responses = await Promise.all(
+        tabConfig.sections.map((section) =>
+          chrome.runtime.sendMessage({
+            type: 'REFRESH_SECTION',
+            data: {
+              pageType: tabConfig.entity,
+              section,
+              companyName,
+              personName: profile.name,
+              title: profile.title,
+              profileUrl: pageUrl.includes('/in/') ? pageUrl : undefined,
+              companyUrl: pageUrl.includes('/company/') ? pageUrl : undefined,
+            },
+          })
+        )
+      )
+
+      const failed = responses.find((response) => !response?.success)
+      const refreshed = responses
+        .filter((response) => response?.success)
+        .reduce((fields, response) => ({ ...fields, ...response.data }), {})
+      const refreshedProvenance = responses
+        .filter((response) => response?.success)
+        .reduce(
+          (provenance, response) => ({
+            ...provenance,
+            ...response.provenance,
+          }),
+          {}
+        )
+      const refreshedSections = tabConfig.sections.filter(
+        (section, index) => responses[index]?.success
+      )
+
+      if (Object.keys(refreshed).length > 0) {
+        const data = this.currentData.profile
+          ? tabConfig.entity === 'person'
+            ? {
+                ...this.currentData,
+                profile: this.clearBudgetSkips(
+                  {
+                    ...profile,
+                    ...refreshed,
+                    provenance: { ...profile.provenance, ...refreshedProvenance },
+                  },
+                  refreshedSections
+                ),
+              }
+            : {
+                ...this.currentData,
+                company: this.clearBudgetSkips(
+                  {
+                    ...company,
+                    ...refreshed,
+                    provenance: { ...company.provenance, ...refreshedProvenance },
+                  },
+                  refreshedSections
+                ),
+              }
+          : this.clearBudgetSkips(
+              {
+                ...this.currentData,
+                ...refreshed,
+                provenance: {
+                  ...this.currentData.provenance,
+                  ...refreshedProvenance,
+                },
+              },
+              refreshedSections
+            )
+
+        this.trackEvent('section_refreshed', {
+          page_type: this.pageType,
+          tab: button.dataset.refreshTab,
+        })
+        this.rerenderContent(data, this.pageType)
+      }
+
+      if (failed) {
+        throw new Error(failed.error || 'Section refresh failed')
+      }
+    } catch (error) {
+      panelLogger.error('[Panel] Section refresh failed:', error)
+      this.showNotification(
+        this.escapeHtml(error.message || 'Could not refresh this section'),
+        'error'
+      )
+      // Button is gone if the content was re-rendered
+      if (button.isConnected) {
+        button.disabled = false
+        button.classList.remove('refreshing')
+        button.querySelector('span').textContent = 'Refresh'
+      }
+    }
+  }
+
   // Update company status badge in header
   updateCompanyStatusBadge(data) {
     const badge = document.getElementById('linkedintel-company-status-badge')
@@ -4002,8 +4984,15 @@ class LinkedIntelInsightsPanel {
       ? 1
       : 0
 
+    const sourceConflicts = data.metadata?.sourceConflicts?.length || 0
+
     const total =
-      challenges + riskFactors + hasNegativeNews + hasLayoffs + hasEarningsNews
+      challenges +
+      riskFactors +
+      hasNegativeNews +
+      hasLayoffs +
+      hasEarningsNews +
+      sourceConflicts
     return total > 0 ? total : null
   }
 
@@ -4211,6 +5200,41 @@ class LinkedIntelInsightsPanel {
     ]
   }
 
+  // Backend claims that contradict what the LinkedIn profile shows
+  generateFactConflictsNotice(profile) {
+    const conflicts = profile.factConflicts || []
+    if (conflicts.length === 0) return ''
+
+    const labels = {
+      title: 'Title',
+      company: 'Company',
+      companySize: 'Company size',
+    }
+
+    return `
+      <div class="linkedintel-section" style="margin-top: 16px;">
+        <div style="background: #fff4e6; border: 1px solid #ffa94d; border-radius: 12px; padding: 12px 16px;">
+          <p style="margin: 0 0 8px; font-size: 13px; font-weight: 600; color: #d9480f;">
+            ⚠️ Some research contradicts this profile - the profile wins
+          </p>
+          ${conflicts
+            .map(
+              (conflict) => `
+            <p style="margin: 4px 0; font-size: 12px; color: #495057;">
+              <strong>${this.escapeHtml(
+                labels[conflict.field] || conflict.field
+              )}:</strong>
+              profile says "${this.escapeHtml(conflict.observed)}",
+              research found "${this.escapeHtml(conflict.claimed)}"
+            </p>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `
+  }
+
   // Profile Overview Tab
   generateProfileOverview(profile, company) {
     const name = profile.name || 'Unknown'
@@ -4268,6 +5292,8 @@ class LinkedIntelInsightsPanel {
       </div>
     `
 
+    html += this.generateFactConflictsNotice(profile)
+
     // Stated Pain Points - Prominently Displayed (Organized like company view)
     if (
       profile.publiclyStatedPainPoints &&
@@ -7180,6 +8206,8 @@ class LinkedIntelInsightsPanel {
       </div>
     `
 
+    html += this.generateFactConflictsNotice(profile)
+
     // Add company context if available
     if (company && (company.recentNews?.length > 0 || company.stockInfo)) {
       // Extract private company financials from dynamicFinancials for display
@@ -10639,13 +11667,15 @@ class LinkedIntelInsightsPanel {
         ? negativeIntel.earningsCallNegativeNews.length > 0
         : negativeIntel.earningsCallNegativeNews?.summary)
     const hasLayoffs = negativeIntel.layoffNews?.hasLayoffs
+    const sourceConflicts = data.metadata?.sourceConflicts || []
 
     if (
       companyChall.length === 0 &&
       riskFactors.length === 0 &&
       !hasNegativeNews &&
       !hasEarningsNews &&
-      !hasLayoffs
+      !hasLayoffs &&
+      sourceConflicts.length === 0
     ) {
       return `
         <div class="linkedintel-risk-empty-state">
@@ -10875,9 +11905,68 @@ class LinkedIntelInsightsPanel {
       `
     }
 
+    // Where Sumble and Perplexity disagreed (metadata.sourceConflicts)
+    if (sourceConflicts.length > 0) {
+      html += this.generateSourceConflictsSection(sourceConflicts)
+    }
+
     return html
   }
 
+  // Sumble/Perplexity conflicts with the value each gave and the rule that picked the winner
+  generateSourceConflictsSection(conflicts) {
+    const labels = {
+      employeeCount: 'Employee count',
+      contactTitle: 'Contact title',
+      contactDeparted: 'Contact may have left',
+      hiring: 'Hiring vs layoffs',
+    }
+    const sourceNames = { sumble: 'Sumble', perplexity: 'Web research' }
+
+    return `
+      <div class="linkedintel-section">
+        <h2 class="linkedintel-section-title">
+          <svg class="linkedintel-section-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="16 3 21 3 21 8"></polyline>
+            <line x1="4" y1="20" x2="21" y2="3"></line>
+            <polyline points="21 16 21 21 16 21"></polyline>
+            <line x1="15" y1="15" x2="21" y2="21"></line>
+            <line x1="4" y1="4" x2="9" y2="9"></line>
+          </svg>
+          Conflicting Sources (${conflicts.length})
+        </h2>
+        ${conflicts
+          .map(
+            (conflict) => `
+          <div class="linkedintel-risk-signal-card linkedintel-risk-medium">
+            <div class="linkedintel-risk-signal-header">
+              <span class="linkedintel-risk-category">${this.escapeHtml(
+                labels[conflict.field] || conflict.field
+              )}</span>
+              <span class="linkedintel-risk-severity">Using ${this.escapeHtml(
+                sourceNames[conflict.winner] || conflict.winner
+              )}</span>
+            </div>
+            <p class="linkedintel-risk-signal-text">
+              <strong>${this.escapeHtml(conflict.subject)}</strong><br>
+              Sumble: ${this.escapeHtml(conflict.sumble)}<br>
+              Web research: ${this.escapeHtml(
+                this.stripCitations(conflict.perplexity)
+              )}
+            </p>
+            <div class="linkedintel-risk-signal-meta">
+              <span class="linkedintel-risk-source">${this.escapeHtml(
+                conflict.rule
+              )}</span>
+            </div>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+    `
+  }
+
   // Helper: Format Earnings Result
   formatEarningsResult(result) {
     if (!result || result === 'n/a') return 'N/A'